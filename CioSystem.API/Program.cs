@@ -17,7 +17,11 @@ builder.Services.AddDataLayer(builder.Configuration);
 builder.Services.AddScoped<CioSystem.Services.IProductService, CioSystem.API.Services.ProductService>();
 builder.Services.AddScoped<CioSystem.Services.IInventoryService, CioSystem.Services.InventoryService>();
 builder.Services.AddScoped<CioSystem.Services.ISalesService, CioSystem.API.Services.SalesService>();
+// API 銷售服務的批次建立與列表分頁沿用共用實作
+builder.Services.AddScoped<CioSystem.Services.SalesService>();
 builder.Services.AddScoped<CioSystem.Services.IPurchasesService, CioSystem.API.Services.PurchasesService>();
+// API 進貨服務的列表分頁沿用共用實作
+builder.Services.AddScoped<CioSystem.Services.PurchasesService>();
 
 // 添加資料庫種子資料
 builder.Services.AddDatabaseSeed();
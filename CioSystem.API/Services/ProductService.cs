@@ -1,5 +1,6 @@
 using CioSystem.Models;
 using CioSystem.Services;
+using CioSystem.Services.DataGrid;
 using ValidationResult = CioSystem.Services.ValidationResult;
 
 namespace CioSystem.API.Services
@@ -19,6 +20,52 @@ namespace CioSystem.API.Services
             return new List<Product>();
         }
 
+        /// <summary>
+        /// 產品列表分頁
+        /// </summary>
+        /// <param name="query">DataGrid 查詢參數</param>
+        /// <returns>分頁產品</returns>
+        public async Task<DataGridResult<Product>> GetProductsPageAsync(DataGridQuery query)
+        {
+            await Task.Delay(100);
+            return new DataGridResult<Product> { Page = 1, PageSize = query.PageSize };
+        }
+
+        /// <summary>
+        /// 取得查詢條件下符合的產品
+        /// </summary>
+        /// <param name="query">DataGrid 查詢參數</param>
+        /// <param name="limit">最多取得的筆數</param>
+        /// <returns>產品列表</returns>
+        public async Task<List<Product>> GetMatchingProductsAsync(DataGridQuery query, int limit)
+        {
+            await Task.Delay(100);
+            return new List<Product>();
+        }
+
+        /// <summary>
+        /// 依 ID 取得產品
+        /// </summary>
+        /// <param name="ids">產品 ID</param>
+        /// <returns>產品列表</returns>
+        public async Task<List<Product>> GetProductsByIdsAsync(IEnumerable<int> ids)
+        {
+            await Task.Delay(100);
+            return new List<Product>();
+        }
+
+        /// <summary>
+        /// 全站搜尋產品
+        /// </summary>
+        /// <param name="term">搜尋關鍵字</param>
+        /// <param name="limit">最多筆數</param>
+        /// <returns>產品列表和總數量</returns>
+        public async Task<(IEnumerable<Product> Products, int TotalCount)> QuickSearchProductsAsync(string term, int limit)
+        {
+            await Task.Delay(100);
+            return (new List<Product>(), 0);
+        }
+
         /// <summary>
         /// 根據 ID 取得產品
         /// </summary>
@@ -162,6 +209,17 @@ namespace CioSystem.API.Services
             return false;
         }
 
+        /// <summary>
+        /// 建議下一個可用的 SKU
+        /// </summary>
+        /// <param name="sku">參考的 SKU</param>
+        /// <returns>建議的 SKU</returns>
+        public async Task<string?> SuggestNextSkuAsync(string sku)
+        {
+            await Task.Delay(100);
+            return null;
+        }
+
         /// <summary>
         /// 更新產品狀態
         /// </summary>
@@ -2,6 +2,7 @@
 using CioSystem.Data;
 using CioSystem.Models;
 using CioSystem.Services;
+using CioSystem.Services.DataGrid;
 using CioSystem.Services.DTOs;
 using Microsoft.EntityFrameworkCore;
 using Microsoft.Extensions.Logging;
@@ -18,12 +19,24 @@ namespace CioSystem.API.Services
         private readonly IUnitOfWork _unitOfWork;
         private readonly ILogger<PurchasesService> _logger;
         private readonly CioSystem.Services.IInventoryService _inventoryService;
+        private readonly CioSystem.Services.PurchasesService _sharedPurchasesService;
 
-        public PurchasesService(IUnitOfWork unitOfWork, ILogger<PurchasesService> logger, CioSystem.Services.IInventoryService inventoryService)
+        public PurchasesService(IUnitOfWork unitOfWork, ILogger<PurchasesService> logger, CioSystem.Services.IInventoryService inventoryService, CioSystem.Services.PurchasesService sharedPurchasesService)
         {
             _unitOfWork = unitOfWork ?? throw new ArgumentNullException(nameof(unitOfWork));
             _logger = logger ?? throw new ArgumentNullException(nameof(logger));
             _inventoryService = inventoryService ?? throw new ArgumentNullException(nameof(inventoryService));
+            _sharedPurchasesService = sharedPurchasesService ?? throw new ArgumentNullException(nameof(sharedPurchasesService));
+        }
+
+        public Task<DataGridResult<PurchaseWithProductDto>> GetPurchasesPageAsync(DataGridQuery query)
+        {
+            return _sharedPurchasesService.GetPurchasesPageAsync(query);
+        }
+
+        public Task<(IEnumerable<Purchase> Purchases, int TotalCount)> QuickSearchPurchasesAsync(string term, int limit)
+        {
+            return _sharedPurchasesService.QuickSearchPurchasesAsync(term, limit);
         }
 
         public async Task<IEnumerable<Purchase>> GetAllPurchasesAsync()
@@ -2,6 +2,8 @@
 using CioSystem.Data;
 using CioSystem.Models;
 using CioSystem.Services;
+using CioSystem.Services.DataGrid;
+using CioSystem.Services.DTOs;
 using Microsoft.EntityFrameworkCore;
 using Microsoft.Extensions.Logging;
 using Microsoft.Extensions.Configuration;
@@ -19,13 +21,25 @@ namespace CioSystem.API.Services
         private readonly ILogger<SalesService> _logger;
         private readonly IConfiguration _configuration;
         private readonly CioSystem.Services.IInventoryService _inventoryService;
+        private readonly CioSystem.Services.SalesService _sharedSalesService;
 
-        public SalesService(IUnitOfWork unitOfWork, ILogger<SalesService> logger, CioSystem.Services.IInventoryService inventoryService, IConfiguration configuration)
+        public SalesService(IUnitOfWork unitOfWork, ILogger<SalesService> logger, CioSystem.Services.IInventoryService inventoryService, IConfiguration configuration, CioSystem.Services.SalesService sharedSalesService)
         {
             _unitOfWork = unitOfWork ?? throw new ArgumentNullException(nameof(unitOfWork));
             _logger = logger ?? throw new ArgumentNullException(nameof(logger));
             _inventoryService = inventoryService ?? throw new ArgumentNullException(nameof(inventoryService));
             _configuration = configuration ?? throw new ArgumentNullException(nameof(configuration));
+            _sharedSalesService = sharedSalesService ?? throw new ArgumentNullException(nameof(sharedSalesService));
+        }
+
+        public Task<DataGridResult<SaleWithProductDto>> GetSalesPageAsync(DataGridQuery query)
+        {
+            return _sharedSalesService.GetSalesPageAsync(query);
+        }
+
+        public Task<(IEnumerable<Sale> Sales, int TotalCount)> QuickSearchSalesAsync(string term, int limit)
+        {
+            return _sharedSalesService.QuickSearchSalesAsync(term, limit);
         }
 
         public async Task<IEnumerable<Sale>> GetAllSalesAsync()
@@ -131,6 +145,17 @@ namespace CioSystem.API.Services
             }
         }
 
+        // 批次創建沿用共用的銷售服務（交易、重複提交防護與扣庫存），這裡只標記建立者
+        public Task<CioSystem.Services.ValidationResult> CreateSalesAsync(IEnumerable<Sale> sales)
+        {
+            var lines = sales?.Where(s => s != null).ToList() ?? new List<Sale>();
+            foreach (var sale in lines)
+            {
+                sale.CreatedBy = "API";
+            }
+            return _sharedSalesService.CreateSalesAsync(lines);
+        }
+
         public async Task<CioSystem.Services.ValidationResult> UpdateSaleAsync(Sale sale)
         {
             try
@@ -1,5 +1,6 @@
 using System;
 using System.Collections.Generic;
+using System.Linq;
 using System.Linq.Expressions;
 using System.Threading.Tasks;
 
@@ -94,5 +95,12 @@ namespace CioSystem.Core
         /// <param name="predicate">查詢條件</param>
         /// <returns>第一個符合條件的實體，如果不存在則返回 null</returns>
         Task<T?> FirstOrDefaultAsync(Expression<Func<T, bool>> predicate);
+
+        /// <summary>
+        /// 取得可組合的查詢（篩選、排序與分頁在資料庫端執行）
+        /// </summary>
+        /// <param name="includeDeleted">是否包含已軟刪除的實體</param>
+        /// <returns>查詢</returns>
+        IQueryable<T> Query(bool includeDeleted = false);
     }
 }
\ No newline at end of file
@@ -432,5 +432,13 @@ namespace CioSystem.Data.Repositories
                 throw;
             }
         }
+
+        /// <summary>
+        /// 取得可組合的查詢（篩選、排序與分頁在資料庫端執行）
+        /// </summary>
+        public virtual IQueryable<T> Query(bool includeDeleted = false)
+        {
+            return includeDeleted ? _dbSet.IgnoreQueryFilters() : _dbSet.AsQueryable();
+        }
     }
 }
\ No newline at end of file
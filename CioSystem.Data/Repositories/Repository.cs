@@ -217,6 +217,16 @@ namespace CioSystem.Data.Repositories
             return await _dbSet.FirstOrDefaultAsync(predicate);
         }
 
+        /// <summary>
+        /// 取得可組合的查詢（篩選、排序與分頁在資料庫端執行）
+        /// </summary>
+        /// <param name="includeDeleted">是否包含已軟刪除的實體</param>
+        /// <returns>查詢</returns>
+        public virtual IQueryable<T> Query(bool includeDeleted = false)
+        {
+            return includeDeleted ? _dbSet.IgnoreQueryFilters() : _dbSet.AsQueryable();
+        }
+
         /// <summary>
         /// 檢查是否有任何實體符合條件
         /// </summary>
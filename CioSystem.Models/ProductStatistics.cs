@@ -32,6 +32,11 @@ namespace CioSystem.Models
         /// </summary>
         public int TotalCategories { get; set; }
 
+        /// <summary>
+        /// 品牌數量（不含未填品牌）
+        /// </summary>
+        public int TotalBrands { get; set; }
+
         /// <summary>
         /// 平均價格
         /// </summary>
@@ -1,4 +1,5 @@
 ﻿using CioSystem.Models;
+using CioSystem.Services.DataGrid;
 
 namespace CioSystem.Services.Authentication
 {
@@ -27,6 +28,11 @@ namespace CioSystem.Services.Authentication
         /// </summary>
         Task<IEnumerable<UserViewModel>> GetAllUsersAsync();
 
+        /// <summary>
+        /// 用戶列表 DataGrid 分頁（欄位篩選：username、fullName、email、role、isActive）
+        /// </summary>
+        Task<DataGridResult<User>> GetUsersPageAsync(DataGridQuery query);
+
         /// <summary>
         /// 根據ID獲取用戶
         /// </summary>
@@ -1,5 +1,6 @@
 ﻿using CioSystem.Models;
 using CioSystem.Data;
+using CioSystem.Services.DataGrid;
 using CioSystem.Services.Logging;
 using Microsoft.EntityFrameworkCore;
 using Microsoft.Extensions.Logging;
@@ -11,6 +12,21 @@ namespace CioSystem.Services.Authentication
 {
     public class UserService : IUserService
     {
+        // 用戶列表 DataGrid 可排序、篩選的欄位
+        private static readonly DataGridSchema<User> UserGrid = new DataGridSchema<User>(u => u.Id)
+            .Search(DataGridSchema<User>.Contains(u => u.Username, u => (u.FirstName ?? "") + " " + (u.LastName ?? ""), u => u.Email))
+            .Filter("username", DataGridSchema<User>.Contains(u => u.Username))
+            .Filter("fullName", DataGridSchema<User>.Contains(u => (u.FirstName ?? "") + " " + (u.LastName ?? "")))
+            .Filter("email", DataGridSchema<User>.Contains(u => u.Email))
+            .Filter("role", value => u => u.Role.ToLower() == value.ToLower())
+            .Filter("isActive", value => bool.TryParse(value, out var isActive) ? u => u.IsActive == isActive : u => false)
+            .Sortable("username", u => u.Username)
+            .Sortable("fullName", u => (u.FirstName ?? "") + " " + (u.LastName ?? ""))
+            .Sortable("email", u => u.Email)
+            .Sortable("role", u => u.Role)
+            .Sortable("isActive", u => u.IsActive)
+            .Sortable("lastLogin", u => u.LastLogin);
+
         private readonly CioSystemDbContext _context;
         private readonly ILogger<UserService> _logger;
         private readonly ISystemLogService _systemLogService;
@@ -175,6 +191,17 @@ namespace CioSystem.Services.Authentication
             }
         }
 
+        // 未刪除的用戶查詢
+        private IQueryable<User> QueryUsers()
+        {
+            return _context.Users.Where(u => !u.IsDeleted);
+        }
+
+        public Task<DataGridResult<User>> GetUsersPageAsync(DataGridQuery query)
+        {
+            return UserGrid.ApplyAsync(QueryUsers(), query);
+        }
+
         public async Task<IEnumerable<UserViewModel>> GetAllUsersAsync()
         {
             try
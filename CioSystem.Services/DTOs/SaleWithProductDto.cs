@@ -0,0 +1,20 @@
+﻿using CioSystem.Models;
+
+namespace CioSystem.Services.DTOs
+{
+    /// <summary>
+    /// 銷售記錄與對應產品（DataGrid 資料列；以屬性初始化建立，EF 才能在投影後繼續篩選與排序）
+    /// </summary>
+    public class SaleWithProductDto
+    {
+        /// <summary>
+        /// 銷售記錄
+        /// </summary>
+        public Sale Sale { get; init; } = null!;
+
+        /// <summary>
+        /// 對應的產品（產品已刪除時為 null）
+        /// </summary>
+        public Product? Product { get; init; }
+    }
+}
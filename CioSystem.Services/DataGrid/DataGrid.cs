@@ -0,0 +1,251 @@
+﻿using System.Linq.Expressions;
+using System.Reflection;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Primitives;
+
+namespace CioSystem.Services.DataGrid
+{
+    /// <summary>
+    /// DataGrid 查詢參數（對應 wwwroot/js/data-grid.js）：
+    /// page、pageSize、sort（例如 name:asc,price:desc）、q（關鍵字），其餘參數皆視為欄位篩選
+    /// </summary>
+    public sealed class DataGridQuery
+    {
+        private static readonly HashSet<string> ReservedKeys = new(StringComparer.OrdinalIgnoreCase) { "page", "pageSize", "sort", "q" };
+
+        /// <summary>
+        /// LIKE 比對使用的跳脫字元（搭配 EscapeLike）
+        /// </summary>
+        public const string LikeEscape = "\\";
+
+        public int Page { get; init; } = 1;
+        public int PageSize { get; init; } = 10;
+        public string? Search { get; init; }
+        public IReadOnlyList<DataGridSort> Sort { get; init; } = Array.Empty<DataGridSort>();
+        public IReadOnlyDictionary<string, string> Filters { get; init; } = new Dictionary<string, string>();
+
+        /// <summary>
+        /// 從查詢字串建立（頁碼至少 1，每頁筆數限制在 1 到 maxPageSize 之間）
+        /// 可直接傳入 Request.Query 或 QueryHelpers.ParseQuery 的結果
+        /// </summary>
+        public static DataGridQuery FromQuery(IEnumerable<KeyValuePair<string, StringValues>> values, int defaultPageSize = 10, int maxPageSize = 100)
+        {
+            var query = new Dictionary<string, StringValues>(values, StringComparer.OrdinalIgnoreCase);
+            var page = int.TryParse(query.GetValueOrDefault("page"), out var p) && p > 0 ? p : 1;
+            var pageSize = int.TryParse(query.GetValueOrDefault("pageSize"), out var s) && s > 0 ? Math.Min(s, maxPageSize) : defaultPageSize;
+
+            var sort = query.GetValueOrDefault("sort").ToString()
+                .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+                .Select(part => part.Split(':', 2, StringSplitOptions.TrimEntries))
+                .Where(part => part[0].Length > 0)
+                .Select(part => new DataGridSort(part[0], part.Length > 1 && part[1].Equals("desc", StringComparison.OrdinalIgnoreCase)))
+                .ToList();
+
+            var filters = query
+                .Where(pair => !ReservedKeys.Contains(pair.Key) && !string.IsNullOrWhiteSpace(pair.Value))
+                .ToDictionary(pair => pair.Key, pair => pair.Value.ToString().Trim(), StringComparer.OrdinalIgnoreCase);
+
+            var search = query.GetValueOrDefault("q").ToString().Trim();
+
+            return new DataGridQuery
+            {
+                Page = page,
+                PageSize = pageSize,
+                Search = search.Length > 0 ? search : null,
+                Sort = sort,
+                Filters = filters
+            };
+        }
+
+        /// <summary>
+        /// 跳脫 LIKE 的萬用字元（%、_ 與跳脫字元本身），讓關鍵字依字面比對
+        /// </summary>
+        public static string EscapeLike(string term) =>
+            term.Replace(LikeEscape, LikeEscape + LikeEscape).Replace("%", LikeEscape + "%").Replace("_", LikeEscape + "_");
+    }
+
+    /// <summary>
+    /// 排序條件
+    /// </summary>
+    public sealed record DataGridSort(string Field, bool Descending);
+
+    /// <summary>
+    /// DataGrid 分頁結果（序列化為 { items, page, pageSize, totalCount, totalPages }）
+    /// </summary>
+    public sealed class DataGridResult<T>
+    {
+        public IReadOnlyList<T> Items { get; init; } = Array.Empty<T>();
+        public int Page { get; init; }
+        public int PageSize { get; init; }
+        public int TotalCount { get; init; }
+        public int TotalPages => PageSize > 0 ? (int)Math.Ceiling((double)TotalCount / PageSize) : 0;
+
+        /// <summary>
+        /// 轉換資料列（例如投影為前端使用的 JSON 欄位），分頁資訊不變
+        /// </summary>
+        public DataGridResult<TItem> Map<TItem>(Func<T, TItem> project) => new()
+        {
+            Items = Items.Select(project).ToList(),
+            Page = Page,
+            PageSize = PageSize,
+            TotalCount = TotalCount
+        };
+    }
+
+    /// <summary>
+    /// 宣告可排序、可篩選的欄位，並將 DataGridQuery 轉換為資料庫查詢（篩選、排序與分頁都在資料庫端執行）
+    /// 未宣告的欄位會被忽略，避免任意欄位名稱影響查詢
+    /// </summary>
+    public sealed class DataGridSchema<T>
+    {
+        private static readonly MethodInfo LikeMethod = typeof(DbFunctionsExtensions).GetMethod(
+            nameof(DbFunctionsExtensions.Like),
+            new[] { typeof(DbFunctions), typeof(string), typeof(string), typeof(string) })!;
+
+        private readonly Dictionary<string, Func<IQueryable<T>, bool, IOrderedQueryable<T>>> _orderBy = new(StringComparer.OrdinalIgnoreCase);
+        private readonly Dictionary<string, Func<IOrderedQueryable<T>, bool, IOrderedQueryable<T>>> _thenBy = new(StringComparer.OrdinalIgnoreCase);
+        private readonly Dictionary<string, Func<string, Expression<Func<T, bool>>>> _filters = new(StringComparer.OrdinalIgnoreCase);
+        private Func<string, Expression<Func<T, bool>>>? _search;
+        private readonly Expression<Func<T, int>> _key;
+
+        /// <summary>
+        /// key 為資料列的唯一鍵：未指定排序時依 key 排序，指定排序時作為最後的排序條件，
+        /// 讓重複值的排序結果固定，分頁（以及匯出全部時的逐頁讀取）不會重複或遺漏資料列
+        /// </summary>
+        public DataGridSchema(Expression<Func<T, int>> key)
+        {
+            _key = key;
+        }
+
+        /// <summary>
+        /// 可排序欄位（SQLite 無法排序 decimal，金額欄位請轉為 double）
+        /// </summary>
+        public DataGridSchema<T> Sortable<TKey>(string field, Expression<Func<T, TKey>> key)
+        {
+            _orderBy[field] = (source, descending) => descending ? source.OrderByDescending(key) : source.OrderBy(key);
+            _thenBy[field] = (source, descending) => descending ? source.ThenByDescending(key) : source.ThenBy(key);
+            return this;
+        }
+
+        /// <summary>
+        /// 欄位篩選：依篩選值建立查詢條件
+        /// </summary>
+        public DataGridSchema<T> Filter(string field, Func<string, Expression<Func<T, bool>>> predicate)
+        {
+            _filters[field] = predicate;
+            return this;
+        }
+
+        /// <summary>
+        /// 關鍵字搜尋（q 參數）
+        /// </summary>
+        public DataGridSchema<T> Search(Func<string, Expression<Func<T, bool>>> predicate)
+        {
+            _search = predicate;
+            return this;
+        }
+
+        /// <summary>
+        /// 套用關鍵字、篩選與排序（不分頁，一律以 key 作為最後的排序條件）
+        /// </summary>
+        public IQueryable<T> Query(IQueryable<T> source, DataGridQuery query)
+        {
+            var result = source;
+
+            if (query.Search != null && _search != null)
+            {
+                result = result.Where(_search(query.Search));
+            }
+
+            foreach (var (field, value) in query.Filters)
+            {
+                if (_filters.TryGetValue(field, out var predicate))
+                {
+                    result = result.Where(predicate(value));
+                }
+            }
+
+            IOrderedQueryable<T>? ordered = null;
+            foreach (var sort in query.Sort)
+            {
+                if (!_orderBy.ContainsKey(sort.Field)) continue;
+
+                ordered = ordered == null
+                    ? _orderBy[sort.Field](result, sort.Descending)
+                    : _thenBy[sort.Field](ordered, sort.Descending);
+            }
+
+            return ordered == null ? result.OrderBy(_key) : ordered.ThenBy(_key);
+        }
+
+        /// <summary>
+        /// 套用查詢並在資料庫分頁，頁碼超過總頁數時回傳最後一頁
+        /// </summary>
+        public async Task<DataGridResult<T>> ApplyAsync(IQueryable<T> source, DataGridQuery query)
+        {
+            var filtered = Query(source, query);
+            var totalCount = await filtered.CountAsync();
+            var totalPages = Math.Max(1, (int)Math.Ceiling((double)totalCount / query.PageSize));
+            var page = Math.Min(query.Page, totalPages);
+
+            var items = await filtered
+                .Skip((page - 1) * query.PageSize)
+                .Take(query.PageSize)
+                .AsNoTracking()
+                .ToListAsync();
+
+            return new DataGridResult<T>
+            {
+                Items = items,
+                Page = page,
+                PageSize = query.PageSize,
+                TotalCount = totalCount
+            };
+        }
+
+        /// <summary>
+        /// 不分大小寫的包含比對（資料庫 LIKE），任一欄位符合即可
+        /// </summary>
+        public static Func<string, Expression<Func<T, bool>>> Contains(params Expression<Func<T, string?>>[] selectors)
+        {
+            return term =>
+            {
+                var pattern = new LikePattern($"%{DataGridQuery.EscapeLike(term)}%");
+                var parameter = Expression.Parameter(typeof(T), "item");
+                Expression? body = null;
+                foreach (var selector in selectors)
+                {
+                    var value = new ParameterReplacer(selector.Parameters[0], parameter).Visit(selector.Body);
+                    var like = Expression.Call(
+                        LikeMethod,
+                        Expression.Constant(EF.Functions),
+                        value,
+                        Expression.Property(Expression.Constant(pattern), nameof(LikePattern.Value)),
+                        Expression.Constant(DataGridQuery.LikeEscape));
+                    body = body == null ? like : Expression.OrElse(body, like);
+                }
+                return Expression.Lambda<Func<T, bool>>(body ?? Expression.Constant(true), parameter);
+            };
+        }
+
+        // 以物件屬性傳入比對字串，讓 EF 產生 SQL 參數而非常值
+        private sealed record LikePattern(string Value);
+
+        /// <summary>
+        /// 將選取器的參數替換為共用參數，以便合併多個條件
+        /// </summary>
+        private sealed class ParameterReplacer : ExpressionVisitor
+        {
+            private readonly ParameterExpression _from;
+            private readonly ParameterExpression _to;
+
+            public ParameterReplacer(ParameterExpression from, ParameterExpression to)
+            {
+                _from = from;
+                _to = to;
+            }
+
+            protected override Expression VisitParameter(ParameterExpression node) => node == _from ? _to : node;
+        }
+    }
+}
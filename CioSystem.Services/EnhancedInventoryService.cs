@@ -3,6 +3,8 @@ using CioSystem.Core.Interfaces;
 using CioSystem.Data;
 using CioSystem.Models;
 using CioSystem.Services.Cache;
+using CioSystem.Services.DataGrid;
+using CioSystem.Services.DTOs;
 using Microsoft.Extensions.Logging;
 using System;
 using System.Collections.Generic;
@@ -37,6 +39,11 @@ namespace CioSystem.Services
             _cacheDecorator = cacheDecorator;
         }
 
+        public Task<DataGridResult<InventoryWithProductDto>> GetInventoryPageAsync(DataGridQuery query)
+        {
+            return InventoryService.ApplyInventoryGridAsync(_unitOfWork, query);
+        }
+
         public async Task<IEnumerable<Inventory>> GetAllInventoryAsync()
         {
             const string operation = "GetAllInventory";
@@ -282,6 +289,12 @@ namespace CioSystem.Services
             return true;
         }
 
+        public async Task<bool> UpdateInventoryQuantityAsync(int productId, int quantityAdjustment, int? relatedOrderId)
+        {
+            // 實現邏輯...
+            return true;
+        }
+
         public async Task<bool> DeleteInventoryAsync(int id)
         {
             // 實現邏輯...
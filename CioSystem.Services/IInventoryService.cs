@@ -1,4 +1,6 @@
 ﻿using CioSystem.Models;
+using CioSystem.Services.DataGrid;
+using CioSystem.Services.DTOs;
 using System.Collections.Generic;
 using System.Threading.Tasks;
 
@@ -15,6 +17,14 @@ namespace CioSystem.Services
         /// <returns>庫存項目列表</returns>
         Task<IEnumerable<Inventory>> GetAllInventoryAsync();
 
+        /// <summary>
+        /// 庫存列表 DataGrid 分頁（左聯結產品：產品已刪除的庫存仍列出，Product 為 null）
+        /// 欄位篩選：productId、productSKU、status、type
+        /// </summary>
+        /// <param name="query">DataGrid 查詢參數</param>
+        /// <returns>分頁庫存項目與對應產品</returns>
+        Task<DataGridResult<InventoryWithProductDto>> GetInventoryPageAsync(DataGridQuery query);
+
         /// <summary>
         /// 根據 ID 取得庫存項目
         /// </summary>
@@ -52,6 +62,16 @@ namespace CioSystem.Services
         /// <returns>是否成功</returns>
         Task<bool> UpdateInventoryQuantityAsync(int productId, int quantityAdjustment);
 
+        /// <summary>
+        /// 更新庫存數量，庫存移動記錄關聯到指定單據
+        /// 重複移動檢查會比對單據，同一張單中產品與數量相同的品項各自留下移動記錄
+        /// </summary>
+        /// <param name="productId">產品 ID</param>
+        /// <param name="quantityAdjustment">數量調整值 (正數為增加，負數為減少)</param>
+        /// <param name="relatedOrderId">相關單據 ID（例如銷售記錄 ID）</param>
+        /// <returns>是否成功</returns>
+        Task<bool> UpdateInventoryQuantityAsync(int productId, int quantityAdjustment, int? relatedOrderId);
+
         /// <summary>
         /// 刪除庫存項目
         /// </summary>
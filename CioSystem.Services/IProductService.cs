@@ -1,4 +1,5 @@
 ﻿using CioSystem.Models;
+using CioSystem.Services.DataGrid;
 using System.Collections.Generic;
 using System.Threading.Tasks;
 
@@ -7,6 +8,10 @@ namespace CioSystem.Services
     public interface IProductService
     {
         Task<IEnumerable<Product>> GetAllProductsAsync();
+        Task<DataGridResult<Product>> GetProductsPageAsync(DataGridQuery query);
+        Task<List<Product>> GetMatchingProductsAsync(DataGridQuery query, int limit);
+        Task<List<Product>> GetProductsByIdsAsync(IEnumerable<int> ids);
+        Task<(IEnumerable<Product> Products, int TotalCount)> QuickSearchProductsAsync(string term, int limit);
         Task<Product?> GetProductByIdAsync(int id);
         Task<Product?> GetProductBySkuAsync(string sku);
         Task<IEnumerable<Product>> GetProductsByCategoryAsync(string category);
@@ -22,6 +27,7 @@ namespace CioSystem.Services
         Task<bool> DeleteProductAsync(int id);
         Task<bool> ProductExistsAsync(int id);
         Task<bool> SkuExistsAsync(string sku, int? excludeId = null);
+        Task<string?> SuggestNextSkuAsync(string sku);
         Task<bool> UpdateProductStatusAsync(int id, ProductStatus status);
         Task<ProductStatistics> GetProductStatisticsAsync();
         Task<ValidationResult> ValidateProductAsync(Product product);
@@ -1,5 +1,6 @@
 ﻿using CioSystem.Models;
 using CioSystem.Services.Cache;
+using CioSystem.Services.DataGrid;
 using CioSystem.Services.DTOs;
 
 namespace CioSystem.Services
@@ -15,6 +16,22 @@ namespace CioSystem.Services
         /// <returns>進貨記錄列表</returns>
         Task<IEnumerable<Purchase>> GetAllPurchasesAsync();
 
+        /// <summary>
+        /// 進貨列表 DataGrid 分頁（左聯結產品：產品已刪除的進貨記錄仍列出，Product 為 null）
+        /// 欄位篩選：productId、productSku、supplier、employeeRetention
+        /// </summary>
+        /// <param name="query">DataGrid 查詢參數</param>
+        /// <returns>分頁進貨記錄與對應產品</returns>
+        Task<DataGridResult<PurchaseWithProductDto>> GetPurchasesPageAsync(DataGridQuery query);
+
+        /// <summary>
+        /// 全站搜尋：依進貨 ID、供應商，或產品名稱、編號搜尋進貨記錄（最新的在前）
+        /// </summary>
+        /// <param name="term">搜尋關鍵字</param>
+        /// <param name="limit">最多筆數</param>
+        /// <returns>符合的進貨記錄和總數量</returns>
+        Task<(IEnumerable<Purchase> Purchases, int TotalCount)> QuickSearchPurchasesAsync(string term, int limit);
+
         /// <summary>
         /// 根據ID取得進貨記錄
         /// </summary>
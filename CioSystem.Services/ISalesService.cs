@@ -1,5 +1,7 @@
 ﻿using CioSystem.Models;
 using CioSystem.Services.Cache; 
+using CioSystem.Services.DataGrid;
+using CioSystem.Services.DTOs;
 
 namespace CioSystem.Services
 {
@@ -14,6 +16,22 @@ namespace CioSystem.Services
         /// <returns>銷售記錄列表</returns>
         Task<IEnumerable<Sale>> GetAllSalesAsync();
 
+        /// <summary>
+        /// 銷售列表 DataGrid 分頁（左聯結產品：產品已刪除的銷售記錄仍列出，Product 為 null）
+        /// 欄位篩選：productId、productSku、customerName
+        /// </summary>
+        /// <param name="query">DataGrid 查詢參數</param>
+        /// <returns>分頁銷售記錄與對應產品</returns>
+        Task<DataGridResult<SaleWithProductDto>> GetSalesPageAsync(DataGridQuery query);
+
+        /// <summary>
+        /// 全站搜尋：依銷售 ID、客戶名稱，或產品名稱、編號搜尋銷售記錄（最新的在前）
+        /// </summary>
+        /// <param name="term">搜尋關鍵字</param>
+        /// <param name="limit">最多筆數</param>
+        /// <returns>符合的銷售記錄和總數量</returns>
+        Task<(IEnumerable<Sale> Sales, int TotalCount)> QuickSearchSalesAsync(string term, int limit);
+
         /// <summary>
         /// 取得分頁銷售記錄
         /// </summary>
@@ -38,6 +56,13 @@ namespace CioSystem.Services
         /// <returns>創建結果</returns>
         Task<ValidationResult> CreateSaleAsync(Sale sale);
 
+        /// <summary>
+        /// 批次創建銷售記錄（同一張銷售單的多個品項，全部成功或全部失敗）
+        /// </summary>
+        /// <param name="sales">銷售記錄</param>
+        /// <returns>創建結果</returns>
+        Task<ValidationResult> CreateSalesAsync(IEnumerable<Sale> sales);
+
         /// <summary>
         /// 更新銷售記錄
         /// </summary>
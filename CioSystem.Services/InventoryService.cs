@@ -4,6 +4,7 @@ using CioSystem.Models;
 using Microsoft.Extensions.Logging;
 using System.Linq.Expressions;
 using CioSystem.Services;
+using CioSystem.Services.DataGrid;
 using CioSystem.Services.DTOs;
 
 namespace CioSystem.Services
@@ -13,6 +14,22 @@ namespace CioSystem.Services
     /// </summary>
     public class InventoryService : IInventoryService
     {
+        // 庫存列表 DataGrid 可排序、篩選的欄位
+        private static readonly DataGridSchema<InventoryWithProductDto> InventoryGrid = new DataGridSchema<InventoryWithProductDto>(r => r.Inventory.Id)
+            .Search(DataGridSchema<InventoryWithProductDto>.Contains(r => r.Product!.Name, r => r.Inventory.ProductSKU ?? r.Product!.SKU))
+            .Filter("productId", value => int.TryParse(value, out var id) ? r => r.Inventory.ProductId == id : r => false)
+            .Filter("productSKU", DataGridSchema<InventoryWithProductDto>.Contains(r => r.Inventory.ProductSKU ?? r.Product!.SKU))
+            .Filter("status", value => Enum.TryParse<InventoryStatus>(value, true, out var status) ? r => r.Inventory.Status == status : r => false)
+            .Filter("type", value => Enum.TryParse<InventoryType>(value, true, out var type) ? r => r.Inventory.Type == type : r => false)
+            .Sortable("id", r => r.Inventory.Id)
+            .Sortable("productName", r => r.Product!.Name)
+            .Sortable("productSku", r => r.Inventory.ProductSKU ?? r.Product!.SKU)
+            .Sortable("quantity", r => r.Inventory.Quantity)
+            .Sortable("safetyStock", r => r.Inventory.SafetyStock)
+            .Sortable("reservedQuantity", r => r.Inventory.ReservedQuantity)
+            .Sortable("status", r => r.Inventory.Status)
+            .Sortable("type", r => r.Inventory.Type);
+
         private readonly IUnitOfWork _unitOfWork;
         private readonly ILogger<InventoryService> _logger;
 
@@ -22,6 +39,25 @@ namespace CioSystem.Services
             _logger = logger;
         }
 
+        public Task<DataGridResult<InventoryWithProductDto>> GetInventoryPageAsync(DataGridQuery query)
+        {
+            return ApplyInventoryGridAsync(_unitOfWork, query);
+        }
+
+        /// <summary>
+        /// 庫存列表 DataGrid 分頁（與 EnhancedInventoryService 共用）
+        /// </summary>
+        internal static Task<DataGridResult<InventoryWithProductDto>> ApplyInventoryGridAsync(IUnitOfWork unitOfWork, DataGridQuery query)
+        {
+            // 左聯結未刪除的產品：產品已刪除的庫存仍列出，Product 為 null
+            var rows = from inventory in unitOfWork.GetRepository<Inventory>().Query()
+                       join product in unitOfWork.GetRepository<Product>().Query() on inventory.ProductId equals product.Id into matches
+                       from product in matches.DefaultIfEmpty()
+                       select new InventoryWithProductDto { Inventory = inventory, Product = product };
+
+            return InventoryGrid.ApplyAsync(rows, query);
+        }
+
         public async Task<IEnumerable<Inventory>> GetAllInventoryAsync()
         {
             try
@@ -143,7 +179,12 @@ namespace CioSystem.Services
             }
         }
 
-        public async Task<bool> UpdateInventoryQuantityAsync(int productId, int quantityAdjustment)
+        public Task<bool> UpdateInventoryQuantityAsync(int productId, int quantityAdjustment)
+        {
+            return UpdateInventoryQuantityAsync(productId, quantityAdjustment, null);
+        }
+
+        public async Task<bool> UpdateInventoryQuantityAsync(int productId, int quantityAdjustment, int? relatedOrderId)
         {
             try
             {
@@ -201,11 +242,11 @@ namespace CioSystem.Services
                 await _unitOfWork.GetRepository<Inventory>().UpdateAsync(inventory);
                 await _unitOfWork.SaveChangesAsync();
 
-                // 創建庫存移動記錄（冪等檢查：5 秒內相同事件不重複）
+                // 創建庫存移動記錄（冪等檢查：5 秒內同一單據的相同事件不重複）
                 var movementType = quantityAdjustment > 0 ? MovementType.Inbound : MovementType.Outbound;
-                if (!await ExistsRecentMovementAsync(inventory.Id, movementType, Math.Abs(quantityAdjustment), "進貨/出貨調整", TimeSpan.FromSeconds(5)))
+                if (!await ExistsRecentMovementAsync(inventory.Id, movementType, Math.Abs(quantityAdjustment), "進貨/出貨調整", relatedOrderId, TimeSpan.FromSeconds(5)))
                 {
-                    await CreateInventoryMovementAsync(inventory.Id, quantityAdjustment, oldQuantity, newQuantity, movementType, "進貨/出貨調整");
+                    await CreateInventoryMovementAsync(inventory.Id, quantityAdjustment, oldQuantity, newQuantity, movementType, "進貨/出貨調整", relatedOrderId);
                 }
 
                 _logger.LogInformation("成功更新庫存數量: 產品 {ProductId}, 調整 {Adjustment}, 新數量 {NewQuantity}",
@@ -223,7 +264,7 @@ namespace CioSystem.Services
         /// 創建庫存移動記錄
         /// </summary>
         private async Task CreateInventoryMovementAsync(int inventoryId, int quantity, int previousQuantity,
-            int newQuantity, MovementType movementType, string reason)
+            int newQuantity, MovementType movementType, string reason, int? relatedOrderId = null)
         {
             try
             {
@@ -235,6 +276,7 @@ namespace CioSystem.Services
                     PreviousQuantity = previousQuantity,
                     NewQuantity = newQuantity,
                     Reason = reason,
+                    RelatedOrderId = relatedOrderId,
                     CreatedAt = DateTime.Now,
                     UpdatedAt = DateTime.Now,
                     CreatedBy = "System",
@@ -255,7 +297,7 @@ namespace CioSystem.Services
         }
 
         // 冪等檢查：最近 timeWindow 內是否已有相同移動記錄
-        private async Task<bool> ExistsRecentMovementAsync(int inventoryId, MovementType type, int quantity, string reason, TimeSpan timeWindow)
+        private async Task<bool> ExistsRecentMovementAsync(int inventoryId, MovementType type, int quantity, string reason, int? relatedOrderId, TimeSpan timeWindow)
         {
             var since = DateTime.Now.Subtract(timeWindow);
             var repo = _unitOfWork.GetRepository<InventoryMovement>();
@@ -264,6 +306,7 @@ namespace CioSystem.Services
                 && m.Type == type
                 && m.Quantity == quantity
                 && m.Reason == reason
+                && m.RelatedOrderId == relatedOrderId
                 && m.CreatedAt >= since) > 0;
             return exists;
         }
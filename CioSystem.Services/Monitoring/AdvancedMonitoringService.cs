@@ -283,6 +283,86 @@ namespace CioSystem.Services.Monitoring
             }
         }
 
+        public async Task<WebVitalsStatistics> GetWebVitalsStatisticsAsync(TimeRange timeRange)
+        {
+            try
+            {
+                const string prefix = "WebVitals.";
+                var vitals = _events
+                    .Where(e => e.Type == "Metric" && e.Name.StartsWith(prefix))
+                    .Where(e => e.Timestamp >= timeRange.Start && e.Timestamp <= timeRange.End)
+                    .Select(e => new
+                    {
+                        Name = e.Name.Substring(prefix.Length),
+                        e.Value,
+                        Route = e.Properties.GetValueOrDefault("route", "Unknown"),
+                        Device = e.Properties.GetValueOrDefault("device", "Unknown"),
+                        Rating = e.Properties.GetValueOrDefault("rating", ""),
+                        PageViewId = e.Properties.GetValueOrDefault("pageViewId", ""),
+                        e.Timestamp
+                    })
+                    .ToList();
+
+                // CLS、INP 在同一次頁面瀏覽中變大時會重送，每次瀏覽只採用最後一次的值
+                vitals = vitals
+                    .Where(v => v.PageViewId == "")
+                    .Concat(vitals
+                        .Where(v => v.PageViewId != "")
+                        .GroupBy(v => (v.PageViewId, v.Name))
+                        .Select(g => g.OrderBy(v => v.Timestamp).Last()))
+                    .ToList();
+
+                var statistics = new WebVitalsStatistics { TimeRange = timeRange };
+
+                foreach (var group in vitals.GroupBy(v => v.Name))
+                {
+                    var values = group.Select(v => v.Value).ToList();
+                    var count = values.Count;
+                    statistics.Metrics[group.Key] = new WebVitalSummary
+                    {
+                        Name = group.Key,
+                        Count = count,
+                        Median = Percentile(values, 50),
+                        P75 = Percentile(values, 75),
+                        GoodRate = group.Count(v => v.Rating == "good") * 100.0 / count,
+                        NeedsImprovementRate = group.Count(v => v.Rating == "needs-improvement") * 100.0 / count,
+                        PoorRate = group.Count(v => v.Rating == "poor") * 100.0 / count
+                    };
+
+                    statistics.P75ByRoute[group.Key] = group
+                        .GroupBy(v => v.Route)
+                        .ToDictionary(g => g.Key, g => Percentile(g.Select(v => v.Value).ToList(), 75));
+
+                    statistics.P75ByDevice[group.Key] = group
+                        .GroupBy(v => v.Device)
+                        .ToDictionary(g => g.Key, g => Percentile(g.Select(v => v.Value).ToList(), 75));
+                }
+
+                await Task.CompletedTask;
+                return statistics;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "取得 Web Vitals 統計時發生錯誤");
+                return new WebVitalsStatistics { TimeRange = timeRange };
+            }
+        }
+
+        /// <summary>
+        /// 計算百分位數（最近排名法）
+        /// </summary>
+        private static double Percentile(List<double> values, double percentile)
+        {
+            if (values.Count == 0)
+            {
+                return 0;
+            }
+
+            var sorted = values.OrderBy(v => v).ToList();
+            var rank = (int)Math.Ceiling(percentile / 100 * sorted.Count);
+            return sorted[Math.Clamp(rank - 1, 0, sorted.Count - 1)];
+        }
+
         public async Task<ErrorStatistics> GetErrorStatisticsAsync(TimeRange timeRange)
         {
             try
@@ -70,6 +70,13 @@ namespace CioSystem.Services.Monitoring
         /// <returns>效能統計</returns>
         Task<PerformanceStatistics> GetPerformanceStatisticsAsync(TimeRange timeRange);
 
+        /// <summary>
+        /// 取得前端 Web Vitals 統計
+        /// </summary>
+        /// <param name="timeRange">時間範圍</param>
+        /// <returns>Web Vitals 統計</returns>
+        Task<WebVitalsStatistics> GetWebVitalsStatisticsAsync(TimeRange timeRange);
+
         /// <summary>
         /// 取得錯誤統計
         /// </summary>
@@ -156,6 +163,31 @@ namespace CioSystem.Services.Monitoring
         public Dictionary<string, long> RequestCountByEndpoint { get; set; } = new();
     }
 
+    /// <summary>
+    /// Web Vitals 統計
+    /// </summary>
+    public class WebVitalsStatistics
+    {
+        public TimeRange TimeRange { get; set; } = new();
+        public Dictionary<string, WebVitalSummary> Metrics { get; set; } = new();
+        public Dictionary<string, Dictionary<string, double>> P75ByRoute { get; set; } = new();
+        public Dictionary<string, Dictionary<string, double>> P75ByDevice { get; set; } = new();
+    }
+
+    /// <summary>
+    /// 單一 Web Vital 指標摘要
+    /// </summary>
+    public class WebVitalSummary
+    {
+        public string Name { get; set; } = string.Empty;
+        public int Count { get; set; }
+        public double Median { get; set; }
+        public double P75 { get; set; }
+        public double GoodRate { get; set; }
+        public double NeedsImprovementRate { get; set; }
+        public double PoorRate { get; set; }
+    }
+
     /// <summary>
     /// 錯誤統計
     /// </summary>
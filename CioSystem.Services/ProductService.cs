@@ -2,8 +2,11 @@ using CioSystem.Core;
 using CioSystem.Data;
 using CioSystem.Models;
 using CioSystem.Services;
+using CioSystem.Services.DataGrid;
+using Microsoft.EntityFrameworkCore;
 using Microsoft.Extensions.Logging;
 using System.Linq.Expressions;
+using System.Text.RegularExpressions;
 
 namespace CioSystem.Services
 {
@@ -12,6 +15,26 @@ namespace CioSystem.Services
     /// </summary>
     public class ProductService : IProductService
     {
+        // 產品列表 DataGrid 可排序、篩選的欄位
+        private static readonly DataGridSchema<Product> ProductGrid = new DataGridSchema<Product>(p => p.Id)
+            .Search(DataGridSchema<Product>.Contains(p => p.Name, p => p.SKU, p => p.Brand))
+            .Filter("sku", DataGridSchema<Product>.Contains(p => p.SKU))
+            .Filter("name", DataGridSchema<Product>.Contains(p => p.Name))
+            .Filter("category", value => p => p.Category.ToLower() == value.ToLower())
+            .Filter("brand", DataGridSchema<Product>.Contains(p => p.Brand))
+            .Filter("color", DataGridSchema<Product>.Contains(p => p.Color))
+            .Filter("status", value => Enum.TryParse<ProductStatus>(value, true, out var status) ? p => p.Status == status : p => false)
+            .Sortable("sku", p => p.SKU)
+            .Sortable("name", p => p.Name)
+            .Sortable("category", p => p.Category)
+            .Sortable("brand", p => p.Brand)
+            .Sortable("color", p => p.Color)
+            .Sortable("costPrice", p => (double)p.CostPrice)
+            .Sortable("price", p => (double)p.Price)
+            .Sortable("profit", p => (double)p.Price - (double)p.CostPrice)
+            .Sortable("status", p => p.Status)
+            .Sortable("id", p => p.Id);
+
         private readonly IUnitOfWork _unitOfWork;
         private readonly ILogger<ProductService> _logger;
 
@@ -21,6 +44,77 @@ namespace CioSystem.Services
             _logger = logger;
         }
 
+        /// <summary>
+        /// 產品查詢（軟刪除的產品由全域過濾器排除）
+        /// </summary>
+        private IQueryable<Product> QueryProducts()
+        {
+            return _unitOfWork.GetRepository<Product>().Query();
+        }
+
+        /// <summary>
+        /// 產品列表 DataGrid 分頁
+        /// 欄位篩選：sku、name、category、brand、color、status
+        /// </summary>
+        /// <param name="query">DataGrid 查詢參數</param>
+        /// <returns>分頁產品</returns>
+        public Task<DataGridResult<Product>> GetProductsPageAsync(DataGridQuery query)
+        {
+            return ProductGrid.ApplyAsync(QueryProducts(), query);
+        }
+
+        /// <summary>
+        /// 取得 DataGrid 查詢條件下符合的產品（不分頁、不追蹤，依列表排序最多取 limit 筆）
+        /// </summary>
+        /// <param name="query">DataGrid 查詢參數</param>
+        /// <param name="limit">最多取得的筆數</param>
+        /// <returns>符合條件的產品</returns>
+        public async Task<List<Product>> GetMatchingProductsAsync(DataGridQuery query, int limit)
+        {
+            return await ProductGrid.Query(QueryProducts(), query)
+                .Take(limit)
+                .AsNoTracking()
+                .ToListAsync();
+        }
+
+        /// <summary>
+        /// 依 ID 取得未刪除的產品（不追蹤，依 ID 排序；不存在的 ID 會被略過）
+        /// </summary>
+        /// <param name="ids">產品 ID</param>
+        /// <returns>產品列表</returns>
+        public async Task<List<Product>> GetProductsByIdsAsync(IEnumerable<int> ids)
+        {
+            var idList = ids.Distinct().ToList();
+            return await QueryProducts()
+                .Where(p => idList.Contains(p.Id))
+                .OrderBy(p => p.Id)
+                .AsNoTracking()
+                .ToListAsync();
+        }
+
+        /// <summary>
+        /// 全站搜尋：名稱、編號或品牌包含關鍵字的產品（資料庫 LIKE，不分大小寫），
+        /// 產品編號或名稱開頭相符的排前面
+        /// </summary>
+        /// <param name="term">搜尋關鍵字</param>
+        /// <param name="limit">最多筆數</param>
+        /// <returns>符合的產品和總數量</returns>
+        public async Task<(IEnumerable<Product> Products, int TotalCount)> QuickSearchProductsAsync(string term, int limit)
+        {
+            var prefix = $"{DataGridQuery.EscapeLike(term)}%";
+            var query = QueryProducts().AsNoTracking()
+                .Where(DataGridSchema<Product>.Contains(p => p.Name, p => p.SKU, p => p.Brand)(term));
+
+            var totalCount = await query.CountAsync();
+            var products = await query
+                .OrderByDescending(p => EF.Functions.Like(p.SKU, prefix, DataGridQuery.LikeEscape) || EF.Functions.Like(p.Name, prefix, DataGridQuery.LikeEscape))
+                .ThenBy(p => p.Name)
+                .Take(limit)
+                .ToListAsync();
+
+            return (products, totalCount);
+        }
+
         /// <summary>
         /// 取得所有產品
         /// </summary>
@@ -201,15 +295,15 @@ namespace CioSystem.Services
         {
             try
             {
-                Expression<Func<Product, bool>> predicate = p => p.SKU == sku && !p.IsDeleted;
+                // 資料庫的SKU唯一索引包含已刪除的產品，檢查時不套用軟刪除過濾
+                var query = _unitOfWork.GetRepository<Product>().Query(includeDeleted: true).Where(p => p.SKU == sku);
 
                 if (excludeId.HasValue)
                 {
-                    predicate = p => p.SKU == sku && !p.IsDeleted && p.Id != excludeId.Value;
+                    query = query.Where(p => p.Id != excludeId.Value);
                 }
 
-                var repository = _unitOfWork.GetRepository<Product>();
-                return await repository.CountAsync(predicate) > 0;
+                return await query.AnyAsync();
             }
             catch (Exception ex)
             {
@@ -218,6 +312,55 @@ namespace CioSystem.Services
             }
         }
 
+        /// <summary>
+        /// 建議同一前綴系列中下一個可用的SKU（例如已有 NOTE-001～NOTE-005 時建議 NOTE-006）
+        /// </summary>
+        /// <param name="sku">參考的SKU</param>
+        /// <returns>建議的SKU，無法判斷前綴時為 null</returns>
+        public async Task<string?> SuggestNextSkuAsync(string sku)
+        {
+            try
+            {
+                var match = Regex.Match(sku?.Trim() ?? string.Empty, @"^(.*?)(\d+)$");
+                var prefix = match.Success ? match.Groups[1].Value : sku?.Trim() ?? string.Empty;
+                var width = match.Success ? match.Groups[2].Value.Length : 3;
+                if (string.IsNullOrEmpty(prefix))
+                {
+                    return null;
+                }
+
+                // 資料庫的SKU唯一索引包含已刪除的產品，建議時不套用軟刪除過濾
+                var skus = await _unitOfWork.GetRepository<Product>()
+                    .Query(includeDeleted: true)
+                    .Where(p => p.SKU.StartsWith(prefix))
+                    .Select(p => p.SKU)
+                    .ToListAsync();
+                var usedSkus = skus.ToHashSet(StringComparer.OrdinalIgnoreCase);
+
+                var next = usedSkus
+                    .Select(s => s.Substring(prefix.Length))
+                    .Where(suffix => suffix.Length > 0 && suffix.All(char.IsDigit) && suffix.Length <= 18)
+                    .Select(long.Parse)
+                    .DefaultIfEmpty(0)
+                    .Max() + 1;
+
+                string candidate;
+                do
+                {
+                    candidate = prefix + next.ToString().PadLeft(width, '0');
+                    next++;
+                }
+                while (usedSkus.Contains(candidate));
+
+                return candidate;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "建議SKU時發生錯誤: SKU={SKU}", sku);
+                return null;
+            }
+        }
+
         /// <summary>
         /// 更新產品狀態
         /// </summary>
@@ -260,17 +403,20 @@ namespace CioSystem.Services
         {
             try
             {
-                var repository = _unitOfWork.GetRepository<Product>();
-                var allProducts = await repository.FindAsync(p => !p.IsDeleted);
+                // 統計在資料庫端計算，不載入產品資料
+                var products = _unitOfWork.GetRepository<Product>().Query();
+                var totalProducts = await products.CountAsync();
 
                 var stats = new ProductStatistics
                 {
-                    TotalProducts = allProducts.Count(),
-                    ActiveProducts = allProducts.Count(p => p.Status == ProductStatus.Active),
-                    InactiveProducts = allProducts.Count(p => p.Status == ProductStatus.Inactive),
-                    TotalCategories = allProducts.Select(p => p.Category).Distinct().Count(),
-                    AveragePrice = allProducts.Any() ? allProducts.Average(p => p.Price) : 0,
-                    TotalValue = allProducts.Sum(p => p.Price)
+                    TotalProducts = totalProducts,
+                    ActiveProducts = await products.CountAsync(p => p.Status == ProductStatus.Active),
+                    InactiveProducts = await products.CountAsync(p => p.Status == ProductStatus.Inactive),
+                    TotalCategories = await products.Select(p => p.Category).Distinct().CountAsync(),
+                    TotalBrands = await products.Where(p => p.Brand != null && p.Brand != "").Select(p => p.Brand).Distinct().CountAsync(),
+                    // SQLite 無法彙總 decimal，以 double 計算後轉回
+                    AveragePrice = totalProducts > 0 ? Math.Round((decimal)await products.AverageAsync(p => (double)p.Price), 2) : 0,
+                    TotalValue = totalProducts > 0 ? Math.Round((decimal)await products.SumAsync(p => (double)p.Price), 2) : 0
                 };
 
                 return stats;
@@ -3,6 +3,7 @@ using CioSystem.Data;
 using CioSystem.Models;
 using CioSystem.Services.Cache;
 using CioSystem.Services;
+using CioSystem.Services.DataGrid;
 using CioSystem.Services.DTOs;
 using Microsoft.EntityFrameworkCore;
 using Microsoft.Extensions.Logging;
@@ -15,6 +16,23 @@ namespace CioSystem.Services
     /// </summary>
     public class PurchasesService : IPurchasesService
     {
+        // 進貨列表 DataGrid 可排序、篩選的欄位
+        private static readonly DataGridSchema<PurchaseWithProductDto> PurchaseGrid = new DataGridSchema<PurchaseWithProductDto>(r => r.Purchase.Id)
+            .Search(DataGridSchema<PurchaseWithProductDto>.Contains(r => r.Product!.Name, r => r.Product!.SKU, r => r.Purchase.Supplier))
+            .Filter("productId", value => int.TryParse(value, out var id) ? r => r.Purchase.ProductId == id : r => false)
+            .Filter("productSku", DataGridSchema<PurchaseWithProductDto>.Contains(r => r.Product!.SKU))
+            .Filter("supplier", DataGridSchema<PurchaseWithProductDto>.Contains(r => r.Purchase.Supplier))
+            .Filter("employeeRetention", DataGridSchema<PurchaseWithProductDto>.Contains(r => r.Purchase.EmployeeRetention))
+            .Sortable("id", r => r.Purchase.Id)
+            .Sortable("productName", r => r.Product!.Name)
+            .Sortable("productSku", r => r.Product!.SKU)
+            .Sortable("quantity", r => r.Purchase.Quantity)
+            .Sortable("unitPrice", r => (double)r.Purchase.UnitPrice)
+            .Sortable("totalAmount", r => r.Purchase.Quantity * (double)r.Purchase.UnitPrice)
+            .Sortable("supplier", r => r.Purchase.Supplier)
+            .Sortable("employeeRetention", r => r.Purchase.EmployeeRetention)
+            .Sortable("createdAt", r => r.Purchase.CreatedAt);
+
         private readonly IUnitOfWork _unitOfWork;
         private readonly ILogger<PurchasesService> _logger;
         private readonly IInventoryService _inventoryService;
@@ -26,6 +44,53 @@ namespace CioSystem.Services
             _inventoryService = inventoryService;
         }
 
+        /// <summary>
+        /// 未刪除的進貨記錄查詢（軟刪除由全域過濾器排除）
+        /// </summary>
+        private IQueryable<Purchase> QueryPurchases()
+        {
+            return _unitOfWork.GetRepository<Purchase>().Query();
+        }
+
+        /// <summary>
+        /// 進貨列表 DataGrid 分頁
+        /// </summary>
+        /// <param name="query">DataGrid 查詢參數</param>
+        /// <returns>分頁進貨記錄與對應產品</returns>
+        public Task<DataGridResult<PurchaseWithProductDto>> GetPurchasesPageAsync(DataGridQuery query)
+        {
+            // 左聯結未刪除的產品：產品已刪除的進貨記錄仍列出，Product 為 null
+            var rows = from purchase in QueryPurchases()
+                       join product in _unitOfWork.GetRepository<Product>().Query() on purchase.ProductId equals product.Id into matches
+                       from product in matches.DefaultIfEmpty()
+                       select new PurchaseWithProductDto { Purchase = purchase, Product = product };
+
+            return PurchaseGrid.ApplyAsync(rows, query);
+        }
+
+        /// <summary>
+        /// 全站搜尋：依進貨 ID、供應商，或產品名稱、編號搜尋進貨記錄（最新的在前）
+        /// </summary>
+        /// <param name="term">搜尋關鍵字</param>
+        /// <param name="limit">最多筆數</param>
+        /// <returns>符合的進貨記錄和總數量</returns>
+        public async Task<(IEnumerable<Purchase> Purchases, int TotalCount)> QuickSearchPurchasesAsync(string term, int limit)
+        {
+            // 比對在資料庫端執行（LIKE 不分大小寫）；產品名稱或編號相符的進貨也列入（子查詢）
+            var pattern = $"%{DataGridQuery.EscapeLike(term)}%";
+            var id = int.TryParse(term, out var parsedId) ? parsedId : 0;
+            var matchingProductIds = _unitOfWork.GetRepository<Product>().Query()
+                .Where(DataGridSchema<Product>.Contains(p => p.Name, p => p.SKU)(term))
+                .Select(p => p.Id);
+
+            var query = QueryPurchases().AsNoTracking()
+                .Where(p => p.Id == id || EF.Functions.Like(p.Supplier, pattern, DataGridQuery.LikeEscape) || matchingProductIds.Contains(p.ProductId));
+
+            var totalCount = await query.CountAsync();
+            var purchases = await query.OrderByDescending(p => p.CreatedAt).Take(limit).ToListAsync();
+            return (purchases, totalCount);
+        }
+
         /// <summary>
         /// 取得所有進貨記錄
         /// </summary>
@@ -2,6 +2,8 @@
 using CioSystem.Data;
 using CioSystem.Models;
 using CioSystem.Services.Cache;
+using CioSystem.Services.DataGrid;
+using CioSystem.Services.DTOs;
 using Microsoft.EntityFrameworkCore;
 using Microsoft.Extensions.Logging;
 using Microsoft.Extensions.Configuration;
@@ -14,6 +16,21 @@ namespace CioSystem.Services
     /// </summary>
     public class SalesService : ISalesService
     {
+        // 銷售列表 DataGrid 可排序、篩選的欄位
+        private static readonly DataGridSchema<SaleWithProductDto> SaleGrid = new DataGridSchema<SaleWithProductDto>(r => r.Sale.Id)
+            .Search(DataGridSchema<SaleWithProductDto>.Contains(r => r.Product!.Name, r => r.Product!.SKU, r => r.Sale.CustomerName))
+            .Filter("productId", value => int.TryParse(value, out var id) ? r => r.Sale.ProductId == id : r => false)
+            .Filter("productSku", DataGridSchema<SaleWithProductDto>.Contains(r => r.Product!.SKU))
+            .Filter("customerName", DataGridSchema<SaleWithProductDto>.Contains(r => r.Sale.CustomerName))
+            .Sortable("id", r => r.Sale.Id)
+            .Sortable("productName", r => r.Product!.Name)
+            .Sortable("productSku", r => r.Product!.SKU)
+            .Sortable("quantity", r => r.Sale.Quantity)
+            .Sortable("unitPrice", r => (double)r.Sale.UnitPrice)
+            .Sortable("totalAmount", r => r.Sale.Quantity * (double)r.Sale.UnitPrice)
+            .Sortable("customerName", r => r.Sale.CustomerName)
+            .Sortable("createdAt", r => r.Sale.CreatedAt);
+
         private readonly IUnitOfWork _unitOfWork;
         private readonly ILogger<SalesService> _logger;
         private readonly IConfiguration _configuration;
@@ -27,6 +44,40 @@ namespace CioSystem.Services
             _configuration = configuration ?? throw new ArgumentNullException(nameof(configuration));
         }
 
+        // 未刪除的銷售記錄查詢（軟刪除由全域過濾器排除）
+        private IQueryable<Sale> QuerySales()
+        {
+            return _unitOfWork.GetRepository<Sale>().Query();
+        }
+
+        public Task<DataGridResult<SaleWithProductDto>> GetSalesPageAsync(DataGridQuery query)
+        {
+            // 左聯結未刪除的產品：產品已刪除的銷售記錄仍列出，Product 為 null
+            var rows = from sale in QuerySales()
+                       join product in _unitOfWork.GetRepository<Product>().Query() on sale.ProductId equals product.Id into matches
+                       from product in matches.DefaultIfEmpty()
+                       select new SaleWithProductDto { Sale = sale, Product = product };
+
+            return SaleGrid.ApplyAsync(rows, query);
+        }
+
+        public async Task<(IEnumerable<Sale> Sales, int TotalCount)> QuickSearchSalesAsync(string term, int limit)
+        {
+            // 比對在資料庫端執行（LIKE 不分大小寫）；產品名稱或編號相符的銷售也列入（子查詢）
+            var pattern = $"%{DataGridQuery.EscapeLike(term)}%";
+            var id = int.TryParse(term, out var parsedId) ? parsedId : 0;
+            var matchingProductIds = _unitOfWork.GetRepository<Product>().Query()
+                .Where(DataGridSchema<Product>.Contains(p => p.Name, p => p.SKU)(term))
+                .Select(p => p.Id);
+
+            var query = QuerySales().AsNoTracking()
+                .Where(s => s.Id == id || EF.Functions.Like(s.CustomerName, pattern, DataGridQuery.LikeEscape) || matchingProductIds.Contains(s.ProductId));
+
+            var totalCount = await query.CountAsync();
+            var sales = await query.OrderByDescending(s => s.CreatedAt).Take(limit).ToListAsync();
+            return (sales, totalCount);
+        }
+
         public async Task<IEnumerable<Sale>> GetAllSalesAsync()
         {
             try
@@ -169,16 +220,7 @@ namespace CioSystem.Services
                 try
                 {
                     // 重複提交防護：可配置時間窗（預設 60 秒）
-                    var windowSeconds = _configuration.GetValue<int>("Sales:DuplicateWindowSeconds", 60);
-                    var guardWindowStart = DateTime.Now.AddSeconds(-windowSeconds);
-                    var duplicateCount = await _unitOfWork
-                        .GetRepository<Sale>()
-                        .CountAsync(s => !s.IsDeleted
-                            && s.ProductId == sale.ProductId
-                            && s.Quantity == sale.Quantity
-                            && s.UnitPrice == sale.UnitPrice
-                            && s.CreatedAt >= guardWindowStart);
-                    if (duplicateCount > 0)
+                    if (await IsDuplicateSaleAsync(sale))
                     {
                         _logger.LogWarning("[Service] 偵測到可能的重複提交，已拒絕: ProductId={ProductId}, Quantity={Quantity}, UnitPrice={UnitPrice}",
                             sale.ProductId, sale.Quantity, sale.UnitPrice);
@@ -203,27 +245,94 @@ namespace CioSystem.Services
                         await _unitOfWork.RollbackTransactionAsync();
                         return new ValidationResult { IsValid = false, Errors = new List<string> { "扣庫存失敗" } };
                     }
-                    if (!string.IsNullOrEmpty(sale.EmployeeRetention))
+                    await ReleaseReservedQuantityAsync(sale);
+
+                    await _unitOfWork.CommitTransactionAsync();
+                    _logger.LogInformation("成功創建銷售記錄並同步扣庫存: Id={Id}", sale.Id);
+                    return new ValidationResult { IsValid = true };
+                }
+                catch
+                {
+                    await _unitOfWork.RollbackTransactionAsync();
+                    throw;
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "創建銷售記錄時發生錯誤");
+                return new ValidationResult
+                {
+                    IsValid = false,
+                    Errors = new List<string> { "創建銷售記錄時發生錯誤" }
+                };
+            }
+        }
+
+        public async Task<ValidationResult> CreateSalesAsync(IEnumerable<Sale> sales)
+        {
+            var lines = sales?.Where(s => s != null).ToList() ?? new List<Sale>();
+            if (lines.Count == 0)
+            {
+                return new ValidationResult
+                {
+                    IsValid = false,
+                    Errors = new List<string> { "銷售明細不能為空" }
+                };
+            }
+
+            try
+            {
+                var now = DateTime.Now;
+                foreach (var sale in lines)
+                {
+                    sale.CreatedAt = now;
+                    sale.UpdatedAt = now;
+                    // 呼叫端（例如 API）可先指定建立者
+                    if (string.IsNullOrEmpty(sale.CreatedBy)) sale.CreatedBy = "System";
+                    sale.UpdatedBy = sale.CreatedBy;
+                }
+
+                // 事務：所有品項的銷售記錄 + 扣庫存
+                await _unitOfWork.BeginTransactionAsync();
+                try
+                {
+                    // 重複提交防護：只和本次之前的記錄比較，同一張單的品項不互相比對
+                    var result = new ValidationResult();
+                    for (var i = 0; i < lines.Count; i++)
+                    {
+                        if (await IsDuplicateSaleAsync(lines[i]))
+                        {
+                            result.AddError($"第 {i + 1} 項：偵測到重複提交（時間窗內同筆銷售）");
+                        }
+                    }
+                    if (!result.IsValid)
+                    {
+                        _logger.LogWarning("[Service] 銷售單偵測到可能的重複提交，已拒絕: Lines={Count}", lines.Count);
+                        await _unitOfWork.RollbackTransactionAsync();
+                        return result;
+                    }
+
+                    var repository = _unitOfWork.GetRepository<Sale>();
+                    for (var i = 0; i < lines.Count; i++)
                     {
-                        // 保底：若為員工自留，同步遞減 ReservedQuantity
-                        try
+                        var sale = lines[i];
+                        await repository.AddAsync(sale);
+                        await _unitOfWork.SaveChangesAsync();
+
+                        // 庫存移動關聯到銷售記錄，同一張單中產品與數量相同的品項不會被當成重複移動
+                        var okInv = await _inventoryService.UpdateInventoryQuantityAsync(sale.ProductId, -sale.Quantity, sale.Id);
+                        if (!okInv)
                         {
-                            var invRepo = _unitOfWork.GetRepository<Inventory>();
-                            var inv = (await invRepo.FindAsync(i => !i.IsDeleted && i.ProductId == sale.ProductId && i.Type == InventoryType.Stock)).FirstOrDefault();
-                            if (inv != null)
-                            {
-                                inv.ReservedQuantity = Math.Max(0, inv.ReservedQuantity - sale.Quantity);
-                                inv.UpdatedAt = DateTime.Now;
-                                inv.UpdatedBy = "System";
-                                await invRepo.UpdateAsync(inv);
-                                await _unitOfWork.SaveChangesAsync();
-                            }
+                            _logger.LogWarning("銷售單扣庫存失敗，整筆回滾: Line={Line}, ProductId={ProductId}, Quantity={Quantity}", i + 1, sale.ProductId, sale.Quantity);
+                            await _unitOfWork.RollbackTransactionAsync();
+                            return new ValidationResult { IsValid = false, Errors = new List<string> { $"第 {i + 1} 項扣庫存失敗（庫存不足或不存在）" } };
                         }
-                        catch { }
+
+                        await ReleaseReservedQuantityAsync(sale);
                     }
 
                     await _unitOfWork.CommitTransactionAsync();
-                    _logger.LogInformation("成功創建銷售記錄並同步扣庫存: Id={Id}", sale.Id);
+                    _logger.LogInformation("成功創建銷售單並同步扣庫存: Lines={Count}, Ids={Ids}", lines.Count, string.Join(",", lines.Select(s => s.Id)));
                     return new ValidationResult { IsValid = true };
                 }
                 catch
@@ -234,15 +343,58 @@ namespace CioSystem.Services
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "創建銷售記錄時發生錯誤");
+                _logger.LogError(ex, "創建銷售單時發生錯誤");
                 return new ValidationResult
                 {
                     IsValid = false,
-                    Errors = new List<string> { "創建銷售記錄時發生錯誤" }
+                    Errors = new List<string> { "創建銷售單時發生錯誤" }
                 };
             }
         }
 
+        /// <summary>
+        /// 時間窗內是否已有相同產品、數量與單價的銷售（可配置 Sales:DuplicateWindowSeconds，預設 60 秒）
+        /// </summary>
+        private async Task<bool> IsDuplicateSaleAsync(Sale sale)
+        {
+            var windowSeconds = _configuration.GetValue<int>("Sales:DuplicateWindowSeconds", 60);
+            var guardWindowStart = DateTime.Now.AddSeconds(-windowSeconds);
+            var duplicateCount = await _unitOfWork
+                .GetRepository<Sale>()
+                .CountAsync(s => !s.IsDeleted
+                    && s.ProductId == sale.ProductId
+                    && s.Quantity == sale.Quantity
+                    && s.UnitPrice == sale.UnitPrice
+                    && s.CreatedAt >= guardWindowStart);
+            return duplicateCount > 0;
+        }
+
+        /// <summary>
+        /// 保底：若為員工自留，同步遞減 ReservedQuantity
+        /// </summary>
+        private async Task ReleaseReservedQuantityAsync(Sale sale)
+        {
+            if (string.IsNullOrEmpty(sale.EmployeeRetention))
+            {
+                return;
+            }
+
+            try
+            {
+                var invRepo = _unitOfWork.GetRepository<Inventory>();
+                var inv = (await invRepo.FindAsync(i => !i.IsDeleted && i.ProductId == sale.ProductId && i.Type == InventoryType.Stock)).FirstOrDefault();
+                if (inv != null)
+                {
+                    inv.ReservedQuantity = Math.Max(0, inv.ReservedQuantity - sale.Quantity);
+                    inv.UpdatedAt = DateTime.Now;
+                    inv.UpdatedBy = "System";
+                    await invRepo.UpdateAsync(inv);
+                    await _unitOfWork.SaveChangesAsync();
+                }
+            }
+            catch { }
+        }
+
         public async Task<ValidationResult> UpdateSaleAsync(Sale sale)
         {
             try
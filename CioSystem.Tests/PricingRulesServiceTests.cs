@@ -0,0 +1,154 @@
+﻿using CioSystem.Models;
+using CioSystem.Web.Services;
+using Microsoft.AspNetCore.Hosting;
+using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Moq;
+using Xunit;
+
+namespace CioSystem.Tests
+{
+    /// <summary>
+    /// 定價規則服務單元測試（保存前的規則驗證）
+    /// </summary>
+    public class PricingRulesServiceTests : IDisposable
+    {
+        private readonly string _contentRoot;
+        private readonly MemoryCache _cache;
+        private readonly PricingRulesService _service;
+
+        public PricingRulesServiceTests()
+        {
+            _contentRoot = Path.Combine(Path.GetTempPath(), $"pricing-rules-tests-{Guid.NewGuid():N}");
+            Directory.CreateDirectory(_contentRoot);
+
+            var environment = new Mock<IWebHostEnvironment>();
+            environment.Setup(x => x.ContentRootPath).Returns(_contentRoot);
+
+            _cache = new MemoryCache(new MemoryCacheOptions());
+            _service = new PricingRulesService(
+                new ConfigurationBuilder().Build(),
+                environment.Object,
+                _cache,
+                new Mock<ILogger<PricingRulesService>>().Object);
+        }
+
+        public void Dispose()
+        {
+            _cache.Dispose();
+            Directory.Delete(_contentRoot, recursive: true);
+        }
+
+        private string RulesPath => Path.Combine(_contentRoot, "App_Data", "pricing-rules.json");
+
+        [Fact]
+        public async Task SaveRulesJsonAsync_WithValidRules_SavesAndReloads()
+        {
+            // Arrange
+            var json = @"{ ""rules"": [
+                { ""id"": ""vip"", ""name"": ""VIP 價"", ""type"": ""customerPrice"", ""customer"": ""王小明"", ""discountPercent"": 10 },
+                { ""id"": ""bulk"", ""type"": ""quantityTier"", ""tiers"": [ { ""minQuantity"": 10, ""price"": 90 } ] }
+            ] }";
+
+            // Act
+            var errors = await _service.SaveRulesJsonAsync(json, "admin");
+            var rules = await _service.GetRulesAsync();
+
+            // Assert
+            Assert.Empty(errors);
+            Assert.True(File.Exists(RulesPath));
+            Assert.Equal(new[] { "vip", "bulk" }, rules.Rules.Select(r => r.Id));
+            Assert.Equal("admin", rules.UpdatedBy);
+        }
+
+        [Fact]
+        public async Task SaveRulesJsonAsync_WithMalformedJson_ReturnsFormatErrorAndKeepsFile()
+        {
+            // Act
+            var errors = await _service.SaveRulesJsonAsync("{ \"rules\": [", "admin");
+
+            // Assert
+            Assert.Single(errors);
+            Assert.StartsWith("JSON 格式錯誤", errors[0]);
+            Assert.False(File.Exists(RulesPath));
+        }
+
+        [Fact]
+        public async Task SaveRulesJsonAsync_WithDuplicateIdAndUnknownType_ReturnsErrors()
+        {
+            // Arrange
+            var json = @"{ ""rules"": [
+                { ""id"": ""staff"", ""type"": ""staffCost"" },
+                { ""id"": ""STAFF"", ""type"": ""staffCost"" },
+                { ""id"": ""other"", ""type"": ""coupon"" }
+            ] }";
+
+            // Act
+            var errors = await _service.SaveRulesJsonAsync(json, "admin");
+
+            // Assert
+            Assert.Equal(2, errors.Count);
+            Assert.Contains(errors, e => e.Contains("重複"));
+            Assert.Contains(errors, e => e.StartsWith("第 3 條規則") && e.Contains("type"));
+            Assert.False(File.Exists(RulesPath));
+        }
+
+        [Theory]
+        [InlineData(@"{ ""id"": ""a"", ""type"": ""customerPrice"", ""discountPercent"": 10 }", "缺少 customer")]
+        [InlineData(@"{ ""id"": ""a"", ""type"": ""customerPrice"", ""customer"": ""王小明"", ""price"": 90, ""discountPercent"": 10 }", "price 或 discountPercent")]
+        [InlineData(@"{ ""id"": ""a"", ""type"": ""promotion"", ""discountPercent"": 120 }", "price 或 discountPercent")]
+        [InlineData(@"{ ""id"": ""a"", ""type"": ""quantityTier"" }", "缺少 tiers")]
+        [InlineData(@"{ ""id"": ""a"", ""type"": ""quantityTier"", ""tiers"": [ { ""minQuantity"": 0, ""price"": 90 } ] }", "minQuantity")]
+        [InlineData(@"{ ""id"": ""a"", ""type"": ""promotion"", ""price"": 90, ""startsAt"": ""2026-05-01"", ""endsAt"": ""2026-04-01"" }", "startsAt 不可晚於 endsAt")]
+        public async Task SaveRulesJsonAsync_WithInvalidRule_ReturnsError(string rule, string expectedError)
+        {
+            // Act
+            var errors = await _service.SaveRulesJsonAsync($"{{ \"rules\": [ {rule} ] }}", "admin");
+
+            // Assert
+            Assert.Contains(errors, e => e.Contains(expectedError));
+            Assert.False(File.Exists(RulesPath));
+        }
+
+        [Fact]
+        public async Task GetStaffCostPriceAsync_WithDefaultRules_ReturnsCostPrice()
+        {
+            // Arrange
+            var product = new Product { Id = 3, Category = "文具", Price = 100m, CostPrice = 60m };
+
+            // Act
+            var costPrice = await _service.GetStaffCostPriceAsync(product);
+
+            // Assert
+            Assert.Equal(60m, costPrice);
+        }
+
+        [Fact]
+        public async Task GetStaffCostPriceAsync_WhenRuleDisabledOrOutOfScope_ReturnsNull()
+        {
+            // Arrange
+            var product = new Product { Id = 3, Category = "文具", Price = 100m, CostPrice = 60m };
+            await _service.SaveRulesJsonAsync(@"{ ""rules"": [
+                { ""id"": ""staff"", ""type"": ""staffCost"", ""enabled"": false },
+                { ""id"": ""staff-food"", ""type"": ""staffCost"", ""categories"": [""食品""] }
+            ] }", "admin");
+
+            // Act
+            var costPrice = await _service.GetStaffCostPriceAsync(product);
+
+            // Assert
+            Assert.Null(costPrice);
+        }
+
+        [Fact]
+        public async Task GetStaffCostPriceAsync_WithoutCostPrice_ReturnsNull()
+        {
+            // Act
+            var costPrice = await _service.GetStaffCostPriceAsync(new Product { Id = 3, Price = 100m });
+
+            // Assert
+            Assert.Null(costPrice);
+        }
+    }
+}
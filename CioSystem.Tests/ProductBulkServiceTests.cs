@@ -0,0 +1,175 @@
+﻿using CioSystem.Core;
+using CioSystem.Data;
+using CioSystem.Models;
+using CioSystem.Services;
+using CioSystem.Web.Models;
+using CioSystem.Web.Services;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+using Moq;
+using Xunit;
+
+namespace CioSystem.Tests
+{
+    /// <summary>
+    /// 產品批次操作服務單元測試（預覽統計、部分失敗與復原）
+    /// </summary>
+    public class ProductBulkServiceTests : IDisposable
+    {
+        private readonly SqliteTestDatabase _database;
+        private readonly ServiceProvider _provider;
+        private readonly MemoryCache _cache;
+        private readonly ProductBulkService _service;
+
+        public ProductBulkServiceTests()
+        {
+            _database = new SqliteTestDatabase();
+
+            var services = new ServiceCollection();
+            services.AddLogging();
+            services.AddScoped(_ => _database.CreateContext());
+            services.AddScoped<IUnitOfWork, UnitOfWork>();
+            services.AddScoped<IProductService, ProductService>();
+            _provider = services.BuildServiceProvider();
+
+            _cache = new MemoryCache(new MemoryCacheOptions());
+            _service = new ProductBulkService(
+                _provider.GetRequiredService<IServiceScopeFactory>(),
+                _cache,
+                new ConfigurationBuilder().Build(),
+                new Mock<ILogger<ProductBulkService>>().Object);
+        }
+
+        public void Dispose()
+        {
+            _cache.Dispose();
+            _provider.Dispose();
+            _database.Dispose();
+        }
+
+        private static Product CreateProduct(string sku, decimal price = 100m, string category = "測試") => new()
+        {
+            Name = $"產品 {sku}",
+            SKU = sku,
+            Category = category,
+            Price = price,
+            CostPrice = 50m
+        };
+
+        /// <summary>
+        /// 新增產品後以不追蹤的方式讀回（與 ProductsController 取得批次目標的方式相同）
+        /// </summary>
+        private List<Product> SeedProducts(params Product[] products)
+        {
+            using var context = _database.CreateContext();
+            context.Products.AddRange(products);
+            context.SaveChanges();
+            return context.Products.AsNoTracking().OrderBy(p => p.Id).ToList();
+        }
+
+        /// <summary>
+        /// 讀回資料庫中的產品（包含已刪除的產品）
+        /// </summary>
+        private List<Product> LoadProducts()
+        {
+            using var context = _database.CreateContext();
+            return context.Products.IgnoreQueryFilters().AsNoTracking().OrderBy(p => p.Id).ToList();
+        }
+
+        [Fact]
+        public void Preview_CountsChangedUnchangedAndFailingProducts()
+        {
+            // Arrange：+10% 時 0.01 四捨五入後不變，0 元則無法調整
+            var products = new List<Product>
+            {
+                CreateProduct("P-001", 100m),
+                CreateProduct("P-002", 0.01m),
+                CreateProduct("P-003", 0m)
+            };
+
+            // Act
+            var preview = _service.Preview(products, new ProductBulkRequest { Action = "price", Percent = 10 });
+
+            // Assert
+            Assert.Equal(3, preview.TotalCount);
+            Assert.Equal(1, preview.ChangeCount);
+            Assert.Equal(1, preview.UnchangedCount);
+            Assert.Equal(1, preview.ErrorCount);
+            Assert.Equal("110.00", preview.Changes[0].After);
+            Assert.True(preview.Changes[1].Unchanged);
+            Assert.Equal("調整後售價必須大於 0", preview.Changes[2].Error);
+        }
+
+        [Fact]
+        public void Preview_ListsAtMostPreviewLimitChangesButCountsAll()
+        {
+            // Arrange
+            var products = Enumerable.Range(1, ProductBulkService.PreviewLimit + 10)
+                .Select(i => CreateProduct($"P-{i:000}"))
+                .ToList();
+
+            // Act
+            var preview = _service.Preview(products, new ProductBulkRequest { Action = "category", Value = "文具" });
+
+            // Assert
+            Assert.Equal(products.Count, preview.TotalCount);
+            Assert.Equal(products.Count, preview.ChangeCount);
+            Assert.Equal(ProductBulkService.PreviewLimit, preview.Changes.Count);
+        }
+
+        [Fact]
+        public async Task ApplyAsync_WhenOneSaveFails_ReportsItAndSavesTheOthers()
+        {
+            // Arrange：資料庫拒絕更新第二個產品
+            var products = SeedProducts(CreateProduct("P-001"), CreateProduct("FAIL-002"), CreateProduct("P-003"));
+            using (var context = _database.CreateContext())
+            {
+                context.Database.ExecuteSqlRaw(
+                    "CREATE TRIGGER reject_product_update BEFORE UPDATE ON Products WHEN NEW.SKU = 'FAIL-002' BEGIN SELECT RAISE(ABORT, 'rejected'); END;");
+            }
+
+            // Act
+            var result = await _service.ApplyAsync(products, new ProductBulkRequest { Action = "category", Value = "文具" }, "alice");
+
+            // Assert：失敗的產品不會讓後續產品的保存一起失敗
+            Assert.Equal(2, result.Succeeded);
+            var failure = Assert.Single(result.Failures);
+            Assert.Equal("FAIL-002", failure.SKU);
+            Assert.NotNull(result.UndoToken);
+            Assert.Equal(new[] { "文具", "測試", "文具" }, LoadProducts().Select(p => p.Category));
+        }
+
+        [Fact]
+        public async Task UndoAsync_ByAnotherUser_ThrowsAndKeepsTokenForOwner()
+        {
+            // Arrange
+            var products = SeedProducts(CreateProduct("P-001", category: "舊分類"));
+            var result = await _service.ApplyAsync(products, new ProductBulkRequest { Action = "category", Value = "文具" }, "alice");
+
+            // Act & Assert
+            await Assert.ThrowsAsync<InvalidOperationException>(() => _service.UndoAsync(result.UndoToken!, "bob"));
+
+            var undo = await _service.UndoAsync(result.UndoToken!, "alice");
+            Assert.Equal(1, undo.Succeeded);
+            Assert.Equal("舊分類", LoadProducts().Single().Category);
+        }
+
+        [Fact]
+        public async Task UndoAsync_WithUsedToken_Throws()
+        {
+            // Arrange
+            var products = SeedProducts(CreateProduct("P-001"), CreateProduct("P-002"));
+            var result = await _service.ApplyAsync(products, new ProductBulkRequest { Action = "delete" }, "alice");
+            await _service.UndoAsync(result.UndoToken!, "alice");
+
+            // Act & Assert
+            await Assert.ThrowsAsync<InvalidOperationException>(() => _service.UndoAsync(result.UndoToken!, "alice"));
+            var stored = LoadProducts();
+            Assert.Equal(2, stored.Count);
+            Assert.All(stored, p => Assert.False(p.IsDeleted));
+        }
+    }
+}
@@ -0,0 +1,103 @@
+﻿using CioSystem.Data;
+using CioSystem.Models;
+using CioSystem.Services;
+using Microsoft.Extensions.Logging;
+using Moq;
+using Xunit;
+
+namespace CioSystem.Tests
+{
+    /// <summary>
+    /// 產品編號唯一性檢查單元測試（資料庫的唯一索引包含已刪除的產品）
+    /// </summary>
+    public class ProductServiceSkuTests : IDisposable
+    {
+        private readonly SqliteTestDatabase _database;
+        private readonly CioSystemDbContext _context;
+        private readonly ProductService _productService;
+
+        public ProductServiceSkuTests()
+        {
+            _database = new SqliteTestDatabase();
+            _context = _database.CreateContext();
+            _productService = new ProductService(new UnitOfWork(_context), new Mock<ILogger<ProductService>>().Object);
+        }
+
+        public void Dispose()
+        {
+            _context.Dispose();
+            _database.Dispose();
+        }
+
+        private void AddProduct(string sku, bool isDeleted = false)
+        {
+            _context.Products.Add(new Product
+            {
+                Name = $"產品 {sku}",
+                SKU = sku,
+                Category = "測試",
+                Price = 100m,
+                CostPrice = 80m,
+                IsDeleted = isDeleted
+            });
+            _context.SaveChanges();
+        }
+
+        [Fact]
+        public async Task SkuExistsAsync_WithDeletedProduct_ReturnsTrue()
+        {
+            // Arrange
+            AddProduct("NOTE-001", isDeleted: true);
+
+            // Act
+            var exists = await _productService.SkuExistsAsync("NOTE-001");
+
+            // Assert
+            Assert.True(exists);
+        }
+
+        [Fact]
+        public async Task SkuExistsAsync_ExcludingOwnProduct_ReturnsFalse()
+        {
+            // Arrange
+            AddProduct("NOTE-001");
+            var id = _context.Products.Single(p => p.SKU == "NOTE-001").Id;
+
+            // Act
+            var exists = await _productService.SkuExistsAsync("NOTE-001", id);
+
+            // Assert
+            Assert.False(exists);
+        }
+
+        [Fact]
+        public async Task SuggestNextSkuAsync_SkipsDeletedProductSku()
+        {
+            // Arrange
+            AddProduct("NOTE-001");
+            AddProduct("NOTE-002", isDeleted: true);
+
+            // Act
+            var suggestion = await _productService.SuggestNextSkuAsync("NOTE-001");
+
+            // Assert
+            Assert.Equal("NOTE-003", suggestion);
+        }
+
+        [Fact]
+        public async Task SuggestNextSkuAsync_SuggestionCanBeSaved()
+        {
+            // Arrange
+            AddProduct("NOTE-001");
+            AddProduct("NOTE-002", isDeleted: true);
+
+            // Act
+            var suggestion = await _productService.SuggestNextSkuAsync("NOTE-001");
+            var exception = Record.Exception(() => AddProduct(suggestion!));
+
+            // Assert
+            Assert.Null(exception);
+            Assert.True(await _productService.SkuExistsAsync(suggestion!));
+        }
+    }
+}
@@ -0,0 +1,83 @@
+﻿using CioSystem.Data;
+using CioSystem.Models;
+using CioSystem.Services;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Moq;
+using Xunit;
+
+namespace CioSystem.Tests
+{
+    /// <summary>
+    /// 全站搜尋單元測試（產品、銷售的資料庫 LIKE 比對與排序）
+    /// </summary>
+    public class QuickSearchTests : IDisposable
+    {
+        private readonly SqliteTestDatabase _database;
+        private readonly CioSystemDbContext _context;
+        private readonly ProductService _productService;
+        private readonly SalesService _salesService;
+
+        public QuickSearchTests()
+        {
+            _database = new SqliteTestDatabase();
+            _context = _database.CreateContext();
+
+            var unitOfWork = new UnitOfWork(_context);
+            var inventoryService = new InventoryService(unitOfWork, new Mock<ILogger<InventoryService>>().Object);
+            _productService = new ProductService(unitOfWork, new Mock<ILogger<ProductService>>().Object);
+            _salesService = new SalesService(unitOfWork, new Mock<ILogger<SalesService>>().Object, inventoryService, new ConfigurationBuilder().Build());
+        }
+
+        public void Dispose()
+        {
+            _context.Dispose();
+            _database.Dispose();
+        }
+
+        private Product AddProduct(string sku, string name)
+        {
+            var product = new Product { Name = name, SKU = sku, Category = "測試", Price = 100m, CostPrice = 80m };
+            _context.Products.Add(product);
+            _context.SaveChanges();
+            return product;
+        }
+
+        [Fact]
+        public async Task QuickSearchProductsAsync_PutsPrefixMatchesFirstAndCountsAll()
+        {
+            // Arrange
+            AddProduct("BAG-001", "筆記本包");
+            AddProduct("NOTE-001", "筆記本");
+            AddProduct("PEN-001", "原子筆");
+
+            // Act
+            var (products, totalCount) = await _productService.QuickSearchProductsAsync("筆記本", 1);
+
+            // Assert
+            Assert.Equal(2, totalCount);
+            Assert.Equal("NOTE-001", Assert.Single(products).SKU);
+        }
+
+        [Fact]
+        public async Task QuickSearchSalesAsync_MatchesProductNameAndTreatsWildcardsLiterally()
+        {
+            // Arrange
+            var product = AddProduct("NOTE-001", "筆記本");
+            _context.Sales.AddRange(
+                new Sale { ProductId = product.Id, Quantity = 1, UnitPrice = 100m, CustomerName = "王小明" },
+                new Sale { ProductId = product.Id, Quantity = 1, UnitPrice = 100m, CustomerName = "100% 文具行" });
+            _context.SaveChanges();
+
+            // Act
+            var (byProduct, byProductCount) = await _salesService.QuickSearchSalesAsync("筆記", 5);
+            var (byWildcard, byWildcardCount) = await _salesService.QuickSearchSalesAsync("%", 5);
+
+            // Assert
+            Assert.Equal(2, byProductCount);
+            Assert.Equal(2, byProduct.Count());
+            Assert.Equal(1, byWildcardCount);
+            Assert.Equal("100% 文具行", Assert.Single(byWildcard).CustomerName);
+        }
+    }
+}
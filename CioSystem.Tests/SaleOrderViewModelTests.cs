@@ -0,0 +1,77 @@
+﻿using CioSystem.Web.Models;
+using Xunit;
+
+namespace CioSystem.Tests
+{
+    /// <summary>
+    /// 多品項銷售單轉換單元測試（記錄金額合計必須等於應收總金額）
+    /// </summary>
+    public class SaleOrderViewModelTests
+    {
+        private static SaleLineViewModel Line(int productId, int quantity, decimal unitPrice, decimal discountPercent = 0)
+        {
+            return new SaleLineViewModel { ProductId = productId, Quantity = quantity, UnitPrice = unitPrice, DiscountPercent = discountPercent };
+        }
+
+        [Fact]
+        public void ToSales_WithoutDiscount_KeepsUnitPrices()
+        {
+            // Arrange
+            var order = new SaleOrderViewModel
+            {
+                CustomerName = "測試客戶",
+                Lines = { Line(1, 2, 100m), Line(2, 1, 50m) }
+            };
+
+            // Act
+            var sales = order.ToSales();
+
+            // Assert
+            Assert.Equal(2, sales.Count);
+            Assert.Equal(100m, sales[0].UnitPrice);
+            Assert.Equal(50m, sales[1].UnitPrice);
+            Assert.All(sales, sale => Assert.Equal("測試客戶", sale.CustomerName));
+        }
+
+        [Fact]
+        public void ToSales_WithOrderDiscount_RecordedAmountsMatchTotal()
+        {
+            // Arrange
+            var order = new SaleOrderViewModel
+            {
+                OrderDiscount = 10m,
+                Lines = { Line(1, 3, 33.33m), Line(2, 7, 12.5m, discountPercent: 15), Line(3, 3, 19.99m) }
+            };
+
+            // Act
+            var sales = order.ToSales();
+
+            // Assert
+            Assert.Equal(order.Total, sales.Sum(sale => sale.Quantity * sale.UnitPrice));
+            Assert.All(sales, sale => Assert.Equal(sale.UnitPrice, Math.Round(sale.UnitPrice, 2)));
+        }
+
+        [Fact]
+        public void ToSales_WhenLastLineCannotAbsorbRemainder_SplitsOffSingleUnit()
+        {
+            // Arrange
+            var order = new SaleOrderViewModel
+            {
+                OrderDiscount = 1m,
+                Lines = { Line(1, 3, 10m) }
+            };
+
+            // Act
+            var sales = order.ToSales();
+
+            // Assert
+            Assert.Equal(29m, order.Total);
+            Assert.Equal(2, sales.Count);
+            Assert.Equal(2, sales[0].Quantity);
+            Assert.Equal(9.66m, sales[0].UnitPrice);
+            Assert.Equal(1, sales[1].Quantity);
+            Assert.Equal(9.68m, sales[1].UnitPrice);
+            Assert.Equal(3, sales.Sum(sale => sale.Quantity));
+        }
+    }
+}
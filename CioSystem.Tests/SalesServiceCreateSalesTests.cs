@@ -0,0 +1,124 @@
+﻿using CioSystem.Data;
+using CioSystem.Models;
+using CioSystem.Services;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Moq;
+using Xunit;
+
+namespace CioSystem.Tests
+{
+    /// <summary>
+    /// 多品項銷售單建立單元測試（所有品項在同一個交易中扣庫存，任一品項失敗即整筆回滾）
+    /// </summary>
+    public class SalesServiceCreateSalesTests : IDisposable
+    {
+        private readonly SqliteTestDatabase _database;
+        private readonly CioSystemDbContext _context;
+        private readonly SalesService _salesService;
+
+        public SalesServiceCreateSalesTests()
+        {
+            _database = new SqliteTestDatabase();
+            _context = _database.CreateContext();
+
+            var unitOfWork = new UnitOfWork(_context);
+            var inventoryService = new InventoryService(unitOfWork, new Mock<ILogger<InventoryService>>().Object);
+            var configuration = new ConfigurationBuilder().Build();
+            _salesService = new SalesService(unitOfWork, new Mock<ILogger<SalesService>>().Object, inventoryService, configuration);
+        }
+
+        public void Dispose()
+        {
+            _context.Dispose();
+            _database.Dispose();
+        }
+
+        private int AddProductWithStock(string sku, int quantity)
+        {
+            var product = new Product
+            {
+                Name = $"產品 {sku}",
+                SKU = sku,
+                Category = "測試",
+                Price = 100m,
+                CostPrice = 80m
+            };
+            _context.Products.Add(product);
+            _context.SaveChanges();
+
+            _context.Inventory.Add(new Inventory
+            {
+                ProductId = product.Id,
+                Quantity = quantity,
+                Type = InventoryType.Stock
+            });
+            _context.SaveChanges();
+            return product.Id;
+        }
+
+        private static Sale CreateSale(int productId, int quantity, decimal unitPrice)
+        {
+            return new Sale { ProductId = productId, Quantity = quantity, UnitPrice = unitPrice, CustomerName = "測試客戶" };
+        }
+
+        [Fact]
+        public async Task CreateSalesAsync_WithSameProductAndQuantityTwice_RecordsBothMovements()
+        {
+            // Arrange
+            var productId = AddProductWithStock("NOTE-001", 10);
+
+            // Act
+            var result = await _salesService.CreateSalesAsync(new[]
+            {
+                CreateSale(productId, 2, 100m),
+                CreateSale(productId, 2, 90m)
+            });
+
+            // Assert
+            Assert.True(result.IsValid);
+            using var verify = _database.CreateContext();
+            Assert.Equal(2, verify.Sales.Count());
+            Assert.Equal(6, verify.Inventory.Single().Quantity);
+            var movements = verify.InventoryMovements.ToList();
+            Assert.Equal(2, movements.Count);
+            Assert.All(movements, m => Assert.Equal(MovementType.Outbound, m.Type));
+            Assert.Equal(verify.Sales.Select(s => (int?)s.Id).OrderBy(id => id), movements.Select(m => m.RelatedOrderId).OrderBy(id => id));
+        }
+
+        [Fact]
+        public async Task CreateSalesAsync_WhenLaterLineFails_RollsBackEarlierLines()
+        {
+            // Arrange
+            var firstProductId = AddProductWithStock("NOTE-001", 10);
+            var secondProductId = AddProductWithStock("NOTE-002", 1);
+
+            // Act
+            var result = await _salesService.CreateSalesAsync(new[]
+            {
+                CreateSale(firstProductId, 3, 100m),
+                CreateSale(secondProductId, 5, 100m)
+            });
+
+            // Assert
+            Assert.False(result.IsValid);
+            Assert.Contains(result.Errors, error => error.StartsWith("第 2 項"));
+            using var verify = _database.CreateContext();
+            Assert.Empty(verify.Sales);
+            Assert.Empty(verify.InventoryMovements);
+            Assert.Equal(10, verify.Inventory.Single(i => i.ProductId == firstProductId).Quantity);
+            Assert.Equal(1, verify.Inventory.Single(i => i.ProductId == secondProductId).Quantity);
+        }
+
+        [Fact]
+        public async Task CreateSalesAsync_WithEmptyLines_ReturnsError()
+        {
+            // Act
+            var result = await _salesService.CreateSalesAsync(new List<Sale>());
+
+            // Assert
+            Assert.False(result.IsValid);
+            Assert.Contains("銷售明細不能為空", result.Errors);
+        }
+    }
+}
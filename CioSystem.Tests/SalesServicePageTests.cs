@@ -0,0 +1,116 @@
+﻿using CioSystem.Data;
+using CioSystem.Models;
+using CioSystem.Services;
+using CioSystem.Services.DataGrid;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Primitives;
+using Moq;
+using Xunit;
+
+namespace CioSystem.Tests
+{
+    /// <summary>
+    /// 銷售列表 DataGrid 分頁單元測試（左聯結產品、欄位篩選與固定的排序）
+    /// </summary>
+    public class SalesServicePageTests : IDisposable
+    {
+        private readonly SqliteTestDatabase _database;
+        private readonly CioSystemDbContext _context;
+        private readonly SalesService _salesService;
+
+        public SalesServicePageTests()
+        {
+            _database = new SqliteTestDatabase();
+            _context = _database.CreateContext();
+
+            var unitOfWork = new UnitOfWork(_context);
+            var inventoryService = new InventoryService(unitOfWork, new Mock<ILogger<InventoryService>>().Object);
+            var configuration = new ConfigurationBuilder().Build();
+            _salesService = new SalesService(unitOfWork, new Mock<ILogger<SalesService>>().Object, inventoryService, configuration);
+        }
+
+        public void Dispose()
+        {
+            _context.Dispose();
+            _database.Dispose();
+        }
+
+        private Product AddProduct(string sku, bool isDeleted = false)
+        {
+            var product = new Product
+            {
+                Name = $"產品 {sku}",
+                SKU = sku,
+                Category = "測試",
+                Price = 100m,
+                CostPrice = 80m,
+                IsDeleted = isDeleted
+            };
+            _context.Products.Add(product);
+            _context.SaveChanges();
+            return product;
+        }
+
+        private Sale AddSale(int productId, int quantity, string customerName = "測試客戶")
+        {
+            var sale = new Sale { ProductId = productId, Quantity = quantity, UnitPrice = 100m, CustomerName = customerName };
+            _context.Sales.Add(sale);
+            _context.SaveChanges();
+            return sale;
+        }
+
+        private static DataGridQuery Query(params (string Key, string Value)[] values) =>
+            DataGridQuery.FromQuery(values.Select(v => new KeyValuePair<string, StringValues>(v.Key, v.Value)));
+
+        [Fact]
+        public async Task GetSalesPageAsync_WithDeletedProduct_ListsSaleWithoutProduct()
+        {
+            // Arrange
+            var product = AddProduct("NOTE-001");
+            var deleted = AddProduct("NOTE-002", isDeleted: true);
+            AddSale(product.Id, 1);
+            AddSale(deleted.Id, 2);
+
+            // Act
+            var page = await _salesService.GetSalesPageAsync(Query());
+
+            // Assert
+            Assert.Equal(2, page.TotalCount);
+            Assert.Equal("NOTE-001", page.Items[0].Product?.SKU);
+            Assert.Null(page.Items[1].Product);
+            Assert.Equal(deleted.Id, page.Items[1].Sale.ProductId);
+        }
+
+        [Fact]
+        public async Task GetSalesPageAsync_SortsTiesById()
+        {
+            // Arrange：數量相同時依 ID 排序，分頁不會重複或遺漏
+            var product = AddProduct("NOTE-001");
+            var sales = Enumerable.Range(1, 5).Select(_ => AddSale(product.Id, 3)).ToList();
+
+            // Act
+            var first = await _salesService.GetSalesPageAsync(Query(("sort", "quantity:desc"), ("pageSize", "3")));
+            var second = await _salesService.GetSalesPageAsync(Query(("sort", "quantity:desc"), ("pageSize", "3"), ("page", "2")));
+
+            // Assert
+            Assert.Equal(sales.Select(s => s.Id), first.Items.Concat(second.Items).Select(r => r.Sale.Id));
+        }
+
+        [Fact]
+        public async Task GetSalesPageAsync_FiltersByCustomerNameAndClampsPage()
+        {
+            // Arrange
+            var product = AddProduct("NOTE-001");
+            AddSale(product.Id, 1, "王小明");
+            var match = AddSale(product.Id, 1, "陳大文");
+
+            // Act：頁碼超過總頁數時回傳最後一頁
+            var page = await _salesService.GetSalesPageAsync(Query(("CustomerName", "大文"), ("page", "9")));
+
+            // Assert
+            Assert.Equal(1, page.Page);
+            Assert.Equal(match.Id, Assert.Single(page.Items).Sale.Id);
+        }
+    }
+}
@@ -0,0 +1,39 @@
+﻿using CioSystem.Data;
+using Microsoft.Data.Sqlite;
+using Microsoft.EntityFrameworkCore;
+
+namespace CioSystem.Tests
+{
+    /// <summary>
+    /// 測試用的 SQLite 記憶體資料庫，套用實際的索引與軟刪除過濾器
+    /// </summary>
+    public sealed class SqliteTestDatabase : IDisposable
+    {
+        private readonly SqliteConnection _connection;
+
+        public SqliteTestDatabase()
+        {
+            _connection = new SqliteConnection("DataSource=:memory:");
+            _connection.Open();
+
+            using var context = CreateContext();
+            context.Database.EnsureCreated();
+        }
+
+        /// <summary>
+        /// 建立連線到同一個記憶體資料庫的新資料庫上下文
+        /// </summary>
+        public CioSystemDbContext CreateContext()
+        {
+            var options = new DbContextOptionsBuilder<CioSystemDbContext>()
+                .UseSqlite(_connection)
+                .Options;
+            return new CioSystemDbContext(options);
+        }
+
+        public void Dispose()
+        {
+            _connection.Dispose();
+        }
+    }
+}
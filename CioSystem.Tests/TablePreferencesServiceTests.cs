@@ -0,0 +1,136 @@
+﻿using System.Text.Json;
+using CioSystem.Web.Services;
+using Microsoft.AspNetCore.Hosting;
+using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Moq;
+using Xunit;
+
+namespace CioSystem.Tests
+{
+    /// <summary>
+    /// 表格版面設定服務單元測試（設定檔的讀寫與損毀保護）
+    /// </summary>
+    public class TablePreferencesServiceTests : IDisposable
+    {
+        private readonly string _contentRoot;
+        private readonly MemoryCache _cache;
+        private readonly TablePreferencesService _service;
+
+        public TablePreferencesServiceTests()
+        {
+            _contentRoot = Path.Combine(Path.GetTempPath(), $"table-preferences-tests-{Guid.NewGuid():N}");
+            Directory.CreateDirectory(_contentRoot);
+
+            var environment = new Mock<IWebHostEnvironment>();
+            environment.Setup(x => x.ContentRootPath).Returns(_contentRoot);
+
+            _cache = new MemoryCache(new MemoryCacheOptions());
+            _service = new TablePreferencesService(
+                new ConfigurationBuilder().Build(),
+                environment.Object,
+                _cache,
+                new Mock<ILogger<TablePreferencesService>>().Object);
+        }
+
+        public void Dispose()
+        {
+            _cache.Dispose();
+            Directory.Delete(_contentRoot, recursive: true);
+        }
+
+        private string PreferencesPath => Path.Combine(_contentRoot, "App_Data", "table-preferences.json");
+
+        private static JsonElement Layout(string json) => JsonDocument.Parse(json).RootElement.Clone();
+
+        [Fact]
+        public async Task SaveAsync_KeepsOtherUsersPreferences()
+        {
+            // Arrange
+            await _service.SaveAsync("alice", "products", Layout(@"{ ""hidden"": [""brand""] }"));
+
+            // Act
+            await _service.SaveAsync("bob", "products", Layout(@"{ ""density"": ""compact"" }"));
+
+            // Assert
+            var alice = await _service.GetAsync("alice", "products");
+            var bob = await _service.GetAsync("bob", "products");
+            Assert.Equal("brand", alice!.Value.GetProperty("hidden")[0].GetString());
+            Assert.Equal("compact", bob!.Value.GetProperty("density").GetString());
+        }
+
+        [Fact]
+        public async Task SaveAsync_WithNullLayout_RemovesOnlyThatTable()
+        {
+            // Arrange
+            await _service.SaveAsync("alice", "products", Layout(@"{ ""density"": ""compact"" }"));
+            await _service.SaveAsync("alice", "sales", Layout(@"{ ""density"": ""normal"" }"));
+
+            // Act
+            await _service.SaveAsync("alice", "products", null);
+
+            // Assert
+            Assert.Null(await _service.GetAsync("alice", "products"));
+            Assert.NotNull(await _service.GetAsync("alice", "sales"));
+        }
+
+        [Fact]
+        public async Task SaveAsync_WithCorruptFile_ThrowsAndKeepsFile()
+        {
+            // Arrange
+            Directory.CreateDirectory(Path.GetDirectoryName(PreferencesPath)!);
+            const string corrupt = @"{ ""alice"": { ""products"": ";
+            await File.WriteAllTextAsync(PreferencesPath, corrupt);
+
+            // Act & Assert
+            await Assert.ThrowsAsync<InvalidOperationException>(
+                () => _service.SaveAsync("bob", "products", Layout(@"{ ""density"": ""compact"" }")));
+            Assert.Equal(corrupt, await File.ReadAllTextAsync(PreferencesPath));
+        }
+
+        [Fact]
+        public async Task SaveAsync_ReplacesFileWithoutLeavingTempFiles()
+        {
+            // Act
+            await _service.SaveAsync("alice", "products", Layout(@"{ ""density"": ""compact"" }"));
+            await _service.SaveAsync("alice", "products", Layout(@"{ ""density"": ""normal"" }"));
+
+            // Assert
+            var files = Directory.GetFiles(Path.GetDirectoryName(PreferencesPath)!);
+            Assert.Equal(new[] { PreferencesPath }, files);
+
+            var stored = JsonDocument.Parse(await File.ReadAllTextAsync(PreferencesPath)).RootElement;
+            Assert.Equal("normal", stored.GetProperty("alice").GetProperty("products").GetProperty("density").GetString());
+        }
+
+        [Fact]
+        public async Task SaveAsync_WithInvalidTableKey_ThrowsArgumentException()
+        {
+            // Act & Assert
+            await Assert.ThrowsAsync<ArgumentException>(
+                () => _service.SaveAsync("alice", "../products", Layout("{}")));
+            Assert.False(File.Exists(PreferencesPath));
+        }
+
+        [Fact]
+        public async Task SaveAsync_OverTableLimit_ThrowsButStillUpdatesExistingTables()
+        {
+            // Arrange
+            for (var i = 0; i < TablePreferencesService.MaxTablesPerUser; i++)
+            {
+                await _service.SaveAsync("alice", $"table-{i}", Layout(@"{ ""density"": ""normal"" }"));
+            }
+
+            // Act & Assert：新增表格被拒絕，既有表格仍可更新，其他使用者不受影響
+            await Assert.ThrowsAsync<ArgumentException>(
+                () => _service.SaveAsync("alice", "one-more", Layout("{}")));
+            await _service.SaveAsync("alice", "table-0", Layout(@"{ ""density"": ""compact"" }"));
+            await _service.SaveAsync("bob", "one-more", Layout("{}"));
+
+            Assert.Null(await _service.GetAsync("alice", "one-more"));
+            Assert.Equal("compact", (await _service.GetAsync("alice", "table-0"))!.Value.GetProperty("density").GetString());
+            Assert.NotNull(await _service.GetAsync("bob", "one-more"));
+        }
+    }
+}
@@ -0,0 +1,140 @@
+﻿/**
+ * 條碼掃描器測試（barcode-scanner.js）
+ * 以 Node 內建測試執行器執行，不需要安裝套件：node --test CioSystem.Tests/js
+ * 掃描器只用到少量 DOM API，這裡以 EventTarget 模擬 document 與產品下拉選單
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SCRIPT_PATH = path.join(__dirname, '..', '..', 'CioSystem.Web', 'wwwroot', 'js', 'barcode-scanner.js');
+
+const PRODUCTS = {
+    'NOTE-007': { id: 7, name: '筆記本', sku: 'NOTE-007' }
+};
+
+/**
+ * 建立模擬的產品下拉選單
+ */
+function createSelect(values) {
+    const select = new EventTarget();
+    select.options = values.map(value => ({ value }));
+    select.value = '';
+    select.offsetWidth = 0;
+    select.classList = { add() {}, remove() {} };
+    select.changes = [];
+    select.addEventListener('change', () => select.changes.push(select.value));
+    return select;
+}
+
+/**
+ * 在獨立的環境中載入掃描器，回傳模擬的頁面與呼叫紀錄
+ */
+function loadScanner() {
+    const select = createSelect(['', '3', '7']);
+    const form = {};
+    const document = new EventTarget();
+    document.querySelector = selector => {
+        if (selector === '[data-scanner]') return form;
+        if (selector.includes('select[data-scanner-select]')) return select;
+        return null;
+    };
+
+    const requests = [];
+    const toasts = [];
+    const context = {
+        document,
+        Event,
+        CustomEvent,
+        performance,
+        setTimeout,
+        console,
+        HttpClient: {
+            get(url) {
+                requests.push(url);
+                const code = decodeURIComponent(url.split('code=')[1]);
+                const product = PRODUCTS[code];
+                return product ? Promise.resolve(product) : Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }));
+            },
+            isAbortError: () => false
+        },
+        ToastManager: {
+            warning: message => toasts.push(message),
+            error: message => toasts.push(message)
+        },
+        FrontendConfig: { scanner: { sound: false } }
+    };
+    context.window = context;
+
+    const source = fs.readFileSync(SCRIPT_PATH, 'utf8').replace(/^\uFEFF/, '');
+    vm.runInNewContext(source, context, { filename: SCRIPT_PATH });
+
+    return { document, select, requests, toasts };
+}
+
+/**
+ * 送出一個按鍵事件（timeStamp 模擬按鍵間隔）
+ */
+function keydown(document, key, timeStamp) {
+    const event = new Event('keydown', { cancelable: true });
+    Object.defineProperty(event, 'key', { value: key });
+    Object.defineProperty(event, 'timeStamp', { value: timeStamp });
+    document.dispatchEvent(event);
+    return event;
+}
+
+/**
+ * 依固定間隔輸入整串按鍵後按下 Enter，回傳 Enter 的事件
+ */
+function type(document, text, interval) {
+    let time = 1000;
+    for (const key of text) {
+        keydown(document, key, time);
+        time += interval;
+    }
+    return keydown(document, 'Enter', time);
+}
+
+function flushPromises() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+test('快速按鍵串加 Enter 視為掃描並選取查到的產品', async () => {
+    const { document, select, requests, toasts } = loadScanner();
+
+    const enter = type(document, 'NOTE-007', 10);
+    await flushPromises();
+
+    assert.strictEqual(enter.defaultPrevented, true);
+    assert.deepStrictEqual(requests, ['/Products/FindBySku?code=NOTE-007']);
+    assert.strictEqual(select.value, '7');
+    assert.deepStrictEqual(select.changes, ['7']);
+    assert.deepStrictEqual(toasts, []);
+});
+
+test('一般速度輸入不視為掃描', async () => {
+    const { document, select, requests } = loadScanner();
+
+    const enter = type(document, 'NOTE-007', 200);
+    await flushPromises();
+
+    assert.strictEqual(enter.defaultPrevented, false);
+    assert.deepStrictEqual(requests, []);
+    assert.strictEqual(select.value, '');
+});
+
+test('查無產品時提示且不變更選取', async () => {
+    const { document, select, requests, toasts } = loadScanner();
+
+    type(document, 'NOTE-404', 10);
+    await flushPromises();
+
+    assert.deepStrictEqual(requests, ['/Products/FindBySku?code=NOTE-404']);
+    assert.strictEqual(select.value, '');
+    assert.deepStrictEqual(toasts, ['找不到產品編號「NOTE-404」']);
+});
@@ -0,0 +1,64 @@
+/**
+ * 數字輸入元件測試（numeric-input.js）
+ * 以 Node 內建測試執行器執行，不需要安裝套件：node --test CioSystem.Tests/js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SCRIPT_PATH = path.join(__dirname, '..', '..', 'CioSystem.Web', 'wwwroot', 'js', 'numeric-input.js');
+
+/**
+ * 在獨立的環境中載入元件（頁面上沒有 data-numeric 欄位）
+ */
+function loadNumericInput() {
+    const document = new EventTarget();
+    document.readyState = 'complete';
+    document.documentElement = { lang: 'zh-TW' };
+    document.querySelectorAll = () => [];
+
+    const context = { document, Event, console };
+    context.window = context;
+
+    const source = fs.readFileSync(SCRIPT_PATH, 'utf8').replace(/^\uFEFF/, '');
+    vm.runInNewContext(source, context, { filename: SCRIPT_PATH });
+    return context.NumericInput;
+}
+
+/**
+ * 建立模擬的輸入框
+ */
+function createInput(value, attributes = {}) {
+    return {
+        value,
+        dataset: {},
+        getAttribute: name => attributes[name] ?? null
+    };
+}
+
+test('正規化全形數字、千分位與貨幣符號', () => {
+    const NumericInput = loadNumericInput();
+
+    assert.strictEqual(NumericInput.normalize('NT$ １,２００.５'), '1200.5');
+    assert.strictEqual(NumericInput.normalize('-1,234'), '-1234');
+    assert.strictEqual(NumericInput.normalize('12.'), '12.');
+});
+
+test('多個小數點不合併成其他數字', () => {
+    const NumericInput = loadNumericInput();
+
+    assert.strictEqual(NumericInput.normalize('1.2.3'), null);
+    assert.strictEqual(NumericInput.normalize('1,000.5.'), null);
+});
+
+test('多個小數點的輸入框數值為 NaN', () => {
+    const NumericInput = loadNumericInput();
+
+    assert.ok(Number.isNaN(NumericInput.valueOf(createInput('1.2.3', { step: '0.01' }))));
+    assert.strictEqual(NumericInput.valueOf(createInput('1,200.50', { step: '0.01' })), 1200.5);
+});
@@ -7,6 +7,7 @@ using CioSystem.Web.Hubs;
 using System.Security.Claims;
 using Microsoft.AspNetCore.Authentication;
 using Microsoft.AspNetCore.Authentication.Cookies;
+using Microsoft.AspNetCore.Antiforgery;
 
 namespace CioSystem.Web.Controllers
 {
@@ -205,6 +206,18 @@ namespace CioSystem.Web.Controllers
             }
         }
 
+        /// <summary>
+        /// 取得新的防偽權杖 (AJAX)
+        /// 權杖輪替（例如重新登入）後，前端共用請求層以此刷新權杖
+        /// </summary>
+        [HttpGet]
+        public IActionResult AntiforgeryToken([FromServices] IAntiforgery antiforgery)
+        {
+            var tokens = antiforgery.GetAndStoreTokens(HttpContext);
+            Response.Headers.CacheControl = "no-store";
+            return Json(new { token = tokens.RequestToken, headerName = tokens.HeaderName });
+        }
+
         #region 私有方法
 
         // 使用 BaseController 的登入驗證與使用者資訊取得，避免覆蓋造成判斷不一致
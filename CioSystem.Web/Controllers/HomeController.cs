@@ -9,14 +9,21 @@ namespace CioSystem.Web.Controllers;
 [Authorize]
 public class HomeController : BaseController
 {
+    // 全站搜尋每類結果的筆數上限
+    private const int MaxSearchLimit = 20;
+
     private readonly IProductService _productService;
     private readonly IInventoryService _inventoryService;
+    private readonly ISalesService _salesService;
+    private readonly IPurchasesService _purchasesService;
 
-    public HomeController(ILogger<HomeController> logger, IProductService productService, IInventoryService inventoryService)
+    public HomeController(ILogger<HomeController> logger, IProductService productService, IInventoryService inventoryService, ISalesService salesService, IPurchasesService purchasesService)
         : base(logger)
     {
         _productService = productService;
         _inventoryService = inventoryService;
+        _salesService = salesService;
+        _purchasesService = purchasesService;
     }
 
     public async Task<IActionResult> Index()
@@ -39,6 +46,91 @@ public class HomeController : BaseController
         }
     }
 
+    /// <summary>
+    /// 全站搜尋 (AJAX)：依關鍵字搜尋產品、銷售與進貨，結果依類別分組
+    /// </summary>
+    /// <param name="q">搜尋關鍵字</param>
+    /// <param name="limit">每類最多筆數</param>
+    /// <returns>{ query, groups: [{ type, title, url, totalCount, items: [{ id, title, subtitle, url }] }] } JSON</returns>
+    [HttpGet]
+    public async Task<IActionResult> Search(string? q, int limit = 5)
+    {
+        var term = q?.Trim() ?? string.Empty;
+        if (term.Length == 0)
+        {
+            return Json(new { query = term, groups = Array.Empty<object>() });
+        }
+
+        limit = Math.Clamp(limit, 1, MaxSearchLimit);
+
+        try
+        {
+            // 每類只取 limit 筆；各服務共用同一個 DbContext，查詢必須依序等待，不可並行
+            var (products, productCount) = await _productService.QuickSearchProductsAsync(term, limit);
+            var (sales, saleCount) = await _salesService.QuickSearchSalesAsync(term, limit);
+            var (purchases, purchaseCount) = await _purchasesService.QuickSearchPurchasesAsync(term, limit);
+
+            // 只載入本次結果用到的產品名稱
+            var labelIds = sales.Select(s => s.ProductId).Concat(purchases.Select(p => p.ProductId));
+            var productsById = (await _productService.GetProductsByIdsAsync(labelIds)).ToDictionary(p => p.Id);
+            string ProductLabel(int productId) => productsById.TryGetValue(productId, out var product) ? $"{product.Name} ({product.SKU})" : $"產品 #{productId}";
+
+            var encoded = Uri.EscapeDataString(term);
+            var groups = new[]
+            {
+                new
+                {
+                    type = "products",
+                    title = "產品",
+                    url = $"{Url.Action("Index", "Products")}?q={encoded}",
+                    totalCount = productCount,
+                    items = products.Select(p => new
+                    {
+                        id = p.Id,
+                        title = p.Name,
+                        subtitle = string.Join(" · ", new[] { p.SKU, p.Brand, p.Category }.Where(s => !string.IsNullOrEmpty(s))),
+                        url = Url.Action("Details", "Products", new { id = p.Id })
+                    }).ToList()
+                },
+                new
+                {
+                    type = "sales",
+                    title = "銷售",
+                    url = $"{Url.Action("Index", "Sales")}?q={encoded}",
+                    totalCount = saleCount,
+                    items = sales.Select(s => new
+                    {
+                        id = s.Id,
+                        title = $"#{s.Id} {s.CustomerName}",
+                        subtitle = $"{ProductLabel(s.ProductId)} × {s.Quantity} · {s.CreatedAt:yyyy-MM-dd}",
+                        url = Url.Action("Details", "Sales", new { id = s.Id })
+                    }).ToList()
+                },
+                new
+                {
+                    type = "purchases",
+                    title = "進貨",
+                    url = $"{Url.Action("Index", "Purchases")}?q={encoded}",
+                    totalCount = purchaseCount,
+                    items = purchases.Select(p => new
+                    {
+                        id = p.Id,
+                        title = $"#{p.Id} {p.Supplier}",
+                        subtitle = $"{ProductLabel(p.ProductId)} × {p.Quantity} · {p.CreatedAt:yyyy-MM-dd}",
+                        url = Url.Action("Details", "Purchases", new { id = p.Id })
+                    }).ToList()
+                }
+            };
+
+            return Json(new { query = term, groups = groups.Where(g => g.totalCount > 0) });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "全站搜尋時發生錯誤: Query={Query}", term);
+            return StatusCode(500, new { error = "搜尋時發生錯誤" });
+        }
+    }
+
     public IActionResult Privacy()
     {
         return View();
@@ -1,23 +1,17 @@
 ﻿using CioSystem.Models;
 using CioSystem.Services;
+using CioSystem.Services.DataGrid;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.AspNetCore.Mvc.Rendering;
 using Microsoft.Extensions.Logging;
 using System.Linq;
 using Microsoft.AspNetCore.SignalR;
 using CioSystem.Web.Hubs;
+using CioSystem.Web.Filters;
+using CioSystem.Web.Models;
 
 namespace CioSystem.Web.Controllers
 {
-    /// <summary>
-    /// 庫存與產品的組合 ViewModel
-    /// </summary>
-    public class InventoryWithProduct
-    {
-        public Inventory Inventory { get; set; } = null!;
-        public Product? Product { get; set; }
-    }
-
     /// <summary>
     /// 庫存管理控制器
     /// 提供庫存相關的 Web 介面
@@ -43,45 +37,22 @@ namespace CioSystem.Web.Controllers
         }
 
         /// <summary>
-        /// 庫存列表頁面
+        /// 庫存列表頁面（列表由 DataGrid 透過 Data 動作載入，模型為產品清單供篩選與異動追蹤使用）
         /// </summary>
-        /// <param name="page">頁碼</param>
-        /// <param name="pageSize">每頁大小</param>
-        /// <param name="productId">產品 ID</param>
-        /// <param name="productSKU">產品編號</param>
-        /// <param name="status">狀態</param>
         /// <returns>庫存列表視圖</returns>
-        public async Task<IActionResult> Index(int page = 1, int pageSize = 10, int? productId = null, string? productSKU = null, InventoryStatus? status = null)
+        public async Task<IActionResult> Index()
         {
             try
             {
-                _logger.LogInformation("顯示庫存列表頁面: Page={Page}, PageSize={PageSize}, ProductId={ProductId}, ProductSKU={ProductSKU}, Status={Status}",
-                    page, pageSize, productId, productSKU, status);
+                _logger.LogInformation("顯示庫存列表頁面");
 
                 // ✅ 優化：使用快取的統計資料，避免重複查詢
-                var statisticsTask = _inventoryService.GetInventoryStatisticsAsync();
-
-                // ✅ 優化：直接使用分頁查詢，避免記憶體分頁
-                var inventoryTask = _inventoryService.GetInventoryPagedAsync(page, pageSize, productId, productSKU, status);
-
-                // 並行執行查詢
-                await Task.WhenAll(statisticsTask, inventoryTask);
-                var statistics = await statisticsTask;
-                var inventory = await inventoryTask;
-
-                ViewBag.CurrentPage = page;
-                ViewBag.PageSize = pageSize;
-                ViewBag.ProductId = productId;
-                ViewBag.ProductSKU = productSKU;
-                ViewBag.Status = status;
-                var totalCount = inventory.TotalCount;
-                ViewBag.TotalCount = totalCount;
-                ViewBag.TotalPages = (int)Math.Ceiling((double)totalCount / pageSize);
+                // 服務共用同一個 DbContext，查詢必須依序等待
+                var statistics = await _inventoryService.GetInventoryStatisticsAsync();
 
                 // ✅ 優化：使用快取的產品清單
                 var products = await _productService.GetAllProductsAsync();
                 products ??= new List<Product>();
-                ViewBag.Products = products;
 
                 // ✅ 優化：使用預計算的統計資料
                 ViewBag.TotalInventoryItems = statistics.TotalItems;
@@ -90,26 +61,47 @@ namespace CioSystem.Web.Controllers
                 ViewBag.OutOfStockInventory = statistics.UnavailableItems;
                 ViewBag.ExcessInventory = 0; // 暫時設為0，需要根據實際業務邏輯實現
 
-                // 創建一個包含產品信息的庫存列表
-                var inventoryWithProducts = new List<InventoryWithProduct>();
-                var pagedInventory = inventory.Inventory ?? Enumerable.Empty<Inventory>();
-                foreach (var inv in pagedInventory.OrderBy(x => x.Id))
-                {
-                    var product = products.FirstOrDefault(p => p.Id == inv.ProductId);
-                    inventoryWithProducts.Add(new InventoryWithProduct
-                    {
-                        Inventory = inv,
-                        Product = product
-                    });
-                }
-
-                return View(inventoryWithProducts);
+                return View(products.OrderBy(p => p.Name).ToList());
             }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "取得庫存列表時發生錯誤");
                 TempData["ErrorMessage"] = "載入庫存列表時發生錯誤，請稍後再試。";
-                return View(new List<InventoryWithProduct>());
+                return View(new List<Product>());
+            }
+        }
+
+        /// <summary>
+        /// 庫存列表資料 (DataGrid)
+        /// 查詢參數：page、pageSize、sort、q，以及 productId、productSKU、status、type 欄位篩選
+        /// </summary>
+        /// <returns>分頁庫存 JSON</returns>
+        [HttpGet]
+        public async Task<IActionResult> Data()
+        {
+            var query = DataGridQuery.FromQuery(Request.Query);
+            try
+            {
+                var page = await _inventoryService.GetInventoryPageAsync(query);
+                var result = page.Map(r => new
+                {
+                    id = r.Inventory.Id,
+                    productId = r.Inventory.ProductId,
+                    productName = r.Product?.Name,
+                    productSku = r.Inventory.ProductSKU ?? r.Product?.SKU,
+                    quantity = r.Inventory.Quantity,
+                    safetyStock = r.Inventory.SafetyStock,
+                    reservedQuantity = r.Inventory.ReservedQuantity,
+                    status = r.Inventory.Status.ToString(),
+                    type = r.Inventory.Type.ToString()
+                });
+
+                return Json(result);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "取得庫存列表資料時發生錯誤: Page={Page}, PageSize={PageSize}, Search={Search}", query.Page, query.PageSize, query.Search);
+                return StatusCode(500, new { error = "取得庫存列表時發生錯誤" });
             }
         }
 
@@ -140,6 +132,7 @@ namespace CioSystem.Web.Controllers
         /// <returns>重定向到庫存列表或顯示錯誤</returns>
         [HttpPost]
         [ValidateAntiForgeryToken]
+        [Idempotent]
         public async Task<IActionResult> Create([Bind("ProductId,Quantity,ProductSKU,SafetyStock,ReservedQuantity,Status,Type,ProductionDate,Notes")] Inventory inventory)
         {
             if (!ModelState.IsValid)
@@ -340,6 +333,7 @@ namespace CioSystem.Web.Controllers
         /// <returns>重定向到庫存列表或編輯頁面</returns>
         [HttpPost]
         [ValidateAntiForgeryToken]
+        [Idempotent]
         public async Task<IActionResult> Edit(int id, [Bind("Id,ProductId,Quantity,ProductSKU,SafetyStock,ReservedQuantity,Status,Type,Notes,EmployeeRetention")] Inventory inventory)
         {
             if (id != inventory.Id)
@@ -18,6 +18,9 @@ namespace CioSystem.Web.Controllers
         private readonly IStructuredLoggingService _loggingService;
         private readonly ILogger<MonitoringController> _logger;
 
+        // 單次批次最多接受的事件數量
+        private const int MaxEventBatchSize = 50;
+
         public MonitoringController(
             IAdvancedMonitoringService monitoringService,
             IStructuredLoggingService loggingService,
@@ -76,6 +79,35 @@ namespace CioSystem.Web.Controllers
             }
         }
 
+        /// <summary>
+        /// 取得前端 Web Vitals 統計
+        /// </summary>
+        /// <param name="startTime">開始時間</param>
+        /// <param name="endTime">結束時間</param>
+        /// <returns>Web Vitals 統計</returns>
+        [HttpGet("web-vitals")]
+        public async Task<ActionResult<WebVitalsStatistics>> GetWebVitalsStatistics(
+            [FromQuery] DateTime? startTime = null,
+            [FromQuery] DateTime? endTime = null)
+        {
+            try
+            {
+                var timeRange = new CioSystem.Services.Monitoring.TimeRange
+                {
+                    Start = startTime ?? DateTime.UtcNow.AddHours(-24),
+                    End = endTime ?? DateTime.UtcNow
+                };
+
+                var statistics = await _monitoringService.GetWebVitalsStatisticsAsync(timeRange);
+                return Ok(statistics);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "取得 Web Vitals 統計時發生錯誤");
+                return StatusCode(500, "取得 Web Vitals 統計時發生內部錯誤");
+            }
+        }
+
         /// <summary>
         /// 取得錯誤統計
         /// </summary>
@@ -193,6 +225,34 @@ namespace CioSystem.Web.Controllers
             }
         }
 
+        /// <summary>
+        /// 批次記錄自定義事件（前端錯誤回報以 sendBeacon 送出）
+        /// </summary>
+        /// <param name="requests">事件請求清單</param>
+        /// <returns>操作結果</returns>
+        [HttpPost("events/batch")]
+        public async Task<ActionResult> RecordEvents([FromBody] List<EventRequest> requests)
+        {
+            try
+            {
+                if (requests == null || requests.Count == 0)
+                {
+                    return BadRequest("事件清單不可為空");
+                }
+
+                foreach (var request in requests.Take(MaxEventBatchSize))
+                {
+                    await _monitoringService.RecordEventAsync(request.EventName, request.Properties, request.Metrics);
+                }
+                return Ok();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "批次記錄自定義事件時發生錯誤");
+                return StatusCode(500, "批次記錄自定義事件時發生內部錯誤");
+            }
+        }
+
         /// <summary>
         /// 記錄用戶行為
         /// </summary>
@@ -1,7 +1,14 @@
 ﻿using CioSystem.Models;
 using CioSystem.Services;
+using CioSystem.Services.DataGrid;
+using CioSystem.Web.Filters;
+using CioSystem.Web.Models;
+using CioSystem.Web.Services;
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.WebUtilities;
 using Microsoft.Extensions.Logging;
+using System.Text.RegularExpressions;
 
 namespace CioSystem.Web.Controllers
 {
@@ -11,15 +18,36 @@ namespace CioSystem.Web.Controllers
     /// </summary>
     public class ProductsController : Controller
     {
+        private const string DefaultSkuPattern = "^[A-Z0-9]+(-[A-Z0-9]+)*$";
+        private const string DefaultSkuPatternMessage = "產品編號只能包含大寫英文字母、數字與連字號，例如 NOTE-001";
+
+        // 批次刪除與調整售價只允許管理員（角色名稱沿用用戶資料中的「管理員」）
+        private static readonly string[] AdminRoles = { "管理員", "Admin" };
+        private static readonly string[] AdminBulkActions = { "delete", "price" };
+
         private readonly IProductService _productService;
+        private readonly IProductBulkService _productBulkService;
+        private readonly IConfiguration _configuration;
         private readonly ILogger<ProductsController> _logger;
 
-        public ProductsController(IProductService productService, ILogger<ProductsController> logger)
+        public ProductsController(IProductService productService, IProductBulkService productBulkService, IConfiguration configuration, ILogger<ProductsController> logger)
         {
             _productService = productService ?? throw new ArgumentNullException(nameof(productService));
+            _productBulkService = productBulkService ?? throw new ArgumentNullException(nameof(productBulkService));
+            _configuration = configuration ?? throw new ArgumentNullException(nameof(configuration));
             _logger = logger ?? throw new ArgumentNullException(nameof(logger));
         }
 
+        /// <summary>
+        /// 產品編號格式（可於 appsettings 的 Products:SkuPattern 設定）
+        /// </summary>
+        private string SkuPattern => _configuration["Products:SkuPattern"] ?? DefaultSkuPattern;
+
+        /// <summary>
+        /// 產品編號格式不符時的訊息（可於 appsettings 的 Products:SkuPatternMessage 設定）
+        /// </summary>
+        private string SkuPatternMessage => _configuration["Products:SkuPatternMessage"] ?? DefaultSkuPatternMessage;
+
         /// <summary>
         /// 取得產品資訊 (AJAX)
         /// </summary>
@@ -54,41 +82,60 @@ namespace CioSystem.Web.Controllers
         }
 
         /// <summary>
-        /// 產品列表頁面
+        /// 產品列表頁面（列表由 DataGrid 透過 Data 動作載入，模型為統計卡片使用的產品統計）
         /// </summary>
-        /// <param name="page">頁碼</param>
-        /// <param name="pageSize">每頁大小</param>
-        /// <param name="searchTerm">搜尋關鍵字</param>
-        /// <param name="category">產品分類</param>
         /// <returns>產品列表視圖</returns>
-        public async Task<IActionResult> Index(int page = 1, int pageSize = 25, string? searchTerm = null, string? category = null, ProductStatus? status = null)
+        public async Task<IActionResult> Index()
         {
             try
             {
-                _logger.LogInformation("顯示產品列表頁面: Page={Page}, PageSize={PageSize}, SearchTerm={SearchTerm}, Category={Category}",
-                    page, pageSize, searchTerm, category);
-
-                // ✅ 優化：使用快取的產品分頁查詢
-                var (products, totalCount) = await _productService.GetProductsPagedAsync(page, pageSize, searchTerm, category, status);
-
-                _logger.LogInformation("產品查詢結果: Count={Count}, TotalCount={TotalCount}",
-                    products?.Count() ?? 0, totalCount);
+                _logger.LogInformation("顯示產品列表頁面");
 
-                ViewBag.CurrentPage = page;
-                ViewBag.PageSize = pageSize;
-                ViewBag.TotalCount = totalCount;
-                ViewBag.TotalPages = (int)Math.Ceiling((double)totalCount / pageSize);
-                ViewBag.SearchTerm = searchTerm;
-                ViewBag.Category = category;
-                ViewBag.Status = status;
-
-                return View(products);
+                var statistics = await _productService.GetProductStatisticsAsync();
+                return View(statistics);
             }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "取得產品列表時發生錯誤");
                 TempData["ErrorMessage"] = "取得產品列表時發生錯誤。";
-                return View(Enumerable.Empty<Product>());
+                return View(new ProductStatistics());
+            }
+        }
+
+        /// <summary>
+        /// 產品列表資料 (DataGrid)
+        /// 查詢參數：page、pageSize、sort、q，以及 sku、name、category、brand、color、status 欄位篩選
+        /// </summary>
+        /// <returns>分頁產品 JSON</returns>
+        [HttpGet]
+        public async Task<IActionResult> Data()
+        {
+            var query = DataGridQuery.FromQuery(Request.Query, defaultPageSize: 25);
+            try
+            {
+                var page = await _productService.GetProductsPageAsync(query);
+                var result = page.Map(p => new
+                {
+                    id = p.Id,
+                    sku = p.SKU,
+                    name = p.Name,
+                    category = p.Category,
+                    brand = p.Brand,
+                    color = p.Color,
+                    dimensions = p.Dimensions,
+                    costPrice = p.CostPrice,
+                    price = p.Price,
+                    profit = p.Price - p.CostPrice,
+                    profitMargin = p.CostPrice > 0 ? Math.Round((p.Price - p.CostPrice) / p.CostPrice * 100, 1) : 0,
+                    status = p.Status.ToString()
+                });
+
+                return Json(result);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "取得產品列表資料時發生錯誤: Page={Page}, PageSize={PageSize}, Search={Search}", query.Page, query.PageSize, query.Search);
+                return StatusCode(500, new { error = "取得產品列表時發生錯誤" });
             }
         }
 
@@ -118,6 +165,7 @@ namespace CioSystem.Web.Controllers
         /// <returns>新增產品視圖</returns>
         public IActionResult Create()
         {
+            SetSkuRules();
             return View();
         }
 
@@ -128,8 +176,11 @@ namespace CioSystem.Web.Controllers
         /// <returns>重定向到產品列表或顯示錯誤</returns>
         [HttpPost]
         [ValidateAntiForgeryToken]
+        [Idempotent]
         public async Task<IActionResult> Create([Bind("Name,Description,CostPrice,Price,Category,SKU,Brand,Color,Dimensions,MinStockLevel,ImageUrl,Notes,Status")] Product product)
         {
+            await ValidateSkuAsync(product.SKU, null, null);
+
             if (ModelState.IsValid)
             {
                 try
@@ -155,6 +206,7 @@ namespace CioSystem.Web.Controllers
                     TempData["ErrorMessage"] = "創建產品時發生內部錯誤。";
                 }
             }
+            SetSkuRules();
             return View(product);
         }
 
@@ -175,6 +227,7 @@ namespace CioSystem.Web.Controllers
             {
                 return NotFound();
             }
+            SetSkuRules();
             return View(product);
         }
 
@@ -186,6 +239,7 @@ namespace CioSystem.Web.Controllers
         /// <returns>重定向到產品列表或顯示錯誤</returns>
         [HttpPost]
         [ValidateAntiForgeryToken]
+        [Idempotent]
         public async Task<IActionResult> Edit(int id, [Bind("Id,Name,Description,CostPrice,Price,Category,SKU,Brand,Color,Dimensions,MinStockLevel,ImageUrl,Notes,Status,CreatedAt,CreatedBy,UpdatedAt,UpdatedBy,IsDeleted")] Product product)
         {
             if (id != product.Id)
@@ -193,6 +247,10 @@ namespace CioSystem.Web.Controllers
                 return NotFound();
             }
 
+            // 沿用原本的產品編號時不檢查格式，避免舊資料無法儲存
+            var originalSku = (await _productService.GetProductByIdAsync(id))?.SKU;
+            await ValidateSkuAsync(product.SKU, id, originalSku);
+
             if (ModelState.IsValid)
             {
                 try
@@ -208,6 +266,7 @@ namespace CioSystem.Web.Controllers
                     else
                     {
                         TempData["ErrorMessage"] = "更新產品失敗。";
+                        SetSkuRules();
                         return View(product);
                     }
                 }
@@ -233,6 +292,7 @@ namespace CioSystem.Web.Controllers
                     TempData["ErrorMessage"] = "更新產品時發生內部錯誤。";
                 }
             }
+            SetSkuRules();
             return View(product);
         }
 
@@ -292,6 +352,112 @@ namespace CioSystem.Web.Controllers
             }
         }
 
+        /// <summary>
+        /// 預覽批次操作 (AJAX)
+        /// </summary>
+        /// <param name="request">操作與選取的產品</param>
+        /// <returns>變更前後的值與會失敗的產品 JSON</returns>
+        [HttpPost]
+        [Authorize]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> BulkPreview([FromBody] ProductBulkRequest request)
+        {
+            if (!CanRunBulkAction(request))
+            {
+                return StatusCode(StatusCodes.Status403Forbidden, new { message = "只有管理員可以批次刪除或調整售價" });
+            }
+
+            try
+            {
+                var products = await GetBulkTargetsAsync(request);
+                return Json(_productBulkService.Preview(products, request));
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { message = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "預覽產品批次操作時發生錯誤: Action={Action}", request?.Action);
+                return StatusCode(500, new { message = "預覽批次操作時發生內部錯誤" });
+            }
+        }
+
+        /// <summary>
+        /// 套用批次操作 (AJAX)
+        /// </summary>
+        /// <param name="request">操作與選取的產品</param>
+        /// <returns>成功筆數、失敗原因與復原代碼 JSON</returns>
+        [HttpPost]
+        [Authorize]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> BulkApply([FromBody] ProductBulkRequest request)
+        {
+            var userName = User.Identity?.Name;
+            if (string.IsNullOrEmpty(userName))
+            {
+                return Unauthorized(new { message = "無法識別目前使用者，請重新登入" });
+            }
+            if (!CanRunBulkAction(request))
+            {
+                return StatusCode(StatusCodes.Status403Forbidden, new { message = "只有管理員可以批次刪除或調整售價" });
+            }
+
+            try
+            {
+                var products = await GetBulkTargetsAsync(request);
+                var result = await _productBulkService.ApplyAsync(products, request, userName);
+                return Json(result);
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { message = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "套用產品批次操作時發生錯誤: Action={Action}", request?.Action);
+                return StatusCode(500, new { message = "套用批次操作時發生內部錯誤" });
+            }
+        }
+
+        /// <summary>
+        /// 復原批次操作 (AJAX)
+        /// </summary>
+        /// <param name="request">BulkApply 回傳的復原代碼</param>
+        /// <returns>還原筆數與失敗原因 JSON</returns>
+        [HttpPost]
+        [Authorize]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> BulkUndo([FromBody] ProductBulkUndoRequest request)
+        {
+            if (string.IsNullOrWhiteSpace(request?.Token))
+            {
+                return BadRequest(new { message = "缺少復原代碼" });
+            }
+
+            // 復原代碼只屬於套用批次操作的使用者，以實際登入者比對並記錄
+            var userName = User.Identity?.Name;
+            if (string.IsNullOrEmpty(userName))
+            {
+                return Unauthorized(new { message = "無法識別目前使用者，請重新登入" });
+            }
+
+            try
+            {
+                var result = await _productBulkService.UndoAsync(request.Token, userName);
+                return Json(result);
+            }
+            catch (InvalidOperationException ex)
+            {
+                return BadRequest(new { message = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "復原產品批次操作時發生錯誤");
+                return StatusCode(500, new { message = "復原批次操作時發生內部錯誤" });
+            }
+        }
+
         /// <summary>
         /// 取得產品統計資料 (AJAX)
         /// </summary>
@@ -330,6 +496,7 @@ namespace CioSystem.Web.Controllers
                 {
                     id = p.Id,
                     name = p.Name,
+                    sku = p.SKU,
                     price = p.Price,
                     category = p.Category
                 });
@@ -341,5 +508,213 @@ namespace CioSystem.Web.Controllers
                 return StatusCode(500, "搜尋產品時發生內部錯誤");
             }
         }
+
+        /// <summary>
+        /// 依產品編號（條碼）查詢產品 (AJAX)
+        /// </summary>
+        /// <param name="code">掃描或輸入的產品編號</param>
+        /// <returns>產品資訊 JSON；找不到時回傳 404</returns>
+        [HttpGet]
+        public async Task<IActionResult> FindBySku(string? code)
+        {
+            code = code?.Trim() ?? string.Empty;
+            if (string.IsNullOrEmpty(code))
+            {
+                return BadRequest(new { message = "產品編號不能為空" });
+            }
+
+            try
+            {
+                // 條碼標籤可能是小寫，找不到時再以大寫比對
+                var product = await _productService.GetProductBySkuAsync(code)
+                    ?? await _productService.GetProductBySkuAsync(code.ToUpperInvariant());
+                if (product == null)
+                {
+                    return NotFound(new { message = $"找不到產品編號「{code}」" });
+                }
+
+                return Json(new
+                {
+                    id = product.Id,
+                    name = product.Name,
+                    sku = product.SKU,
+                    price = product.Price,
+                    costPrice = product.CostPrice,
+                    status = product.Status.ToString()
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "依產品編號查詢產品時發生錯誤: Code={Code}", code);
+                return StatusCode(500, "查詢產品時發生內部錯誤");
+            }
+        }
+
+        /// <summary>
+        /// 檢查產品編號格式與是否已被使用 (AJAX)
+        /// </summary>
+        /// <param name="sku">產品編號</param>
+        /// <param name="id">編輯中的產品 ID（新增時為空）</param>
+        /// <returns>{ valid, message, product, suggestion } JSON</returns>
+        [HttpGet]
+        public async Task<IActionResult> CheckSku(string? sku, int? id)
+        {
+            sku = sku?.Trim() ?? string.Empty;
+
+            try
+            {
+                if (string.IsNullOrEmpty(sku))
+                {
+                    return Json(new { valid = false, message = "產品編號不能為空" });
+                }
+
+                var current = id.HasValue ? await _productService.GetProductByIdAsync(id.Value) : null;
+                if (current != null && string.Equals(current.SKU, sku, StringComparison.OrdinalIgnoreCase))
+                {
+                    return Json(new { valid = true });
+                }
+
+                if (!IsValidSkuFormat(sku))
+                {
+                    return Json(new { valid = false, message = SkuPatternMessage });
+                }
+
+                var existing = await _productService.GetProductBySkuAsync(sku);
+                if (existing != null && existing.Id == id)
+                {
+                    return Json(new { valid = true });
+                }
+
+                if (existing == null)
+                {
+                    // 已刪除的產品仍佔用產品編號（唯一索引包含已刪除的產品）
+                    if (!await _productService.SkuExistsAsync(sku, id))
+                    {
+                        return Json(new { valid = true });
+                    }
+
+                    return Json(new
+                    {
+                        valid = false,
+                        message = "產品編號已被已刪除的產品使用",
+                        deleted = true,
+                        suggestion = await _productService.SuggestNextSkuAsync(sku)
+                    });
+                }
+
+                var suggestion = await _productService.SuggestNextSkuAsync(sku);
+                return Json(new
+                {
+                    valid = false,
+                    message = $"產品編號已被「{existing.Name}」使用",
+                    product = new
+                    {
+                        id = existing.Id,
+                        name = existing.Name,
+                        url = Url.Action(nameof(Details), new { id = existing.Id })
+                    },
+                    suggestion
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "檢查產品編號時發生錯誤: SKU={SKU}", sku);
+                return StatusCode(500, "檢查產品編號時發生內部錯誤");
+            }
+        }
+
+        /// <summary>
+        /// 取得批次操作的產品：勾選的產品，或 DataGrid 查詢條件下所有符合的產品
+        /// </summary>
+        private async Task<List<Product>> GetBulkTargetsAsync(ProductBulkRequest? request)
+        {
+            if (request == null)
+            {
+                throw new ArgumentException("無效的批次操作請求");
+            }
+
+            // 不追蹤：批次服務在各自的範圍中保存每個產品
+            List<Product> targets;
+            if (request.AllMatching)
+            {
+                // 與 Data 動作使用相同的篩選條件，選取所有符合的產品（多取一筆以判斷是否超過上限）
+                var query = DataGridQuery.FromQuery(QueryHelpers.ParseQuery(request.Query));
+                targets = await _productService.GetMatchingProductsAsync(query, ProductBulkService.MaxItems + 1);
+            }
+            else
+            {
+                targets = await _productService.GetProductsByIdsAsync(request.Ids.Distinct().Take(ProductBulkService.MaxItems + 1));
+            }
+
+            if (targets.Count == 0)
+            {
+                throw new ArgumentException("請至少選擇一個產品");
+            }
+            if (targets.Count > ProductBulkService.MaxItems)
+            {
+                throw new ArgumentException($"單次最多只能處理 {ProductBulkService.MaxItems} 個產品，請縮小篩選範圍");
+            }
+            return targets;
+        }
+
+        /// <summary>
+        /// 刪除與調整售價的批次操作只允許管理員
+        /// </summary>
+        private bool CanRunBulkAction(ProductBulkRequest? request)
+        {
+            var action = (request?.Action ?? string.Empty).Trim();
+            return !AdminBulkActions.Contains(action, StringComparer.OrdinalIgnoreCase)
+                || AdminRoles.Any(User.IsInRole);
+        }
+
+        /// <summary>
+        /// 提供檢視使用的產品編號規則
+        /// </summary>
+        private void SetSkuRules()
+        {
+            ViewBag.SkuPattern = SkuPattern;
+            ViewBag.SkuPatternMessage = SkuPatternMessage;
+        }
+
+        /// <summary>
+        /// 產品編號是否符合設定的格式
+        /// </summary>
+        private bool IsValidSkuFormat(string sku)
+        {
+            try
+            {
+                return Regex.IsMatch(sku, SkuPattern, RegexOptions.None, TimeSpan.FromMilliseconds(200));
+            }
+            catch (RegexMatchTimeoutException)
+            {
+                return false;
+            }
+        }
+
+        /// <summary>
+        /// 伺服器端驗證產品編號格式與唯一性，錯誤加入 SKU 欄位
+        /// </summary>
+        /// <param name="sku">產品編號</param>
+        /// <param name="id">編輯中的產品 ID（新增時為空）</param>
+        /// <param name="originalSku">編輯前的產品編號</param>
+        private async Task ValidateSkuAsync(string? sku, int? id, string? originalSku)
+        {
+            // 空白由 [Required] 處理
+            if (string.IsNullOrWhiteSpace(sku))
+            {
+                return;
+            }
+
+            if (!string.Equals(sku, originalSku, StringComparison.OrdinalIgnoreCase) && !IsValidSkuFormat(sku))
+            {
+                ModelState.AddModelError(nameof(Product.SKU), SkuPatternMessage);
+                return;
+            }
+
+            if (await _productService.SkuExistsAsync(sku, id))
+            {
+                ModelState.AddModelError(nameof(Product.SKU), $"產品編號 {sku} 已被其他產品使用");
+            }
+        }
     }
 }
\ No newline at end of file
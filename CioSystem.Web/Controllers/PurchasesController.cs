@@ -3,9 +3,12 @@ using Microsoft.EntityFrameworkCore;
 using CioSystem.Data;
 using CioSystem.Models;
 using CioSystem.Services;
+using CioSystem.Services.DataGrid;
 using System.Linq;
 using Microsoft.AspNetCore.SignalR;
 using CioSystem.Web.Hubs;
+using CioSystem.Web.Filters;
+using CioSystem.Web.Models;
 
 namespace CioSystem.Web.Controllers
 {
@@ -30,29 +33,17 @@ namespace CioSystem.Web.Controllers
             // _hubContext = hubContext;
         }
 
-        // GET: Purchases
-        public async Task<IActionResult> Index(int page = 1, int pageSize = 10, int? productId = null)
+        // GET: Purchases（列表由 DataGrid 透過 Data 動作載入）
+        public async Task<IActionResult> Index()
         {
             try
             {
-                // 參數驗證
-                if (page < 1) page = 1;
-                if (pageSize < 1 || pageSize > 100) pageSize = 10;
-
-                _logger.LogInformation("顯示進貨列表頁面 - 頁碼={Page}, 每頁大小={PageSize}, 產品ID={ProductId}", page, pageSize, productId);
+                _logger.LogInformation("顯示進貨列表頁面");
 
                 // ✅ 優化：使用快取的統計資料，避免重複查詢
-                var statisticsTask = _purchasesService.GetPurchasesStatisticsAsync();
-
-                // ✅ 優化：直接使用分頁查詢
-                var purchasesTask = _purchasesService.GetPurchasesPagedAsync(page, pageSize, productId);
-
-                // 並行執行查詢
-                await Task.WhenAll(statisticsTask, purchasesTask);
-                var statistics = await statisticsTask;
-                var (purchases, totalCount) = await purchasesTask;
-
-                _logger.LogInformation("取得分頁進貨記錄: {Count} 筆，總計 {TotalCount} 筆", purchases?.Count() ?? 0, totalCount);
+                // 服務共用同一個 DbContext，查詢必須依序等待
+                var statistics = await _purchasesService.GetPurchasesStatisticsAsync();
+                var products = await _productService.GetAllProductsAsync();
 
                 // ✅ 優化：使用預計算的統計資料
                 ViewBag.TotalPurchases = statistics.TotalPurchasesCount;
@@ -60,41 +51,47 @@ namespace CioSystem.Web.Controllers
                 ViewBag.TotalAmount = statistics.TotalCost.ToString("C");
                 ViewBag.AveragePrice = statistics.AveragePurchaseValue.ToString("C");
 
-                var products = await _productService.GetAllProductsAsync();
-                ViewBag.ProductMap = products.ToDictionary(p => p.Id, p => p.Name);
-                ViewBag.Products = products.Where(p => p.Status == ProductStatus.Active).ToList();
-                ViewBag.SelectedProductId = productId;
+                // 產品篩選選項
+                ViewBag.Products = products.OrderBy(p => p.Name).ToList();
 
-                // 計算分頁資訊
-                var totalPages = (int)Math.Ceiling((double)totalCount / pageSize);
-                ViewBag.Pagination = new
-                {
-                    CurrentPage = page,
-                    PageSize = pageSize,
-                    TotalCount = totalCount,
-                    TotalPages = totalPages,
-                    HasPrevious = page > 1,
-                    HasNext = page < totalPages,
-                    PreviousPage = page > 1 ? page - 1 : (int?)null,
-                    NextPage = page < totalPages ? page + 1 : (int?)null
-                };
-
-                // 額外診斷日誌
-                _logger.LogInformation("進貨分頁資料：本頁筆數={PageCount}，總筆數={TotalCount}", purchases?.Count() ?? 0, totalCount);
-                if (purchases == null || !purchases.Any())
+                return View("Index");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "取得進貨列表時發生錯誤: {Message}", ex.Message);
+                TempData["ErrorMessage"] = "載入進貨列表時發生錯誤，請稍後再試。";
+                return View("Index");
+            }
+        }
+
+        // GET: Purchases/Data（DataGrid：page、pageSize、sort、q，以及 productId、productSku、supplier、employeeRetention 欄位篩選）
+        [HttpGet]
+        public async Task<IActionResult> Data()
+        {
+            var query = DataGridQuery.FromQuery(Request.Query);
+            try
+            {
+                var page = await _purchasesService.GetPurchasesPageAsync(query);
+                var result = page.Map(r => new
                 {
-                    _logger.LogWarning("進貨分頁結果為空，可能原因：篩選條件或頁碼超界。Page={Page}, PageSize={PageSize}, ProductId={ProductId}",
-                        page, pageSize, productId);
-                }
+                    id = r.Purchase.Id,
+                    productId = r.Purchase.ProductId,
+                    productName = r.Product?.Name,
+                    productSku = r.Product?.SKU,
+                    quantity = r.Purchase.Quantity,
+                    unitPrice = r.Purchase.UnitPrice,
+                    totalAmount = r.Purchase.Quantity * r.Purchase.UnitPrice,
+                    supplier = r.Purchase.Supplier,
+                    employeeRetention = r.Purchase.EmployeeRetention,
+                    createdAt = r.Purchase.CreatedAt
+                });
 
-                return View("Index", purchases);
+                return Json(result);
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "取得進貨列表時發生錯誤: {Message}. Page={Page}, PageSize={PageSize}, ProductId={ProductId}", ex.Message, page, pageSize, productId);
-                _logger.LogError(ex, "堆疊追蹤: {StackTrace}", ex.StackTrace);
-                TempData["ErrorMessage"] = "載入進貨列表時發生錯誤，請稍後再試。";
-                return View("Index", new List<Purchase>());
+                _logger.LogError(ex, "取得進貨列表資料時發生錯誤: Page={Page}, PageSize={PageSize}, Search={Search}", query.Page, query.PageSize, query.Search);
+                return StatusCode(500, new { error = "取得進貨列表時發生錯誤" });
             }
         }
 
@@ -128,16 +125,42 @@ namespace CioSystem.Web.Controllers
         }
 
         // GET: Purchases/Create
-        public async Task<IActionResult> Create()
+        public async Task<IActionResult> Create(int? productId = null, int? quantity = null)
         {
             var products = await _productService.GetAllProductsAsync();
             ViewBag.Products = products.Where(p => p.Status == ProductStatus.Active).ToList();
+            ViewBag.StockLevels = (await GetReorderCandidatesAsync(products)).ToDictionary(c => c.ProductId);
+
+            // 從進貨建議開啟時預先帶入產品與建議數量
+            if (productId.HasValue)
+            {
+                return View("Create", new Purchase { ProductId = productId.Value, Quantity = quantity ?? 0 });
+            }
+
             return View("Create");
         }
 
+        // GET: Purchases/ReorderSuggestions
+        public async Task<IActionResult> ReorderSuggestions()
+        {
+            try
+            {
+                var products = await _productService.GetAllProductsAsync();
+                var candidates = await GetReorderCandidatesAsync(products);
+                return View(candidates.OrderBy(c => c.CurrentStock - Math.Max(c.MinStockLevel, c.SafetyStock)).ToList());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "載入進貨建議時發生錯誤");
+                TempData["ErrorMessage"] = "載入進貨建議時發生錯誤，請稍後再試。";
+                return RedirectToAction(nameof(Index));
+            }
+        }
+
         // POST: Purchases/Create
         [HttpPost]
         [ValidateAntiForgeryToken]
+        [Idempotent]
         public async Task<IActionResult> Create([Bind("ProductId,Quantity,UnitPrice,Supplier,EmployeeRetention")] Purchase purchase)
         {
             if (ModelState.IsValid)
@@ -157,6 +180,7 @@ namespace CioSystem.Web.Controllers
                     }
                     var allProducts = await _productService.GetAllProductsAsync();
                     ViewBag.Products = allProducts.Where(p => p.Status == ProductStatus.Active).ToList();
+                    ViewBag.StockLevels = (await GetReorderCandidatesAsync(allProducts)).ToDictionary(c => c.ProductId);
                     return View("Create", purchase);
                 }
 
@@ -195,6 +219,7 @@ namespace CioSystem.Web.Controllers
 
             var products = await _productService.GetAllProductsAsync();
             ViewBag.Products = products.Where(p => p.Status == ProductStatus.Active).ToList();
+            ViewBag.StockLevels = (await GetReorderCandidatesAsync(products)).ToDictionary(c => c.ProductId);
             return View("Create", purchase);
         }
 
@@ -221,6 +246,7 @@ namespace CioSystem.Web.Controllers
         // POST: Purchases/Edit/5
         [HttpPost]
         [ValidateAntiForgeryToken]
+        [Idempotent]
         public async Task<IActionResult> Edit(int id, [Bind("Id,ProductId,Quantity,UnitPrice,Supplier,EmployeeRetention,CreatedAt,CreatedBy,UpdatedAt,UpdatedBy,IsDeleted")] Purchase purchase)
         {
             if (id != purchase.Id)
@@ -374,6 +400,32 @@ namespace CioSystem.Web.Controllers
             return await _purchasesService.PurchaseExistsAsync(id);
         }
 
+        /// <summary>
+        /// 取得啟用中產品的庫存水位（庫存與安全庫存為所有庫存記錄的合計）
+        /// </summary>
+        private async Task<List<ReorderCandidateViewModel>> GetReorderCandidatesAsync(IEnumerable<Product> products)
+        {
+            var stock = (await _inventoryService.GetAllInventoryAsync())
+                .GroupBy(i => i.ProductId)
+                .ToDictionary(g => g.Key, g => (Quantity: g.Sum(i => i.Quantity), SafetyStock: g.Sum(i => i.SafetyStock)));
+
+            return products
+                .Where(p => p.Status == ProductStatus.Active)
+                .Select(p => new ReorderCandidateViewModel
+                {
+                    ProductId = p.Id,
+                    Name = p.Name,
+                    SKU = p.SKU,
+                    Brand = p.Brand,
+                    CostPrice = p.CostPrice,
+                    CurrentStock = stock.TryGetValue(p.Id, out var level) ? level.Quantity : 0,
+                    SafetyStock = stock.TryGetValue(p.Id, out level) ? level.SafetyStock : 0,
+                    MinStockLevel = p.MinStockLevel,
+                    MaxStockLevel = p.MaxStockLevel
+                })
+                .ToList();
+        }
+
         /// <summary>
         /// 根據產品ID獲取品牌資訊（AJAX）
         /// </summary>
@@ -1,8 +1,12 @@
 ﻿using Microsoft.AspNetCore.Mvc;
 using Microsoft.AspNetCore.SignalR;
 using CioSystem.Services;
+using CioSystem.Services.DataGrid;
 using CioSystem.Models;
 using CioSystem.Web.Hubs;
+using CioSystem.Web.Filters;
+using CioSystem.Web.Models;
+using CioSystem.Web.Services;
 
 namespace CioSystem.Web.Controllers
 {
@@ -13,38 +17,31 @@ namespace CioSystem.Web.Controllers
         private readonly IInventoryService _inventoryService;
         private new readonly ILogger<SalesController> _logger;
         private readonly IHubContext<DashboardHub> _hubContext;
+        private readonly IPricingRulesService _pricingRulesService;
 
-        public SalesController(ISalesService salesService, IProductService productService, IInventoryService inventoryService, ILogger<SalesController> logger, IHubContext<DashboardHub> hubContext) : base(logger)
+        public SalesController(ISalesService salesService, IProductService productService, IInventoryService inventoryService, ILogger<SalesController> logger, IHubContext<DashboardHub> hubContext, IPricingRulesService pricingRulesService) : base(logger)
         {
             _salesService = salesService;
             _productService = productService;
             _inventoryService = inventoryService;
             _logger = logger;
             _hubContext = hubContext;
+            _pricingRulesService = pricingRulesService;
         }
 
-        // GET: Sales
-        public async Task<IActionResult> Index(int page = 1, int pageSize = 10, int? productId = null, string? customerName = null)
+        // GET: Sales（列表由 DataGrid 透過 Data 動作載入）
+        public async Task<IActionResult> Index()
         {
             try
             {
-                _logger.LogInformation("顯示銷售列表頁面: Page={Page}, PageSize={PageSize}, ProductId={ProductId}, CustomerName={CustomerName}",
-                    page, pageSize, productId, customerName);
+                _logger.LogInformation("顯示銷售列表頁面");
 
-                // 並行執行分頁查詢和統計查詢
-                var salesTask = _salesService.GetSalesPagedAsync(page, pageSize, productId, customerName);
-                var statisticsTask = _salesService.GetSalesStatisticsAsync();
-
-                await Task.WhenAll(salesTask, statisticsTask);
-                var (sales, totalCount) = await salesTask;
-                var statistics = await statisticsTask;
+                // 服務共用同一個 DbContext，查詢必須依序等待
+                var products = await _productService.GetAllProductsAsync();
+                var statistics = await _salesService.GetSalesStatisticsAsync();
 
-                ViewBag.CurrentPage = page;
-                ViewBag.PageSize = pageSize;
-                ViewBag.TotalCount = totalCount;
-                ViewBag.TotalPages = (int)Math.Ceiling((double)totalCount / pageSize);
-                ViewBag.ProductId = productId;
-                ViewBag.CustomerName = customerName;
+                // 產品篩選選項
+                ViewBag.Products = products.OrderBy(p => p.Name).ToList();
 
                 // 設置統計資料
                 ViewBag.TotalSales = statistics.TotalSales;
@@ -55,13 +52,44 @@ namespace CioSystem.Web.Controllers
                 
                 _logger.LogInformation("設置 ViewBag 統計資料: AverageOrderValue={AverageOrderValue}", statistics.AverageOrderValue);
 
-                return View(sales);
+                return View();
             }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "取得銷售列表時發生錯誤");
                 TempData["ErrorMessage"] = "取得銷售列表時發生錯誤。";
-                return View(Enumerable.Empty<Sale>());
+                return View();
+            }
+        }
+
+        // GET: Sales/Data（DataGrid：page、pageSize、sort、q，以及 productId、productSku、customerName 欄位篩選）
+        [HttpGet]
+        public async Task<IActionResult> Data()
+        {
+            var query = DataGridQuery.FromQuery(Request.Query);
+            try
+            {
+                var page = await _salesService.GetSalesPageAsync(query);
+                var result = page.Map(r => new
+                {
+                    id = r.Sale.Id,
+                    productId = r.Sale.ProductId,
+                    productName = r.Product?.Name,
+                    productSku = r.Product?.SKU,
+                    quantity = r.Sale.Quantity,
+                    unitPrice = r.Sale.UnitPrice,
+                    totalAmount = r.Sale.Quantity * r.Sale.UnitPrice,
+                    customerName = r.Sale.CustomerName,
+                    employeeRetention = r.Sale.EmployeeRetention,
+                    createdAt = r.Sale.CreatedAt
+                });
+
+                return Json(result);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "取得銷售列表資料時發生錯誤: Page={Page}, PageSize={PageSize}, Search={Search}", query.Page, query.PageSize, query.Search);
+                return StatusCode(500, new { error = "取得銷售列表時發生錯誤" });
             }
         }
 
@@ -94,7 +122,8 @@ namespace CioSystem.Web.Controllers
             {
                 var products = await _productService.GetAllProductsAsync();
                 ViewBag.Products = products;
-                return View();
+                ViewBag.PricingRules = await _pricingRulesService.GetRulesJsonAsync();
+                return View(new SaleOrderViewModel { Lines = { new SaleLineViewModel() } });
             }
             catch (Exception ex)
             {
@@ -107,13 +136,34 @@ namespace CioSystem.Web.Controllers
         // POST: Sales/Create
         [HttpPost]
         [ValidateAntiForgeryToken]
-        public async Task<IActionResult> Create(Sale sale)
+        [Idempotent]
+        public async Task<IActionResult> Create(SaleOrderViewModel order)
         {
             try
             {
+                if (order.Lines.Count == 0)
+                {
+                    ModelState.AddModelError("", "請至少新增一項銷售品項");
+                }
+
+                // 員工自留時客戶名字預設為員工名字
+                if (string.IsNullOrWhiteSpace(order.CustomerName))
+                {
+                    if (!string.IsNullOrWhiteSpace(order.EmployeeRetention))
+                    {
+                        order.CustomerName = order.EmployeeRetention;
+                    }
+                    else
+                    {
+                        ModelState.AddModelError(nameof(order.CustomerName), "請輸入客戶名字");
+                    }
+                }
+
+                await ValidateStaffCostPricesAsync(order);
+
                 if (ModelState.IsValid)
                 {
-                    var result = await _salesService.CreateSaleAsync(sale);
+                    var result = await _salesService.CreateSalesAsync(order.ToSales());
                     if (result.IsValid)
                     {
                         // 嘗試發送 SignalR 更新，但不影響主要功能
@@ -133,7 +183,7 @@ namespace CioSystem.Web.Controllers
                             _logger.LogWarning(signalREx, "SignalR 更新失敗，但不影響主要功能");
                         }
 
-                        TempData["SuccessMessage"] = "銷售記錄已成功創建";
+                        TempData["SuccessMessage"] = $"銷售記錄已成功創建（{order.Lines.Count} 項，總金額 NT$ {order.Total:N2}）";
                         return RedirectToAction(nameof(Index));
                     }
                     else
@@ -147,7 +197,8 @@ namespace CioSystem.Web.Controllers
 
                 var products = await _productService.GetAllProductsAsync();
                 ViewBag.Products = products;
-                return View(sale);
+                ViewBag.PricingRules = await _pricingRulesService.GetRulesJsonAsync();
+                return View(order);
             }
             catch (Exception ex)
             {
@@ -171,6 +222,7 @@ namespace CioSystem.Web.Controllers
 
                 var products = await _productService.GetAllProductsAsync();
                 ViewBag.Products = products;
+                ViewBag.PricingRules = await _pricingRulesService.GetRulesJsonAsync();
                 return View(sale);
             }
             catch (Exception ex)
@@ -184,6 +236,7 @@ namespace CioSystem.Web.Controllers
         // POST: Sales/Edit/5
         [HttpPost]
         [ValidateAntiForgeryToken]
+        [Idempotent]
         public async Task<IActionResult> Edit(int id, Sale sale)
         {
             try
@@ -230,6 +283,7 @@ namespace CioSystem.Web.Controllers
 
                 var products = await _productService.GetAllProductsAsync();
                 ViewBag.Products = products;
+                ViewBag.PricingRules = await _pricingRulesService.GetRulesJsonAsync();
                 return View(sale);
             }
             catch (Exception ex)
@@ -305,5 +359,33 @@ namespace CioSystem.Web.Controllers
                 return RedirectToAction(nameof(Index));
             }
         }
+
+        /// <summary>
+        /// 員工自留的品項以伺服器上的產品成本價為準，不接受前端送來的其他單價
+        /// </summary>
+        private async Task ValidateStaffCostPricesAsync(SaleOrderViewModel order)
+        {
+            for (var i = 0; i < order.Lines.Count; i++)
+            {
+                var line = order.Lines[i];
+                if (string.IsNullOrWhiteSpace(line.EmployeeRetention))
+                {
+                    continue;
+                }
+
+                // 產品不存在時由建立銷售記錄的檢查回報
+                var product = await _productService.GetProductByIdAsync(line.ProductId);
+                if (product == null)
+                {
+                    continue;
+                }
+
+                var costPrice = await _pricingRulesService.GetStaffCostPriceAsync(product);
+                if (costPrice.HasValue && line.UnitPrice != costPrice.Value)
+                {
+                    ModelState.AddModelError("", $"第 {i + 1} 項為員工自留，單價必須為成本價 NT$ {costPrice.Value:N2}");
+                }
+            }
+        }
     }
 }
\ No newline at end of file
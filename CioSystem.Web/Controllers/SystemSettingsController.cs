@@ -3,6 +3,7 @@ using Microsoft.AspNetCore.Authorization;
 using CioSystem.Services;
 using CioSystem.Models;
 using CioSystem.Web.Models;
+using CioSystem.Web.Services;
 using CioSystem.Core.Interfaces;
 using CioSystem.Services.Logging;
 using CioSystem.Services.Authentication;
@@ -18,15 +19,22 @@ namespace CioSystem.Web.Controllers
         private readonly IDatabaseManagementService _databaseManagementService;
         private readonly ISystemLogService _systemLogService;
         private readonly IUserService _userService;
+        private readonly IPricingRulesService _pricingRulesService;
+        private readonly ITablePreferencesService _tablePreferencesService;
 
         private readonly LogInitializer _logInitializer;
 
+        // 定價規則影響所有銷售的建議售價，只允許管理員修改（角色名稱沿用用戶資料中的「管理員」）
+        private const string AdminRoles = "管理員,Admin";
+
         public SystemSettingsController(
             ILogger<SystemSettingsController> logger,
             IConfiguration configuration,
             IDatabaseManagementService databaseManagementService,
             ISystemLogService systemLogService,
             IUserService userService,
+            IPricingRulesService pricingRulesService,
+            ITablePreferencesService tablePreferencesService,
             LogInitializer logInitializer)
         {
             _logger = logger;
@@ -34,6 +42,8 @@ namespace CioSystem.Web.Controllers
             _databaseManagementService = databaseManagementService;
             _systemLogService = systemLogService;
             _userService = userService;
+            _pricingRulesService = pricingRulesService;
+            _tablePreferencesService = tablePreferencesService;
             _logInitializer = logInitializer;
         }
 
@@ -425,6 +435,132 @@ namespace CioSystem.Web.Controllers
             }
         }
 
+        /// <summary>
+        /// 定價規則頁面
+        /// </summary>
+        [Authorize(Roles = AdminRoles)]
+        public async Task<IActionResult> PricingRules()
+        {
+            try
+            {
+                _logger.LogInformation("顯示定價規則頁面");
+
+                var rules = await _pricingRulesService.GetRulesAsync();
+                return View(new PricingRulesViewModel
+                {
+                    RulesJson = await _pricingRulesService.GetRulesJsonAsync(indented: true),
+                    Rules = rules.Rules,
+                    UpdatedAt = rules.UpdatedAt,
+                    UpdatedBy = rules.UpdatedBy
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "載入定價規則時發生錯誤");
+                TempData["ErrorMessage"] = "載入定價規則時發生錯誤，請稍後再試。";
+                return RedirectToAction(nameof(Index));
+            }
+        }
+
+        /// <summary>
+        /// 保存定價規則
+        /// </summary>
+        [HttpPost]
+        [ValidateAntiForgeryToken]
+        [Authorize(Roles = AdminRoles)]
+        public async Task<IActionResult> SavePricingRules(string rulesJson)
+        {
+            try
+            {
+                _logger.LogInformation("保存定價規則");
+
+                var errors = await _pricingRulesService.SaveRulesJsonAsync(rulesJson ?? string.Empty, User.Identity?.Name);
+                if (errors.Count > 0)
+                {
+                    foreach (var error in errors)
+                    {
+                        ModelState.AddModelError(nameof(PricingRulesViewModel.RulesJson), error);
+                    }
+
+                    var rules = await _pricingRulesService.GetRulesAsync();
+                    return View("PricingRules", new PricingRulesViewModel
+                    {
+                        RulesJson = rulesJson ?? string.Empty,
+                        Rules = rules.Rules,
+                        UpdatedAt = rules.UpdatedAt,
+                        UpdatedBy = rules.UpdatedBy
+                    });
+                }
+
+                await _systemLogService.LogAsync("Info", "更新定價規則", User.Identity?.Name);
+                TempData["SuccessMessage"] = "定價規則已成功保存！";
+                return RedirectToAction(nameof(PricingRules));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "保存定價規則時發生錯誤");
+                TempData["ErrorMessage"] = "保存定價規則時發生錯誤，請稍後再試。";
+                return RedirectToAction(nameof(PricingRules));
+            }
+        }
+
+        /// <summary>
+        /// 取得目前使用者的表格版面設定 (AJAX)
+        /// </summary>
+        /// <param name="table">表格名稱</param>
+        /// <returns>{ table, layout } JSON；沒有設定時 layout 為 null</returns>
+        [HttpGet]
+        public async Task<IActionResult> TablePreferences(string? table)
+        {
+            var userName = User.Identity?.Name;
+            if (string.IsNullOrEmpty(userName) || !TablePreferencesService.IsValidTableKey(table))
+            {
+                return BadRequest(new { message = "無效的表格名稱" });
+            }
+
+            try
+            {
+                var layout = await _tablePreferencesService.GetAsync(userName, table!);
+                return Json(new { table, layout });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "讀取表格設定時發生錯誤: Table={Table}", table);
+                return StatusCode(500, new { message = "讀取表格設定時發生錯誤" });
+            }
+        }
+
+        /// <summary>
+        /// 保存目前使用者的表格版面設定 (AJAX)；layout 為 null 時恢復預設
+        /// </summary>
+        [HttpPost]
+        [ValidateAntiForgeryToken]
+        // 設定內容最多 MaxLayoutLength 字元，UTF-8 每字元最多 4 位元組
+        [RequestSizeLimit(TablePreferencesService.MaxLayoutLength * 4)]
+        public async Task<IActionResult> SaveTablePreferences([FromBody] TablePreferencesRequest request)
+        {
+            var userName = User.Identity?.Name;
+            if (string.IsNullOrEmpty(userName) || !TablePreferencesService.IsValidTableKey(request?.Table))
+            {
+                return BadRequest(new { message = "無效的表格名稱" });
+            }
+
+            try
+            {
+                await _tablePreferencesService.SaveAsync(userName, request!.Table, request.Layout);
+                return Json(new { success = true });
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { message = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "保存表格設定時發生錯誤: Table={Table}", request!.Table);
+                return StatusCode(500, new { message = "保存表格設定時發生錯誤" });
+            }
+        }
+
         #region 私有方法
 
         private SystemInfoViewModel GetSystemInfo()
@@ -1,5 +1,7 @@
 ﻿using CioSystem.Models;
 using CioSystem.Services.Authentication;
+using CioSystem.Services.DataGrid;
+using CioSystem.Web.Models;
 using Microsoft.AspNetCore.Mvc;
 
 namespace CioSystem.Web.Controllers
@@ -39,6 +41,40 @@ namespace CioSystem.Web.Controllers
             }
         }
 
+        /// <summary>
+        /// 用戶列表資料 (DataGrid)
+        /// 查詢參數：page、pageSize、sort、q，以及 username、fullName、email、role、isActive 欄位篩選
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> Data()
+        {
+            var query = DataGridQuery.FromQuery(Request.Query);
+            try
+            {
+                var onlineUserIds = (await _userService.GetOnlineUsersAsync()).Select(u => u.Id).ToHashSet();
+
+                var page = await _userService.GetUsersPageAsync(query);
+                var result = page.Map(u => new
+                {
+                    id = u.Id,
+                    username = u.Username,
+                    fullName = $"{u.FirstName} {u.LastName}".Trim(),
+                    email = u.Email,
+                    role = u.Role,
+                    isActive = u.IsActive,
+                    isOnline = onlineUserIds.Contains(u.Id),
+                    lastLogin = u.LastLogin
+                });
+
+                return Json(result);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "取得用戶列表資料時發生錯誤");
+                return StatusCode(500, new { error = "取得用戶列表時發生錯誤" });
+            }
+        }
+
         /// <summary>
         /// 創建用戶頁面
         /// </summary>
@@ -0,0 +1,155 @@
+﻿using System.Collections.Concurrent;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.Filters;
+using Microsoft.Extensions.Caching.Memory;
+
+namespace CioSystem.Web.Filters
+{
+    /// <summary>
+    /// 冪等性篩選器
+    /// 依表單送出的冪等鍵（Idempotency-Key 標頭或 __IdempotencyKey 欄位）避免重複送出造成重複資料：
+    /// 已成功完成的請求直接重播第一次的導向結果；同一個鍵仍在處理中時，AJAX 請求回傳 409，
+    /// 原生表單送出則等待第一次送出完成後重播其結果（等候逾時時導回表單並提示）
+    /// </summary>
+    [AttributeUsage(AttributeTargets.Method | AttributeTargets.Class)]
+    public class IdempotentAttribute : Attribute, IAsyncActionFilter
+    {
+        public const string HeaderName = "Idempotency-Key";
+        public const string FormFieldName = "__IdempotencyKey";
+
+        private const int MaxKeyLength = 100;
+        private static readonly TimeSpan ResultLifetime = TimeSpan.FromHours(1);
+        private static readonly TimeSpan DuplicateWaitTimeout = TimeSpan.FromSeconds(30);
+        private static readonly TimeSpan DuplicatePollInterval = TimeSpan.FromMilliseconds(200);
+
+        // 處理中的鍵（跨請求共用，確保同一個鍵同時只處理一次）
+        private static readonly ConcurrentDictionary<string, byte> InProgress = new();
+
+        public async Task OnActionExecutionAsync(ActionExecutingContext context, ActionExecutionDelegate next)
+        {
+            var key = ReadKey(context.HttpContext.Request);
+            if (key == null)
+            {
+                await next();
+                return;
+            }
+
+            var httpContext = context.HttpContext;
+            var cache = httpContext.RequestServices.GetRequiredService<IMemoryCache>();
+            var logger = httpContext.RequestServices.GetRequiredService<ILogger<IdempotentAttribute>>();
+            var cacheKey = $"idempotency:{httpContext.User.Identity?.Name}:{httpContext.Request.Path}:{key}";
+
+            if (cache.TryGetValue(cacheKey, out string? redirectUrl) && redirectUrl != null)
+            {
+                logger.LogInformation("重複送出已處理的表單，重播導向結果: Path={Path}", httpContext.Request.Path);
+                context.Result = new RedirectResult(redirectUrl);
+                return;
+            }
+
+            if (!InProgress.TryAdd(cacheKey, 0))
+            {
+                if (IsAjaxRequest(httpContext.Request))
+                {
+                    logger.LogWarning("表單仍在處理中，拒絕重複送出: Path={Path}", httpContext.Request.Path);
+                    context.Result = new ConflictObjectResult(new { message = "此表單正在處理中，請勿重複送出" });
+                    return;
+                }
+
+                // 原生表單送出顯示 JSON 錯誤頁會讓使用者不知所措，改為等待第一次送出的結果
+                logger.LogInformation("表單仍在處理中，等待第一次送出完成: Path={Path}", httpContext.Request.Path);
+                redirectUrl = await WaitForResultAsync(cache, cacheKey, httpContext.RequestAborted);
+                if (redirectUrl != null)
+                {
+                    context.Result = new RedirectResult(redirectUrl);
+                    return;
+                }
+
+                // 第一次送出未成功（例如驗證錯誤）時照常處理這次送出；仍在處理中則導回表單
+                if (!InProgress.TryAdd(cacheKey, 0))
+                {
+                    logger.LogWarning("等待逾時，表單仍在處理中: Path={Path}", httpContext.Request.Path);
+                    if (context.Controller is Controller controller)
+                    {
+                        controller.TempData["ErrorMessage"] = "此表單仍在處理中，請稍後確認結果再重試";
+                    }
+                    context.Result = new RedirectResult($"{httpContext.Request.PathBase}{httpContext.Request.Path}{httpContext.Request.QueryString}");
+                    return;
+                }
+            }
+
+            try
+            {
+                var executed = await next();
+
+                // 只記住成功的導向結果；重新顯示表單（驗證錯誤）或發生錯誤時允許以同一個鍵重試
+                var url = ResolveRedirectUrl(executed);
+                var hasError = executed.Controller is Controller controller && controller.TempData.ContainsKey("ErrorMessage");
+                if (executed.Exception == null && url != null && !hasError)
+                {
+                    cache.Set(cacheKey, url, ResultLifetime);
+                }
+            }
+            finally
+            {
+                InProgress.TryRemove(cacheKey, out _);
+            }
+        }
+
+        /// <summary>
+        /// 等待同一個鍵的處理完成，回傳成功時記住的導向網址
+        /// </summary>
+        private static async Task<string?> WaitForResultAsync(IMemoryCache cache, string cacheKey, CancellationToken cancellationToken)
+        {
+            var deadline = DateTime.UtcNow + DuplicateWaitTimeout;
+            while (InProgress.ContainsKey(cacheKey) && DateTime.UtcNow < deadline)
+            {
+                await Task.Delay(DuplicatePollInterval, cancellationToken);
+            }
+
+            return cache.TryGetValue(cacheKey, out string? redirectUrl) ? redirectUrl : null;
+        }
+
+        /// <summary>
+        /// 是否為 AJAX 或要求 JSON 回應的請求
+        /// </summary>
+        private static bool IsAjaxRequest(HttpRequest request)
+        {
+            return request.Headers.XRequestedWith == "XMLHttpRequest"
+                || request.Headers.Accept.Any(value => value != null && value.Contains("application/json", StringComparison.OrdinalIgnoreCase));
+        }
+
+        /// <summary>
+        /// 讀取冪等鍵（標頭優先）
+        /// </summary>
+        private static string? ReadKey(HttpRequest request)
+        {
+            string? key = request.Headers[HeaderName];
+            if (string.IsNullOrWhiteSpace(key) && request.HasFormContentType)
+            {
+                key = request.Form[FormFieldName];
+            }
+
+            return string.IsNullOrWhiteSpace(key) || key.Length > MaxKeyLength ? null : key;
+        }
+
+        /// <summary>
+        /// 取得導向結果的網址
+        /// </summary>
+        private static string? ResolveRedirectUrl(ActionExecutedContext context)
+        {
+            if (context.Controller is not Controller controller)
+            {
+                return null;
+            }
+
+            return context.Result switch
+            {
+                RedirectResult redirect => redirect.Url,
+                LocalRedirectResult localRedirect => localRedirect.Url,
+                RedirectToActionResult toAction => controller.Url.Action(toAction.ActionName, toAction.ControllerName, toAction.RouteValues),
+                RedirectToRouteResult toRoute => controller.Url.RouteUrl(toRoute.RouteName, toRoute.RouteValues),
+                _ => null
+            };
+        }
+    }
+}
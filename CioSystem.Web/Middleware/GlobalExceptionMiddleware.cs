@@ -52,10 +52,12 @@ namespace CioSystem.Web.Middleware
                 Detail = GetErrorMessage(exception)
             };
 
+            // 追蹤碼供前端顯示，方便對照伺服器日誌
+            problemDetails.Extensions["traceId"] = Activity.Current?.Id ?? context.TraceIdentifier;
+
             // 在開發環境中提供更多詳細信息
             if (_environment.IsDevelopment())
             {
-                problemDetails.Extensions["traceId"] = Activity.Current?.Id ?? context.TraceIdentifier;
                 problemDetails.Extensions["exception"] = exception.ToString();
             }
 
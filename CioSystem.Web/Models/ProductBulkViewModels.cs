@@ -0,0 +1,89 @@
+﻿namespace CioSystem.Web.Models
+{
+    /// <summary>
+    /// 產品批次操作請求（對應 Products/Index 的批次操作列）
+    /// 一般使用 Ids 指定勾選的產品；AllMatching 為 true 時改依 Query（DataGrid 查詢字串）選取所有符合條件的產品
+    /// </summary>
+    public class ProductBulkRequest
+    {
+        /// <summary>
+        /// 操作：status、category、tags、price、delete
+        /// </summary>
+        public string Action { get; set; } = string.Empty;
+
+        public List<int> Ids { get; set; } = new();
+
+        public bool AllMatching { get; set; }
+
+        public string? Query { get; set; }
+
+        /// <summary>
+        /// 狀態（ProductStatus 名稱）、分類或標籤（逗號分隔）
+        /// </summary>
+        public string? Value { get; set; }
+
+        /// <summary>
+        /// 售價調整百分比（10 為調漲 10%，-5 為調降 5%）
+        /// </summary>
+        public decimal? Percent { get; set; }
+    }
+
+    /// <summary>
+    /// 復原批次操作請求
+    /// </summary>
+    public class ProductBulkUndoRequest
+    {
+        public string Token { get; set; } = string.Empty;
+    }
+
+    /// <summary>
+    /// 預覽中的單一產品變更（Error 不為 null 時表示套用時會失敗）
+    /// </summary>
+    public class ProductBulkChange
+    {
+        public int Id { get; set; }
+        public string SKU { get; set; } = string.Empty;
+        public string Name { get; set; } = string.Empty;
+        public string Before { get; set; } = string.Empty;
+        public string After { get; set; } = string.Empty;
+        public bool Unchanged { get; set; }
+        public string? Error { get; set; }
+    }
+
+    /// <summary>
+    /// 批次操作預覽：只列出前 PreviewLimit 筆變更，統計則涵蓋全部產品
+    /// </summary>
+    public class ProductBulkPreview
+    {
+        public string Description { get; set; } = string.Empty;
+        public int TotalCount { get; set; }
+        public int ChangeCount { get; set; }
+        public int UnchangedCount { get; set; }
+        public int ErrorCount { get; set; }
+        public List<ProductBulkChange> Changes { get; set; } = new();
+    }
+
+    /// <summary>
+    /// 單一產品的失敗原因
+    /// </summary>
+    public class ProductBulkFailure
+    {
+        public int Id { get; set; }
+        public string SKU { get; set; } = string.Empty;
+        public string Name { get; set; } = string.Empty;
+        public string Error { get; set; } = string.Empty;
+    }
+
+    /// <summary>
+    /// 批次操作結果；UndoToken 在 UndoSeconds 秒內可用來復原成功的變更
+    /// </summary>
+    public class ProductBulkResult
+    {
+        public string Description { get; set; } = string.Empty;
+        public int Succeeded { get; set; }
+        public int Unchanged { get; set; }
+        public List<ProductBulkFailure> Failures { get; set; } = new();
+        public string? UndoToken { get; set; }
+        public int UndoSeconds { get; set; }
+    }
+}
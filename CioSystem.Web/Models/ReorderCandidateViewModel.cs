@@ -0,0 +1,32 @@
+﻿namespace CioSystem.Web.Models
+{
+    /// <summary>
+    /// 進貨建議的產品庫存水位（建議數量由 wwwroot/js/reorder-advisor.js 依銷售速度計算）
+    /// </summary>
+    public class ReorderCandidateViewModel
+    {
+        public int ProductId { get; set; }
+        public string Name { get; set; } = string.Empty;
+        public string SKU { get; set; } = string.Empty;
+        public string? Brand { get; set; }
+        public decimal CostPrice { get; set; }
+
+        /// <summary>
+        /// 目前庫存（所有庫存記錄的數量合計）
+        /// </summary>
+        public int CurrentStock { get; set; }
+
+        /// <summary>
+        /// 安全庫存（所有庫存記錄的安全庫存合計）
+        /// </summary>
+        public int SafetyStock { get; set; }
+
+        public int MinStockLevel { get; set; }
+        public int? MaxStockLevel { get; set; }
+
+        /// <summary>
+        /// 是否已低於最低庫存或安全庫存
+        /// </summary>
+        public bool IsLowStock => CurrentStock <= Math.Max(MinStockLevel, SafetyStock);
+    }
+}
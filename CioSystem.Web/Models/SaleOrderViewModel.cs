@@ -0,0 +1,141 @@
+﻿using System.ComponentModel.DataAnnotations;
+using CioSystem.Models;
+
+namespace CioSystem.Web.Models
+{
+    /// <summary>
+    /// 多品項銷售單（一位客戶一次結帳的所有品項）
+    /// </summary>
+    public class SaleOrderViewModel
+    {
+        /// <summary>
+        /// 客戶名字（員工自留時預設為員工名字）
+        /// </summary>
+        [Display(Name = "客戶名字")]
+        [StringLength(100, ErrorMessage = "客戶名字長度不能超過100個字元")]
+        public string? CustomerName { get; set; }
+
+        /// <summary>
+        /// 預設的員工自留（新增品項時帶入）
+        /// </summary>
+        public string? EmployeeRetention { get; set; }
+
+        /// <summary>
+        /// 整筆折扣金額
+        /// </summary>
+        [Display(Name = "整筆折扣")]
+        [Range(0, 99999999, ErrorMessage = "整筆折扣不能為負數")]
+        public decimal OrderDiscount { get; set; }
+
+        /// <summary>
+        /// 銷售明細
+        /// </summary>
+        public List<SaleLineViewModel> Lines { get; set; } = new();
+
+        /// <summary>
+        /// 明細小計合計（折扣前）
+        /// </summary>
+        public decimal Subtotal => Lines.Sum(line => line.Subtotal);
+
+        /// <summary>
+        /// 實際套用的整筆折扣（不超過小計）
+        /// </summary>
+        public decimal AppliedDiscount => Math.Round(Math.Min(Math.Max(OrderDiscount, 0), Subtotal), 2);
+
+        /// <summary>
+        /// 應收總金額
+        /// </summary>
+        public decimal Total => Subtotal - AppliedDiscount;
+
+        /// <summary>
+        /// 轉換為銷售記錄：品項折扣與整筆折扣依小計比例分攤到各品項的實收單價
+        /// 單價只保留到分，前面品項的單價無條件捨去，差額全部放在最後一個品項，使記錄金額合計等於 Total；
+        /// 最後一個品項的金額無法以單一單價表示時，拆成兩筆記錄（其中一筆數量為 1 並吸收差額）
+        /// </summary>
+        public List<Sale> ToSales()
+        {
+            var sales = new List<Sale>();
+            var subtotal = Subtotal;
+            var remaining = AppliedDiscount;
+            var recorded = 0m;
+
+            for (var i = 0; i < Lines.Count; i++)
+            {
+                var line = Lines[i];
+                var isLast = i == Lines.Count - 1;
+                var share = isLast || subtotal == 0
+                    ? remaining
+                    : Math.Round(AppliedDiscount * line.Subtotal / subtotal, 2);
+                share = Math.Min(share, line.Subtotal);
+                remaining -= share;
+
+                var amount = isLast ? Total - recorded : line.Subtotal - share;
+                var unitPrice = Math.Round(amount / line.Quantity, 2, MidpointRounding.ToZero);
+                var extra = amount - unitPrice * line.Quantity;
+
+                if (isLast && extra != 0)
+                {
+                    sales.Add(CreateSale(line, line.Quantity - 1, unitPrice));
+                    sales.Add(CreateSale(line, 1, unitPrice + extra));
+                }
+                else
+                {
+                    sales.Add(CreateSale(line, line.Quantity, unitPrice));
+                }
+                recorded += unitPrice * line.Quantity;
+            }
+
+            return sales;
+        }
+
+        private Sale CreateSale(SaleLineViewModel line, int quantity, decimal unitPrice)
+        {
+            return new Sale
+            {
+                ProductId = line.ProductId,
+                Quantity = quantity,
+                UnitPrice = unitPrice,
+                CustomerName = CustomerName ?? string.Empty,
+                EmployeeRetention = string.IsNullOrWhiteSpace(line.EmployeeRetention) ? null : line.EmployeeRetention
+            };
+        }
+    }
+
+    /// <summary>
+    /// 銷售明細
+    /// </summary>
+    public class SaleLineViewModel
+    {
+        [Display(Name = "產品")]
+        [Required(ErrorMessage = "請選擇產品")]
+        [Range(1, int.MaxValue, ErrorMessage = "請選擇產品")]
+        public int ProductId { get; set; }
+
+        [Display(Name = "數量")]
+        [Required(ErrorMessage = "請輸入銷售數量")]
+        [Range(1, int.MaxValue, ErrorMessage = "銷售數量必須大於 0")]
+        public int Quantity { get; set; } = 1;
+
+        [Display(Name = "單價")]
+        [Required(ErrorMessage = "請輸入銷售單價")]
+        [Range(0, 99999999, ErrorMessage = "銷售單價不能為負數")]
+        public decimal UnitPrice { get; set; }
+
+        /// <summary>
+        /// 品項折扣（百分比）
+        /// </summary>
+        [Display(Name = "折扣")]
+        [Range(0, 100, ErrorMessage = "折扣必須介於 0 到 100 之間")]
+        public decimal DiscountPercent { get; set; }
+
+        /// <summary>
+        /// 員工自留（以成本價計算）
+        /// </summary>
+        public string? EmployeeRetention { get; set; }
+
+        /// <summary>
+        /// 品項小計（已扣除品項折扣）
+        /// </summary>
+        public decimal Subtotal => Math.Round(Quantity * UnitPrice * (1 - DiscountPercent / 100), 2);
+    }
+}
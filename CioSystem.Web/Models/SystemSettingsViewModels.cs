@@ -75,4 +75,21 @@
         public bool EnableAuditLog { get; set; } = true;
     }
 
+    public class PricingRulesViewModel
+    {
+        public string RulesJson { get; set; } = string.Empty;
+        public IReadOnlyList<CioSystem.Web.Services.PricingRule> Rules { get; set; } = Array.Empty<CioSystem.Web.Services.PricingRule>();
+        public DateTime? UpdatedAt { get; set; }
+        public string? UpdatedBy { get; set; }
+    }
+
+    /// <summary>
+    /// 保存表格版面設定；Layout 為 null 時恢復預設
+    /// </summary>
+    public class TablePreferencesRequest
+    {
+        public string Table { get; set; } = string.Empty;
+        public System.Text.Json.JsonElement? Layout { get; set; }
+    }
+
 }
\ No newline at end of file
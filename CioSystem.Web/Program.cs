@@ -56,6 +56,9 @@ builder.Services.AddServicesLayer(builder.Configuration);
 
 // 註冊 Web 服務（依賴於基礎服務）
 builder.Services.AddScoped<CioSystem.Web.Services.IMetricsService, CioSystem.Web.Services.MetricsService>();
+builder.Services.AddScoped<CioSystem.Web.Services.IPricingRulesService, CioSystem.Web.Services.PricingRulesService>();
+builder.Services.AddScoped<CioSystem.Web.Services.ITablePreferencesService, CioSystem.Web.Services.TablePreferencesService>();
+builder.Services.AddScoped<CioSystem.Web.Services.IProductBulkService, CioSystem.Web.Services.ProductBulkService>();
 
 // 註冊健康檢查
 builder.Services.AddHealthChecks()
@@ -0,0 +1,289 @@
+﻿using System.Text.Encodings.Web;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using CioSystem.Models;
+using Microsoft.Extensions.Caching.Memory;
+
+namespace CioSystem.Web.Services
+{
+    /// <summary>
+    /// 定價規則服務：規則以 JSON 檔案保存，由 wwwroot/js/pricing-rules.js 在前端計算建議售價
+    /// </summary>
+    public interface IPricingRulesService
+    {
+        Task<PricingRuleSet> GetRulesAsync();
+        Task<string> GetRulesJsonAsync(bool indented = false);
+        Task<IReadOnlyList<string>> SaveRulesJsonAsync(string json, string? updatedBy);
+        Task<decimal?> GetStaffCostPriceAsync(Product product);
+    }
+
+    /// <summary>
+    /// 定價規則集合
+    /// </summary>
+    public sealed class PricingRuleSet
+    {
+        public int Version { get; set; } = 1;
+        public DateTime? UpdatedAt { get; set; }
+        public string? UpdatedBy { get; set; }
+        public List<PricingRule> Rules { get; set; } = new();
+    }
+
+    /// <summary>
+    /// 單一定價規則；Type 為 staffCost、quantityTier、customerPrice 或 promotion
+    /// </summary>
+    public sealed class PricingRule
+    {
+        public string Id { get; set; } = string.Empty;
+        public string Name { get; set; } = string.Empty;
+        public string Type { get; set; } = string.Empty;
+        public bool Enabled { get; set; } = true;
+        public int Priority { get; set; }
+
+        // 適用範圍（皆未指定時適用所有產品）
+        public List<int>? ProductIds { get; set; }
+        public List<string>? Categories { get; set; }
+
+        // customerPrice：客戶名字
+        public string? Customer { get; set; }
+
+        // customerPrice / promotion：固定價格或折扣百分比擇一
+        public decimal? Price { get; set; }
+        public decimal? DiscountPercent { get; set; }
+
+        // quantityTier：數量級距
+        public List<PricingTier>? Tiers { get; set; }
+
+        // promotion：期間（含起訖日）
+        public DateTime? StartsAt { get; set; }
+        public DateTime? EndsAt { get; set; }
+    }
+
+    /// <summary>
+    /// 數量級距：購買數量達 MinQuantity 時套用固定價格或折扣
+    /// </summary>
+    public sealed class PricingTier
+    {
+        public int MinQuantity { get; set; }
+        public decimal? Price { get; set; }
+        public decimal? DiscountPercent { get; set; }
+    }
+
+    public sealed class PricingRulesService : IPricingRulesService
+    {
+        public static readonly string[] RuleTypes = { "staffCost", "quantityTier", "customerPrice", "promotion" };
+
+        private const string CacheKey = "pricing_rules";
+        private static readonly SemaphoreSlim FileLock = new(1, 1);
+
+        private static readonly JsonSerializerOptions JsonOptions = new()
+        {
+            PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+            PropertyNameCaseInsensitive = true,
+            DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull,
+            ReadCommentHandling = JsonCommentHandling.Skip,
+            AllowTrailingCommas = true
+        };
+
+        // 編輯畫面顯示用：保留中文字元
+        private static readonly JsonSerializerOptions IndentedJsonOptions = new(JsonOptions)
+        {
+            WriteIndented = true,
+            Encoder = JavaScriptEncoder.UnsafeRelaxedJsonEscaping
+        };
+
+        private readonly string _rulesPath;
+        private readonly IMemoryCache _cache;
+        private readonly ILogger<PricingRulesService> _logger;
+
+        public PricingRulesService(IConfiguration configuration, IWebHostEnvironment environment, IMemoryCache cache, ILogger<PricingRulesService> logger)
+        {
+            _rulesPath = Path.Combine(environment.ContentRootPath, configuration["Pricing:RulesPath"] ?? Path.Combine("App_Data", "pricing-rules.json"));
+            _cache = cache;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// 取得定價規則（檔案不存在或無法讀取時使用預設規則）
+        /// </summary>
+        public async Task<PricingRuleSet> GetRulesAsync()
+        {
+            if (_cache.TryGetValue(CacheKey, out PricingRuleSet? cachedRules))
+            {
+                return cachedRules!;
+            }
+
+            var rules = CreateDefaultRules();
+            try
+            {
+                if (File.Exists(_rulesPath))
+                {
+                    var json = await File.ReadAllTextAsync(_rulesPath);
+                    rules = JsonSerializer.Deserialize<PricingRuleSet>(json, JsonOptions) ?? rules;
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "讀取定價規則時發生錯誤，改用預設規則: {Path}", _rulesPath);
+            }
+
+            // 使用具體 Size 的快取選項，避免 SizeLimit 例外
+            var options = new MemoryCacheEntryOptions()
+                .SetAbsoluteExpiration(TimeSpan.FromMinutes(30))
+                .SetSize(1);
+            _cache.Set(CacheKey, rules, options);
+            return rules;
+        }
+
+        /// <summary>
+        /// 員工自留時產品應使用的成本價（與 pricing-rules.js 的 staffCost 規則相同）；
+        /// 沒有啟用且適用的員工成本價規則，或產品沒有成本價時回傳 null
+        /// </summary>
+        public async Task<decimal?> GetStaffCostPriceAsync(Product product)
+        {
+            if (product.CostPrice <= 0)
+            {
+                return null;
+            }
+
+            var rules = await GetRulesAsync();
+            var applies = rules.Rules.Any(rule => rule.Enabled
+                && rule.Type == "staffCost"
+                && ((rule.ProductIds?.Count ?? 0) == 0 && (rule.Categories?.Count ?? 0) == 0
+                    || rule.ProductIds?.Contains(product.Id) == true
+                    || rule.Categories?.Contains(product.Category) == true));
+            return applies ? Math.Round(product.CostPrice, 2, MidpointRounding.AwayFromZero) : null;
+        }
+
+        /// <summary>
+        /// 取得定價規則 JSON；預設輸出會跳脫 HTML 字元，可直接放入 script 標籤
+        /// </summary>
+        public async Task<string> GetRulesJsonAsync(bool indented = false)
+        {
+            var rules = await GetRulesAsync();
+            return JsonSerializer.Serialize(rules, indented ? IndentedJsonOptions : JsonOptions);
+        }
+
+        /// <summary>
+        /// 驗證並保存定價規則，回傳驗證錯誤（空集合表示保存成功）
+        /// </summary>
+        public async Task<IReadOnlyList<string>> SaveRulesJsonAsync(string json, string? updatedBy)
+        {
+            PricingRuleSet? rules;
+            try
+            {
+                rules = JsonSerializer.Deserialize<PricingRuleSet>(json, JsonOptions);
+            }
+            catch (JsonException ex)
+            {
+                return new[] { $"JSON 格式錯誤（第 {(ex.LineNumber ?? 0) + 1} 行）：{ex.Message}" };
+            }
+
+            if (rules == null)
+            {
+                return new[] { "請輸入定價規則" };
+            }
+
+            var errors = Validate(rules);
+            if (errors.Count > 0)
+            {
+                return errors;
+            }
+
+            rules.UpdatedAt = DateTime.Now;
+            rules.UpdatedBy = updatedBy;
+
+            await FileLock.WaitAsync();
+            try
+            {
+                Directory.CreateDirectory(Path.GetDirectoryName(_rulesPath)!);
+                await File.WriteAllTextAsync(_rulesPath, JsonSerializer.Serialize(rules, IndentedJsonOptions));
+                _cache.Remove(CacheKey);
+            }
+            finally
+            {
+                FileLock.Release();
+            }
+
+            _logger.LogInformation("定價規則已更新: {Count} 條規則, 更新者={User}", rules.Rules.Count, updatedBy);
+            return Array.Empty<string>();
+        }
+
+        /// <summary>
+        /// 驗證規則內容
+        /// </summary>
+        private static List<string> Validate(PricingRuleSet rules)
+        {
+            var errors = new List<string>();
+            var ids = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+
+            for (var i = 0; i < rules.Rules.Count; i++)
+            {
+                var rule = rules.Rules[i];
+                var label = $"第 {i + 1} 條規則{(string.IsNullOrWhiteSpace(rule.Name) ? "" : $"「{rule.Name}」")}";
+
+                if (string.IsNullOrWhiteSpace(rule.Id))
+                {
+                    errors.Add($"{label}缺少 id");
+                }
+                else if (!ids.Add(rule.Id))
+                {
+                    errors.Add($"{label}的 id「{rule.Id}」重複");
+                }
+
+                if (!RuleTypes.Contains(rule.Type))
+                {
+                    errors.Add($"{label}的 type 必須是 {string.Join("、", RuleTypes)} 其中之一");
+                    continue;
+                }
+
+                if (!IsValidAdjustment(rule.Price, rule.DiscountPercent, rule.Type is "customerPrice" or "promotion"))
+                {
+                    errors.Add($"{label}需指定 price 或 discountPercent 其中之一（折扣介於 0 到 100）");
+                }
+
+                switch (rule.Type)
+                {
+                    case "customerPrice" when string.IsNullOrWhiteSpace(rule.Customer):
+                        errors.Add($"{label}缺少 customer");
+                        break;
+                    case "quantityTier" when rule.Tiers == null || rule.Tiers.Count == 0:
+                        errors.Add($"{label}缺少 tiers");
+                        break;
+                    case "quantityTier":
+                        if (rule.Tiers!.Any(t => t.MinQuantity < 1 || !IsValidAdjustment(t.Price, t.DiscountPercent, true)))
+                        {
+                            errors.Add($"{label}的每個級距需有 minQuantity（至少 1）以及 price 或 discountPercent");
+                        }
+                        break;
+                    case "promotion" when rule.StartsAt.HasValue && rule.EndsAt.HasValue && rule.StartsAt > rule.EndsAt:
+                        errors.Add($"{label}的 startsAt 不可晚於 endsAt");
+                        break;
+                }
+            }
+
+            return errors;
+        }
+
+        /// <summary>
+        /// 固定價格與折扣擇一，且數值需在合理範圍
+        /// </summary>
+        private static bool IsValidAdjustment(decimal? price, decimal? discountPercent, bool required)
+        {
+            if (price.HasValue && discountPercent.HasValue) return false;
+            if (!price.HasValue && !discountPercent.HasValue) return !required;
+            if (price.HasValue) return price.Value >= 0;
+            return discountPercent!.Value is >= 0 and <= 100;
+        }
+
+        /// <summary>
+        /// 預設規則：員工自留以成本價計算
+        /// </summary>
+        private static PricingRuleSet CreateDefaultRules() => new()
+        {
+            Rules =
+            {
+                new PricingRule { Id = "staff-cost", Name = "員工自留成本價", Type = "staffCost", Priority = 100 }
+            }
+        };
+    }
+}
@@ -0,0 +1,367 @@
+﻿using CioSystem.Models;
+using CioSystem.Services;
+using CioSystem.Web.Models;
+using Microsoft.Extensions.Caching.Memory;
+
+namespace CioSystem.Web.Services
+{
+    /// <summary>
+    /// 產品批次操作服務：設定狀態、設定分類、加入標籤、依百分比調整售價與刪除
+    /// 逐筆套用並回報失敗的產品，成功的變更保留快照，在復原期限內可以還原；
+    /// 每個產品在獨立的服務範圍（DbContext）中保存，單筆保存失敗殘留的變更追蹤不會影響其他產品
+    /// </summary>
+    public interface IProductBulkService
+    {
+        ProductBulkPreview Preview(IReadOnlyList<Product> products, ProductBulkRequest request);
+        Task<ProductBulkResult> ApplyAsync(IReadOnlyList<Product> products, ProductBulkRequest request, string userName);
+        Task<ProductBulkResult> UndoAsync(string token, string userName);
+    }
+
+    public sealed class ProductBulkService : IProductBulkService
+    {
+        // 單次批次操作的產品數上限
+        public const int MaxItems = 500;
+
+        // 預覽列出的變更筆數
+        public const int PreviewLimit = 50;
+
+        private const int DefaultUndoSeconds = 30;
+        private const string CacheKeyPrefix = "product_bulk_undo:";
+
+        private static readonly Dictionary<ProductStatus, string> StatusNames = new()
+        {
+            [ProductStatus.Active] = "在售",
+            [ProductStatus.Inactive] = "停售",
+            [ProductStatus.OutOfStock] = "缺貨",
+            [ProductStatus.Discontinued] = "停產"
+        };
+
+        private readonly IServiceScopeFactory _scopeFactory;
+        private readonly IMemoryCache _cache;
+        private readonly ILogger<ProductBulkService> _logger;
+        private readonly int _undoSeconds;
+
+        public ProductBulkService(IServiceScopeFactory scopeFactory, IMemoryCache cache, IConfiguration configuration, ILogger<ProductBulkService> logger)
+        {
+            _scopeFactory = scopeFactory;
+            _cache = cache;
+            _logger = logger;
+            _undoSeconds = int.TryParse(configuration["Products:BulkUndoSeconds"], out var seconds) && seconds > 0 ? seconds : DefaultUndoSeconds;
+        }
+
+        /// <summary>
+        /// 預覽每個產品變更前後的值，以及套用時會失敗的產品
+        /// </summary>
+        public ProductBulkPreview Preview(IReadOnlyList<Product> products, ProductBulkRequest request)
+        {
+            var operation = CreateOperation(request);
+            var preview = new ProductBulkPreview { Description = operation.Description, TotalCount = products.Count };
+
+            foreach (var product in products)
+            {
+                var error = operation.Validate(product);
+                var unchanged = error == null && operation.IsUnchanged(product);
+
+                if (error != null) preview.ErrorCount++;
+                else if (unchanged) preview.UnchangedCount++;
+                else preview.ChangeCount++;
+
+                if (preview.Changes.Count < PreviewLimit)
+                {
+                    preview.Changes.Add(new ProductBulkChange
+                    {
+                        Id = product.Id,
+                        SKU = product.SKU,
+                        Name = product.Name,
+                        Before = operation.Before(product),
+                        After = error == null ? operation.After(product) : string.Empty,
+                        Unchanged = unchanged,
+                        Error = error
+                    });
+                }
+            }
+
+            return preview;
+        }
+
+        /// <summary>
+        /// 逐筆套用批次操作；單筆失敗不影響其他產品，失敗原因列在結果中
+        /// </summary>
+        public async Task<ProductBulkResult> ApplyAsync(IReadOnlyList<Product> products, ProductBulkRequest request, string userName)
+        {
+            var operation = CreateOperation(request);
+            var result = new ProductBulkResult { Description = operation.Description };
+            var snapshots = new List<Product>();
+
+            foreach (var product in products)
+            {
+                var error = operation.Validate(product);
+                if (error == null && operation.IsUnchanged(product))
+                {
+                    result.Unchanged++;
+                    continue;
+                }
+
+                if (error == null)
+                {
+                    var snapshot = Copy(product);
+                    try
+                    {
+                        var success = await InScopeAsync(productService => operation.Action == "delete"
+                            ? productService.DeleteProductAsync(product.Id)
+                            : UpdateAsync(productService, product, operation));
+                        if (success)
+                        {
+                            snapshots.Add(snapshot);
+                            result.Succeeded++;
+                            continue;
+                        }
+                        error = operation.Action == "delete" ? "刪除產品失敗" : "更新產品失敗";
+                    }
+                    catch (Exception ex)
+                    {
+                        _logger.LogError(ex, "批次操作產品時發生錯誤: Action={Action}, ProductId={ProductId}", operation.Action, product.Id);
+                        error = "處理時發生內部錯誤";
+                    }
+                }
+
+                result.Failures.Add(new ProductBulkFailure { Id = product.Id, SKU = product.SKU, Name = product.Name, Error = error });
+            }
+
+            if (snapshots.Count > 0)
+            {
+                result.UndoToken = Guid.NewGuid().ToString("N");
+                result.UndoSeconds = _undoSeconds;
+
+                // 使用具體 Size 的快取選項，避免 SizeLimit 例外
+                var options = new MemoryCacheEntryOptions()
+                    .SetAbsoluteExpiration(TimeSpan.FromSeconds(_undoSeconds))
+                    .SetSize(1);
+                _cache.Set(CacheKeyPrefix + result.UndoToken, new UndoEntry(userName, operation.Action, operation.Description, snapshots), options);
+            }
+
+            _logger.LogInformation("產品批次操作完成: Action={Action}, User={User}, Succeeded={Succeeded}, Unchanged={Unchanged}, Failed={Failed}",
+                operation.Action, userName, result.Succeeded, result.Unchanged, result.Failures.Count);
+            return result;
+        }
+
+        /// <summary>
+        /// 復原批次操作（只能復原自己在期限內的操作，每個操作只能復原一次）
+        /// </summary>
+        public async Task<ProductBulkResult> UndoAsync(string token, string userName)
+        {
+            var key = CacheKeyPrefix + token;
+            if (!_cache.TryGetValue(key, out UndoEntry? entry) || entry == null
+                || !string.Equals(entry.UserName, userName, StringComparison.OrdinalIgnoreCase))
+            {
+                throw new InvalidOperationException("已超過復原期限或找不到此批次操作");
+            }
+            _cache.Remove(key);
+
+            var result = new ProductBulkResult { Description = $"復原：{entry.Description}" };
+            foreach (var snapshot in entry.Snapshots)
+            {
+                try
+                {
+                    if (await InScopeAsync(productService => RestoreAsync(productService, snapshot, entry.Action)))
+                    {
+                        result.Succeeded++;
+                        continue;
+                    }
+                    result.Failures.Add(new ProductBulkFailure { Id = snapshot.Id, SKU = snapshot.SKU, Name = snapshot.Name, Error = "產品已不存在或無法還原" });
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "復原產品批次操作時發生錯誤: Action={Action}, ProductId={ProductId}", entry.Action, snapshot.Id);
+                    result.Failures.Add(new ProductBulkFailure { Id = snapshot.Id, SKU = snapshot.SKU, Name = snapshot.Name, Error = "處理時發生內部錯誤" });
+                }
+            }
+
+            _logger.LogInformation("產品批次操作已復原: Action={Action}, User={User}, Restored={Restored}, Failed={Failed}",
+                entry.Action, userName, result.Succeeded, result.Failures.Count);
+            return result;
+        }
+
+        /// <summary>
+        /// 在新的服務範圍中處理單一產品（範圍結束時一併釋放該產品的 DbContext）
+        /// </summary>
+        private async Task<bool> InScopeAsync(Func<IProductService, Task<bool>> work)
+        {
+            using var scope = _scopeFactory.CreateScope();
+            return await work(scope.ServiceProvider.GetRequiredService<IProductService>());
+        }
+
+        /// <summary>
+        /// 套用變更並保存
+        /// </summary>
+        private static async Task<bool> UpdateAsync(IProductService productService, Product product, BulkOperation operation)
+        {
+            operation.Apply(product);
+            return await productService.UpdateProductAsync(product);
+        }
+
+        /// <summary>
+        /// 還原單一產品：刪除的產品以快照整筆還原，其他操作只還原變更的欄位
+        /// </summary>
+        private static async Task<bool> RestoreAsync(IProductService productService, Product snapshot, string action)
+        {
+            if (action == "delete")
+            {
+                var restored = Copy(snapshot);
+                restored.IsDeleted = false;
+                return await productService.UpdateProductAsync(restored);
+            }
+
+            var product = await productService.GetProductByIdAsync(snapshot.Id);
+            if (product == null)
+            {
+                return false;
+            }
+
+            switch (action)
+            {
+                case "status":
+                    product.Status = snapshot.Status;
+                    break;
+                case "category":
+                    product.Category = snapshot.Category;
+                    break;
+                case "tags":
+                    product.Tags = snapshot.Tags;
+                    break;
+                case "price":
+                    product.Price = snapshot.Price;
+                    break;
+            }
+            return await productService.UpdateProductAsync(product);
+        }
+
+        /// <summary>
+        /// 依請求建立操作（參數無效時擲出 ArgumentException）
+        /// </summary>
+        private static BulkOperation CreateOperation(ProductBulkRequest request)
+        {
+            var action = (request.Action ?? string.Empty).Trim().ToLowerInvariant();
+            switch (action)
+            {
+                case "status":
+                {
+                    if (!Enum.TryParse<ProductStatus>(request.Value, true, out var status) || !Enum.IsDefined(status))
+                    {
+                        throw new ArgumentException("請選擇有效的產品狀態");
+                    }
+                    return new BulkOperation(action, $"狀態設為「{StatusName(status)}」",
+                        p => StatusName(p.Status), p => StatusName(status), p => p.Status = status);
+                }
+                case "category":
+                {
+                    var category = request.Value?.Trim() ?? string.Empty;
+                    if (category.Length == 0)
+                    {
+                        throw new ArgumentException("請輸入產品分類");
+                    }
+                    if (category.Length > 100)
+                    {
+                        throw new ArgumentException("產品類別長度不能超過100個字元");
+                    }
+                    return new BulkOperation(action, $"分類設為「{category}」",
+                        p => p.Category, p => category, p => p.Category = category);
+                }
+                case "tags":
+                {
+                    var tags = SplitTags(request.Value);
+                    if (tags.Count == 0)
+                    {
+                        throw new ArgumentException("請輸入要加入的標籤");
+                    }
+                    return new BulkOperation(action, $"加入標籤「{string.Join("、", tags)}」",
+                        p => MergeTags(p.Tags, Array.Empty<string>()), p => MergeTags(p.Tags, tags), p => p.Tags = MergeTags(p.Tags, tags));
+                }
+                case "price":
+                {
+                    if (request.Percent is not { } percent || percent == 0 || percent <= -100 || percent > 1000)
+                    {
+                        throw new ArgumentException("售價調整比例必須介於 -100% 與 1000% 之間且不為 0");
+                    }
+                    decimal NewPrice(Product p) => Math.Round(p.Price * (1 + percent / 100m), 2, MidpointRounding.AwayFromZero);
+                    return new BulkOperation(action, $"售價{(percent > 0 ? "調漲" : "調降")} {Math.Abs(percent):0.##}%",
+                        p => p.Price.ToString("N2"), p => NewPrice(p).ToString("N2"), p => p.Price = NewPrice(p),
+                        p => NewPrice(p) < 0.01m ? "調整後售價必須大於 0" : null);
+                }
+                case "delete":
+                    return new BulkOperation(action, "刪除產品", p => StatusName(p.Status), p => "已刪除", _ => { });
+                default:
+                    throw new ArgumentException("不支援的批次操作");
+            }
+        }
+
+        private static string StatusName(ProductStatus status) =>
+            StatusNames.TryGetValue(status, out var name) ? name : status.ToString();
+
+        /// <summary>
+        /// 拆分逗號分隔的標籤（去除空白與重複）
+        /// </summary>
+        private static List<string> SplitTags(string? value) =>
+            (value ?? string.Empty)
+                .Split(new[] { ',', '，' }, StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .ToList();
+
+        /// <summary>
+        /// 將標籤加入既有標籤（已存在的標籤不重複加入）
+        /// </summary>
+        private static string MergeTags(string? current, IEnumerable<string> tags) =>
+            string.Join(",", SplitTags(current).Concat(tags).Distinct(StringComparer.OrdinalIgnoreCase));
+
+        /// <summary>
+        /// 複製產品的欄位（不含導航屬性），作為復原用的快照
+        /// </summary>
+        private static Product Copy(Product product) => new()
+        {
+            Id = product.Id,
+            Name = product.Name,
+            Description = product.Description,
+            CostPrice = product.CostPrice,
+            Price = product.Price,
+            Category = product.Category,
+            SKU = product.SKU,
+            Brand = product.Brand,
+            Weight = product.Weight,
+            Dimensions = product.Dimensions,
+            Color = product.Color,
+            Status = product.Status,
+            ImageUrl = product.ImageUrl,
+            MinStockLevel = product.MinStockLevel,
+            MaxStockLevel = product.MaxStockLevel,
+            SupplierId = product.SupplierId,
+            Tags = product.Tags,
+            Notes = product.Notes,
+            CreatedAt = product.CreatedAt,
+            CreatedBy = product.CreatedBy,
+            UpdatedAt = product.UpdatedAt,
+            UpdatedBy = product.UpdatedBy,
+            IsDeleted = product.IsDeleted
+        };
+
+        /// <summary>
+        /// 批次操作：顯示變更前後的值、檢查與套用
+        /// </summary>
+        private sealed record BulkOperation(
+            string Action,
+            string Description,
+            Func<Product, string> Before,
+            Func<Product, string> After,
+            Action<Product> Apply,
+            Func<Product, string?>? Check = null)
+        {
+            public string? Validate(Product product) => Check?.Invoke(product);
+
+            public bool IsUnchanged(Product product) => Action != "delete" && Before(product) == After(product);
+        }
+
+        /// <summary>
+        /// 復原快照
+        /// </summary>
+        private sealed record UndoEntry(string UserName, string Action, string Description, IReadOnlyList<Product> Snapshots);
+    }
+}
@@ -0,0 +1,171 @@
+﻿using System.Text.Json;
+using System.Text.RegularExpressions;
+using Microsoft.Extensions.Caching.Memory;
+
+namespace CioSystem.Web.Services
+{
+    /// <summary>
+    /// 表格版面設定服務：保存每位使用者在資料表格（wwwroot/js/data-grid.js）的欄位顯示、順序、寬度與密度，
+    /// 內容由前端定義，伺服器只檢查格式與大小後以 JSON 檔案保存
+    /// </summary>
+    public interface ITablePreferencesService
+    {
+        Task<JsonElement?> GetAsync(string userName, string table);
+        Task SaveAsync(string userName, string table, JsonElement? layout);
+    }
+
+    public sealed class TablePreferencesService : ITablePreferencesService
+    {
+        // 單一表格設定的大小上限（字元）
+        public const int MaxLayoutLength = 16 * 1024;
+
+        // 每位使用者可保存的表格數量上限（表格名稱由前端決定，需限制總量）
+        public const int MaxTablesPerUser = 50;
+
+        private const string CacheKey = "table_preferences";
+        private static readonly Regex TableKeyPattern = new("^[A-Za-z0-9_.:-]{1,64}$", RegexOptions.Compiled);
+        private static readonly SemaphoreSlim FileLock = new(1, 1);
+
+        private readonly string _path;
+        private readonly IMemoryCache _cache;
+        private readonly ILogger<TablePreferencesService> _logger;
+
+        public TablePreferencesService(IConfiguration configuration, IWebHostEnvironment environment, IMemoryCache cache, ILogger<TablePreferencesService> logger)
+        {
+            _path = Path.Combine(environment.ContentRootPath, configuration["TablePreferences:Path"] ?? Path.Combine("App_Data", "table-preferences.json"));
+            _cache = cache;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// 表格名稱只允許英數字與 _ . : -
+        /// </summary>
+        public static bool IsValidTableKey(string? table) => table != null && TableKeyPattern.IsMatch(table);
+
+        /// <summary>
+        /// 取得使用者的表格設定（沒有設定時回傳 null）
+        /// </summary>
+        public async Task<JsonElement?> GetAsync(string userName, string table)
+        {
+            var preferences = await LoadCachedAsync();
+            return preferences.TryGetValue(userName, out var tables) && tables.TryGetValue(table, out var layout)
+                ? layout
+                : null;
+        }
+
+        /// <summary>
+        /// 保存使用者的表格設定；layout 為 null 時刪除（恢復預設）
+        /// </summary>
+        public async Task SaveAsync(string userName, string table, JsonElement? layout)
+        {
+            if (!IsValidTableKey(table))
+            {
+                throw new ArgumentException("無效的表格名稱");
+            }
+            if (layout.HasValue && layout.Value.ValueKind != JsonValueKind.Object)
+            {
+                throw new ArgumentException("表格設定必須是 JSON 物件");
+            }
+            if (layout.HasValue && layout.Value.GetRawText().Length > MaxLayoutLength)
+            {
+                throw new ArgumentException("表格設定內容過大");
+            }
+
+            await FileLock.WaitAsync();
+            try
+            {
+                // 設定檔存在但無法讀取時不可寫入，否則會以空白設定覆蓋其他使用者的資料
+                var preferences = await ReadFileAsync(throwOnError: true);
+                preferences.TryGetValue(userName, out var tables);
+                if (layout.HasValue && tables != null && !tables.ContainsKey(table) && tables.Count >= MaxTablesPerUser)
+                {
+                    throw new ArgumentException($"每位使用者最多保存 {MaxTablesPerUser} 個表格設定，請先重設不再使用的表格");
+                }
+                if (tables == null)
+                {
+                    tables = new Dictionary<string, JsonElement>(StringComparer.OrdinalIgnoreCase);
+                    preferences[userName] = tables;
+                }
+
+                if (layout.HasValue)
+                {
+                    tables[table] = layout.Value.Clone();
+                }
+                else
+                {
+                    tables.Remove(table);
+                    if (tables.Count == 0) preferences.Remove(userName);
+                }
+
+                // 先寫入暫存檔再取代，寫到一半失敗也不會留下殘缺的設定檔
+                Directory.CreateDirectory(Path.GetDirectoryName(_path)!);
+                var tempPath = $"{_path}.{Guid.NewGuid():N}.tmp";
+                try
+                {
+                    await File.WriteAllTextAsync(tempPath, JsonSerializer.Serialize(preferences));
+                    File.Move(tempPath, _path, overwrite: true);
+                }
+                finally
+                {
+                    File.Delete(tempPath);
+                }
+                _cache.Remove(CacheKey);
+            }
+            finally
+            {
+                FileLock.Release();
+            }
+
+            _logger.LogInformation("表格設定已{Action}: User={User}, Table={Table}", layout.HasValue ? "保存" : "重設", userName, table);
+        }
+
+        /// <summary>
+        /// 讀取快取的設定
+        /// </summary>
+        private async Task<Dictionary<string, Dictionary<string, JsonElement>>> LoadCachedAsync()
+        {
+            if (_cache.TryGetValue(CacheKey, out Dictionary<string, Dictionary<string, JsonElement>>? cached))
+            {
+                return cached!;
+            }
+
+            var preferences = await ReadFileAsync();
+
+            // 使用具體 Size 的快取選項，避免 SizeLimit 例外
+            var options = new MemoryCacheEntryOptions()
+                .SetAbsoluteExpiration(TimeSpan.FromMinutes(30))
+                .SetSize(1);
+            _cache.Set(CacheKey, preferences, options);
+            return preferences;
+        }
+
+        /// <summary>
+        /// 讀取設定檔（檔案不存在時回傳空的設定；無法讀取或格式錯誤時，throwOnError 為 true 則拋出例外，否則回傳空的設定）
+        /// </summary>
+        private async Task<Dictionary<string, Dictionary<string, JsonElement>>> ReadFileAsync(bool throwOnError = false)
+        {
+            var preferences = new Dictionary<string, Dictionary<string, JsonElement>>(StringComparer.OrdinalIgnoreCase);
+            try
+            {
+                if (File.Exists(_path))
+                {
+                    var json = await File.ReadAllTextAsync(_path);
+                    var stored = JsonSerializer.Deserialize<Dictionary<string, Dictionary<string, JsonElement>>>(json);
+                    foreach (var (user, tables) in stored ?? new())
+                    {
+                        preferences[user] = new Dictionary<string, JsonElement>(tables, StringComparer.OrdinalIgnoreCase);
+                    }
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "讀取表格設定時發生錯誤: {Path}", _path);
+                if (throwOnError)
+                {
+                    throw new InvalidOperationException("表格設定檔無法讀取，為避免覆蓋其他使用者的設定已停止保存", ex);
+                }
+            }
+            return preferences;
+        }
+    }
+}
@@ -3,10 +3,6 @@
  * 提供增強的用戶體驗和視覺效果
  */
 
-// 全域變數
-let isLoading = false;
-let currentToastId = 0;
-
 // 初始化函數
 document.addEventListener('DOMContentLoaded', function () {
     initializeAnimations();
@@ -95,25 +91,7 @@ function initializeFormEnhancements() {
         });
     });
 
-    // 表單提交動畫
-    document.querySelectorAll('form').forEach(form => {
-        form.addEventListener('submit', function (e) {
-            const submitBtn = form.querySelector('button[type="submit"]');
-            if (submitBtn && !isLoading) {
-                isLoading = true;
-                const originalText = submitBtn.innerHTML;
-                submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-2"></i>處理中...';
-                submitBtn.disabled = true;
-
-                // 5秒後恢復按鈕狀態（防止卡住）
-                setTimeout(() => {
-                    isLoading = false;
-                    submitBtn.innerHTML = originalText;
-                    submitBtn.disabled = false;
-                }, 5000);
-            }
-        });
-    });
+    // 表單送出狀態由 FormSubmission 管理（form-submission.js）
 }
 
 /**
@@ -216,72 +194,27 @@ function hideTooltip() {
 
 /**
  * 顯示 Toast 通知
+ * 可傳入 (message, type, title, duration) 或選項物件（見 toast-manager.js，支援 actions、progress 等）
  */
-function showToast(message, type = 'info', title = '通知', duration = 5000) {
-    const toastContainer = document.getElementById('toast-container') || createToastContainer();
-
-    const toastId = 'toast-' + (++currentToastId);
-    const iconMap = {
-        'success': 'fas fa-check-circle',
-        'error': 'fas fa-exclamation-circle',
-        'warning': 'fas fa-exclamation-triangle',
-        'info': 'fas fa-info-circle'
-    };
-
-    const typeColors = {
-        'success': 'var(--success-color)',
-        'error': 'var(--danger-color)',
-        'warning': 'var(--warning-color)',
-        'info': 'var(--primary-color)'
-    };
-
-    const toastHtml = `
-        <div class="toast fade-in" id="${toastId}" role="alert" aria-live="assertive" aria-atomic="true" style="margin-bottom: 1rem;">
-            <div class="toast-header" style="background: ${typeColors[type]}; color: white; border-radius: 12px 12px 0 0;">
-                <i class="${iconMap[type]} me-2"></i>
-                <strong class="me-auto">${title}</strong>
-                <button type="button" class="btn-close btn-close-white" onclick="closeToast('${toastId}')"></button>
-            </div>
-            <div class="toast-body" style="background: white; border-radius: 0 0 12px 12px; box-shadow: 0 8px 32px rgba(0, 0, 0, 0.1);">
-                ${message}
-            </div>
-        </div>
-    `;
-
-    toastContainer.insertAdjacentHTML('beforeend', toastHtml);
-
-    // 自動移除 toast
-    setTimeout(() => {
-        closeToast(toastId);
-    }, duration);
-
-    return toastId;
+function showToast(message, type = 'info', title = '通知', duration) {
+    if (message !== null && typeof message === 'object') {
+        return ToastManager.show(message);
+    }
+    return ToastManager.show({ message, type, title, duration });
 }
 
 /**
- * 關閉 Toast
+ * 更新 Toast 內容（例如進度通知）
  */
-function closeToast(toastId) {
-    const toast = document.getElementById(toastId);
-    if (toast) {
-        toast.style.animation = 'fadeOut 0.3s ease';
-        setTimeout(() => {
-            toast.remove();
-        }, 300);
-    }
+function updateToast(toastId, changes) {
+    return ToastManager.update(toastId, changes);
 }
 
 /**
- * 創建 Toast 容器
+ * 關閉 Toast
  */
-function createToastContainer() {
-    const container = document.createElement('div');
-    container.id = 'toast-container';
-    container.className = 'toast-container position-fixed top-0 end-0 p-3';
-    container.style.zIndex = '1055';
-    container.style.maxWidth = '400px';
-    document.body.appendChild(container);
-    return container;
+function closeToast(toastId) {
+    ToastManager.close(toastId);
 }
 
 /**
@@ -292,7 +225,7 @@ function showLoading(element, text = '載入中...') {
 
     const originalContent = element.innerHTML;
     element._originalContent = originalContent;
-    element.innerHTML = `
+    element.innerHTML = SafeHtml.html`
         <div class="d-flex align-items-center justify-content-center">
             <div class="loading-spinner me-2"></div>
             <span>${text}</span>
@@ -313,84 +246,111 @@ function hideLoading(element) {
 
 /**
  * AJAX 請求輔助函數
+ * 透過 HttpClient 發送，支援逾時、重試、防偽權杖與 json/form 內容（選項見 http-client.js）
+ * targetForm：伺服器回傳欄位驗證錯誤時，標示在此表單的對應欄位
  */
 function ajaxRequest(url, options = {}) {
+    const { targetForm = null, ...requestOptions } = options;
     const defaultOptions = {
-        method: 'GET',
-        headers: {
-            'Content-Type': 'application/json',
-            'X-Requested-With': 'XMLHttpRequest'
-        }
+        method: 'GET'
     };
 
-    const finalOptions = { ...defaultOptions, ...options };
+    const finalOptions = { ...defaultOptions, ...requestOptions };
 
-    return fetch(url, finalOptions)
-        .then(response => {
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            return response.json();
-        })
+    if (targetForm) {
+        clearFieldErrors(targetForm);
+    }
+
+    return HttpClient.request(url, finalOptions)
         .catch(error => {
+            if (HttpClient.isAbortError(error)) {
+                throw error;
+            }
             console.error('AJAX 請求錯誤:', error);
-            showToast('請求失敗，請稍後再試', 'error', '網路錯誤');
+            showServerErrors(error, targetForm);
             throw error;
         });
 }
 
 /**
- * 表單驗證增強
+ * 顯示伺服器錯誤
+ * 欄位錯誤標示在表單對應的輸入框，其餘錯誤合併為一則附追蹤碼的 Toast
  */
-function validateForm(form) {
-    let isValid = true;
-    const errors = [];
-
-    // 檢查必填欄位
-    const requiredFields = form.querySelectorAll('[required]');
-    requiredFields.forEach(field => {
-        if (!field.value.trim()) {
-            field.classList.add('is-invalid');
-            errors.push(`${field.previousElementSibling?.textContent || '欄位'} 為必填項目`);
-            isValid = false;
+function showServerErrors(error, form = null) {
+    const problem = error && error.problem;
+    if (!problem) {
+        showToast('請求失敗，請稍後再試', 'error', '網路錯誤');
+        return;
+    }
+
+    const messages = [...problem.messages];
+    let firstInvalid = null;
+
+    Object.entries(problem.fieldErrors).forEach(([field, fieldMessages]) => {
+        const input = form ? findFieldInput(form, field) : null;
+        if (input) {
+            showFieldError(input, fieldMessages.join(' '));
+            firstInvalid = firstInvalid || input;
         } else {
-            field.classList.remove('is-invalid');
+            messages.push(...fieldMessages);
         }
     });
 
-    // 檢查電子郵件格式
-    const emailFields = form.querySelectorAll('input[type="email"]');
-    emailFields.forEach(field => {
-        if (field.value && !isValidEmail(field.value)) {
-            field.classList.add('is-invalid');
-            errors.push('請輸入有效的電子郵件地址');
-            isValid = false;
-        }
-    });
+    if (problem.detail && !messages.includes(problem.detail)) {
+        messages.unshift(problem.detail);
+    }
 
-    // 檢查數字欄位
-    const numberFields = form.querySelectorAll('input[type="number"]');
-    numberFields.forEach(field => {
-        if (field.value && isNaN(field.value)) {
-            field.classList.add('is-invalid');
-            errors.push(`${field.previousElementSibling?.textContent || '數字欄位'} 必須為有效數字`);
-            isValid = false;
-        }
-    });
+    // 只有欄位錯誤時不另外顯示通用標題
+    if (messages.length === 0 && !firstInvalid) {
+        messages.push(problem.title || '請求失敗，請稍後再試');
+    }
 
-    if (!isValid) {
-        showToast(errors.join('<br>'), 'error', '表單驗證錯誤');
+    if (firstInvalid) {
+        firstInvalid.focus();
     }
 
-    return isValid;
+    if (messages.length === 0) return;
+
+    const traceInfo = problem.traceId
+        ? SafeHtml.html`<br><small class="text-muted">追蹤碼：${problem.traceId}</small>`
+        : '';
+    const content = SafeHtml.html`${SafeHtml.join(messages, SafeHtml.html`<br>`)}${traceInfo}`;
+    showToast(content, 'error', problem.status >= 500 ? '系統錯誤' : '請求失敗');
+}
+
+/**
+ * 依伺服器欄位名稱找出表單中的輸入框（由 FormValidator 處理）
+ */
+function findFieldInput(form, field) {
+    return FormValidator.findField(form, field);
 }
 
 /**
- * 驗證電子郵件格式
+ * 顯示欄位錯誤
  */
-function isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+function showFieldError(input, message) {
+    FormValidator.showFieldError(input, message);
+}
+
+/**
+ * 清除欄位錯誤
+ */
+function clearFieldError(input) {
+    FormValidator.clearFieldError(input);
+}
+
+/**
+ * 清除表單中所有欄位錯誤
+ */
+function clearFieldErrors(form) {
+    FormValidator.clearFormErrors(form);
+}
+
+/**
+ * 表單驗證（同步規則，錯誤訊息顯示於各欄位；規則見 form-validator.js）
+ */
+function validateForm(form) {
+    return FormValidator.validateSync(form);
 }
 
 /**
@@ -501,7 +461,7 @@ function easeInOutQuad(t, b, c, d) {
 }
 
 /**
- * 全域錯誤處理
+ * 全域錯誤處理（錯誤回報由 ErrorReporter 負責，這裡只提示使用者）
  */
 window.addEventListener('error', function (e) {
     console.error('JavaScript 錯誤:', e.error);
@@ -522,15 +482,24 @@ window.addEventListener('offline', function () {
 // 導出全域函數
 window.CioSystem = {
     showToast,
+    updateToast,
     closeToast,
+    confirm: ConfirmDialog.confirm,
     showLoading,
     hideLoading,
     ajaxRequest,
+    http: HttpClient,
+    showServerErrors,
+    showFieldError,
+    clearFieldError,
     validateForm,
     formatNumber,
     formatCurrency,
     formatDate,
     copyToClipboard,
+    html: SafeHtml.html,
+    trustedHtml: SafeHtml.raw,
+    escapeHtml: SafeHtml.escape,
     scrollToTop,
     debounce,
     throttle
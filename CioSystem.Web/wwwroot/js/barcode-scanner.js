@@ -0,0 +1,321 @@
+﻿/**
+ * CioSystem 條碼掃描器
+ * 偵測鍵盤模擬（keyboard wedge）掃描器在頁面任何位置送出的快速按鍵串（以 Enter 結尾），
+ * 依產品編號查詢產品後選取產品或新增品項，並以提示音與閃爍回饋；無法掃描時可手動輸入條碼
+ *
+ * 用法：
+ *   <form data-scanner>                                頁面有此標記時才啟用掃描
+ *   <select data-scanner-select>                        預設處理：選取掃描到的產品
+ *   <button type="button" data-scanner-manual>          開啟手動輸入
+ *   <input data-scanner-ignore>                         在此欄位內的按鍵不視為掃描
+ *   document.addEventListener('scanner:scan', e => {    自訂處理（呼叫 preventDefault）
+ *       e.preventDefault();
+ *       e.detail.element = row;                         閃爍提示的元素
+ *       e.detail.error = '此產品不在清單中';            無法處理時的訊息
+ *   });
+ */
+
+const BarcodeScanner = (function () {
+    'use strict';
+
+    const LOOKUP_URL = '/Products/FindBySku';
+
+    const defaultConfig = {
+        enabled: true,
+        maxInterval: 50,
+        minLength: 4,
+        sound: true
+    };
+
+    // 目前累積的按鍵
+    const state = { buffer: '', last: 0, target: null };
+
+    let audioContext = null;
+    let manualModal = null;
+
+    /**
+     * 取得設定
+     */
+    function getConfig() {
+        return { ...defaultConfig, ...(window.FrontendConfig?.scanner || {}) };
+    }
+
+    /**
+     * 頁面是否需要掃描器
+     */
+    function isActive() {
+        return getConfig().enabled && document.querySelector('[data-scanner]') !== null;
+    }
+
+    function reset() {
+        state.buffer = '';
+        state.last = 0;
+        state.target = null;
+    }
+
+    /**
+     * 提示音（成功為單聲高音，失敗為兩聲低音）
+     */
+    function beep(success) {
+        if (!getConfig().sound) return;
+        try {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContext) return;
+            audioContext = audioContext || new AudioContext();
+
+            const tones = success ? [[880, 0]] : [[220, 0], [220, 0.18]];
+            tones.forEach(([frequency, delay]) => {
+                const oscillator = audioContext.createOscillator();
+                const gain = audioContext.createGain();
+                oscillator.frequency.value = frequency;
+                gain.gain.value = 0.1;
+                oscillator.connect(gain);
+                gain.connect(audioContext.destination);
+                oscillator.start(audioContext.currentTime + delay);
+                oscillator.stop(audioContext.currentTime + delay + 0.12);
+            });
+        } catch (e) {
+            // 瀏覽器不允許播放音效時忽略
+        }
+    }
+
+    /**
+     * 閃爍提示元素
+     */
+    function flash(element, success) {
+        if (!element) return;
+        const className = success ? 'scanner-flash-success' : 'scanner-flash-error';
+        element.classList.remove('scanner-flash-success', 'scanner-flash-error');
+        // 強制重繪以重新播放動畫
+        void element.offsetWidth;
+        element.classList.add(className);
+        setTimeout(() => element.classList.remove(className), 800);
+    }
+
+    /**
+     * 移除掃描器輸入到目前欄位中的字元
+     */
+    function removeTypedCode(target, code) {
+        if (!target || !('value' in target) || typeof target.value !== 'string') return;
+        if (target.value.endsWith(code)) {
+            target.value = target.value.slice(0, -code.length);
+            target.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+    }
+
+    /**
+     * 依產品編號查詢產品（找不到時為 null）
+     */
+    async function lookup(code) {
+        try {
+            return await HttpClient.get(`${LOOKUP_URL}?code=${encodeURIComponent(code)}`, { key: 'scanner:lookup' });
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * 預設處理：在掃描區域中的產品下拉選單選取產品
+     */
+    function selectProduct(detail) {
+        const select = document.querySelector('[data-scanner] select[data-scanner-select]');
+        if (!select) {
+            detail.error = '此頁面沒有可選取產品的欄位';
+            return;
+        }
+
+        const option = Array.from(select.options).find(item => item.value === String(detail.product.id));
+        if (!option) {
+            detail.error = `「${detail.product.name}」不在可選擇的產品清單中`;
+            detail.element = select;
+            return;
+        }
+
+        select.value = option.value;
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+        detail.element = select;
+    }
+
+    /**
+     * 處理一個條碼：查詢產品並交給頁面處理
+     * @returns {Promise<boolean>} 成功選取產品時為 true
+     */
+    async function handleCode(code) {
+        code = String(code || '').trim();
+        if (!code) return false;
+
+        let product;
+        try {
+            product = await lookup(code);
+        } catch (error) {
+            if (HttpClient.isAbortError(error)) return false;
+            beep(false);
+            ToastManager.error('查詢產品失敗，請稍後再試');
+            return false;
+        }
+
+        if (!product) {
+            beep(false);
+            flash(document.querySelector('[data-scanner] select[data-scanner-select]'), false);
+            ToastManager.warning(`找不到產品編號「${code}」`, {
+                actions: [{ label: '手動輸入', onClick: () => openManualEntry(code) }]
+            });
+            return false;
+        }
+
+        const detail = { code, product, element: null, error: null };
+        const event = new CustomEvent('scanner:scan', { cancelable: true, detail });
+        if (document.dispatchEvent(event)) {
+            selectProduct(detail);
+        }
+
+        if (detail.error) {
+            beep(false);
+            flash(detail.element, false);
+            ToastManager.warning(detail.error);
+            return false;
+        }
+
+        beep(true);
+        flash(detail.element, true);
+        return true;
+    }
+
+    /**
+     * 鍵盤事件：累積快速按鍵，Enter 結尾且長度足夠時視為掃描
+     */
+    function handleKeydown(e) {
+        if (!isActive()) return;
+        if (e.ctrlKey || e.altKey || e.metaKey || (e.target.closest && e.target.closest('[data-scanner-ignore]'))) {
+            reset();
+            return;
+        }
+
+        const config = getConfig();
+        const now = e.timeStamp || performance.now();
+        const gap = now - state.last;
+
+        if (e.key === 'Enter') {
+            const code = state.buffer;
+            const target = state.target;
+            const isScan = code.length >= config.minLength && gap <= config.maxInterval;
+            reset();
+            if (!isScan) return;
+
+            // 掃描器送出的 Enter 不應送出表單
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            removeTypedCode(target, code);
+            handleCode(code);
+            return;
+        }
+
+        // Shift 等修飾鍵不影響累積（掃描器以 Shift 輸出大寫字母）
+        if (!e.key || e.key.length !== 1) return;
+
+        if (state.buffer && gap > config.maxInterval) reset();
+        if (!state.buffer) state.target = e.target;
+        state.buffer += e.key;
+        state.last = now;
+    }
+
+    /**
+     * 建立手動輸入對話框
+     */
+    function createManualModal() {
+        const { el } = SafeHtml;
+        const input = el('input', {
+            type: 'text',
+            className: 'form-control',
+            id: 'scannerManualInput',
+            autocomplete: 'off',
+            spellcheck: 'false',
+            placeholder: '例如 PRD-001',
+            'data-scanner-ignore': true
+        });
+        const feedback = el('div', { className: 'invalid-feedback' });
+        // 對話框內的表單不經過表單送出管理
+        const form = el('form', { className: 'modal-content', dataset: { submission: 'off' } },
+            el('div', { className: 'modal-header' },
+                el('h5', { className: 'modal-title' },
+                    el('i', { className: 'fas fa-barcode me-2', 'aria-hidden': 'true' }), '手動輸入條碼'),
+                el('button', { type: 'button', className: 'btn-close', 'data-bs-dismiss': 'modal', 'aria-label': '關閉' })),
+            el('div', { className: 'modal-body' },
+                el('label', { className: 'form-label', for: 'scannerManualInput' }, '產品編號'),
+                input,
+                feedback),
+            el('div', { className: 'modal-footer' },
+                el('button', { type: 'button', className: 'btn btn-secondary', 'data-bs-dismiss': 'modal' }, '取消'),
+                el('button', { type: 'submit', className: 'btn btn-primary' }, '查詢')));
+
+        const modal = el('div', {
+            className: 'modal fade',
+            id: 'scannerManualModal',
+            tabindex: '-1',
+            'aria-modal': 'true',
+            role: 'dialog'
+        }, el('div', { className: 'modal-dialog modal-dialog-centered modal-sm' }, form));
+
+        form.addEventListener('submit', async e => {
+            e.preventDefault();
+            input.classList.remove('is-invalid');
+            if (await handleCode(input.value)) {
+                bootstrap.Modal.getOrCreateInstance(modal).hide();
+            } else {
+                feedback.textContent = '找不到此產品編號，請確認後再試';
+                input.classList.add('is-invalid');
+                input.select();
+            }
+        });
+        modal.addEventListener('shown.bs.modal', () => input.focus());
+
+        document.body.appendChild(modal);
+        return { modal, input };
+    }
+
+    /**
+     * 開啟手動輸入（Bootstrap 未載入時使用 prompt）
+     */
+    function openManualEntry(code = '') {
+        if (!window.bootstrap || !window.bootstrap.Modal) {
+            const value = window.prompt('請輸入產品編號', code);
+            if (value) handleCode(value);
+            return;
+        }
+
+        manualModal = manualModal || createManualModal();
+        manualModal.input.value = code;
+        manualModal.input.classList.remove('is-invalid');
+        bootstrap.Modal.getOrCreateInstance(manualModal.modal).show();
+    }
+
+    /**
+     * 安裝全域事件
+     */
+    function install() {
+        // 擷取階段：早於欄位本身的 Enter 處理（例如送出表單）
+        document.addEventListener('keydown', handleKeydown, true);
+
+        document.addEventListener('click', e => {
+            const button = e.target.closest('[data-scanner-manual]');
+            if (button) {
+                e.preventDefault();
+                openManualEntry();
+            }
+        });
+    }
+
+    install();
+
+    // 公共 API
+    return {
+        handleCode,
+        openManualEntry,
+        isActive,
+        reset
+    };
+})();
+
+// 導出到全域
+window.BarcodeScanner = BarcodeScanner;
@@ -0,0 +1,422 @@
+﻿/**
+ * CioSystem 批次操作
+ * 搭配可選取的資料表格（DataGrid selectable: true）：選取資料後顯示固定在底部的操作列，
+ * 每個操作先向伺服器預覽受影響的資料，確認後才套用；部分失敗時列出失敗原因並保留失敗的選取，
+ * 成功的變更可在 Toast 的「復原」按鈕期限內還原
+ *
+ * 伺服器端點（皆為 POST JSON）：
+ *   previewUrl：{ action, ids, allMatching, query, ...輸入值 } -> { description, totalCount, changeCount, unchangedCount, errorCount, changes }
+ *   applyUrl：同上 -> { description, succeeded, unchanged, failures, undoToken, undoSeconds }
+ *   undoUrl：{ token } -> { description, succeeded, failures }
+ *
+ * 用法：
+ *   BulkActions.create(productsGrid, {
+ *       previewUrl: '/Products/BulkPreview',
+ *       applyUrl: '/Products/BulkApply',
+ *       undoUrl: '/Products/BulkUndo',
+ *       itemName: '產品',
+ *       actions: [
+ *           { id: 'status', label: '設定狀態', icon: 'fas fa-toggle-on', input: { type: 'select', label: '狀態', options: [...] } },
+ *           { id: 'price', label: '調整售價', icon: 'fas fa-percent', input: { type: 'number', name: 'percent', label: '調整比例 (%)' } },
+ *           { id: 'delete', label: '刪除', icon: 'fas fa-trash', variant: 'danger' }
+ *       ]
+ *   });
+ */
+
+const BulkActions = (function () {
+    'use strict';
+
+    let nextId = 1;
+
+    /**
+     * 選取的鍵值轉為數字（資料表格的鍵值為字串）
+     */
+    function toIds(keys) {
+        return keys.map(key => (/^\d+$/.test(key) ? Number(key) : key));
+    }
+
+    class Controller {
+        constructor(grid, options) {
+            this.id = `bulk-actions-${nextId++}`;
+            this.grid = grid;
+            this.options = { itemName: '項目', ...options };
+            this.actions = this.options.actions || [];
+            this.current = null;
+            this.preview = null;
+            this.modal = null;
+
+            this.buildBar();
+            grid.root.addEventListener('datagrid:select', e => this.updateBar(e.detail.selection));
+            this.updateBar(grid.getSelection());
+        }
+
+        /**
+         * 建立固定在底部的批次操作列
+         */
+        buildBar() {
+            const el = SafeHtml.el;
+            this.count = el('strong', { className: 'bulk-action-count' });
+            this.bar = el('div', { className: 'bulk-action-bar', role: 'region', 'aria-label': '批次操作', hidden: true },
+                el('div', { className: 'bulk-action-summary' },
+                    el('i', { className: 'fas fa-check-square text-primary', 'aria-hidden': 'true' }),
+                    this.count,
+                    el('button', { type: 'button', className: 'btn btn-link btn-sm', onClick: () => this.grid.clearSelection() }, '取消選取')),
+                el('div', { className: 'bulk-action-buttons' }, this.actions.map(action =>
+                    el('button', {
+                        type: 'button',
+                        className: `btn btn-sm btn-${action.variant === 'danger' ? 'outline-danger' : 'outline-primary'}`,
+                        onClick: () => this.open(action.id)
+                    }, action.icon ? el('i', { className: `${action.icon} me-1`, 'aria-hidden': 'true' }) : null, action.label))));
+
+            this.grid.container.appendChild(this.bar);
+        }
+
+        /**
+         * 依選取狀態顯示操作列
+         */
+        updateBar(selection) {
+            this.count.textContent = selection.allMatching
+                ? `已選取全部符合條件的 ${selection.count} 個${this.options.itemName}`
+                : `已選取 ${selection.count} 個${this.options.itemName}`;
+            this.bar.hidden = selection.count === 0;
+        }
+
+        /**
+         * 建立對話框（首次開啟時建立）
+         */
+        buildModal() {
+            const el = SafeHtml.el;
+
+            this.title = el('h5', { className: 'modal-title', id: `${this.id}-title` });
+            this.form = el('form', { className: 'bulk-action-form', novalidate: true });
+            this.result = el('div', { className: 'bulk-action-result', 'aria-live': 'polite' });
+            this.previewButton = el('button', { type: 'button', className: 'btn btn-outline-primary', onClick: () => this.loadPreview() },
+                el('i', { className: 'fas fa-eye me-1', 'aria-hidden': 'true' }), '預覽');
+            this.applyButton = el('button', { type: 'button', className: 'btn btn-primary', disabled: true, onClick: () => this.apply() });
+            this.cancelButton = el('button', { type: 'button', className: 'btn btn-secondary', 'data-bs-dismiss': 'modal' }, '取消');
+
+            this.modalElement = el('div', {
+                className: 'modal fade',
+                id: this.id,
+                tabindex: '-1',
+                role: 'dialog',
+                'aria-modal': 'true',
+                'aria-labelledby': this.title.id
+            },
+                el('div', { className: 'modal-dialog modal-lg modal-dialog-scrollable' },
+                    el('div', { className: 'modal-content' },
+                        el('div', { className: 'modal-header' },
+                            this.title,
+                            el('button', { type: 'button', className: 'btn-close', 'aria-label': '關閉', 'data-bs-dismiss': 'modal' })),
+                        el('div', { className: 'modal-body' }, this.form, this.result),
+                        el('div', { className: 'modal-footer' }, this.cancelButton, this.previewButton, this.applyButton))));
+
+            // 修改輸入值後需要重新預覽；Enter 直接預覽
+            this.form.addEventListener('input', () => this.resetPreview());
+            this.form.addEventListener('change', () => this.resetPreview());
+            this.form.addEventListener('submit', e => {
+                e.preventDefault();
+                this.loadPreview();
+            });
+            this.modalElement.addEventListener('shown.bs.modal', () => {
+                (this.form.querySelector('input, select') || this.applyButton).focus();
+            });
+            this.modalElement.addEventListener('hidden.bs.modal', () => {
+                HttpClient.abort(`${this.id}:preview`);
+            });
+
+            document.body.appendChild(this.modalElement);
+            this.modal = new bootstrap.Modal(this.modalElement);
+        }
+
+        /**
+         * 開啟操作對話框；沒有輸入欄位的操作（例如刪除）直接載入預覽
+         */
+        open(actionId) {
+            const action = this.actions.find(item => item.id === actionId);
+            if (!action || !this.grid.hasSelection()) return;
+            if (!window.bootstrap || !window.bootstrap.Modal) return;
+            if (!this.modal) this.buildModal();
+
+            const el = SafeHtml.el;
+            this.current = action;
+            this.title.replaceChildren(...[
+                action.icon ? el('i', { className: `${action.icon} me-2`, 'aria-hidden': 'true' }) : null,
+                `${action.label}（${this.grid.getSelection().count} 個${this.options.itemName}）`
+            ].filter(Boolean));
+            this.form.replaceChildren(...(action.input ? [this.buildInput(action.input)] : []));
+            this.cancelButton.textContent = '取消';
+            this.previewButton.hidden = !action.input;
+            this.resetPreview();
+            this.modal.show();
+
+            if (!action.input) this.loadPreview();
+        }
+
+        /**
+         * 操作的輸入欄位：select、number 或 text
+         */
+        buildInput(input) {
+            const el = SafeHtml.el;
+            const id = `${this.id}-input`;
+            const attributes = { id, name: input.name || 'value', required: true, 'aria-describedby': input.help ? `${id}-help` : null };
+
+            let control;
+            if (input.type === 'select') {
+                control = el('select', { ...attributes, className: 'form-select' },
+                    el('option', { value: '' }, input.placeholder || '請選擇...'),
+                    (input.options || []).map(option => (typeof option === 'object'
+                        ? el('option', { value: option.value }, option.label)
+                        : el('option', { value: option }, option))));
+            } else {
+                control = el('input', {
+                    ...attributes,
+                    type: input.type === 'number' ? 'number' : 'text',
+                    className: 'form-control',
+                    placeholder: input.placeholder || null,
+                    step: input.step || null,
+                    min: input.min ?? null,
+                    max: input.max ?? null,
+                    autocomplete: 'off'
+                });
+            }
+
+            return el('div', { className: 'mb-3' },
+                el('label', { className: 'form-label', for: id }, input.label || this.current.label),
+                control,
+                input.help ? el('div', { className: 'form-text', id: `${id}-help` }, input.help) : null);
+        }
+
+        /**
+         * 組合請求內容：操作、選取範圍與輸入值
+         */
+        buildRequest() {
+            const selection = this.grid.getSelection();
+            const body = {
+                action: this.current.id,
+                ids: selection.allMatching ? [] : toIds(selection.keys),
+                allMatching: selection.allMatching,
+                query: selection.allMatching ? selection.query : null
+            };
+
+            new FormData(this.form).forEach((value, name) => {
+                const input = this.current.input;
+                body[name] = input && input.type === 'number' ? (value === '' ? null : Number(value)) : String(value).trim();
+            });
+            return body;
+        }
+
+        /**
+         * 清除預覽（輸入值變更後必須重新預覽才能套用）
+         */
+        resetPreview() {
+            this.preview = null;
+            this.result.replaceChildren();
+            this.applyButton.disabled = true;
+            this.applyButton.className = `btn btn-${this.current.variant === 'danger' ? 'danger' : 'primary'}`;
+            this.applyButton.hidden = false;
+            this.applyButton.textContent = '套用';
+        }
+
+        /**
+         * 向伺服器預覽受影響的資料
+         */
+        loadPreview() {
+            if (!this.form.reportValidity()) return Promise.resolve(null);
+
+            const el = SafeHtml.el;
+            this.resetPreview();
+            this.result.replaceChildren(el('div', { className: 'text-center text-muted py-3' },
+                el('span', { className: 'spinner-border spinner-border-sm me-2', 'aria-hidden': 'true' }), '正在預覽...'));
+
+            return HttpClient.post(this.options.previewUrl, { json: this.buildRequest(), key: `${this.id}:preview` })
+                .then(preview => {
+                    this.preview = preview;
+                    this.renderPreview(preview);
+                    return preview;
+                })
+                .catch(error => {
+                    if (HttpClient.isAbortError(error)) return null;
+                    this.renderError(error);
+                    return null;
+                });
+        }
+
+        /**
+         * 預覽內容：統計與變更前後的值（會失敗的資料以紅色標示）
+         */
+        renderPreview(preview) {
+            const el = SafeHtml.el;
+            const itemName = this.options.itemName;
+            const changes = preview.changes || [];
+
+            const summary = el('div', { className: 'bulk-action-stats' },
+                el('span', { className: 'badge bg-primary' }, `將變更 ${preview.changeCount}`),
+                preview.unchangedCount > 0 ? el('span', { className: 'badge bg-secondary' }, `無需變更 ${preview.unchangedCount}`) : null,
+                preview.errorCount > 0 ? el('span', { className: 'badge bg-danger' }, `無法套用 ${preview.errorCount}`) : null);
+
+            const table = el('table', { className: 'table table-sm align-middle mb-0' },
+                el('thead', {}, el('tr', {},
+                    el('th', { scope: 'col' }, '編號'),
+                    el('th', { scope: 'col' }, '名稱'),
+                    el('th', { scope: 'col' }, '目前'),
+                    el('th', { scope: 'col' }, '變更後'))),
+                el('tbody', {}, changes.map(change => el('tr', { className: change.error ? 'table-danger' : change.unchanged ? 'text-muted' : null },
+                    el('td', {}, change.sku),
+                    el('td', {}, change.name),
+                    el('td', {}, change.before || '-'),
+                    el('td', {}, change.error
+                        ? el('span', { className: 'text-danger' }, el('i', { className: 'fas fa-exclamation-circle me-1', 'aria-hidden': 'true' }), change.error)
+                        : change.unchanged ? '（不變）' : el('strong', {}, change.after || '-'))))));
+
+            this.result.replaceChildren(
+                el('p', { className: 'mb-2' }, el('strong', {}, preview.description), `：共 ${preview.totalCount} 個${itemName}`),
+                summary,
+                el('div', { className: 'bulk-action-table' }, table),
+                preview.totalCount > changes.length
+                    ? el('small', { className: 'text-muted' }, `僅列出前 ${changes.length} 筆，套用時會處理全部 ${preview.totalCount} 筆`)
+                    : null);
+
+            this.applyButton.disabled = preview.changeCount === 0;
+            this.applyButton.textContent = this.current.variant === 'danger'
+                ? `刪除 ${preview.changeCount} 個${itemName}`
+                : `套用到 ${preview.changeCount} 個${itemName}`;
+            if (!this.applyButton.disabled) this.applyButton.focus();
+        }
+
+        /**
+         * 套用批次操作：全部成功時關閉對話框，部分失敗時改為顯示失敗報告
+         */
+        apply() {
+            if (!this.preview) return Promise.resolve(null);
+
+            const el = SafeHtml.el;
+            const request = this.buildRequest();
+            this.applyButton.disabled = true;
+            this.previewButton.disabled = true;
+            this.applyButton.replaceChildren(el('span', { className: 'spinner-border spinner-border-sm me-2', 'aria-hidden': 'true' }), '處理中...');
+
+            return HttpClient.post(this.options.applyUrl, { json: request })
+                .then(result => {
+                    this.previewButton.disabled = false;
+                    this.notify(result);
+                    this.grid.reload();
+
+                    if (result.failures && result.failures.length > 0) {
+                        this.renderReport(result);
+                        this.grid.setSelection(result.failures.map(failure => failure.id));
+                    } else {
+                        this.modal.hide();
+                        this.grid.clearSelection();
+                    }
+                    return result;
+                })
+                .catch(error => {
+                    this.previewButton.disabled = false;
+                    this.applyButton.textContent = '套用';
+                    this.renderError(error);
+                    return null;
+                });
+        }
+
+        /**
+         * 部分失敗報告（失敗的資料保持選取，方便修正後重試）
+         */
+        renderReport(result) {
+            const el = SafeHtml.el;
+            const itemName = this.options.itemName;
+
+            this.form.replaceChildren();
+            this.previewButton.hidden = true;
+            this.applyButton.hidden = true;
+            this.cancelButton.textContent = '關閉';
+            this.result.replaceChildren(
+                el('div', { className: `alert ${result.succeeded > 0 ? 'alert-warning' : 'alert-danger'} mb-3`, role: 'alert' },
+                    el('i', { className: 'fas fa-exclamation-triangle me-2', 'aria-hidden': 'true' }),
+                    `${result.description}：成功 ${result.succeeded} 個，失敗 ${result.failures.length} 個${itemName}。失敗的${itemName}已保持選取。`),
+                el('div', { className: 'bulk-action-table' },
+                    el('table', { className: 'table table-sm align-middle mb-0' },
+                        el('thead', {}, el('tr', {},
+                            el('th', { scope: 'col' }, '編號'),
+                            el('th', { scope: 'col' }, '名稱'),
+                            el('th', { scope: 'col' }, '失敗原因'))),
+                        el('tbody', {}, result.failures.map(failure => el('tr', {},
+                            el('td', {}, failure.sku),
+                            el('td', {}, failure.name),
+                            el('td', { className: 'text-danger' }, failure.error)))))));
+            this.cancelButton.focus();
+        }
+
+        /**
+         * 錯誤訊息
+         */
+        renderError(error) {
+            const el = SafeHtml.el;
+            this.result.replaceChildren(el('div', { className: 'alert alert-danger mb-0', role: 'alert' },
+                el('i', { className: 'fas fa-exclamation-circle me-2', 'aria-hidden': 'true' }),
+                error?.message || '處理批次操作時發生錯誤，請稍後再試'));
+        }
+
+        /**
+         * 結果通知；有成功的變更時提供「復原」按鈕，在伺服器保留快照的期限內有效
+         */
+        notify(result) {
+            const itemName = this.options.itemName;
+            const failed = result.failures ? result.failures.length : 0;
+            const parts = [`已處理 ${result.succeeded} 個${itemName}`];
+            if (result.unchanged > 0) parts.push(`${result.unchanged} 個無需變更`);
+            if (failed > 0) parts.push(`${failed} 個失敗`);
+
+            const token = result.undoToken;
+            ToastManager.show({
+                type: failed > 0 ? (result.succeeded > 0 ? 'warning' : 'error') : 'success',
+                title: result.description,
+                message: parts.join('，'),
+                duration: token ? result.undoSeconds * 1000 : 5000,
+                actions: token ? [{ label: '復原', variant: 'outline-secondary', onClick: () => this.undo(token) }] : []
+            });
+        }
+
+        /**
+         * 復原批次操作
+         */
+        undo(token) {
+            const itemName = this.options.itemName;
+            return HttpClient.post(this.options.undoUrl, { json: { token } })
+                .then(result => {
+                    const failed = result.failures ? result.failures.length : 0;
+                    ToastManager.show({
+                        type: failed > 0 ? 'warning' : 'success',
+                        title: result.description,
+                        message: failed > 0
+                            ? `已還原 ${result.succeeded} 個${itemName}，${failed} 個無法還原：${result.failures.map(failure => failure.sku).join('、')}`
+                            : `已還原 ${result.succeeded} 個${itemName}`
+                    });
+                    this.grid.reload();
+                    return result;
+                })
+                .catch(error => {
+                    ToastManager.show({ type: 'error', title: '無法復原', message: error?.message || '復原批次操作時發生錯誤' });
+                    return null;
+                });
+        }
+    }
+
+    /**
+     * 為資料表格加入批次操作
+     */
+    function create(grid, options = {}) {
+        if (!grid || !grid.options.selectable) {
+            throw new Error('批次操作需要可選取的資料表格（selectable: true）');
+        }
+        return new Controller(grid, options);
+    }
+
+    // 公共 API
+    return {
+        create
+    };
+})();
+
+// 導出到全域
+window.BulkActions = BulkActions;
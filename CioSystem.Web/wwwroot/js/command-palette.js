@@ -0,0 +1,509 @@
+﻿/**
+ * CioSystem 命令面板
+ * Ctrl+K（Mac 為 ⌘K）開啟：模糊比對頁面與操作、以 SKU/名稱搜尋產品、記住最近使用的命令，
+ * 各頁面可透過 CommandPalette.register() 加入自己的命令
+ */
+
+const CommandPalette = (function () {
+    'use strict';
+
+    const RECENT_STORAGE_KEY = 'cio_command_recent';
+    const MAX_RECENT = 8;
+    const MAX_RESULTS = 30;
+    const PRODUCT_SEARCH_MIN_LENGTH = 2;
+    const PRODUCT_SEARCH_DELAY = 250;
+    const PRODUCT_REQUEST_KEY = 'command-palette-products';
+
+    /**
+     * 顯示命令執行錯誤（優化版版面的 CioSystem 沒有 showServerErrors）
+     */
+    function showError(error) {
+        if (window.CioSystem && CioSystem.showServerErrors) {
+            CioSystem.showServerErrors(error);
+        } else {
+            ToastManager.error(error.message || '操作失敗');
+        }
+    }
+
+    // 內建命令：頁面導覽與常用操作
+    const builtInCommands = [
+        { id: 'nav:home', title: '首頁', group: '頁面', icon: 'fas fa-home', url: '/', keywords: 'home dashboard 儀表板' },
+        { id: 'nav:products', title: '產品管理', group: '頁面', icon: 'fas fa-box', url: '/Products', keywords: 'products 產品列表' },
+        { id: 'nav:inventory', title: '庫存管理', group: '頁面', icon: 'fas fa-warehouse', url: '/Inventory', keywords: 'inventory stock' },
+        { id: 'nav:sales', title: '銷售管理', group: '頁面', icon: 'fas fa-shopping-cart', url: '/Sales', keywords: 'sales 訂單' },
+        { id: 'nav:purchases', title: '進貨管理', group: '頁面', icon: 'fas fa-truck', url: '/Purchases', keywords: 'purchases 採購' },
+        { id: 'nav:reorder', title: '進貨建議', group: '頁面', icon: 'fas fa-clipboard-list', url: '/Purchases/ReorderSuggestions', keywords: 'reorder low stock 補貨 低庫存' },
+        { id: 'nav:reports', title: '報表分析', group: '頁面', icon: 'fas fa-chart-bar', url: '/Reports', keywords: 'reports' },
+        { id: 'nav:sales-report', title: '銷售報表', group: '頁面', icon: 'fas fa-chart-line', url: '/Reports/SalesReport', keywords: 'sales report' },
+        { id: 'nav:inventory-report', title: '庫存報表', group: '頁面', icon: 'fas fa-chart-pie', url: '/Reports/InventoryReport', keywords: 'inventory report' },
+        { id: 'nav:purchases-report', title: '進貨報表', group: '頁面', icon: 'fas fa-chart-area', url: '/Reports/PurchasesReport', keywords: 'purchases report' },
+        { id: 'nav:financial', title: '財務概覽', group: '頁面', icon: 'fas fa-coins', url: '/Reports/FinancialOverview', keywords: 'financial 財報' },
+        { id: 'nav:export-import', title: '匯出/匯入', group: '頁面', icon: 'fas fa-file-import', url: '/ExportImport/Import', keywords: 'export import excel' },
+        { id: 'nav:settings', title: '系統設置', group: '頁面', icon: 'fas fa-cog', url: '/SystemSettings', keywords: 'settings 設定' },
+        { id: 'nav:users', title: '用戶管理', group: '頁面', icon: 'fas fa-users', url: '/SystemSettings/UserManagement', keywords: 'users 使用者' },
+        { id: 'nav:database', title: '資料庫管理', group: '頁面', icon: 'fas fa-database', url: '/SystemSettings/DatabaseManagement', keywords: 'database backup 備份' },
+        { id: 'nav:security', title: '安全設定', group: '頁面', icon: 'fas fa-shield-alt', url: '/SystemSettings/SecuritySettings', keywords: 'security' },
+        { id: 'nav:pricing', title: '定價規則', group: '頁面', icon: 'fas fa-tags', url: '/SystemSettings/PricingRules', keywords: 'pricing price promotion' },
+        { id: 'nav:logs', title: '系統日誌', group: '頁面', icon: 'fas fa-list-alt', url: '/SystemLogs', keywords: 'logs' },
+        { id: 'nav:cache', title: '快取管理', group: '頁面', icon: 'fas fa-memory', url: '/CacheManagement', keywords: 'cache' },
+
+        { id: 'action:create-product', title: '新增產品', group: '操作', icon: 'fas fa-plus', url: '/Products/Create', keywords: 'new product create' },
+        { id: 'action:create-sale', title: '新增銷售', group: '操作', icon: 'fas fa-cart-plus', url: '/Sales/Create', keywords: 'new sale create 開單' },
+        { id: 'action:create-purchase', title: '新增進貨', group: '操作', icon: 'fas fa-dolly', url: '/Purchases/Create', keywords: 'new purchase create 採購' },
+        {
+            id: 'action:clear-cache',
+            title: '清除快取',
+            group: '操作',
+            icon: 'fas fa-broom',
+            keywords: 'clear cache 清除所有快取',
+            run: async () => {
+                const confirmed = await CioSystem.confirm({
+                    title: '清除所有快取',
+                    message: '確定要清除所有快取嗎？此操作不可逆！',
+                    severity: 'danger',
+                    countdown: 3,
+                    confirmText: '清除'
+                });
+                if (!confirmed) return;
+                try {
+                    await HttpClient.post('/CacheManagement/ClearAllCache');
+                    ToastManager.success('已清除所有快取');
+                } catch (error) {
+                    showError(error);
+                }
+            }
+        },
+        {
+            id: 'action:warmup-cache',
+            title: '預熱快取',
+            group: '操作',
+            icon: 'fas fa-fire',
+            keywords: 'warmup cache',
+            run: async () => {
+                try {
+                    await HttpClient.post('/CacheManagement/WarmupCache');
+                    ToastManager.success('快取預熱完成');
+                } catch (error) {
+                    showError(error);
+                }
+            }
+        },
+        {
+            id: 'action:drafts',
+            title: '草稿清單',
+            group: '操作',
+            icon: 'fas fa-file-alt',
+            keywords: 'drafts autosave 未送出 草稿',
+            run: () => FormDrafts.openList()
+        },
+        {
+            id: 'action:logout',
+            title: '登出',
+            group: '操作',
+            icon: 'fas fa-sign-out-alt',
+            keywords: 'logout sign out',
+            run: () => {
+                const form = document.querySelector('form[action$="/Auth/Logout"]');
+                if (form) form.submit();
+            }
+        }
+    ];
+
+    // 頁面註冊的命令（id -> 命令）
+    const pageCommands = new Map();
+
+    let elements = null;
+    let modal = null;
+    let results = [];
+    let activeIndex = 0;
+    let productResults = [];
+    let productTimer = null;
+    let lastQuery = '';
+
+    /**
+     * 最近使用命令的儲存鍵值（依使用者區分）
+     */
+    function recentStorageKey() {
+        const user = document.querySelector('meta[name="cio-user"]');
+        const name = user ? user.getAttribute('content') : '';
+        return name ? `${RECENT_STORAGE_KEY}:${name}` : RECENT_STORAGE_KEY;
+    }
+
+    /**
+     * 讀取最近使用的命令
+     */
+    function loadRecent() {
+        try {
+            return JSON.parse(localStorage.getItem(recentStorageKey()) || '[]');
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * 記錄最近使用的命令（產品結果保留標題與網址，以便日後直接開啟）
+     */
+    function saveRecent(command) {
+        const entry = command.id.startsWith('product:')
+            ? { id: command.id, title: command.title, subtitle: command.subtitle, url: command.url }
+            : { id: command.id };
+        const recent = [entry].concat(loadRecent().filter(item => item.id !== command.id)).slice(0, MAX_RECENT);
+        try {
+            localStorage.setItem(recentStorageKey(), JSON.stringify(recent));
+        } catch (e) {
+            // 儲存空間不足時忽略
+        }
+    }
+
+    /**
+     * 所有可用命令（頁面命令優先）
+     */
+    function allCommands() {
+        return Array.from(pageCommands.values()).concat(builtInCommands)
+            .filter(command => typeof command.when !== 'function' || command.when());
+    }
+
+    /**
+     * 模糊比對：依序找出查詢字元，連續命中與字首命中加分
+     * @returns {{score: number, matches: number[]}|null}
+     */
+    function fuzzyMatch(query, text) {
+        const source = text.toLowerCase();
+        const needle = query.toLowerCase().replace(/\s+/g, '');
+        if (!needle) return { score: 0, matches: [] };
+
+        // 完整包含時直接給高分
+        const index = source.indexOf(needle);
+        if (index >= 0) {
+            return {
+                score: 100 - index + (index === 0 ? 50 : 0),
+                matches: Array.from({ length: needle.length }, (_, i) => index + i)
+            };
+        }
+
+        const matches = [];
+        let score = 0;
+        let position = 0;
+        for (const char of needle) {
+            const found = source.indexOf(char, position);
+            if (found < 0) return null;
+            score += found === position ? 5 : 1;
+            if (found === 0 || /[\s/]/.test(source[found - 1])) score += 3;
+            matches.push(found);
+            position = found + 1;
+        }
+        return { score, matches };
+    }
+
+    /**
+     * 比對命令標題與關鍵字，標題命中優先
+     */
+    function matchCommand(query, command) {
+        const titleMatch = fuzzyMatch(query, command.title);
+        if (titleMatch) return { command, score: titleMatch.score + 20, matches: titleMatch.matches };
+
+        const keywordMatch = fuzzyMatch(query, `${command.group || ''} ${command.keywords || ''}`);
+        if (keywordMatch) return { command, score: keywordMatch.score, matches: [] };
+        return null;
+    }
+
+    /**
+     * 依查詢計算結果清單
+     */
+    function computeResults(query) {
+        const commands = allCommands();
+
+        if (!query) {
+            const byId = new Map(commands.map(command => [command.id, command]));
+            const recent = loadRecent()
+                .map(item => item.id.startsWith('product:') ? { ...item, group: '最近使用', icon: 'fas fa-tag' } : byId.get(item.id))
+                .filter(Boolean)
+                .map(command => ({ command: { ...command, group: '最近使用' }, matches: [] }));
+            const recentIds = new Set(recent.map(item => item.command.id));
+            return recent.concat(commands
+                .filter(command => !recentIds.has(command.id))
+                .map(command => ({ command, matches: [] })));
+        }
+
+        const matched = commands
+            .map(command => matchCommand(query, command))
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score);
+
+        return matched.concat(productResults.map(command => ({ command, matches: [] }))).slice(0, MAX_RESULTS);
+    }
+
+    /**
+     * 標示命中的字元
+     */
+    function highlight(text, matches) {
+        if (matches.length === 0) return text;
+        const set = new Set(matches);
+        return SafeHtml.join(Array.from(text).map((char, index) =>
+            set.has(index) ? SafeHtml.html`<mark>${char}</mark>` : char));
+    }
+
+    /**
+     * 繪製結果清單
+     */
+    function renderResults() {
+        const { list, empty } = elements;
+        list.innerHTML = '';
+        empty.hidden = results.length > 0;
+
+        let currentGroup = null;
+        results.forEach((result, index) => {
+            const { command } = result;
+            if (command.group !== currentGroup) {
+                currentGroup = command.group;
+                list.appendChild(SafeHtml.el('li', { className: 'command-palette-group', role: 'presentation' }, currentGroup || ''));
+            }
+
+            const item = SafeHtml.el('li', {
+                className: 'command-palette-item' + (index === activeIndex ? ' active' : ''),
+                id: `command-palette-item-${index}`,
+                role: 'option',
+                'aria-selected': index === activeIndex ? 'true' : 'false',
+                dataset: { index },
+                onClick: () => execute(index),
+                onMousemove: () => setActive(index, false)
+            },
+                SafeHtml.el('i', { className: `${command.icon || 'fas fa-angle-right'} me-2 text-muted`, 'aria-hidden': 'true' }),
+                SafeHtml.el('span', { className: 'command-palette-title' }, highlight(command.title, result.matches)),
+                command.subtitle && SafeHtml.el('small', { className: 'text-muted ms-2' }, command.subtitle));
+            list.appendChild(item);
+        });
+
+        updateActiveDescendant();
+    }
+
+    /**
+     * 更新 aria-activedescendant
+     */
+    function updateActiveDescendant() {
+        if (results.length > 0) {
+            elements.input.setAttribute('aria-activedescendant', `command-palette-item-${activeIndex}`);
+        } else {
+            elements.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * 設定目前選取的項目
+     */
+    function setActive(index, scroll = true) {
+        if (results.length === 0) return;
+        activeIndex = (index + results.length) % results.length;
+        elements.list.querySelectorAll('.command-palette-item').forEach(item => {
+            const isActive = Number(item.dataset.index) === activeIndex;
+            item.classList.toggle('active', isActive);
+            item.setAttribute('aria-selected', isActive ? 'true' : 'false');
+            if (isActive && scroll) item.scrollIntoView({ block: 'nearest' });
+        });
+        updateActiveDescendant();
+    }
+
+    /**
+     * 依輸入更新結果並排程產品搜尋
+     */
+    function refresh() {
+        const query = elements.input.value.trim();
+        if (query !== lastQuery) {
+            lastQuery = query;
+            productResults = [];
+            scheduleProductSearch(query);
+        }
+        results = computeResults(query);
+        activeIndex = 0;
+        renderResults();
+    }
+
+    /**
+     * 以 SKU 或名稱搜尋產品（新的輸入會取消尚未完成的搜尋）
+     */
+    function scheduleProductSearch(query) {
+        clearTimeout(productTimer);
+        HttpClient.abort(PRODUCT_REQUEST_KEY);
+        elements.status.hidden = true;
+        if (query.length < PRODUCT_SEARCH_MIN_LENGTH) return;
+
+        productTimer = setTimeout(async () => {
+            elements.status.hidden = false;
+            try {
+                const products = await HttpClient.get(`/Products/Search?term=${encodeURIComponent(query)}`, { key: PRODUCT_REQUEST_KEY });
+                if (query !== lastQuery) return;
+                productResults = (products || []).slice(0, 10).map(product => ({
+                    id: `product:${product.id}`,
+                    title: product.name,
+                    subtitle: [product.sku, product.category].filter(Boolean).join(' · '),
+                    group: '產品',
+                    icon: 'fas fa-tag',
+                    url: `/Products/Details/${product.id}`
+                }));
+                const activeId = results[activeIndex] ? results[activeIndex].command.id : null;
+                results = computeResults(query);
+                const keepIndex = results.findIndex(result => result.command.id === activeId);
+                activeIndex = keepIndex >= 0 ? keepIndex : 0;
+                renderResults();
+            } catch (error) {
+                if (!HttpClient.isAbortError(error)) {
+                    console.error('命令面板搜尋產品失敗:', error);
+                }
+            } finally {
+                if (query === lastQuery) elements.status.hidden = true;
+            }
+        }, PRODUCT_SEARCH_DELAY);
+    }
+
+    /**
+     * 執行選取的命令
+     */
+    function execute(index) {
+        const result = results[index];
+        if (!result) return;
+
+        const command = pageCommands.get(result.command.id) ||
+            builtInCommands.find(item => item.id === result.command.id) ||
+            result.command;
+
+        saveRecent(command);
+        close();
+
+        if (typeof command.run === 'function') {
+            Promise.resolve()
+                .then(() => command.run())
+                .catch(error => console.error('執行命令失敗:', error));
+        } else if (command.url) {
+            window.location.href = command.url;
+        }
+    }
+
+    /**
+     * 鍵盤操作：上下鍵移動、Enter 執行
+     */
+    function handleKeydown(e) {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setActive(activeIndex + 1);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActive(activeIndex - 1);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            execute(activeIndex);
+        }
+    }
+
+    /**
+     * 建立面板元素（首次開啟時建立）
+     */
+    function build() {
+        const { el } = SafeHtml;
+
+        const input = el('input', {
+            type: 'text',
+            className: 'form-control form-control-lg border-0 shadow-none',
+            placeholder: '搜尋頁面、操作或產品 SKU／名稱…',
+            role: 'combobox',
+            autocomplete: 'off',
+            spellcheck: 'false',
+            'aria-expanded': 'true',
+            'aria-controls': 'command-palette-list',
+            'aria-label': '命令面板',
+            onInput: refresh,
+            onKeydown: handleKeydown
+        });
+        const status = el('div', { className: 'spinner-border spinner-border-sm text-secondary me-3', role: 'status', hidden: true },
+            el('span', { className: 'visually-hidden' }, '搜尋中…'));
+        const list = el('ul', { className: 'command-palette-list list-unstyled mb-0', id: 'command-palette-list', role: 'listbox' });
+        const empty = el('div', { className: 'text-center text-muted py-4', hidden: true }, '找不到符合的命令');
+
+        const root = el('div', { className: 'modal fade command-palette', id: 'command-palette', tabindex: '-1', 'aria-label': '命令面板', 'aria-modal': 'true', role: 'dialog' },
+            el('div', { className: 'modal-dialog modal-lg' },
+                el('div', { className: 'modal-content' },
+                    el('div', { className: 'd-flex align-items-center border-bottom px-2' },
+                        el('i', { className: 'fas fa-search text-muted ms-2', 'aria-hidden': 'true' }),
+                        input,
+                        status),
+                    el('div', { className: 'command-palette-body' }, list, empty),
+                    el('div', { className: 'command-palette-footer border-top small text-muted px-3 py-2' },
+                        '↑↓ 選擇　Enter 執行　Esc 關閉'))));
+
+        root.addEventListener('shown.bs.modal', () => input.focus());
+        root.addEventListener('hidden.bs.modal', () => {
+            clearTimeout(productTimer);
+            HttpClient.abort(PRODUCT_REQUEST_KEY);
+        });
+
+        document.body.appendChild(root);
+        elements = { root, input, status, list, empty };
+        modal = new bootstrap.Modal(root);
+    }
+
+    /**
+     * 開啟面板
+     * @param {string} query 預先填入的查詢
+     */
+    function open(query = '') {
+        if (!window.bootstrap || !window.bootstrap.Modal) return;
+        if (!elements) build();
+
+        elements.input.value = query;
+        lastQuery = null;
+        refresh();
+        modal.show();
+    }
+
+    /**
+     * 關閉面板
+     */
+    function close() {
+        if (modal) modal.hide();
+    }
+
+    /**
+     * 是否已開啟
+     */
+    function isOpen() {
+        return Boolean(elements && elements.root.classList.contains('show'));
+    }
+
+    /**
+     * 註冊頁面命令
+     * @param {object|object[]} commands { id, title, group, icon, keywords, url, run, when }
+     * @returns {Function} 取消註冊
+     */
+    function register(commands) {
+        const list = Array.isArray(commands) ? commands : [commands];
+        list.forEach(command => {
+            if (!command || !command.id || !command.title) {
+                throw new Error('命令必須包含 id 與 title');
+            }
+            pageCommands.set(command.id, { group: '此頁面', ...command });
+        });
+        return () => list.forEach(command => pageCommands.delete(command.id));
+    }
+
+    // Ctrl+K／⌘K 開關面板
+    document.addEventListener('keydown', function (e) {
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            if (isOpen()) {
+                close();
+            } else {
+                open();
+            }
+        }
+    });
+
+    // 公共 API
+    return {
+        open,
+        close,
+        register,
+        fuzzyMatch
+    };
+})();
+
+// 導出到全域
+window.CommandPalette = CommandPalette;
@@ -0,0 +1,279 @@
+﻿/**
+ * CioSystem 確認對話框
+ * 以 Promise 取代瀏覽器 confirm()：支援嚴重程度、輸入確認文字、倒數後才能確認，
+ * 以及低風險操作的「本次工作階段不再詢問」；並提供 data-confirm 宣告式用法
+ */
+
+const ConfirmDialog = (function () {
+    'use strict';
+
+    const SKIP_STORAGE_PREFIX = 'cio_confirm_skip:';
+
+    const severities = {
+        'info': { icon: 'fas fa-info-circle', button: 'primary', title: '請確認' },
+        'warning': { icon: 'fas fa-exclamation-triangle', button: 'warning', title: '請確認操作' },
+        'danger': { icon: 'fas fa-exclamation-circle', button: 'danger', title: '危險操作' }
+    };
+
+    // 同一時間只顯示一個對話框，其餘依序等待
+    let pending = Promise.resolve();
+    let nextId = 0;
+
+    /**
+     * 正規化選項
+     */
+    function normalize(options) {
+        if (typeof options === 'string') {
+            options = { message: options };
+        }
+        const severity = severities[options.severity] ? options.severity : 'warning';
+        const phrase = options.confirmPhrase ? String(options.confirmPhrase) : '';
+        return {
+            title: options.title || severities[severity].title,
+            message: options.message ?? '',
+            severity,
+            confirmText: options.confirmText || '確定',
+            cancelText: options.cancelText || '取消',
+            confirmPhrase: phrase,
+            countdown: Math.max(0, parseInt(options.countdown, 10) || 0),
+            // 只有低風險（非 danger、無須輸入確認文字）的操作允許記住選擇
+            rememberKey: severity !== 'danger' && !phrase && options.rememberKey ? String(options.rememberKey) : ''
+        };
+    }
+
+    /**
+     * 本次工作階段是否已選擇不再詢問
+     */
+    function isSkipped(key) {
+        try {
+            return Boolean(key) && sessionStorage.getItem(SKIP_STORAGE_PREFIX + key) === '1';
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * 記住不再詢問
+     */
+    function rememberSkip(key) {
+        try {
+            sessionStorage.setItem(SKIP_STORAGE_PREFIX + key, '1');
+        } catch (e) {
+            // sessionStorage 無法使用時忽略
+        }
+    }
+
+    /**
+     * 建立對話框元素
+     */
+    function render(options, id) {
+        const { el } = SafeHtml;
+        const style = severities[options.severity];
+
+        const phraseInput = options.confirmPhrase
+            ? el('input', {
+                type: 'text',
+                className: 'form-control',
+                id: `${id}-phrase`,
+                autocomplete: 'off',
+                spellcheck: 'false',
+                'aria-describedby': `${id}-phrase-help`
+            })
+            : null;
+
+        const rememberInput = options.rememberKey
+            ? el('input', { type: 'checkbox', className: 'form-check-input', id: `${id}-remember` })
+            : null;
+
+        const confirmButton = el('button', {
+            type: 'button',
+            className: `btn btn-${style.button}`,
+            'data-action': 'confirm'
+        }, options.confirmText);
+
+        const cancelButton = el('button', {
+            type: 'button',
+            className: 'btn btn-secondary',
+            'data-action': 'cancel'
+        }, options.cancelText);
+
+        const modal = el('div', {
+            className: 'modal fade',
+            id,
+            tabindex: '-1',
+            role: options.severity === 'danger' ? 'alertdialog' : 'dialog',
+            'aria-modal': 'true',
+            'aria-labelledby': `${id}-title`,
+            'aria-describedby': `${id}-message`
+        },
+            el('div', { className: 'modal-dialog modal-dialog-centered' },
+                el('div', { className: 'modal-content' },
+                    el('div', { className: `modal-header border-${style.button}` },
+                        el('h5', { className: 'modal-title', id: `${id}-title` },
+                            el('i', { className: `${style.icon} text-${style.button} me-2`, 'aria-hidden': 'true' }),
+                            options.title),
+                        el('button', { type: 'button', className: 'btn-close', 'aria-label': '關閉', 'data-action': 'cancel' })),
+                    el('div', { className: 'modal-body' },
+                        SafeHtml.setContent(el('div', { id: `${id}-message`, style: { whiteSpace: 'pre-line' } }), options.message),
+                        phraseInput && el('div', { className: 'mt-3' },
+                            el('label', { className: 'form-label', for: `${id}-phrase`, id: `${id}-phrase-help` },
+                                '請輸入 ', el('strong', { className: 'text-danger user-select-all' }, options.confirmPhrase), ' 以確認此操作'),
+                            phraseInput),
+                        rememberInput && el('div', { className: 'form-check mt-3' },
+                            rememberInput,
+                            el('label', { className: 'form-check-label', for: `${id}-remember` }, '本次工作階段不再詢問'))),
+                    el('div', { className: 'modal-footer' }, cancelButton, confirmButton))));
+
+        return { modal, confirmButton, cancelButton, phraseInput, rememberInput };
+    }
+
+    /**
+     * 顯示對話框並等待使用者選擇
+     */
+    function open(options) {
+        return new Promise(resolve => {
+            const id = 'confirm-dialog-' + (++nextId);
+            const parts = render(options, id);
+            const { modal, confirmButton, cancelButton, phraseInput, rememberInput } = parts;
+            let remaining = options.countdown;
+            let timer = null;
+            let result = false;
+
+            function updateConfirmState() {
+                const phraseMatched = !phraseInput || phraseInput.value.trim() === options.confirmPhrase;
+                confirmButton.disabled = remaining > 0 || !phraseMatched;
+                confirmButton.textContent = remaining > 0 ? `${options.confirmText}（${remaining}）` : options.confirmText;
+            }
+
+            function finish(confirmed) {
+                result = confirmed;
+                if (confirmed && rememberInput && rememberInput.checked) {
+                    rememberSkip(options.rememberKey);
+                }
+                instance.hide();
+            }
+
+            modal.addEventListener('click', e => {
+                const action = e.target.closest('[data-action]');
+                if (!action) return;
+                if (action.dataset.action === 'confirm' && !confirmButton.disabled) finish(true);
+                if (action.dataset.action === 'cancel') finish(false);
+            });
+
+            if (phraseInput) {
+                phraseInput.addEventListener('input', updateConfirmState);
+                phraseInput.addEventListener('keydown', e => {
+                    if (e.key === 'Enter' && !confirmButton.disabled) {
+                        e.preventDefault();
+                        finish(true);
+                    }
+                });
+            }
+
+            if (remaining > 0) {
+                timer = setInterval(() => {
+                    remaining--;
+                    updateConfirmState();
+                    if (remaining <= 0) clearInterval(timer);
+                }, 1000);
+            }
+            updateConfirmState();
+
+            // 危險操作預設聚焦在取消，避免誤按 Enter
+            modal.addEventListener('shown.bs.modal', () => {
+                const focusTarget = phraseInput || (options.severity === 'danger' ? cancelButton : confirmButton);
+                (focusTarget.disabled ? cancelButton : focusTarget).focus();
+            });
+
+            modal.addEventListener('hidden.bs.modal', () => {
+                clearInterval(timer);
+                instance.dispose();
+                modal.remove();
+                resolve(result);
+            });
+
+            document.body.appendChild(modal);
+            const instance = new bootstrap.Modal(modal, {
+                backdrop: options.severity === 'danger' ? 'static' : true,
+                keyboard: true
+            });
+            instance.show();
+        });
+    }
+
+    /**
+     * 顯示確認對話框
+     * @param {object|string} options { title, message, severity: 'info'|'warning'|'danger', confirmText, cancelText, confirmPhrase, countdown, rememberKey }
+     * @returns {Promise<boolean>} 使用者確認時為 true
+     */
+    function confirm(options = {}) {
+        const normalized = normalize(options);
+
+        if (isSkipped(normalized.rememberKey)) {
+            return Promise.resolve(true);
+        }
+
+        // Bootstrap 尚未載入時退回瀏覽器原生對話框
+        if (!window.bootstrap || !window.bootstrap.Modal) {
+            const message = `${normalized.title}\n\n${normalized.message}`;
+            if (normalized.confirmPhrase) {
+                const typed = window.prompt(`${message}\n\n請輸入「${normalized.confirmPhrase}」以確認`);
+                return Promise.resolve(typed !== null && typed.trim() === normalized.confirmPhrase);
+            }
+            return Promise.resolve(window.confirm(message));
+        }
+
+        const result = pending.then(() => open(normalized));
+        pending = result.catch(() => false);
+        return result;
+    }
+
+    /**
+     * 由 data-confirm-* 屬性讀取選項
+     */
+    function optionsFromElement(element) {
+        const data = element.dataset;
+        return {
+            message: data.confirm,
+            title: data.confirmTitle,
+            severity: data.confirmSeverity,
+            confirmText: data.confirmText,
+            confirmPhrase: data.confirmPhrase,
+            countdown: data.confirmCountdown,
+            rememberKey: data.confirmRemember
+        };
+    }
+
+    /**
+     * 宣告式用法：<button type="submit" data-confirm="確定要刪除嗎？" data-confirm-severity="danger">
+     * 使用者確認後以原本的按鈕或連結重新觸發，讓表單送出時保留按鈕的 name/value
+     */
+    function handleDeclarativeClick(e) {
+        const element = e.target.closest('[data-confirm]');
+        if (!element) return;
+
+        if (element.dataset.confirmAccepted === 'true') {
+            delete element.dataset.confirmAccepted;
+            return;
+        }
+
+        e.preventDefault();
+        e.stopImmediatePropagation();
+
+        confirm(optionsFromElement(element)).then(confirmed => {
+            if (!confirmed) return;
+            element.dataset.confirmAccepted = 'true';
+            element.click();
+        });
+    }
+
+    document.addEventListener('click', handleDeclarativeClick, true);
+
+    // 公共 API
+    return {
+        confirm
+    };
+})();
+
+// 導出到全域
+window.ConfirmDialog = ConfirmDialog;
@@ -0,0 +1,1424 @@
+﻿/**
+ * CioSystem 資料表格
+ * 依欄位定義產生表格：多欄排序（Shift + 點擊加入次要排序）、欄位篩選、伺服器端分頁與篩選，
+ * 以及載入中、無資料與錯誤狀態；儲存格內容與列操作使用同一套 API 定義
+ *
+ * 伺服器端點接受 page、pageSize、sort（name:asc,price:desc）、q 與各欄位的篩選參數，
+ * 回傳 { items, page, pageSize, totalCount, totalPages }（見 Models/DataGrid.cs）
+ *
+ * 用法：
+ *   const grid = DataGrid.create('#productsGrid', {
+ *       url: '/Products/Data',
+ *       search: { placeholder: '產品名稱、編號或品牌...' },
+ *       columns: [
+ *           { field: 'sku', title: 'SKU', sortable: true, filter: 'text' },
+ *           { field: 'price', title: '售價', sortable: true, format: 'currency' },
+ *           { field: 'status', title: '狀態', filter: { type: 'select', options: [{ value: 'Active', label: '在售' }] },
+ *             render: row => SafeHtml.html`<span class="badge bg-success">${row.status}</span>` }
+ *       ],
+ *       actions: [
+ *           { label: '編輯', icon: 'fas fa-edit', variant: 'outline-primary', href: row => `/Products/Edit/${row.id}` },
+ *           { label: '刪除', icon: 'fas fa-trash', variant: 'outline-danger', onClick: (row, grid) => ... }
+ *       ]
+ *   });
+ *   grid.setFilter('status', 'Active');
+ *   const all = await grid.fetchAll();   // 目前篩選條件下所有頁面的資料
+ *
+ * 欄位版面：工具列的「欄位」面板可切換顯示、拖曳排序、調整列高與重設，標題右緣可拖曳調整欄寬；
+ * 設定依使用者存於 localStorage（layoutKey 預設為容器 id），並可同步到 SystemSettings/TablePreferences。
+ * 欄位可設定 hideable: false（不可隱藏）或 hidden: true（預設隱藏），columnChooser: false 停用此功能
+ *
+ * 列選取：selectable: true 時加入勾選欄（Shift + 點擊選取範圍），選滿本頁後可改為選取所有符合條件的資料；
+ * 選取變更時觸發 datagrid:select，grid.getSelection() 回傳 { keys, allMatching, count, query }
+ */
+
+const DataGrid = (function () {
+    'use strict';
+
+    const defaultConfig = {
+        pageSize: 10,
+        pageSizes: [10, 25, 50, 100],
+        filterDebounce: 300,
+        layoutSync: true,
+        layoutUrl: '/SystemSettings/TablePreferences',
+        layoutSaveUrl: '/SystemSettings/SaveTablePreferences',
+        layoutSaveDelay: 1000
+    };
+
+    // 保留給分頁、排序與關鍵字的查詢參數
+    const RESERVED_PARAMS = ['page', 'pageSize', 'sort', 'q'];
+
+    // 欄位版面的 localStorage 前綴與最小欄寬（px）
+    const LAYOUT_STORAGE_KEY = 'cio_grid_layout';
+    const MIN_COLUMN_WIDTH = 60;
+    const RESIZE_STEP = 10;
+
+    // 容器元素 -> DataGrid 實例
+    const instances = new WeakMap();
+    let nextId = 1;
+
+    /**
+     * 取得設定
+     */
+    function getConfig() {
+        return { ...defaultConfig, ...(window.FrontendConfig?.dataGrid || {}) };
+    }
+
+    /**
+     * 欄位版面的儲存鍵（依登入使用者區分）
+     */
+    function layoutStorageKey(key) {
+        const user = document.querySelector('meta[name="cio-user"]')?.content;
+        return user ? `${LAYOUT_STORAGE_KEY}:${user}:${key}` : `${LAYOUT_STORAGE_KEY}:${key}`;
+    }
+
+    /**
+     * 讀取本機保存的欄位版面
+     */
+    function readStoredLayout(key) {
+        try {
+            const layout = JSON.parse(localStorage.getItem(layoutStorageKey(key)) || 'null');
+            return layout && typeof layout === 'object' ? layout : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 保存或移除（layout 為 null）本機的欄位版面
+     */
+    function writeStoredLayout(key, layout) {
+        try {
+            if (layout) {
+                localStorage.setItem(layoutStorageKey(key), JSON.stringify(layout));
+            } else {
+                localStorage.removeItem(layoutStorageKey(key));
+            }
+        } catch (error) {
+            console.warn('無法保存表格設定:', error);
+        }
+    }
+
+    /**
+     * 補零
+     */
+    function pad(value) {
+        return String(value).padStart(2, '0');
+    }
+
+    /**
+     * 內建格式：currency、number、percent、date、datetime
+     */
+    const formatters = {
+        currency: value => 'NT$ ' + Number(value).toLocaleString('zh-TW', { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+        number: value => Number(value).toLocaleString('zh-TW'),
+        percent: value => Number(value).toLocaleString('zh-TW', { maximumFractionDigits: 1 }) + '%',
+        date: value => {
+            const date = new Date(value);
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        },
+        datetime: value => {
+            const date = new Date(value);
+            return `${formatters.date(value)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+        }
+    };
+
+    /**
+     * 格式化儲存格的值（空值顯示為 -）
+     */
+    function formatValue(column, value, row) {
+        if (typeof column.format === 'function') return column.format(value, row);
+        if (value === null || value === undefined || value === '') return '-';
+        const formatter = formatters[column.format];
+        return formatter ? formatter(value) : String(value);
+    }
+
+    /**
+     * 寫入儲存格內容：DOM 節點直接加入，其餘交給 SafeHtml（可信任的 HTML 或純文字）
+     */
+    function setCellContent(cell, content) {
+        if (content instanceof Node) {
+            cell.replaceChildren(content);
+        } else {
+            SafeHtml.setContent(cell, content);
+        }
+    }
+
+    /**
+     * 篩選選項統一為 { value, label }
+     */
+    function normalizeOptions(options) {
+        return (options || []).map(option => (typeof option === 'object' ? option : { value: option, label: option }));
+    }
+
+    /**
+     * 欄位定義統一格式
+     */
+    function normalizeColumn(column) {
+        let filter = null;
+        if (column.filter === 'text' || column.filter === true) {
+            filter = { type: 'text' };
+        } else if (column.filter && typeof column.filter === 'object') {
+            filter = { type: 'select', ...column.filter, options: normalizeOptions(column.filter.options) };
+        }
+
+        return {
+            ...column,
+            title: column.title ?? column.field,
+            filter,
+            filterParam: column.filterParam || column.field
+        };
+    }
+
+    /**
+     * 解析排序參數（name:asc,price:desc）
+     */
+    function parseSort(value) {
+        return String(value || '')
+            .split(',')
+            .map(part => part.trim().split(':'))
+            .filter(([field]) => field)
+            .map(([field, direction]) => ({ field, direction: direction === 'desc' ? 'desc' : 'asc' }));
+    }
+
+    /**
+     * 序列化排序參數
+     */
+    function formatSort(sort) {
+        return sort.map(item => `${item.field}:${item.direction}`).join(',');
+    }
+
+    class Grid {
+        constructor(container, options) {
+            const config = getConfig();
+
+            this.id = container.id || `data-grid-${nextId++}`;
+            this.container = container;
+            this.options = {
+                rowKey: 'id',
+                pageSizes: config.pageSizes,
+                emptyText: '沒有符合條件的資料',
+                syncUrl: true,
+                params: {},
+                ...options
+            };
+            this.allColumns = (this.options.columns || []).map(normalizeColumn);
+            this.actions = this.options.actions || [];
+            this.filterDebounce = config.filterDebounce;
+            this.defaultPageSize = this.options.pageSize || config.pageSize;
+            this.layoutEnabled = this.options.columnChooser !== false;
+            this.layoutKey = this.options.layoutKey || this.id;
+            this.layoutSync = config.layoutSync;
+            this.layoutUrl = config.layoutUrl;
+            this.layoutSaveUrl = config.layoutSaveUrl;
+            this.layoutSaveDelay = config.layoutSaveDelay;
+            this.layout = this.normalizeLayout(this.layoutEnabled ? readStoredLayout(this.layoutKey) : null);
+            this.columns = this.visibleColumns();
+
+            this.state = {
+                page: 1,
+                pageSize: this.defaultPageSize,
+                sort: (this.options.sort || []).map(item => ({ field: item.field, direction: item.direction === 'desc' ? 'desc' : 'asc' })),
+                filters: {},
+                search: ''
+            };
+            this.items = [];
+            this.result = null;
+            this.loading = false;
+            this.error = null;
+            this.timer = null;
+            this.selection = { keys: new Set(), allMatching: false };
+            this.lastSelectedIndex = null;
+
+            if (this.options.syncUrl) {
+                this.readUrl();
+            }
+
+            this.build();
+            this.reload();
+            if (this.layoutEnabled) this.loadServerLayout();
+        }
+
+        /**
+         * 從網址讀取初始狀態（支援書籤與重新整理）
+         */
+        readUrl() {
+            const params = new URLSearchParams(window.location.search);
+            const page = parseInt(params.get('page'), 10);
+            const pageSize = parseInt(params.get('pageSize'), 10);
+
+            if (page > 0) this.state.page = page;
+            if (pageSize > 0) this.state.pageSize = pageSize;
+            if (params.has('sort')) this.state.sort = parseSort(params.get('sort'));
+            if (this.options.search && params.get('q')) this.state.search = params.get('q');
+
+            // 包含已隱藏的欄位：隱藏欄位的篩選仍然生效，書籤要能完整還原
+            this.allColumns.filter(column => column.filter).forEach(column => {
+                const value = params.get(column.filterParam);
+                if (value) this.state.filters[column.filterParam] = value;
+            });
+        }
+
+        /**
+         * 將目前狀態寫回網址（不新增瀏覽紀錄）
+         */
+        writeUrl() {
+            const url = new URL(window.location.href);
+            const gridParams = [...RESERVED_PARAMS, ...this.allColumns.filter(column => column.filter).map(column => column.filterParam)];
+            gridParams.forEach(name => url.searchParams.delete(name));
+
+            this.buildParams().forEach((value, name) => {
+                if (name in this.options.params) return;
+                if (name === 'page' && value === '1') return;
+                if (name === 'pageSize' && value === String(this.defaultPageSize)) return;
+                url.searchParams.set(name, value);
+            });
+            window.history.replaceState(window.history.state, '', url.pathname + url.search + url.hash);
+        }
+
+        /**
+         * 組合查詢參數；paging 為 false 時不含分頁（供匯出全部資料使用）
+         */
+        buildParams({ paging = true } = {}) {
+            const params = new URLSearchParams();
+            Object.entries(this.options.params).forEach(([name, value]) => {
+                if (value !== null && value !== undefined && value !== '') params.set(name, value);
+            });
+            if (this.state.search) params.set('q', this.state.search);
+            Object.entries(this.state.filters).forEach(([name, value]) => {
+                if (value) params.set(name, value);
+            });
+            if (this.state.sort.length > 0) params.set('sort', formatSort(this.state.sort));
+            if (paging) {
+                params.set('page', this.state.page);
+                params.set('pageSize', this.state.pageSize);
+            }
+            return params;
+        }
+
+        /**
+         * 取得目前的查詢字串
+         */
+        getQueryString(options) {
+            return this.buildParams(options).toString();
+        }
+
+        /**
+         * 是否有任何篩選或關鍵字
+         */
+        hasFilters() {
+            return Boolean(this.state.search) || Object.values(this.state.filters).some(Boolean);
+        }
+
+        /**
+         * 建立表格骨架
+         */
+        build() {
+            const el = SafeHtml.el;
+
+            this.searchInput = this.options.search
+                ? el('input', {
+                    type: 'search',
+                    className: 'form-control form-control-sm data-grid-search',
+                    placeholder: this.options.search.placeholder || '搜尋...',
+                    'aria-label': this.options.search.placeholder || '搜尋',
+                    value: this.state.search
+                })
+                : null;
+            this.clearButton = el('button', { type: 'button', className: 'btn btn-sm btn-outline-secondary', 'data-grid-clear': true },
+                el('i', { className: 'fas fa-times me-1' }), '清除篩選');
+            this.summary = el('small', { className: 'text-muted data-grid-summary', 'aria-live': 'polite' });
+            this.selectionBanner = this.options.selectable
+                ? el('div', { className: 'data-grid-selection alert alert-info py-2 mb-2', role: 'status', hidden: true })
+                : null;
+
+            this.layoutControls = this.layoutEnabled ? this.buildLayoutControls() : null;
+
+            this.thead = el('thead', { className: 'table-dark' });
+            this.tbody = el('tbody');
+            this.table = el('table', { className: 'table table-striped table-hover mb-0 data-grid-table' }, this.thead, this.tbody);
+            this.buildHead();
+
+            this.pageSizeSelect = el('select', { className: 'form-select form-select-sm', 'aria-label': '每頁顯示筆數' },
+                this.options.pageSizes.map(size => el('option', { value: size }, `${size} 筆`)));
+            this.pagination = el('ul', { className: 'pagination pagination-sm mb-0' });
+
+            this.root = el('div', { className: 'data-grid', 'data-grid': this.id },
+                el('div', { className: 'data-grid-toolbar' }, this.searchInput, this.clearButton, this.summary, this.layoutControls),
+                this.selectionBanner,
+                el('div', { className: 'data-grid-scroll' }, this.table),
+                el('div', { className: 'data-grid-footer' },
+                    el('label', { className: 'data-grid-page-size' }, el('span', { className: 'text-muted' }, '每頁顯示：'), this.pageSizeSelect),
+                    el('nav', { 'aria-label': '分頁' }, this.pagination)));
+
+            this.container.replaceChildren(this.root);
+            this.applyDensity();
+            this.renderLayoutPanel();
+            this.bind();
+        }
+
+        /**
+         * 依顯示中的欄位建立標題列與篩選列（變更欄位版面時重建）
+         */
+        buildHead() {
+            const el = SafeHtml.el;
+
+            const selectable = this.options.selectable;
+            this.pageCheckbox = selectable
+                ? el('input', { type: 'checkbox', className: 'form-check-input', 'data-grid-select-page': true, 'aria-label': '選取本頁全部' })
+                : null;
+
+            this.headerRow = el('tr', {},
+                selectable ? el('th', { className: 'data-grid-select', scope: 'col' }, this.pageCheckbox) : null,
+                this.columns.map(column => this.buildHeader(column)),
+                this.actions.length > 0 ? el('th', { className: 'data-grid-actions', scope: 'col' }, '操作') : null);
+
+            const hasFilterRow = this.columns.some(column => column.filter);
+            this.filterRow = hasFilterRow
+                ? el('tr', { className: 'data-grid-filters' },
+                    selectable ? el('th') : null,
+                    this.columns.map(column => el('th', {}, this.buildFilter(column))),
+                    this.actions.length > 0 ? el('th') : null)
+                : null;
+
+            this.thead.replaceChildren(...[this.headerRow, this.filterRow].filter(Boolean));
+        }
+
+        /**
+         * 欄位標題（可排序欄位為按鈕，啟用欄位版面時右緣可調整欄寬）
+         */
+        buildHeader(column) {
+            const el = SafeHtml.el;
+            const width = this.layout.widths[column.field];
+            const style = width
+                ? { width: `${width}px`, minWidth: `${width}px`, maxWidth: `${width}px` }
+                : column.width ? { width: column.width } : null;
+            const th = el('th', { scope: 'col', className: column.headerClassName || null, style });
+            th.dataset.field = column.field;
+
+            if (column.sortable) {
+                th.appendChild(el('button', { type: 'button', className: 'data-grid-sort', 'data-sort-field': column.field, title: '點擊排序，Shift + 點擊加入次要排序' },
+                    column.title,
+                    el('i', { className: 'fas fa-sort data-grid-sort-icon', 'aria-hidden': 'true' }),
+                    el('span', { className: 'data-grid-sort-order' })));
+            } else {
+                th.textContent = column.title;
+            }
+
+            if (this.layoutEnabled) {
+                th.appendChild(el('span', {
+                    className: 'data-grid-resizer',
+                    role: 'separator',
+                    tabindex: 0,
+                    'aria-orientation': 'vertical',
+                    'aria-label': `調整${column.title}欄寬（左右方向鍵調整，雙擊恢復預設）`,
+                    'data-resize-field': column.field
+                }));
+            }
+            return th;
+        }
+
+        /**
+         * 工具列的欄位版面按鈕與面板
+         */
+        buildLayoutControls() {
+            const el = SafeHtml.el;
+            this.layoutPanel = el('div', { className: 'data-grid-layout-panel', id: `${this.id}-layout`, role: 'dialog', 'aria-label': '表格設定', hidden: true });
+            this.layoutButton = el('button', {
+                type: 'button',
+                className: 'btn btn-sm btn-outline-secondary',
+                title: '顯示欄位、順序與列高',
+                'aria-haspopup': 'dialog',
+                'aria-expanded': 'false',
+                'aria-controls': this.layoutPanel.id,
+                'data-layout-toggle': true
+            }, el('i', { className: 'fas fa-columns me-1', 'aria-hidden': 'true' }), '欄位');
+
+            return el('div', { className: 'data-grid-layout' }, this.layoutButton, this.layoutPanel);
+        }
+
+        /**
+         * 欄位版面面板內容：顯示勾選、拖曳或上下移動排序、列高與重設
+         */
+        renderLayoutPanel() {
+            if (!this.layoutPanel) return;
+
+            const el = SafeHtml.el;
+            const hidden = new Set(this.layout.hidden);
+            const visibleCount = this.layout.order.length - hidden.size;
+            const last = this.layout.order.length - 1;
+
+            const items = this.layout.order.map((field, index) => {
+                const column = this.allColumns.find(item => item.field === field);
+                const visible = !hidden.has(field);
+                const locked = column.hideable === false || (visible && visibleCount === 1);
+
+                return el('li', { className: 'data-grid-layout-item', draggable: 'true', dataset: { layoutField: field } },
+                    el('i', { className: 'fas fa-grip-vertical text-muted data-grid-layout-handle', 'aria-hidden': 'true' }),
+                    el('label', { className: 'data-grid-layout-label' },
+                        el('input', { type: 'checkbox', className: 'form-check-input', 'data-layout-visible': field, checked: visible, disabled: locked }),
+                        column.title),
+                    el('button', { type: 'button', className: 'btn btn-sm btn-link', 'data-layout-move': -1, disabled: index === 0, 'aria-label': `${column.title}上移` },
+                        el('i', { className: 'fas fa-arrow-up', 'aria-hidden': 'true' })),
+                    el('button', { type: 'button', className: 'btn btn-sm btn-link', 'data-layout-move': 1, disabled: index === last, 'aria-label': `${column.title}下移` },
+                        el('i', { className: 'fas fa-arrow-down', 'aria-hidden': 'true' })));
+            });
+
+            const densityButton = (density, label) => el('button', {
+                type: 'button',
+                className: `btn btn-outline-secondary${this.layout.density === density ? ' active' : ''}`,
+                'aria-pressed': String(this.layout.density === density),
+                'data-layout-density': density
+            }, label);
+
+            this.layoutPanel.replaceChildren(
+                el('div', { className: 'data-grid-layout-title' }, '顯示欄位（拖曳調整順序）'),
+                el('ul', { className: 'data-grid-layout-columns' }, items),
+                el('div', { className: 'data-grid-layout-title' }, '列高'),
+                el('div', { className: 'btn-group btn-group-sm w-100', role: 'group', 'aria-label': '列高' },
+                    densityButton('normal', '標準'), densityButton('compact', '緊湊')),
+                el('button', { type: 'button', className: 'btn btn-sm btn-outline-danger w-100 mt-2', 'data-layout-reset': true },
+                    el('i', { className: 'fas fa-undo me-1', 'aria-hidden': 'true' }), '重設為預設'));
+        }
+
+        /**
+         * 欄位篩選輸入框
+         */
+        buildFilter(column) {
+            const el = SafeHtml.el;
+            if (!column.filter) return null;
+
+            const value = this.state.filters[column.filterParam] || '';
+            const attributes = {
+                className: column.filter.type === 'select' ? 'form-select form-select-sm' : 'form-control form-control-sm',
+                'data-filter': column.filterParam,
+                'aria-label': `篩選${column.title}`
+            };
+
+            if (column.filter.type === 'select') {
+                const select = el('select', attributes,
+                    el('option', { value: '' }, column.filter.placeholder || '全部'),
+                    column.filter.options.map(option => el('option', { value: option.value }, option.label)));
+                select.value = value;
+                return select;
+            }
+
+            return el('input', { ...attributes, type: 'search', placeholder: column.filter.placeholder || column.title, value });
+        }
+
+        /**
+         * 綁定事件
+         */
+        bind() {
+            this.root.addEventListener('click', e => {
+                if (this.layoutEnabled && this.handleLayoutClick(e)) return;
+                if (this.options.selectable && this.handleSelectionClick(e)) return;
+
+                const sortButton = e.target.closest('[data-sort-field]');
+                if (sortButton) {
+                    this.toggleSort(sortButton.dataset.sortField, e.shiftKey);
+                    return;
+                }
+
+                const pageButton = e.target.closest('[data-page]');
+                if (pageButton && !pageButton.disabled) {
+                    this.setState({ page: parseInt(pageButton.dataset.page, 10) });
+                    return;
+                }
+
+                if (e.target.closest('[data-grid-clear]')) {
+                    this.clearFilters();
+                    return;
+                }
+
+                if (e.target.closest('[data-grid-retry]')) {
+                    this.reload();
+                    return;
+                }
+
+                const actionButton = e.target.closest('[data-grid-action]');
+                if (actionButton) {
+                    const action = this.actions[parseInt(actionButton.dataset.gridAction, 10)];
+                    const row = this.items[parseInt(actionButton.closest('tr').dataset.index, 10)];
+                    if (action && row && typeof action.onClick === 'function') {
+                        action.onClick(row, this, e);
+                    }
+                }
+            });
+
+            // 文字篩選與關鍵字延遲送出，下拉選單立即套用
+            this.root.addEventListener('input', e => {
+                if (e.target === this.searchInput) {
+                    this.debounce(() => this.setState({ search: this.searchInput.value.trim(), page: 1 }));
+                } else if (e.target.matches('input[data-filter]')) {
+                    const input = e.target;
+                    this.debounce(() => this.setFilter(input.dataset.filter, input.value.trim()));
+                }
+            });
+
+            this.root.addEventListener('change', e => {
+                if (e.target.matches('[data-layout-visible]')) {
+                    this.setColumnVisible(e.target.dataset.layoutVisible, e.target.checked);
+                } else if (e.target.matches('select[data-filter]')) {
+                    this.setFilter(e.target.dataset.filter, e.target.value);
+                } else if (e.target === this.pageSizeSelect) {
+                    this.setState({ pageSize: parseInt(this.pageSizeSelect.value, 10), page: 1 });
+                }
+            });
+
+            if (this.layoutEnabled) this.bindLayout();
+        }
+
+        /**
+         * 欄位版面面板的點擊（已處理時回傳 true）
+         */
+        handleLayoutClick(e) {
+            if (e.target.closest('[data-layout-toggle]')) {
+                this.toggleLayoutPanel();
+                return true;
+            }
+
+            const moveButton = e.target.closest('[data-layout-move]');
+            if (moveButton) {
+                const field = moveButton.closest('[data-layout-field]').dataset.layoutField;
+                const delta = parseInt(moveButton.dataset.layoutMove, 10);
+                this.moveColumn(field, this.layout.order.indexOf(field) + delta);
+
+                // 面板已重建，焦點移回同一欄位的按鈕（到頂或到底時改為另一方向）
+                const item = this.layoutPanel.querySelector(`[data-layout-field="${CSS.escape(field)}"]`);
+                const next = item?.querySelector(`[data-layout-move="${delta}"]:not(:disabled)`) || item?.querySelector('[data-layout-move]:not(:disabled)');
+                next?.focus();
+                return true;
+            }
+
+            const densityButton = e.target.closest('[data-layout-density]');
+            if (densityButton) {
+                this.setLayout({ density: densityButton.dataset.layoutDensity });
+                return true;
+            }
+
+            if (e.target.closest('[data-layout-reset]')) {
+                this.resetLayout();
+                return true;
+            }
+
+            return Boolean(e.target.closest('.data-grid-resizer'));
+        }
+
+        /**
+         * 列選取的點擊（已處理時回傳 true）；使用 click 而非 change 以取得 Shift 鍵狀態
+         */
+        handleSelectionClick(e) {
+            const rowCheckbox = e.target.closest('[data-grid-select-row]');
+            if (rowCheckbox) {
+                const index = parseInt(rowCheckbox.closest('tr').dataset.index, 10);
+                const from = e.shiftKey && this.lastSelectedIndex !== null ? Math.min(this.lastSelectedIndex, index) : index;
+                const to = e.shiftKey && this.lastSelectedIndex !== null ? Math.max(this.lastSelectedIndex, index) : index;
+                this.selectRows(this.items.slice(from, to + 1), rowCheckbox.checked);
+                this.lastSelectedIndex = index;
+                return true;
+            }
+
+            if (e.target.closest('[data-grid-select-page]')) {
+                this.selectRows(this.items, this.pageCheckbox.checked);
+                return true;
+            }
+
+            if (e.target.closest('[data-grid-select-all]')) {
+                this.selectAllMatching();
+                return true;
+            }
+
+            if (e.target.closest('[data-grid-select-clear]')) {
+                this.clearSelection();
+                return true;
+            }
+
+            return false;
+        }
+
+        /**
+         * 欄位拖曳排序、欄寬調整與面板關閉
+         */
+        bindLayout() {
+            this.root.addEventListener('dragstart', e => {
+                const item = e.target.closest?.('[data-layout-field]');
+                if (!item) return;
+                this.dragField = item.dataset.layoutField;
+                item.classList.add('is-dragging');
+                if (e.dataTransfer) {
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', this.dragField);
+                }
+            });
+
+            this.root.addEventListener('dragover', e => {
+                const item = this.dragField && e.target.closest?.('[data-layout-field]');
+                if (!item) return;
+                e.preventDefault();
+                const rect = item.getBoundingClientRect();
+                const after = e.clientY > rect.top + rect.height / 2;
+                this.layoutPanel.querySelectorAll('.drop-before, .drop-after').forEach(node => node.classList.remove('drop-before', 'drop-after'));
+                item.classList.add(after ? 'drop-after' : 'drop-before');
+            });
+
+            this.root.addEventListener('drop', e => {
+                const item = this.dragField && e.target.closest?.('[data-layout-field]');
+                if (!item) return;
+                e.preventDefault();
+
+                const order = this.layout.order.filter(field => field !== this.dragField);
+                const index = order.indexOf(item.dataset.layoutField);
+                const after = item.classList.contains('drop-after');
+                if (index >= 0) {
+                    order.splice(after ? index + 1 : index, 0, this.dragField);
+                    this.setLayout({ order });
+                }
+                this.dragField = null;
+            });
+
+            this.root.addEventListener('dragend', () => {
+                this.dragField = null;
+                this.layoutPanel.querySelectorAll('.is-dragging, .drop-before, .drop-after')
+                    .forEach(node => node.classList.remove('is-dragging', 'drop-before', 'drop-after'));
+            });
+
+            this.root.addEventListener('pointerdown', e => {
+                const handle = e.target.closest('[data-resize-field]');
+                if (handle && e.button === 0) this.startResize(handle, e);
+            });
+
+            this.root.addEventListener('dblclick', e => {
+                const handle = e.target.closest('[data-resize-field]');
+                if (handle) this.setColumnWidth(handle.dataset.resizeField, null);
+            });
+
+            this.root.addEventListener('keydown', e => {
+                const handle = e.target.closest('[data-resize-field]');
+                if (handle && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+                    e.preventDefault();
+                    const field = handle.dataset.resizeField;
+                    const current = this.layout.widths[field] || Math.round(handle.closest('th').getBoundingClientRect().width);
+                    this.setColumnWidth(field, current + (e.key === 'ArrowRight' ? RESIZE_STEP : -RESIZE_STEP));
+                    this.headerRow.querySelector(`[data-resize-field="${CSS.escape(field)}"]`)?.focus();
+                } else if (e.key === 'Escape' && !this.layoutPanel.hidden) {
+                    this.toggleLayoutPanel(false);
+                    this.layoutButton.focus();
+                }
+            });
+
+            // 點擊面板外部時關閉（面板內容會重建，因此以事件路徑判斷）
+            document.addEventListener('click', e => {
+                if (!this.layoutPanel.hidden && !e.composedPath().includes(this.layoutControls)) {
+                    this.toggleLayoutPanel(false);
+                }
+            });
+        }
+
+        /**
+         * 開關欄位版面面板
+         */
+        toggleLayoutPanel(open = this.layoutPanel.hidden) {
+            this.layoutPanel.hidden = !open;
+            this.layoutButton.setAttribute('aria-expanded', String(open));
+            if (open) this.layoutPanel.querySelector('input:not(:disabled), button:not(:disabled)')?.focus();
+        }
+
+        /**
+         * 拖曳標題右緣調整欄寬，放開時保存
+         */
+        startResize(handle, e) {
+            e.preventDefault();
+            const th = handle.closest('th');
+            const field = handle.dataset.resizeField;
+            const startX = e.clientX;
+            const startWidth = th.getBoundingClientRect().width;
+            let width = null;
+
+            const move = event => {
+                width = Math.max(MIN_COLUMN_WIDTH, Math.round(startWidth + event.clientX - startX));
+                th.style.width = th.style.minWidth = th.style.maxWidth = `${width}px`;
+            };
+            const up = () => {
+                document.removeEventListener('pointermove', move);
+                document.removeEventListener('pointerup', up);
+                this.root.classList.remove('is-resizing');
+                if (width !== null) this.setColumnWidth(field, width);
+            };
+
+            this.root.classList.add('is-resizing');
+            document.addEventListener('pointermove', move);
+            document.addEventListener('pointerup', up);
+        }
+
+        /**
+         * 延遲執行（連續輸入時只送出最後一次）
+         */
+        debounce(callback) {
+            clearTimeout(this.timer);
+            this.timer = setTimeout(callback, this.filterDebounce);
+        }
+
+        /**
+         * 切換排序：一般點擊只依此欄排序，Shift + 點擊加入或切換次要排序
+         * 順序為 升冪 → 降冪 → 取消
+         */
+        toggleSort(field, additive) {
+            const sort = this.state.sort.map(item => ({ ...item }));
+            const index = sort.findIndex(item => item.field === field);
+            const current = index >= 0 ? sort[index] : null;
+            const next = !current ? 'asc' : current.direction === 'asc' ? 'desc' : null;
+
+            let result;
+            if (additive) {
+                result = sort;
+                if (!current) {
+                    result.push({ field, direction: 'asc' });
+                } else if (next) {
+                    current.direction = next;
+                } else {
+                    result.splice(index, 1);
+                }
+            } else {
+                const direction = sort.length === 1 && current ? next : 'asc';
+                result = direction ? [{ field, direction }] : [];
+            }
+
+            this.setState({ sort: result, page: 1 });
+        }
+
+        /**
+         * 設定單一欄位篩選（回到第一頁）
+         */
+        setFilter(param, value) {
+            const filters = { ...this.state.filters };
+            if (value) {
+                filters[param] = value;
+            } else {
+                delete filters[param];
+            }
+            return this.setState({ filters, page: 1 });
+        }
+
+        /**
+         * 清除所有篩選與關鍵字
+         */
+        clearFilters() {
+            return this.setState({ filters: {}, search: '', page: 1 });
+        }
+
+        /**
+         * 更新狀態並重新載入（變更篩選時請一併指定 page: 1）
+         */
+        setState(changes, { reload = true } = {}) {
+            clearTimeout(this.timer);
+
+            // 關鍵字或篩選變更後原本的選取不再對應畫面上的資料
+            const queryChanged = ('search' in changes && changes.search !== this.state.search)
+                || ('filters' in changes && JSON.stringify(changes.filters) !== JSON.stringify(this.state.filters));
+            if (queryChanged && this.hasSelection()) this.clearSelection();
+
+            this.state = { ...this.state, ...changes };
+            this.syncControls();
+            return reload ? this.reload() : Promise.resolve(this.result);
+        }
+
+        /**
+         * 取得目前狀態
+         */
+        getState() {
+            return {
+                ...this.state,
+                sort: this.state.sort.map(item => ({ ...item })),
+                filters: { ...this.state.filters }
+            };
+        }
+
+        /**
+         * 取得目前頁面的資料列
+         */
+        getItems() {
+            return this.items.slice();
+        }
+
+        /**
+         * 取得顯示中的欄位定義
+         */
+        getColumns() {
+            return this.columns.slice();
+        }
+
+        /**
+         * 資料列的鍵值（rowKey 欄位）
+         */
+        rowKey(row) {
+            return String(row[this.options.rowKey] ?? '');
+        }
+
+        /**
+         * 是否有選取任何資料
+         */
+        hasSelection() {
+            return this.selection.allMatching || this.selection.keys.size > 0;
+        }
+
+        /**
+         * 取得選取狀態；allMatching 為 true 時代表目前查詢條件（query）下的所有資料
+         */
+        getSelection() {
+            const keys = [...this.selection.keys];
+            return {
+                keys,
+                rows: this.items.filter(row => this.selection.allMatching || this.selection.keys.has(this.rowKey(row))),
+                allMatching: this.selection.allMatching,
+                count: this.selection.allMatching ? (this.result?.totalCount || 0) : keys.length,
+                query: this.getQueryString({ paging: false })
+            };
+        }
+
+        /**
+         * 選取或取消選取資料列（跨頁保留）；在「全部符合條件」狀態下取消時改為只保留本頁其餘的列
+         */
+        selectRows(rows, selected) {
+            if (this.selection.allMatching) {
+                this.selection = { keys: new Set(this.items.map(row => this.rowKey(row))), allMatching: false };
+            }
+            rows.forEach(row => {
+                if (selected) {
+                    this.selection.keys.add(this.rowKey(row));
+                } else {
+                    this.selection.keys.delete(this.rowKey(row));
+                }
+            });
+            this.updateSelection();
+        }
+
+        /**
+         * 以鍵值取代目前的選取
+         */
+        setSelection(keys) {
+            this.selection = { keys: new Set((keys || []).map(String)), allMatching: false };
+            this.updateSelection();
+        }
+
+        /**
+         * 選取目前查詢條件下所有的資料（不限本頁）
+         */
+        selectAllMatching() {
+            this.selection = { keys: new Set(), allMatching: true };
+            this.updateSelection();
+        }
+
+        /**
+         * 清除選取
+         */
+        clearSelection() {
+            this.selection = { keys: new Set(), allMatching: false };
+            this.lastSelectedIndex = null;
+            this.updateSelection();
+        }
+
+        /**
+         * 讓勾選框、列樣式與提示列反映選取狀態，並觸發 datagrid:select
+         */
+        updateSelection() {
+            if (!this.options.selectable) return;
+
+            const { allMatching, keys } = this.selection;
+            let selectedOnPage = 0;
+            this.tbody.querySelectorAll('tr[data-key]').forEach(tr => {
+                const selected = allMatching || keys.has(tr.dataset.key);
+                const checkbox = tr.querySelector('[data-grid-select-row]');
+                if (checkbox) checkbox.checked = selected;
+                tr.classList.toggle('is-selected', selected);
+                if (selected) selectedOnPage++;
+            });
+
+            const pageCount = this.items.length;
+            this.pageCheckbox.checked = pageCount > 0 && selectedOnPage === pageCount;
+            this.pageCheckbox.indeterminate = selectedOnPage > 0 && selectedOnPage < pageCount;
+
+            const el = SafeHtml.el;
+            const totalCount = this.result?.totalCount || 0;
+            if (allMatching) {
+                this.selectionBanner.replaceChildren(`已選取全部符合條件的 ${totalCount} 筆資料。`,
+                    el('button', { type: 'button', className: 'btn btn-link btn-sm p-0 align-baseline', 'data-grid-select-clear': true }, '取消選取'));
+            } else if (pageCount > 0 && selectedOnPage === pageCount && totalCount > pageCount) {
+                this.selectionBanner.replaceChildren(`已選取本頁的 ${pageCount} 筆資料。`,
+                    el('button', { type: 'button', className: 'btn btn-link btn-sm p-0 align-baseline', 'data-grid-select-all': true }, `選取全部符合條件的 ${totalCount} 筆`));
+            } else {
+                this.selectionBanner.replaceChildren();
+            }
+            this.selectionBanner.hidden = this.selectionBanner.childNodes.length === 0;
+
+            this.root.dispatchEvent(new CustomEvent('datagrid:select', { bubbles: true, detail: { grid: this, selection: this.getSelection() } }));
+        }
+
+        /**
+         * 欄位版面統一格式：{ order, hidden, widths, density, updatedAt }
+         * 忽略不存在的欄位，新加入的欄位排在最後，至少保留一個顯示中的欄位
+         */
+        normalizeLayout(layout) {
+            const source = layout && typeof layout === 'object' ? layout : {};
+            const fields = this.allColumns.map(column => column.field);
+            const hideable = new Set(this.allColumns.filter(column => column.hideable !== false).map(column => column.field));
+
+            const order = (Array.isArray(source.order) ? source.order : [])
+                .filter((field, index, list) => fields.includes(field) && list.indexOf(field) === index);
+            fields.forEach(field => {
+                if (!order.includes(field)) order.push(field);
+            });
+
+            let hidden = Array.isArray(source.hidden)
+                ? source.hidden.filter((field, index, list) => hideable.has(field) && list.indexOf(field) === index)
+                : this.allColumns.filter(column => column.hidden && hideable.has(column.field)).map(column => column.field);
+            if (hidden.length >= fields.length) hidden = [];
+
+            const widths = {};
+            Object.entries(source.widths && typeof source.widths === 'object' ? source.widths : {}).forEach(([field, width]) => {
+                if (fields.includes(field) && Number.isFinite(Number(width))) {
+                    widths[field] = Math.max(MIN_COLUMN_WIDTH, Math.round(Number(width)));
+                }
+            });
+
+            return {
+                order,
+                hidden,
+                widths,
+                density: source.density === 'compact' ? 'compact' : 'normal',
+                updatedAt: Number(source.updatedAt) || 0
+            };
+        }
+
+        /**
+         * 依版面排序並排除隱藏的欄位
+         */
+        visibleColumns() {
+            return this.layout.order
+                .filter(field => !this.layout.hidden.includes(field))
+                .map(field => this.allColumns.find(column => column.field === field));
+        }
+
+        /**
+         * 取得目前的欄位版面
+         */
+        getLayout() {
+            return {
+                ...this.layout,
+                order: this.layout.order.slice(),
+                hidden: this.layout.hidden.slice(),
+                widths: { ...this.layout.widths }
+            };
+        }
+
+        /**
+         * 變更欄位版面並保存（本機立即保存，伺服器延遲同步）
+         */
+        setLayout(changes) {
+            this.layout = this.normalizeLayout({ ...this.layout, ...changes, updatedAt: Date.now() });
+            writeStoredLayout(this.layoutKey, this.layout);
+            this.syncLayout(this.layout);
+            this.applyLayout();
+        }
+
+        /**
+         * 恢復預設的欄位版面（同時刪除伺服器上的設定）
+         */
+        resetLayout() {
+            this.layout = this.normalizeLayout(null);
+            writeStoredLayout(this.layoutKey, null);
+            this.syncLayout(null);
+            this.applyLayout();
+        }
+
+        /**
+         * 顯示或隱藏欄位；隱藏的欄位若有篩選條件會一併清除
+         */
+        setColumnVisible(field, visible) {
+            const hidden = this.layout.hidden.filter(item => item !== field);
+            if (!visible) hidden.push(field);
+            this.setLayout({ hidden });
+
+            const column = this.allColumns.find(item => item.field === field);
+            if (!visible && column?.filter && this.state.filters[column.filterParam]) {
+                this.setFilter(column.filterParam, '');
+            }
+        }
+
+        /**
+         * 將欄位移到指定位置
+         */
+        moveColumn(field, index) {
+            const order = this.layout.order.filter(item => item !== field);
+            order.splice(Math.max(0, Math.min(index, order.length)), 0, field);
+            this.setLayout({ order });
+        }
+
+        /**
+         * 設定欄寬（px），width 為 null 時恢復預設
+         */
+        setColumnWidth(field, width) {
+            const widths = { ...this.layout.widths };
+            if (width === null) {
+                delete widths[field];
+            } else {
+                widths[field] = width;
+            }
+            this.setLayout({ widths });
+        }
+
+        /**
+         * 依版面重建標題與資料列（不重新向伺服器載入資料）
+         */
+        applyLayout() {
+            this.columns = this.visibleColumns();
+            this.buildHead();
+            this.applyDensity();
+            this.renderLayoutPanel();
+            this.syncControls();
+            if (this.error) {
+                this.renderError(this.error);
+            } else if (this.result) {
+                this.render();
+            } else if (this.loading) {
+                this.setLoading(true);
+            }
+        }
+
+        /**
+         * 列高（緊湊模式使用 table-sm）
+         */
+        applyDensity() {
+            const compact = this.layout.density === 'compact';
+            this.root.classList.toggle('data-grid-compact', compact);
+            this.table.classList.toggle('table-sm', compact);
+        }
+
+        /**
+         * 延遲同步欄位版面到伺服器（layout 為 null 時刪除伺服器上的設定）
+         */
+        syncLayout(layout) {
+            if (!this.layoutSync) return;
+
+            clearTimeout(this.layoutTimer);
+            this.layoutTimer = setTimeout(() => {
+                HttpClient.post(this.layoutSaveUrl, { json: { table: this.layoutKey, layout }, key: `datagrid-layout:${this.layoutKey}` })
+                    .catch(error => {
+                        if (!HttpClient.isAbortError(error)) console.warn('同步表格設定失敗:', error);
+                    });
+            }, this.layoutSaveDelay);
+        }
+
+        /**
+         * 載入伺服器上的欄位版面：以較新的一方為準（伺服器較舊或沒有設定時改為上傳本機設定）
+         */
+        loadServerLayout() {
+            if (!this.layoutSync) return;
+
+            HttpClient.get(`${this.layoutUrl}?table=${encodeURIComponent(this.layoutKey)}`, { key: `datagrid-layout-load:${this.layoutKey}` })
+                .then(result => {
+                    const layout = result?.layout;
+                    const updatedAt = Number(layout?.updatedAt) || 0;
+
+                    if (updatedAt > this.layout.updatedAt) {
+                        this.layout = this.normalizeLayout(layout);
+                        writeStoredLayout(this.layoutKey, this.layout);
+                        this.applyLayout();
+                    } else if (this.layout.updatedAt > updatedAt) {
+                        this.syncLayout(this.layout);
+                    }
+                })
+                .catch(error => {
+                    if (!HttpClient.isAbortError(error)) console.warn('載入表格設定失敗:', error);
+                });
+        }
+
+        /**
+         * 依目前的關鍵字、篩選與排序逐頁取得所有資料（供匯出使用，不影響表格顯示）
+         * @param {object} options pageSize：每次請求筆數；onProgress(page, totalPages)：每頁載入後呼叫
+         */
+        async fetchAll({ pageSize = 100, onProgress } = {}) {
+            const items = [];
+            let page = 1;
+            let totalPages = 0;
+
+            do {
+                const params = this.buildParams({ paging: false });
+                params.set('page', page);
+                params.set('pageSize', pageSize);
+                const result = await HttpClient.get(`${this.options.url}${this.options.url.includes('?') ? '&' : '?'}${params}`, { key: `datagrid:${this.id}:all` });
+
+                items.push(...(result?.items || []));
+                totalPages = result?.totalPages || 0;
+                if (typeof onProgress === 'function') onProgress(Math.min(page, totalPages), totalPages);
+                page++;
+            } while (page <= totalPages);
+
+            return items;
+        }
+
+        /**
+         * 讓篩選欄位、關鍵字與每頁筆數反映目前狀態
+         */
+        syncControls() {
+            if (this.searchInput && this.searchInput.value.trim() !== this.state.search) {
+                this.searchInput.value = this.state.search;
+            }
+            this.root.querySelectorAll('[data-filter]').forEach(control => {
+                const value = this.state.filters[control.dataset.filter] || '';
+                if (control.value.trim() !== value) control.value = value;
+            });
+
+            if (!this.options.pageSizes.includes(this.state.pageSize)) {
+                this.pageSizeSelect.appendChild(SafeHtml.el('option', { value: this.state.pageSize }, `${this.state.pageSize} 筆`));
+            }
+            this.pageSizeSelect.value = String(this.state.pageSize);
+            this.clearButton.hidden = !this.hasFilters();
+
+            // 排序標示
+            this.headerRow.querySelectorAll('th[data-field]').forEach(th => {
+                const index = this.state.sort.findIndex(item => item.field === th.dataset.field);
+                const item = this.state.sort[index];
+                const icon = th.querySelector('.data-grid-sort-icon');
+                if (!icon) return;
+
+                icon.className = `fas ${item ? (item.direction === 'asc' ? 'fa-sort-up' : 'fa-sort-down') : 'fa-sort'} data-grid-sort-icon`;
+                th.querySelector('.data-grid-sort-order').textContent = item && this.state.sort.length > 1 ? index + 1 : '';
+                th.classList.toggle('is-sorted', Boolean(item));
+                if (item) {
+                    th.setAttribute('aria-sort', item.direction === 'asc' ? 'ascending' : 'descending');
+                } else {
+                    th.removeAttribute('aria-sort');
+                }
+            });
+        }
+
+        /**
+         * 依目前狀態向伺服器載入資料
+         */
+        reload() {
+            this.syncControls();
+            if (this.options.syncUrl) this.writeUrl();
+            this.setLoading(true);
+
+            const url = `${this.options.url}${this.options.url.includes('?') ? '&' : '?'}${this.getQueryString()}`;
+            return HttpClient.get(url, { key: `datagrid:${this.id}` })
+                .then(result => {
+                    this.result = result || { items: [], page: 1, pageSize: this.state.pageSize, totalCount: 0, totalPages: 0 };
+                    this.items = this.result.items || [];
+                    this.error = null;
+
+                    // 伺服器可能修正超出範圍的頁碼
+                    if (this.result.page && this.result.page !== this.state.page) {
+                        this.state.page = this.result.page;
+                        if (this.options.syncUrl) this.writeUrl();
+                    }
+
+                    this.setLoading(false);
+                    this.render();
+                    this.root.dispatchEvent(new CustomEvent('datagrid:load', { bubbles: true, detail: { grid: this, items: this.getItems(), result: this.result } }));
+                    return this.result;
+                })
+                .catch(error => {
+                    if (HttpClient.isAbortError(error)) return this.result;
+                    console.error(`載入 ${this.options.url} 資料時發生錯誤:`, error);
+                    this.error = error;
+                    this.setLoading(false);
+                    this.renderError(error);
+                    this.root.dispatchEvent(new CustomEvent('datagrid:error', { bubbles: true, detail: { grid: this, error } }));
+                    return null;
+                });
+        }
+
+        /**
+         * 載入中狀態：已有資料時保留並淡化，第一次載入顯示骨架列
+         */
+        setLoading(loading) {
+            this.loading = loading;
+            this.root.classList.toggle('is-loading', loading);
+            this.table.setAttribute('aria-busy', String(loading));
+
+            if (loading && !this.result) {
+                const el = SafeHtml.el;
+                const span = this.columnCount();
+                this.tbody.replaceChildren(...Array.from({ length: 3 }, () =>
+                    el('tr', { className: 'data-grid-skeleton' },
+                        Array.from({ length: span }, () => el('td', {}, el('span', { className: 'data-grid-placeholder' }))))));
+                this.summary.textContent = '載入中...';
+            }
+        }
+
+        /**
+         * 欄位數（含操作欄）
+         */
+        columnCount() {
+            return this.columns.length + (this.actions.length > 0 ? 1 : 0) + (this.options.selectable ? 1 : 0);
+        }
+
+        /**
+         * 顯示資料列、摘要與分頁
+         */
+        render() {
+            const el = SafeHtml.el;
+            const { page, pageSize, totalCount } = { pageSize: this.state.pageSize, totalCount: 0, ...this.result };
+
+            if (this.items.length === 0) {
+                this.tbody.replaceChildren(el('tr', { className: 'data-grid-empty' },
+                    el('td', { colspan: this.columnCount(), className: 'text-center text-muted py-4' },
+                        el('i', { className: 'fas fa-inbox fa-2x mb-2 d-block' }),
+                        this.hasFilters() ? '沒有符合篩選條件的資料' : this.options.emptyText,
+                        this.hasFilters()
+                            ? el('div', { className: 'mt-2' }, el('button', { type: 'button', className: 'btn btn-sm btn-outline-secondary', 'data-grid-clear': true }, '清除篩選'))
+                            : null)));
+            } else {
+                this.tbody.replaceChildren(...this.items.map((row, index) => this.renderRow(row, index)));
+            }
+
+            const from = totalCount === 0 ? 0 : (page - 1) * pageSize + 1;
+            const to = Math.min(page * pageSize, totalCount);
+            this.summary.textContent = `顯示第 ${from} - ${to} 筆，共 ${totalCount} 筆`;
+            this.renderPagination();
+            this.lastSelectedIndex = null;
+            this.updateSelection();
+        }
+
+        /**
+         * 單一資料列
+         */
+        renderRow(row, index) {
+            const el = SafeHtml.el;
+            const tr = el('tr', {
+                className: typeof this.options.rowClass === 'function' ? this.options.rowClass(row) : null,
+                dataset: { index, key: row[this.options.rowKey] ?? '' }
+            });
+
+            if (this.options.selectable) {
+                tr.appendChild(el('td', { className: 'data-grid-select' },
+                    el('input', { type: 'checkbox', className: 'form-check-input', 'data-grid-select-row': true, 'aria-label': `選取第 ${index + 1} 列` })));
+            }
+
+            this.columns.forEach(column => {
+                const td = el('td', { className: column.className || null, dataset: { label: column.title } });
+                const content = typeof column.render === 'function'
+                    ? column.render(row, this)
+                    : formatValue(column, row[column.field], row);
+                setCellContent(td, content);
+                tr.appendChild(td);
+            });
+
+            if (this.actions.length > 0) {
+                tr.appendChild(el('td', { className: 'data-grid-actions', dataset: { label: '操作' } },
+                    el('div', { className: 'btn-group btn-group-sm', role: 'group' }, this.actions.map((action, actionIndex) => {
+                        if (typeof action.visible === 'function' && !action.visible(row)) return null;
+                        const label = typeof action.label === 'function' ? action.label(row) : action.label;
+                        const attributes = {
+                            className: `btn btn-${action.variant || 'outline-secondary'}`,
+                            title: action.title || label
+                        };
+                        const children = [action.icon ? el('i', { className: action.icon, 'aria-hidden': 'true' }) : null, action.iconOnly ? null : ` ${label}`];
+                        if (action.iconOnly) attributes['aria-label'] = label;
+
+                        return typeof action.href === 'function'
+                            ? el('a', { ...attributes, href: action.href(row) }, children)
+                            : el('button', { ...attributes, type: 'button', 'data-grid-action': actionIndex }, children);
+                    }))));
+            }
+
+            return tr;
+        }
+
+        /**
+         * 分頁按鈕（目前頁前後各兩頁）
+         */
+        renderPagination() {
+            const el = SafeHtml.el;
+            const totalPages = this.result?.totalPages || 0;
+            const page = this.state.page;
+
+            if (totalPages <= 1) {
+                this.pagination.replaceChildren();
+                return;
+            }
+
+            const item = (label, target, { active = false, disabled = false, ariaLabel = null } = {}) =>
+                el('li', { className: `page-item${active ? ' active' : ''}${disabled ? ' disabled' : ''}` },
+                    el('button', {
+                        type: 'button',
+                        className: 'page-link',
+                        'data-page': target,
+                        disabled,
+                        'aria-label': ariaLabel,
+                        'aria-current': active ? 'page' : null
+                    }, label));
+            const gap = () => el('li', { className: 'page-item disabled' }, el('span', { className: 'page-link' }, '…'));
+
+            const start = Math.max(1, page - 2);
+            const end = Math.min(totalPages, page + 2);
+            const items = [item('上一頁', page - 1, { disabled: page <= 1 })];
+
+            if (start > 1) items.push(item(1, 1));
+            if (start > 2) items.push(gap());
+            for (let i = start; i <= end; i++) {
+                items.push(item(i, i, { active: i === page, ariaLabel: `第 ${i} 頁` }));
+            }
+            if (end < totalPages - 1) items.push(gap());
+            if (end < totalPages) items.push(item(totalPages, totalPages));
+            items.push(item('下一頁', page + 1, { disabled: page >= totalPages }));
+
+            this.pagination.replaceChildren(...items);
+        }
+
+        /**
+         * 錯誤狀態（可重試）
+         */
+        renderError(error) {
+            const el = SafeHtml.el;
+            this.items = [];
+            this.tbody.replaceChildren(el('tr', { className: 'data-grid-error' },
+                el('td', { colspan: this.columnCount(), className: 'text-center text-danger py-4' },
+                    el('i', { className: 'fas fa-exclamation-triangle fa-2x mb-2 d-block' }),
+                    '載入資料失敗，請稍後再試',
+                    error?.message ? el('small', { className: 'd-block text-muted' }, error.message) : null,
+                    el('div', { className: 'mt-2' }, el('button', { type: 'button', className: 'btn btn-sm btn-outline-danger', 'data-grid-retry': true },
+                        el('i', { className: 'fas fa-redo me-1' }), '重試')))));
+            this.summary.textContent = '';
+            this.pagination.replaceChildren();
+            this.updateSelection();
+        }
+    }
+
+    /**
+     * 在容器中建立資料表格
+     */
+    function create(target, options = {}) {
+        const container = typeof target === 'string' ? document.querySelector(target) : target;
+        if (!container) {
+            throw new Error(`找不到資料表格容器: ${target}`);
+        }
+        if (!options.url) {
+            throw new Error('資料表格需要設定 url');
+        }
+
+        const grid = new Grid(container, options);
+        instances.set(container, grid);
+        return grid;
+    }
+
+    /**
+     * 取得容器上的資料表格
+     */
+    function get(target) {
+        const container = typeof target === 'string' ? document.querySelector(target) : target;
+        return container ? instances.get(container) || null : null;
+    }
+
+    // 公共 API
+    return {
+        create,
+        get,
+        formatters
+    };
+})();
+
+// 導出到全域
+window.DataGrid = DataGrid;
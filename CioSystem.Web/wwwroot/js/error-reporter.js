@@ -0,0 +1,361 @@
+﻿/**
+ * CioSystem 前端錯誤回報
+ * 攔截未處理的錯誤與 Promise 拒絕，附上堆疊、頁面、建置版本、使用者與最近的操作軌跡，
+ * 依指紋限流後批次以 sendBeacon 送到監控 API；送出失敗時暫存於本機，待恢復連線後重送
+ */
+
+const ErrorReporter = (function () {
+    'use strict';
+
+    const EVENT_NAME = 'ClientError';
+    const STORAGE_KEY = 'cio_error_reports';
+    const MAX_BREADCRUMBS = 20;
+    const MAX_STACK_LENGTH = 4000;
+    const MAX_MESSAGE_LENGTH = 500;
+    const MAX_STORED_REPORTS = 50;
+
+    const breadcrumbs = [];
+    const queue = [];
+    // 指紋 -> { lastSent, suppressed }
+    const fingerprints = new Map();
+    let sentTimestamps = [];
+    let flushTimer = null;
+    let installed = false;
+
+    /**
+     * 取得錯誤回報設定（優先讀取 FrontendConfig.errorHandling）
+     */
+    function getConfig() {
+        const errorHandling = (window.FrontendConfig && window.FrontendConfig.errorHandling) || {};
+        return {
+            enabled: errorHandling.enableErrorReporting ?? true,
+            endpoint: errorHandling.errorReportingEndpoint || '/api/monitoring/events/batch',
+            offline: errorHandling.enableOfflineErrorHandling ?? true,
+            // 同一指紋的最短回報間隔
+            fingerprintInterval: errorHandling.fingerprintInterval ?? 60000,
+            // 每分鐘最多回報數量
+            maxReportsPerMinute: errorHandling.maxReportsPerMinute ?? 10,
+            batchSize: errorHandling.batchSize ?? 10,
+            batchDelay: errorHandling.batchDelay ?? 2000
+        };
+    }
+
+    /**
+     * 讀取版面提供的 meta 資訊（cio-build、cio-user）
+     */
+    function readMeta(name) {
+        const meta = document.querySelector(`meta[name="${name}"]`);
+        return meta ? meta.getAttribute('content') || '' : '';
+    }
+
+    /**
+     * 截斷過長的字串
+     */
+    function truncate(value, length) {
+        const text = String(value ?? '');
+        return text.length > length ? text.slice(0, length) + '…' : text;
+    }
+
+    /**
+     * 簡易字串雜湊（djb2）
+     */
+    function hash(text) {
+        let value = 5381;
+        for (let i = 0; i < text.length; i++) {
+            value = ((value << 5) + value + text.charCodeAt(i)) | 0;
+        }
+        return (value >>> 0).toString(16);
+    }
+
+    /**
+     * 產生錯誤指紋：訊息（去除數字與引號內容）加上第一個堆疊位置（去除查詢字串）
+     */
+    function fingerprint(message, stack) {
+        const normalizedMessage = String(message)
+            .replace(/(["'`]).*?\1/g, '?')
+            .replace(/\d+/g, '0');
+        const frame = String(stack || '').split('\n')
+            .map(line => line.trim())
+            .find(line => /:\d+:\d+\)?$/.test(line)) || '';
+        return hash(normalizedMessage + '|' + frame.replace(/\?[^:)]*/, ''));
+    }
+
+    /**
+     * 記錄操作軌跡
+     * @param {string} category 類別（click、navigation、http、network、console 等）
+     * @param {string} message 說明
+     */
+    function addBreadcrumb(category, message) {
+        breadcrumbs.push({
+            time: new Date().toISOString(),
+            category,
+            message: truncate(message, 200)
+        });
+        if (breadcrumbs.length > MAX_BREADCRUMBS) {
+            breadcrumbs.shift();
+        }
+    }
+
+    /**
+     * 描述被點擊的元素
+     */
+    function describeElement(element) {
+        if (!element || !element.tagName) return '';
+        let description = element.tagName.toLowerCase();
+        if (element.id) description += '#' + element.id;
+        const text = (element.getAttribute('aria-label') || element.textContent || '').trim().replace(/\s+/g, ' ');
+        if (text) description += ` "${truncate(text, 40)}"`;
+        return description;
+    }
+
+    /**
+     * 將錯誤整理為監控事件（EventRequest 格式）
+     */
+    function buildEvent(error, context) {
+        const isError = error instanceof Error;
+        const message = truncate(isError ? error.message : (error?.message ?? String(error)), MAX_MESSAGE_LENGTH);
+        const stack = truncate(isError ? error.stack : (context.stack || ''), MAX_STACK_LENGTH);
+
+        const properties = {
+            message,
+            errorType: isError ? error.name : typeof error,
+            stack,
+            source: context.source || 'manual',
+            page: window.location.pathname + window.location.search,
+            buildVersion: readMeta('cio-build'),
+            user: readMeta('cio-user'),
+            userAgent: navigator.userAgent,
+            timestamp: new Date().toISOString(),
+            breadcrumbs: JSON.stringify(breadcrumbs)
+        };
+
+        if (context.filename) properties.filename = context.filename;
+        if (error && error.traceId) properties.traceId = String(error.traceId);
+        Object.entries(context.tags || {}).forEach(([key, value]) => {
+            properties[key] = String(value);
+        });
+
+        const metrics = {};
+        if (context.lineno) metrics.line = context.lineno;
+        if (context.colno) metrics.column = context.colno;
+        if (error && error.status) metrics.status = error.status;
+
+        return {
+            eventName: EVENT_NAME,
+            properties,
+            metrics,
+            fingerprint: fingerprint(message, stack)
+        };
+    }
+
+    /**
+     * 限流：同一指紋在間隔內只回報一次（累計略過次數），並限制每分鐘總數
+     */
+    function shouldReport(event, config) {
+        const now = Date.now();
+        const entry = fingerprints.get(event.fingerprint);
+
+        if (entry && now - entry.lastSent < config.fingerprintInterval) {
+            entry.suppressed++;
+            return false;
+        }
+
+        sentTimestamps = sentTimestamps.filter(time => now - time < 60000);
+        if (sentTimestamps.length >= config.maxReportsPerMinute) {
+            return false;
+        }
+
+        event.metrics.occurrences = 1 + (entry ? entry.suppressed : 0);
+        fingerprints.set(event.fingerprint, { lastSent: now, suppressed: 0 });
+        sentTimestamps.push(now);
+        return true;
+    }
+
+    /**
+     * 回報錯誤
+     * @param {Error|*} error 錯誤物件或任意值
+     * @param {object} context { source, filename, lineno, colno, tags }
+     * @returns {boolean} 是否排入回報佇列
+     */
+    function capture(error, context = {}) {
+        const config = getConfig();
+        if (!config.enabled) return false;
+
+        let event;
+        try {
+            event = buildEvent(error, context);
+        } catch (buildError) {
+            console.error('建立錯誤回報失敗:', buildError);
+            return false;
+        }
+
+        if (!shouldReport(event, config)) return false;
+
+        event.properties.fingerprint = event.fingerprint;
+        delete event.fingerprint;
+        queue.push(event);
+
+        if (queue.length >= config.batchSize) {
+            flush();
+        } else if (!flushTimer) {
+            flushTimer = setTimeout(flush, config.batchDelay);
+        }
+        return true;
+    }
+
+    /**
+     * 讀取暫存的回報
+     */
+    function loadStored() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * 暫存送出失敗的回報（保留最新的部分）
+     */
+    function store(events) {
+        if (!getConfig().offline || events.length === 0) return;
+        try {
+            const stored = loadStored().concat(events).slice(-MAX_STORED_REPORTS);
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+        } catch (e) {
+            // 儲存空間不足時放棄暫存
+        }
+    }
+
+    /**
+     * 送出一批回報：優先使用 sendBeacon，無法排入時改用 keepalive fetch
+     */
+    function send(events) {
+        const config = getConfig();
+        const payload = JSON.stringify(events);
+
+        if (!navigator.onLine) {
+            store(events);
+            return;
+        }
+
+        if (navigator.sendBeacon) {
+            const blob = new Blob([payload], { type: 'application/json' });
+            if (navigator.sendBeacon(config.endpoint, blob)) return;
+        }
+
+        if (!window.fetch) {
+            store(events);
+            return;
+        }
+
+        fetch(config.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: payload,
+            credentials: 'same-origin',
+            keepalive: true
+        }).then(response => {
+            if (!response.ok) store(events);
+        }).catch(() => store(events));
+    }
+
+    /**
+     * 立即送出佇列中的回報
+     */
+    function flush() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        if (queue.length === 0) return;
+        send(queue.splice(0, queue.length));
+    }
+
+    /**
+     * 重送暫存的回報
+     */
+    function retryStored() {
+        if (!navigator.onLine) return;
+        const stored = loadStored();
+        if (stored.length === 0) return;
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (e) {
+            return;
+        }
+        const batchSize = getConfig().batchSize;
+        for (let i = 0; i < stored.length; i += batchSize) {
+            send(stored.slice(i, i + batchSize));
+        }
+    }
+
+    /**
+     * 安裝全域監聽器（重複呼叫不會重複安裝）
+     */
+    function install() {
+        if (installed) return;
+        installed = true;
+
+        window.addEventListener('error', function (e) {
+            // 資源載入失敗（img、script）沒有 error 物件，只記錄為軌跡
+            if (e.target && e.target !== window && e.target.tagName) {
+                addBreadcrumb('resource', `${e.target.tagName.toLowerCase()} 載入失敗: ${e.target.src || e.target.href || ''}`);
+                return;
+            }
+            capture(e.error || e.message, {
+                source: 'error',
+                filename: e.filename,
+                lineno: e.lineno,
+                colno: e.colno
+            });
+        }, true);
+
+        window.addEventListener('unhandledrejection', function (e) {
+            const reason = e.reason;
+            // 已取消的請求不是錯誤
+            if (reason && reason.name === 'AbortError') return;
+            capture(reason, { source: 'unhandledrejection' });
+        });
+
+        document.addEventListener('click', function (e) {
+            const target = e.target && e.target.closest
+                ? e.target.closest('a, button, [role="button"], input[type="submit"]')
+                : null;
+            if (target) addBreadcrumb('click', describeElement(target));
+        }, true);
+
+        document.addEventListener('submit', function (e) {
+            addBreadcrumb('submit', `form ${e.target.id || e.target.getAttribute('action') || ''}`);
+        }, true);
+
+        window.addEventListener('popstate', () => addBreadcrumb('navigation', window.location.pathname + window.location.search));
+        window.addEventListener('hashchange', () => addBreadcrumb('navigation', window.location.hash));
+        window.addEventListener('offline', () => addBreadcrumb('network', '離線'));
+        window.addEventListener('online', function () {
+            addBreadcrumb('network', '恢復連線');
+            retryStored();
+        });
+
+        // 頁面隱藏或離開時立即送出
+        document.addEventListener('visibilitychange', function () {
+            if (document.visibilityState === 'hidden') flush();
+        });
+        window.addEventListener('pagehide', flush);
+
+        addBreadcrumb('navigation', window.location.pathname + window.location.search);
+        setTimeout(retryStored, 3000);
+    }
+
+    install();
+
+    // 公共 API
+    return {
+        capture,
+        addBreadcrumb,
+        flush,
+        retryStored,
+        fingerprint
+    };
+})();
+
+// 導出到全域
+window.ErrorReporter = ErrorReporter;
@@ -0,0 +1,465 @@
+﻿/**
+ * CioSystem 表單草稿
+ * 標記 data-autosave 的表單會在輸入後自動儲存草稿（依使用者區分、逾期自動清除、不儲存密碼與權杖），
+ * 重新開啟頁面時顯示還原提示與差異預覽，送出成功後清除草稿，並提供草稿清單以便繼續未完成的輸入
+ *
+ * 用法：
+ *   <form data-autosave="sales-create" data-autosave-title="新增銷售">
+ */
+
+const FormDrafts = (function () {
+    'use strict';
+
+    const STORAGE_PREFIX = 'cio_draft:';
+    // 舊版自動儲存（form_<表單 id>）的鍵值：未依使用者區分、不會逾期，載入時直接清除
+    const LEGACY_PREFIX = 'form_';
+    const SUBMITTED_KEY = 'cio_draft_submitted';
+    const RESTORE_HASH = '#restore-draft';
+    const VERSION = 1;
+
+    // 不儲存的欄位類型與名稱
+    const EXCLUDED_TYPES = ['password', 'hidden', 'file', 'submit', 'button', 'reset', 'image'];
+    const SENSITIVE_NAME = /password|passwd|token|secret|otp|pin$|verification/i;
+
+    // 表單 -> { key, snapshot, timer }
+    const tracked = new WeakMap();
+
+    /**
+     * 取得設定（優先讀取 FrontendConfig.forms）
+     */
+    function getConfig() {
+        const forms = (window.FrontendConfig && window.FrontendConfig.forms) || {};
+        return {
+            enabled: forms.enableAutoSave ?? true,
+            delay: forms.autoSaveDelay ?? 1000,
+            ttl: forms.draftTTL ?? 7 * 24 * 60 * 60 * 1000
+        };
+    }
+
+    /**
+     * 目前使用者（草稿依使用者隔離）
+     */
+    function currentUser() {
+        const meta = document.querySelector('meta[name="cio-user"]');
+        return (meta && meta.getAttribute('content')) || 'anonymous';
+    }
+
+    /**
+     * 使用者的草稿鍵值前綴
+     */
+    function userPrefix() {
+        return `${STORAGE_PREFIX}${currentUser()}:`;
+    }
+
+    /**
+     * 表單的草稿鍵值
+     */
+    function keyOf(form) {
+        const name = form.dataset.autosave || `${window.location.pathname}#${form.id || 'form'}`;
+        return userPrefix() + name;
+    }
+
+    /**
+     * 可儲存的欄位
+     */
+    function eligibleFields(form) {
+        return Array.from(form.elements).filter(field =>
+            field.name &&
+            !field.disabled &&
+            !EXCLUDED_TYPES.includes(field.type) &&
+            !SENSITIVE_NAME.test(field.name) &&
+            field.autocomplete !== 'one-time-code' &&
+            !field.hasAttribute('data-autosave-ignore'));
+    }
+
+    /**
+     * 讀取表單值（核取方塊與多選為陣列）
+     */
+    function serialize(form) {
+        const fields = {};
+        eligibleFields(form).forEach(field => {
+            const name = field.name;
+            if (field.type === 'checkbox') {
+                fields[name] = fields[name] || [];
+                if (field.checked) fields[name].push(field.value);
+            } else if (field.type === 'radio') {
+                if (!(name in fields)) fields[name] = '';
+                if (field.checked) fields[name] = field.value;
+            } else if (field.multiple) {
+                fields[name] = Array.from(field.selectedOptions).map(option => option.value);
+            } else {
+                fields[name] = field.value;
+            }
+        });
+        return fields;
+    }
+
+    /**
+     * 比較兩組欄位值，回傳不同的欄位名稱
+     */
+    function changedFields(current, draft) {
+        return Object.keys(draft).filter(name =>
+            name in current && JSON.stringify(current[name]) !== JSON.stringify(draft[name]));
+    }
+
+    /**
+     * 讀取草稿（逾期或格式不符時移除）
+     */
+    function load(key) {
+        try {
+            const draft = JSON.parse(localStorage.getItem(key) || 'null');
+            if (!draft) return null;
+            if (draft.version !== VERSION || draft.expiresAt < Date.now()) {
+                localStorage.removeItem(key);
+                return null;
+            }
+            return draft;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * 移除草稿
+     */
+    function remove(key) {
+        try {
+            localStorage.removeItem(key);
+        } catch (e) {
+            // localStorage 無法使用時忽略
+        }
+        updateBadge();
+    }
+
+    /**
+     * 儲存草稿；與頁面載入時相同（未修改）則移除
+     */
+    function save(form) {
+        const state = tracked.get(form);
+        if (!state) return;
+
+        const fields = serialize(form);
+        if (changedFields(state.snapshot, fields).length === 0) {
+            remove(state.key);
+            return;
+        }
+
+        const config = getConfig();
+        const draft = {
+            version: VERSION,
+            title: form.dataset.autosaveTitle || document.title,
+            url: window.location.pathname + window.location.search,
+            savedAt: Date.now(),
+            expiresAt: Date.now() + config.ttl,
+            fields
+        };
+
+        try {
+            localStorage.setItem(state.key, JSON.stringify(draft));
+        } catch (e) {
+            console.warn('儲存草稿失敗:', e);
+        }
+        updateBadge();
+    }
+
+    /**
+     * 欄位標籤文字
+     */
+    function labelOf(form, name) {
+        const field = form.elements[name];
+        const element = field && field.length !== undefined && !field.tagName ? field[0] : field;
+        const label = element && element.id ? form.querySelector(`label[for="${CSS.escape(element.id)}"]`) : null;
+        return label ? label.textContent.replace(/\*/g, '').trim() : name;
+    }
+
+    /**
+     * 欄位值的顯示文字（下拉選單顯示選項文字）
+     */
+    function displayValue(form, name, value) {
+        const values = [].concat(value).filter(item => item !== '');
+        if (values.length === 0) return '（空白）';
+
+        const field = form.elements[name];
+        if (field && field.tagName === 'SELECT') {
+            return values.map(item => {
+                const option = Array.from(field.options).find(opt => opt.value === item);
+                return option ? option.text.trim() : item;
+            }).join('、');
+        }
+        return values.join('、');
+    }
+
+    /**
+     * 將草稿套用到表單，並依欄位順序觸發 input/change 讓頁面連動（例如產品帶出單價）
+     */
+    function apply(form, fields) {
+        // 讓頁面先依草稿建立動態欄位（例如多筆明細列）
+        form.dispatchEvent(new CustomEvent('draft:restore', { bubbles: true, detail: { fields } }));
+
+        eligibleFields(form).forEach(field => {
+            if (!(field.name in fields)) return;
+            const value = fields[field.name];
+
+            if (field.type === 'checkbox') {
+                field.checked = [].concat(value).includes(field.value);
+            } else if (field.type === 'radio') {
+                field.checked = field.value === value;
+            } else if (field.multiple) {
+                Array.from(field.options).forEach(option => {
+                    option.selected = [].concat(value).includes(option.value);
+                });
+            } else if (field.value !== value) {
+                field.value = value;
+            } else {
+                return;
+            }
+
+            field.dispatchEvent(new Event('input', { bubbles: true }));
+            field.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+    }
+
+    /**
+     * 還原提示：顯示草稿時間、差異預覽與還原/捨棄按鈕
+     */
+    function showBanner(form, draft, changes) {
+        const { el } = SafeHtml;
+        const current = serialize(form);
+        const state = tracked.get(form);
+
+        const diffTable = el('div', { className: 'table-responsive mt-2', hidden: true },
+            el('table', { className: 'table table-sm table-bordered bg-white mb-0' },
+                el('thead', {},
+                    el('tr', {}, el('th', {}, '欄位'), el('th', {}, '目前'), el('th', {}, '草稿'))),
+                el('tbody', {}, ...changes.map(name => el('tr', {},
+                    el('td', {}, labelOf(form, name)),
+                    el('td', { className: 'text-muted' }, displayValue(form, name, current[name])),
+                    el('td', { className: 'fw-semibold' }, displayValue(form, name, draft.fields[name])))))));
+
+        const banner = el('div', { className: 'alert alert-info draft-banner', role: 'status', 'data-draft-banner': '' },
+            el('div', { className: 'd-flex flex-wrap align-items-center gap-2' },
+                el('i', { className: 'fas fa-history', 'aria-hidden': 'true' }),
+                el('span', { className: 'me-auto' },
+                    `發現 ${new Date(draft.savedAt).toLocaleString('zh-TW')} 未送出的草稿（${changes.length} 個欄位不同）`),
+                el('button', {
+                    type: 'button',
+                    className: 'btn btn-sm btn-outline-secondary',
+                    'aria-expanded': 'false',
+                    onClick: e => {
+                        diffTable.hidden = !diffTable.hidden;
+                        e.currentTarget.setAttribute('aria-expanded', String(!diffTable.hidden));
+                    }
+                }, '檢視差異'),
+                el('button', {
+                    type: 'button',
+                    className: 'btn btn-sm btn-primary',
+                    onClick: () => {
+                        apply(form, draft.fields);
+                        banner.remove();
+                        ToastManager.success('已還原草稿');
+                    }
+                }, '還原草稿'),
+                el('button', {
+                    type: 'button',
+                    className: 'btn btn-sm btn-outline-danger',
+                    onClick: () => {
+                        remove(state.key);
+                        banner.remove();
+                    }
+                }, '捨棄')),
+            diffTable);
+
+        form.prepend(banner);
+    }
+
+    /**
+     * 送出後的處理：上次送出的表單若未再次出現（已成功導向），清除其草稿
+     */
+    function resolveSubmitted() {
+        let submitted;
+        try {
+            submitted = sessionStorage.getItem(SUBMITTED_KEY);
+            sessionStorage.removeItem(SUBMITTED_KEY);
+        } catch (e) {
+            return;
+        }
+        if (!submitted) return;
+
+        const stillOnForm = Array.from(document.querySelectorAll('form[data-autosave]'))
+            .some(form => keyOf(form) === submitted);
+        if (!stillOnForm) remove(submitted);
+    }
+
+    /**
+     * 開始追蹤表單
+     */
+    function track(form) {
+        if (tracked.has(form)) return;
+
+        const key = keyOf(form);
+        const state = { key, snapshot: serialize(form), timer: null };
+        tracked.set(form, state);
+
+        const schedule = () => {
+            clearTimeout(state.timer);
+            state.timer = setTimeout(() => save(form), getConfig().delay);
+        };
+        form.addEventListener('input', schedule);
+        form.addEventListener('change', schedule);
+
+        // 使用者在離開頁面時選擇捨棄變更（UnsavedChanges），草稿一併移除
+        form.addEventListener('unsaved:discard', () => {
+            clearTimeout(state.timer);
+            remove(key);
+        });
+
+        // 驗證未通過或由頁面改以 AJAX 處理（defaultPrevented）時不視為送出
+        form.addEventListener('submit', e => {
+            if (e.defaultPrevented) return;
+            clearTimeout(state.timer);
+            save(form);
+            try {
+                sessionStorage.setItem(SUBMITTED_KEY, key);
+            } catch (error) {
+                // sessionStorage 無法使用時草稿保留至逾期
+            }
+        });
+
+        const draft = load(key);
+        if (!draft) return;
+
+        const changes = changedFields(state.snapshot, draft.fields);
+        if (changes.length === 0) return;
+
+        if (window.location.hash === RESTORE_HASH) {
+            apply(form, draft.fields);
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+            ToastManager.success('已還原草稿');
+        } else {
+            showBanner(form, draft, changes);
+        }
+    }
+
+    /**
+     * 目前使用者的所有草稿（新到舊）
+     * @returns {Array<{key, title, url, savedAt, expiresAt}>}
+     */
+    function list() {
+        const prefix = userPrefix();
+        const drafts = [];
+        try {
+            for (let i = localStorage.length - 1; i >= 0; i--) {
+                const key = localStorage.key(i);
+                if (!key || !key.startsWith(prefix)) continue;
+                const draft = load(key);
+                if (draft) drafts.push({ key, title: draft.title, url: draft.url, savedAt: draft.savedAt, expiresAt: draft.expiresAt });
+            }
+        } catch (e) {
+            return [];
+        }
+        return drafts.sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    /**
+     * 清除所有逾期的草稿（包含其他使用者）與舊版自動儲存的資料
+     */
+    function purgeExpired() {
+        try {
+            for (let i = localStorage.length - 1; i >= 0; i--) {
+                const key = localStorage.key(i);
+                if (!key) continue;
+                if (key.startsWith(STORAGE_PREFIX)) load(key);
+                else if (key.startsWith(LEGACY_PREFIX)) localStorage.removeItem(key);
+            }
+        } catch (e) {
+            // localStorage 無法使用時忽略
+        }
+    }
+
+    /**
+     * 更新頂部欄的草稿數量
+     */
+    function updateBadge() {
+        const badge = document.getElementById('draftsBadge');
+        const button = document.getElementById('draftsButton');
+        if (!badge || !button) return;
+
+        const count = list().length;
+        badge.textContent = String(count);
+        button.hidden = count === 0;
+    }
+
+    /**
+     * 顯示草稿清單
+     */
+    function openList() {
+        const { el } = SafeHtml;
+        const drafts = list();
+
+        const body = drafts.length === 0
+            ? el('p', { className: 'text-muted mb-0' }, '目前沒有未送出的草稿')
+            : el('ul', { className: 'list-group' }, ...drafts.map(draft => {
+                const item = el('li', { className: 'list-group-item d-flex align-items-center gap-2' },
+                    el('div', { className: 'me-auto' },
+                        el('div', { className: 'fw-semibold' }, draft.title),
+                        el('small', { className: 'text-muted' }, `儲存於 ${new Date(draft.savedAt).toLocaleString('zh-TW')}`)),
+                    el('a', { className: 'btn btn-sm btn-primary', href: draft.url + RESTORE_HASH }, '繼續'),
+                    el('button', {
+                        type: 'button',
+                        className: 'btn btn-sm btn-outline-danger',
+                        'aria-label': `刪除草稿：${draft.title}`,
+                        onClick: () => {
+                            remove(draft.key);
+                            item.remove();
+                        }
+                    }, el('i', { className: 'fas fa-trash', 'aria-hidden': 'true' })));
+                return item;
+            }));
+
+        const modal = el('div', { className: 'modal fade', tabindex: '-1', 'aria-labelledby': 'draftsModalTitle', 'aria-modal': 'true', role: 'dialog' },
+            el('div', { className: 'modal-dialog modal-dialog-scrollable' },
+                el('div', { className: 'modal-content' },
+                    el('div', { className: 'modal-header' },
+                        el('h5', { className: 'modal-title', id: 'draftsModalTitle' },
+                            el('i', { className: 'fas fa-file-alt me-2', 'aria-hidden': 'true' }), '草稿'),
+                        el('button', { type: 'button', className: 'btn-close', 'data-bs-dismiss': 'modal', 'aria-label': '關閉' })),
+                    el('div', { className: 'modal-body' }, body))));
+
+        document.body.appendChild(modal);
+        const instance = new bootstrap.Modal(modal);
+        modal.addEventListener('hidden.bs.modal', () => {
+            instance.dispose();
+            modal.remove();
+        });
+        instance.show();
+    }
+
+    /**
+     * 初始化：清除逾期草稿、處理上次送出的結果並追蹤頁面上的表單
+     */
+    function init() {
+        purgeExpired();
+        if (getConfig().enabled) {
+            resolveSubmitted();
+            document.querySelectorAll('form[data-autosave]').forEach(track);
+        }
+        updateBadge();
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // 公共 API
+    return {
+        track,
+        list,
+        remove,
+        openList
+    };
+})();
+
+// 導出到全域
+window.FormDrafts = FormDrafts;
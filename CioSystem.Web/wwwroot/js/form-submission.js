@@ -0,0 +1,291 @@
+﻿/**
+ * CioSystem 表單送出管理
+ * 追蹤表單送出的實際生命週期：送出期間鎖定按鈕並顯示進度，擋下重複送出，
+ * 每個表單實例附帶冪等鍵（__IdempotencyKey 欄位 / Idempotency-Key 標頭）讓伺服器辨識重送，
+ * 從往返快取（bfcache）返回或請求失敗時恢復表單狀態
+ *
+ * 用法：
+ *   <button type="submit" data-submitting-text="儲存中...">儲存</button>
+ *   <form data-submission="off">                 不由本模組管理
+ *   FormSubmission.submit(form)                  以 AJAX 送出並追蹤狀態
+ *   FormSubmission.track(form, promise)          追蹤自訂請求的狀態
+ */
+
+const FormSubmission = (function () {
+    'use strict';
+
+    const KEY_FIELD = '__IdempotencyKey';
+
+    const defaultConfig = {
+        stallDelay: 8000,
+        timeout: 60000,
+        submittingText: '處理中...',
+        stalledText: '仍在處理中，請稍候...'
+    };
+
+    // 表單 -> 送出狀態 { buttons, timers }
+    const active = new Map();
+    // 表單 -> 冪等鍵
+    const keys = new WeakMap();
+
+    /**
+     * 取得設定
+     */
+    function getConfig() {
+        return { ...defaultConfig, ...(window.FrontendConfig?.forms?.submission || {}) };
+    }
+
+    /**
+     * 產生冪等鍵
+     */
+    function createKey() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    }
+
+    /**
+     * 取得表單實例的冪等鍵（同一個表單重送時沿用同一個鍵）
+     */
+    function keyOf(form) {
+        if (!keys.has(form)) {
+            keys.set(form, createKey());
+        }
+        return keys.get(form);
+    }
+
+    /**
+     * 換發新的冪等鍵（送出完成後，下一次送出視為新的操作）
+     */
+    function rotateKey(form) {
+        keys.set(form, createKey());
+        const field = form.querySelector(`input[name="${KEY_FIELD}"]`);
+        if (field) field.value = keys.get(form);
+    }
+
+    /**
+     * 在表單中放入冪等鍵欄位
+     */
+    function attachKey(form) {
+        let field = form.querySelector(`input[name="${KEY_FIELD}"]`);
+        if (!field) {
+            field = document.createElement('input');
+            field.type = 'hidden';
+            field.name = KEY_FIELD;
+            form.appendChild(field);
+        }
+        field.value = keyOf(form);
+    }
+
+    /**
+     * 是否由本模組管理
+     */
+    function isManaged(form) {
+        if (!(form instanceof HTMLFormElement)) return false;
+        if (form.dataset.submission === 'off') return false;
+        const target = (form.getAttribute('target') || '').toLowerCase();
+        return target === '' || target === '_self';
+    }
+
+    /**
+     * 是否為會改變資料的送出（GET 表單不需要冪等鍵）
+     */
+    function isMutating(form) {
+        return (form.getAttribute('method') || 'get').toLowerCase() === 'post';
+    }
+
+    /**
+     * 頂部進度條
+     */
+    function progressBar() {
+        let bar = document.querySelector('.submission-progress');
+        if (!bar) {
+            bar = document.createElement('div');
+            bar.className = 'submission-progress';
+            bar.setAttribute('role', 'progressbar');
+            bar.setAttribute('aria-label', '表單送出中');
+            document.body.appendChild(bar);
+        }
+        return bar;
+    }
+
+    /**
+     * 依目前是否有送出中的表單更新進度條
+     */
+    function updateProgress() {
+        progressBar().classList.toggle('active', active.size > 0);
+    }
+
+    /**
+     * 設定按鈕顯示文字（保留載入圖示）
+     */
+    function setButtonText(button, text) {
+        const { html } = SafeHtml;
+        const content = html`<i class="fas fa-spinner fa-spin me-2"></i>${text}`;
+        if (button.tagName === 'INPUT') {
+            button.value = text;
+        } else {
+            SafeHtml.setContent(button, content);
+        }
+    }
+
+    /**
+     * 進入送出中狀態：鎖定所有送出按鈕，觸發送出的按鈕顯示進度
+     */
+    function begin(form, submitter) {
+        if (active.has(form)) return;
+
+        const config = getConfig();
+        const buttons = Array.from(form.querySelectorAll('button[type="submit"], button:not([type]), input[type="submit"]'))
+            .concat(form.id ? Array.from(document.querySelectorAll(`[type="submit"][form="${form.id}"]`)) : [])
+            .map(button => ({
+                button,
+                disabled: button.disabled,
+                content: button.tagName === 'INPUT' ? button.value : button.innerHTML
+            }));
+
+        const primary = submitter || (buttons[0] && buttons[0].button);
+
+        // 等瀏覽器取得表單資料後再停用按鈕，避免送出按鈕的 name/value 遺失
+        setTimeout(() => {
+            if (!active.has(form)) return;
+            buttons.forEach(({ button }) => { button.disabled = true; });
+        }, 0);
+
+        if (primary) {
+            setButtonText(primary, primary.dataset.submittingText || config.submittingText);
+        }
+
+        form.classList.add('is-submitting');
+        form.setAttribute('aria-busy', 'true');
+
+        const timers = [
+            setTimeout(() => {
+                if (primary) setButtonText(primary, config.stalledText);
+            }, config.stallDelay)
+        ];
+
+        // 原生送出無法得知請求結束，超過時限仍停留在本頁時恢復，讓使用者可以重試（冪等鍵不變）
+        if (!form.dataset.submissionAjax) {
+            timers.push(setTimeout(() => {
+                end(form);
+                if (window.ToastManager) {
+                    ToastManager.warning('伺服器回應時間過長，請稍後再試');
+                }
+            }, config.timeout));
+        }
+
+        active.set(form, { buttons, timers });
+        updateProgress();
+        form.dispatchEvent(new CustomEvent('submission:start', { bubbles: true }));
+    }
+
+    /**
+     * 結束送出狀態並恢復按鈕
+     */
+    function end(form) {
+        const state = active.get(form);
+        if (!state) return;
+
+        state.timers.forEach(clearTimeout);
+        state.buttons.forEach(({ button, disabled, content }) => {
+            button.disabled = disabled;
+            if (button.tagName === 'INPUT') {
+                button.value = content;
+            } else {
+                button.innerHTML = content;
+            }
+        });
+
+        form.classList.remove('is-submitting');
+        form.removeAttribute('aria-busy');
+        active.delete(form);
+        updateProgress();
+        form.dispatchEvent(new CustomEvent('submission:end', { bubbles: true }));
+    }
+
+    /**
+     * 追蹤自訂請求：請求期間維持送出中狀態，結束後恢復
+     * 伺服器有回應（成功或錯誤狀態碼）即換發冪等鍵；網路錯誤或逾時無法確定伺服器是否已處理，
+     * 保留原鍵讓使用者重送時仍能被伺服器去重
+     */
+    async function track(form, promise) {
+        form.dataset.submissionAjax = 'true';
+        begin(form);
+        try {
+            const result = await promise;
+            rotateKey(form);
+            return result;
+        } catch (error) {
+            if (error && error.status > 0) rotateKey(form);
+            throw error;
+        } finally {
+            end(form);
+            delete form.dataset.submissionAjax;
+        }
+    }
+
+    /**
+     * 以 AJAX 送出表單（附帶冪等鍵，網路錯誤時 HttpClient 會安全重試）
+     */
+    function submit(form, options = {}) {
+        if (active.has(form)) {
+            return Promise.reject(new Error('此表單正在處理中，請勿重複送出'));
+        }
+
+        const { url, ...requestOptions } = options;
+        return track(form, HttpClient.post(url || form.action || window.location.href, {
+            body: new FormData(form),
+            idempotencyKey: keyOf(form),
+            ...requestOptions
+        }));
+    }
+
+    /**
+     * 安裝全域事件
+     */
+    function install() {
+        // 擷取階段：送出中的表單直接擋下重複送出（早於欄位驗證）
+        window.addEventListener('submit', e => {
+            if (active.has(e.target)) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+            }
+        }, true);
+
+        // 冒泡階段：其他處理程式都沒有取消送出時才進入送出中狀態
+        document.addEventListener('submit', e => {
+            const form = e.target;
+            if (e.defaultPrevented || !isManaged(form)) return;
+
+            if (isMutating(form)) attachKey(form);
+            begin(form, e.submitter);
+        });
+
+        // 從往返快取返回時，頁面仍停留在送出中狀態，且欄位中仍是已送出的冪等鍵；
+        // 不換發的話再次送出會被伺服器視為重複而重播上一次的結果
+        window.addEventListener('pageshow', e => {
+            if (e.persisted) {
+                Array.from(active.keys()).forEach(end);
+                document.querySelectorAll(`input[name="${KEY_FIELD}"]`).forEach(field => {
+                    if (field.form) rotateKey(field.form);
+                });
+            }
+        });
+    }
+
+    install();
+
+    // 公共 API
+    return {
+        submit,
+        track,
+        isSubmitting: form => active.has(form),
+        reset: end,
+        keyOf
+    };
+})();
+
+// 導出到全域
+window.FormSubmission = FormSubmission;
@@ -0,0 +1,596 @@
+﻿/**
+ * CioSystem 表單驗證引擎
+ * 以 data-rule-* 屬性宣告規則（同時相容伺服器產生的 data-val-* 與原生 required/min/max/pattern），
+ * 支援跨欄位與非同步規則，所有表單使用相同的即時驗證與欄位內訊息樣式
+ *
+ * 用法：
+ *   <input name="ReservedQuantity" data-rule-lte="Quantity" data-msg-lte="預留數量不能超過總庫存數量">
+ *   <input name="Price" data-rule-decimal="2" data-rule-min="0">
+ *   <input name="ProductionDate" type="date" data-rule-date-max="today">
+ *   <input name="SKU" data-rule-remote="/Products/CheckSku">
+ */
+
+const FormValidator = (function () {
+    'use strict';
+
+    // 預設訊息（{0} 為規則參數或參照欄位名稱）
+    const defaultMessages = {
+        'required': '此欄位為必填',
+        'email': '請輸入有效的電子郵件地址',
+        'number': '請輸入有效的數字',
+        'integer': '請輸入整數',
+        'min': '不可小於 {0}',
+        'max': '不可大於 {0}',
+        'minlength': '長度不可少於 {0} 個字元',
+        'maxlength': '長度不可超過 {0} 個字元',
+        'pattern': '格式不正確',
+        'decimal': '最多只能有 {0} 位小數',
+        'date-min': '日期不可早於 {0}',
+        'date-max': '日期不可晚於 {0}',
+        'after': '必須晚於「{0}」',
+        'before': '必須早於「{0}」',
+        'lte': '不可大於「{0}」',
+        'gte': '不可小於「{0}」',
+        'equalto': '與「{0}」不一致',
+        'remote': '此值無法使用'
+    };
+
+    // 參照其他欄位的規則（參數為欄位名稱或選擇器）
+    const FIELD_REFERENCE_RULES = ['after', 'before', 'lte', 'gte', 'equalto'];
+
+    // 規則登錄表：name -> { validate(value, param, field, form), async }
+    const registry = new Map();
+
+    // 欄位狀態：驗證序號（捨棄過期的非同步結果）與是否已互動
+    const fieldStates = new WeakMap();
+
+    /**
+     * 取得欄位狀態
+     */
+    function getState(field) {
+        let state = fieldStates.get(field);
+        if (!state) {
+            state = { seq: 0, touched: false };
+            fieldStates.set(field, state);
+        }
+        return state;
+    }
+
+    /**
+     * 依伺服器欄位名稱（例如 Name、Product.Name、Items[0].Quantity）找出表單中的輸入框
+     */
+    function findField(form, name) {
+        const lowerName = String(name).toLowerCase();
+        const lastSegment = lowerName.split('.').pop();
+        const inputs = Array.from(form.elements).filter(element => element.name);
+
+        return inputs.find(element => element.name.toLowerCase() === lowerName)
+            || inputs.find(element => element.name.toLowerCase().split('.').pop() === lastSegment)
+            || form.querySelector('#' + CSS.escape(String(name).replace(/[.[\]]/g, '_')));
+    }
+
+    /**
+     * 解析規則參照的欄位（#id、[name=...] 選擇器或欄位名稱）
+     */
+    function resolveField(form, reference) {
+        if (!reference) return null;
+        if (/^[#[.]/.test(reference)) {
+            return form.querySelector(reference) || document.querySelector(reference);
+        }
+        return findField(form, reference);
+    }
+
+    /**
+     * 取得欄位標籤文字（去除必填星號）
+     */
+    function labelOf(field) {
+        const label = field.id ? document.querySelector(`label[for="${CSS.escape(field.id)}"]`) : null;
+        const text = label ? label.textContent.replace(/\*/g, '').trim() : '';
+        return text || field.getAttribute('aria-label') || field.name || '';
+    }
+
+    /**
+     * 取得欄位值（核取方塊未勾選、單選未選取時為空字串）
+     */
+    function getValue(field) {
+        if (field.type === 'checkbox') {
+            return field.checked ? field.value : '';
+        }
+        if (field.type === 'radio') {
+            const form = field.form || document;
+            const checked = form.querySelector(`input[type="radio"][name="${CSS.escape(field.name)}"]:checked`);
+            return checked ? checked.value : '';
+        }
+        if (field.multiple && field.selectedOptions) {
+            return Array.from(field.selectedOptions).map(option => option.value).join(',');
+        }
+        return String(field.value ?? '').trim();
+    }
+
+    /**
+     * 轉為數字（允許千分位逗號與空白）
+     */
+    function toNumber(value) {
+        const text = String(value).replace(/[,\s]/g, '');
+        return text === '' ? NaN : Number(text);
+    }
+
+    /**
+     * 轉為日期（yyyy-mm-dd 以當地時間解析，today 為今天）
+     */
+    function toDate(value) {
+        if (value === 'today') {
+            const today = new Date();
+            return new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        }
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        if (match) {
+            return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        }
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * 比較目前欄位與參照欄位（參照欄位空白時不比較）
+     */
+    function compareWith(value, reference, field, form, parse, compare) {
+        const other = resolveField(form, reference);
+        if (!other) return true;
+        const otherValue = getValue(other);
+        if (otherValue === '') return true;
+        const a = parse(value);
+        const b = parse(otherValue);
+        if (a === null || b === null || Number.isNaN(a) || Number.isNaN(b)) return true;
+        return compare(a, b);
+    }
+
+    /**
+     * 註冊驗證規則
+     * @param {string} name 規則名稱（對應 data-rule-{name}）
+     * @param {Function} validate (value, param, field, form) => true | false | 錯誤訊息（字串或 SafeHtml 片段）| Promise
+     * @param {object} options { message, async }
+     */
+    function addRule(name, validate, options = {}) {
+        registry.set(name, { validate, async: Boolean(options.async) });
+        if (options.message) {
+            defaultMessages[name] = options.message;
+        }
+    }
+
+    // 內建規則
+    addRule('required', value => value !== '');
+    addRule('email', value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value));
+    addRule('number', value => !Number.isNaN(toNumber(value)));
+    addRule('integer', value => /^-?\d+$/.test(String(value).replace(/[,\s]/g, '')));
+    addRule('min', (value, param) => !(toNumber(value) < toNumber(param)));
+    addRule('max', (value, param) => !(toNumber(value) > toNumber(param)));
+    addRule('minlength', (value, param) => value.length >= Number(param));
+    addRule('maxlength', (value, param) => value.length <= Number(param));
+    addRule('pattern', (value, param) => new RegExp(`^(?:${param})$`).test(value));
+    addRule('decimal', (value, param) => {
+        const number = String(value).replace(/[,\s]/g, '');
+        if (Number.isNaN(Number(number))) return false;
+        const decimals = (number.split('.')[1] || '').length;
+        return decimals <= Number(param || 0);
+    });
+    addRule('date-min', (value, param) => {
+        const date = toDate(value);
+        const min = toDate(param);
+        return !date || !min || date >= min;
+    });
+    addRule('date-max', (value, param) => {
+        const date = toDate(value);
+        const max = toDate(param);
+        return !date || !max || date <= max;
+    });
+    addRule('after', (value, param, field, form) => compareWith(value, param, field, form, toDate, (a, b) => a > b));
+    addRule('before', (value, param, field, form) => compareWith(value, param, field, form, toDate, (a, b) => a < b));
+    addRule('lte', (value, param, field, form) => compareWith(value, param, field, form, toNumber, (a, b) => a <= b));
+    addRule('gte', (value, param, field, form) => compareWith(value, param, field, form, toNumber, (a, b) => a >= b));
+    addRule('equalto', (value, param, field, form) => {
+        const other = resolveField(form, param);
+        return !other || getValue(other) === value;
+    });
+    addRule('remote', async (value, param, field) => {
+        const separator = param.includes('?') ? '&' : '?';
+        const name = field.name.split('.').pop();
+        const url = `${param}${separator}${encodeURIComponent(name)}=${encodeURIComponent(value)}`;
+        const result = await HttpClient.get(url, { key: `validate:${field.form ? field.form.id : ''}:${field.name}` });
+
+        // 相容 jquery-validate 的回應（true 或錯誤訊息字串）以及 { valid, message }
+        if (result === true || result === 'true') return true;
+        if (typeof result === 'string') return result || false;
+        if (result && typeof result === 'object') {
+            return result.valid === true ? true : (result.message || false);
+        }
+        return false;
+    }, { async: true });
+
+    /**
+     * 讀取欄位的規則：data-rule-* 優先，其次為伺服器產生的 data-val-* 與原生屬性
+     * @returns {Array<{name: string, param: string, message: string|null}>}
+     */
+    function collectRules(field) {
+        const rules = new Map();
+        const add = (name, param, message = null) => {
+            if (!rules.has(name)) rules.set(name, { name, param: param ?? '', message });
+        };
+
+        Array.from(field.attributes).forEach(attribute => {
+            if (attribute.name.startsWith('data-rule-')) {
+                const name = attribute.name.slice('data-rule-'.length);
+                if (attribute.value !== 'false') add(name, attribute.value);
+            }
+        });
+
+        const val = name => field.getAttribute(`data-val-${name}`);
+        const hasServerRules = field.getAttribute('data-val') === 'true';
+
+        if (field.required) add('required');
+        if (field.type === 'email') add('email');
+        if (field.type === 'number') add('number');
+        if (field.type === 'number' && field.min !== '') add('min', field.min);
+        if (field.type === 'number' && field.max !== '') add('max', field.max);
+        if (field.type === 'date' && field.min) add('date-min', field.min);
+        if (field.type === 'date' && field.max) add('date-max', field.max);
+        if (field.minLength > 0) add('minlength', field.minLength);
+        if (field.pattern) add('pattern', field.pattern);
+
+        if (hasServerRules) {
+            if (val('required') !== null) add('required', '', val('required'));
+            if (val('email') !== null) add('email', '', val('email'));
+            if (val('number') !== null) add('number', '', val('number'));
+            if (val('range-min') !== null) add('min', val('range-min'), val('range'));
+            if (val('range-max') !== null) add('max', val('range-max'), val('range'));
+            if (val('length-min') !== null) add('minlength', val('length-min'), val('length'));
+            if (val('length-max') !== null) add('maxlength', val('length-max'), val('length'));
+            if (val('minlength-min') !== null) add('minlength', val('minlength-min'), val('minlength'));
+            if (val('maxlength-max') !== null) add('maxlength', val('maxlength-max'), val('maxlength'));
+            if (val('regex-pattern') !== null) add('pattern', val('regex-pattern'), val('regex'));
+            if (val('equalto-other') !== null) add('equalto', val('equalto-other').replace(/^\*\./, ''), val('equalto'));
+            if (val('remote-url') !== null) add('remote', val('remote-url'), val('remote'));
+        }
+
+        // 伺服器訊息較完整時補上（data-msg-* 仍然優先）
+        if (hasServerRules && rules.has('required') && !rules.get('required').message && val('required') !== null) {
+            rules.get('required').message = val('required');
+        }
+
+        return Array.from(rules.values()).filter(rule => registry.has(rule.name));
+    }
+
+    /**
+     * 組合錯誤訊息：data-msg-{rule} > 規則回傳的訊息（字串或 SafeHtml 片段）> data-val-* 訊息 > 預設訊息
+     */
+    function messageFor(rule, result, field) {
+        const custom = field.getAttribute(`data-msg-${rule.name}`);
+        if (custom) return custom;
+        if ((typeof result === 'string' && result) || SafeHtml.isTrusted(result)) return result;
+        if (rule.message) return rule.message;
+
+        let param = rule.param;
+        if (FIELD_REFERENCE_RULES.includes(rule.name) && field.form) {
+            const other = resolveField(field.form, rule.param);
+            if (other) param = labelOf(other);
+        } else if (rule.param === 'today') {
+            param = '今天';
+        }
+        return (defaultMessages[rule.name] || '欄位值不正確').replace('{0}', param);
+    }
+
+    /**
+     * 取得或建立欄位的錯誤訊息元素（優先使用 asp-validation-for 產生的訊息區塊）
+     */
+    function messageElement(field, create) {
+        const form = field.form || document;
+        if (field.name) {
+            const span = form.querySelector(`[data-valmsg-for="${CSS.escape(field.name)}"]`);
+            if (span) return span;
+        }
+
+        const key = field.id || field.name;
+        const existing = key ? form.querySelector(`.invalid-feedback[data-validation-for="${CSS.escape(key)}"]`) : null;
+        if (existing || !create) return existing;
+
+        const feedback = document.createElement('div');
+        feedback.className = 'invalid-feedback d-block';
+        feedback.dataset.validationFor = key || '';
+        feedback.id = `${(key || 'field').replace(/[^\w-]/g, '_')}-error`;
+        (field.closest('.input-group') || field).insertAdjacentElement('afterend', feedback);
+        return feedback;
+    }
+
+    /**
+     * 顯示欄位錯誤（message 可為字串或 SafeHtml 片段）
+     */
+    function showFieldError(field, message) {
+        field.classList.add('is-invalid');
+        field.setAttribute('aria-invalid', 'true');
+
+        const element = messageElement(field, true);
+        SafeHtml.setContent(element, message);
+        if (element.hasAttribute('data-valmsg-for')) {
+            element.classList.remove('field-validation-valid');
+            element.classList.add('field-validation-error', 'text-danger');
+            if (!element.id) element.id = `${field.name.replace(/[^\w-]/g, '_')}-error`;
+        }
+        field.setAttribute('aria-describedby', element.id);
+    }
+
+    /**
+     * 清除欄位錯誤
+     */
+    function clearFieldError(field) {
+        field.classList.remove('is-invalid');
+        field.removeAttribute('aria-invalid');
+
+        const element = messageElement(field, false);
+        if (!element) return;
+        if (element.hasAttribute('data-valmsg-for')) {
+            element.textContent = '';
+            element.classList.remove('field-validation-error');
+            element.classList.add('field-validation-valid');
+        } else {
+            element.remove();
+        }
+        if (field.getAttribute('aria-describedby') === element.id) {
+            field.removeAttribute('aria-describedby');
+        }
+    }
+
+    /**
+     * 清除表單中所有欄位錯誤
+     */
+    function clearFormErrors(form) {
+        form.querySelectorAll('.is-invalid').forEach(field => clearFieldError(field));
+    }
+
+    /**
+     * 需要驗證的欄位
+     */
+    function fieldsOf(form) {
+        return Array.from(form.elements).filter(field =>
+            field.name !== undefined &&
+            !field.disabled &&
+            !['hidden', 'submit', 'button', 'reset', 'image'].includes(field.type) &&
+            field.tagName !== 'FIELDSET' &&
+            field.tagName !== 'BUTTON' &&
+            !field.hasAttribute('data-validate-ignore'));
+    }
+
+    /**
+     * 表單是否由驗證引擎管理（data-validate="false" 可停用）
+     */
+    function isManaged(form) {
+        if (!form || form.tagName !== 'FORM' || form.getAttribute('data-validate') === 'false') return false;
+        return form.hasAttribute('data-validate') || fieldsOf(form).some(field => collectRules(field).length > 0);
+    }
+
+    /**
+     * 驗證單一欄位：同步規則立即回傳結果，非同步規則以 pending 回傳
+     * @returns {{valid: boolean, pending: Promise<boolean|null>|null}}
+     */
+    function runField(field, includeAsync) {
+        const state = getState(field);
+        const seq = ++state.seq;
+        const value = getValue(field);
+        const asyncRules = [];
+
+        for (const rule of collectRules(field)) {
+            const definition = registry.get(rule.name);
+            if (rule.name !== 'required' && value === '') continue;
+            if (definition.async) {
+                if (includeAsync) asyncRules.push(rule);
+                continue;
+            }
+
+            let result;
+            try {
+                result = definition.validate(value, rule.param, field, field.form);
+            } catch (error) {
+                console.error(`驗證規則 ${rule.name} 執行失敗:`, error);
+                result = true;
+            }
+            if (result !== true) {
+                showFieldError(field, messageFor(rule, result, field));
+                return { valid: false, pending: null };
+            }
+        }
+
+        if (asyncRules.length === 0) {
+            clearFieldError(field);
+            return { valid: true, pending: null };
+        }
+
+        field.setAttribute('aria-busy', 'true');
+        const pending = (async () => {
+            for (const rule of asyncRules) {
+                let result;
+                try {
+                    result = await registry.get(rule.name).validate(value, rule.param, field, field.form);
+                } catch (error) {
+                    if (HttpClient.isAbortError(error)) return null;
+                    // 非同步驗證本身失敗時不阻擋送出，交由伺服器驗證
+                    console.error(`驗證規則 ${rule.name} 執行失敗:`, error);
+                    result = true;
+                }
+                if (seq !== state.seq) return null;
+                if (result !== true) {
+                    showFieldError(field, messageFor(rule, result, field));
+                    return false;
+                }
+            }
+            clearFieldError(field);
+            return true;
+        })().finally(() => {
+            if (seq === state.seq) field.removeAttribute('aria-busy');
+        });
+
+        return { valid: true, pending };
+    }
+
+    /**
+     * 驗證單一欄位（含非同步規則）
+     * @returns {Promise<boolean>}
+     */
+    async function validateField(field) {
+        const { valid, pending } = runField(field, true);
+        if (!valid) return false;
+        return pending ? (await pending) === true : true;
+    }
+
+    /**
+     * 聚焦第一個錯誤欄位
+     */
+    function focusFirstInvalid(form) {
+        const first = form.querySelector('.is-invalid');
+        if (first) {
+            first.focus({ preventScroll: true });
+            first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    }
+
+    /**
+     * 驗證整個表單（含非同步規則）
+     * @returns {Promise<boolean>}
+     */
+    async function validate(form) {
+        const results = fieldsOf(form).map(field => runField(field, true));
+        const pending = await Promise.all(results.map(result => result.pending || Promise.resolve(result.valid)));
+        const valid = results.every(result => result.valid) && pending.every(result => result === true);
+        if (!valid) focusFirstInvalid(form);
+        return valid;
+    }
+
+    /**
+     * 只執行同步規則驗證整個表單（供既有的同步呼叫端使用）
+     * @returns {boolean}
+     */
+    function validateSync(form) {
+        const valid = fieldsOf(form).map(field => runField(field, false).valid).every(Boolean);
+        if (!valid) focusFirstInvalid(form);
+        return valid;
+    }
+
+    /**
+     * 重新驗證參照此欄位的其他欄位（例如數量變更時重新檢查預留數量）
+     */
+    function revalidateDependents(field) {
+        const form = field.form;
+        if (!form) return;
+        fieldsOf(form).forEach(other => {
+            if (other === field) return;
+            const state = getState(other);
+            if (!state.touched && !other.classList.contains('is-invalid')) return;
+            const dependsOnField = collectRules(other).some(rule =>
+                FIELD_REFERENCE_RULES.includes(rule.name) && resolveField(form, rule.param) === field);
+            if (dependsOnField) runField(other, false);
+        });
+    }
+
+    /**
+     * 送出時驗證；有非同步規則時先攔下，全部通過後以原本的送出按鈕重新送出
+     */
+    function handleSubmit(e) {
+        const form = e.target;
+        if (!isManaged(form)) return;
+        if (form.dataset.validationPassed === 'true') {
+            delete form.dataset.validationPassed;
+            return;
+        }
+        if (e.submitter && e.submitter.formNoValidate) return;
+
+        const results = fieldsOf(form).map(field => {
+            getState(field).touched = true;
+            return runField(field, true);
+        });
+        const pending = results.map(result => result.pending).filter(Boolean);
+
+        if (results.some(result => !result.valid)) {
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            focusFirstInvalid(form);
+            return;
+        }
+        if (pending.length === 0) return;
+
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        const submitter = e.submitter && e.submitter.form === form ? e.submitter : undefined;
+        Promise.all(pending).then(values => {
+            if (values.every(value => value === true)) {
+                form.dataset.validationPassed = 'true';
+                form.requestSubmit(submitter);
+            } else {
+                focusFirstInvalid(form);
+            }
+        });
+    }
+
+    /**
+     * 由引擎管理的表單停用瀏覽器原生提示，改用欄位內訊息
+     */
+    function adoptForm(form) {
+        if (form && !form.noValidate && isManaged(form)) {
+            form.noValidate = true;
+        }
+    }
+
+    /**
+     * 安裝全域事件（以委派方式處理，動態加入的表單也適用）
+     */
+    function install() {
+        document.addEventListener('submit', handleSubmit, true);
+
+        document.addEventListener('focusin', e => adoptForm(e.target.form));
+
+        document.addEventListener('input', e => {
+            const field = e.target;
+            if (!field.form || !isManaged(field.form)) return;
+            getState(field).touched = true;
+            if (field.classList.contains('is-invalid')) runField(field, false);
+            revalidateDependents(field);
+        });
+
+        document.addEventListener('change', e => {
+            const field = e.target;
+            if (!field.form || !isManaged(field.form)) return;
+            getState(field).touched = true;
+            if (field.tagName === 'SELECT' || field.type === 'checkbox' || field.type === 'radio' || field.type === 'date') {
+                runField(field, true);
+            }
+            revalidateDependents(field);
+        });
+
+        document.addEventListener('focusout', e => {
+            const field = e.target;
+            if (!field.form || !isManaged(field.form) || !getState(field).touched) return;
+            runField(field, true);
+        });
+
+        const adoptAll = () => document.querySelectorAll('form').forEach(adoptForm);
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', adoptAll);
+        } else {
+            adoptAll();
+        }
+    }
+
+    install();
+
+    // 公共 API
+    return {
+        validate,
+        validateSync,
+        validateField,
+        addRule,
+        findField,
+        showFieldError,
+        clearFieldError,
+        clearFormErrors
+    };
+})();
+
+// 導出到全域
+window.FormValidator = FormValidator;
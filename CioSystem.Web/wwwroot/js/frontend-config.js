@@ -15,14 +15,20 @@ const FrontendConfig = {
         // 啟用 Web Vitals 監控
         enableWebVitals: true,
 
+        // Web Vitals 回報端點
+        webVitalsEndpoint: '/api/monitoring/metrics',
+
+        // Web Vitals 抽樣比例 (0-1)
+        webVitalsSampleRate: 1,
+
         // 啟用資源載入監控
         enableResourceMonitoring: true
     },
 
     // 快取設定
     cache: {
-        // 啟用 Service Worker
-        enableServiceWorker: true,
+        // 啟用 Service Worker（sw.js 會快取頁面與 API 回應，主版面載入此設定，預設不啟用以免顯示過期資料）
+        enableServiceWorker: false,
 
         // 靜態資源快取時間 (毫秒)
         staticCacheTTL: 7 * 24 * 60 * 60 * 1000, // 7天
@@ -108,11 +114,90 @@ const FrontendConfig = {
         // 自動儲存延遲 (毫秒)
         autoSaveDelay: 1000,
 
+        // 草稿保存期限 (毫秒)
+        draftTTL: 7 * 24 * 60 * 60 * 1000, // 7天
+
         // 啟用即時驗證
         enableRealTimeValidation: true,
 
         // 啟用輸入增強
-        enableInputEnhancements: true
+        enableInputEnhancements: true,
+
+        // 表單送出
+        submission: {
+            // 顯示「仍在處理中」的等待時間 (毫秒)
+            stallDelay: 8000,
+
+            // 伺服器未回應時恢復表單的時限 (毫秒)
+            timeout: 60000
+        }
+    },
+
+    // 條碼掃描器（鍵盤模擬輸入）
+    scanner: {
+        // 啟用掃描器
+        enabled: true,
+
+        // 連續按鍵的最大間隔 (毫秒)，超過視為人工輸入
+        maxInterval: 50,
+
+        // 條碼最短長度
+        minLength: 4,
+
+        // 掃描成功或失敗時發出提示音
+        sound: true
+    },
+
+    // 進貨建議
+    reorder: {
+        // 計算銷售速度的期間 (天)
+        salesWindowDays: 30,
+
+        // 供應商交貨的前置時間 (天)
+        leadTimeDays: 7,
+
+        // 每次進貨預計支應的天數
+        coverageDays: 30
+    },
+
+    // 資料表格
+    dataGrid: {
+        // 預設每頁筆數
+        pageSize: 10,
+
+        // 每頁筆數選項
+        pageSizes: [10, 25, 50, 100],
+
+        // 文字篩選延遲送出 (毫秒)
+        filterDebounce: 300,
+
+        // 欄位版面是否同步到伺服器（關閉時只保存在瀏覽器）
+        layoutSync: true,
+
+        // 欄位版面讀取與保存端點
+        layoutUrl: '/SystemSettings/TablePreferences',
+        layoutSaveUrl: '/SystemSettings/SaveTablePreferences',
+
+        // 欄位版面同步延遲 (毫秒)
+        layoutSaveDelay: 1000
+    },
+
+    // 搜尋建議
+    search: {
+        // 搜尋端點
+        url: '/Home/Search',
+
+        // 開始搜尋的最少字數
+        minLength: 2,
+
+        // 每類最多顯示筆數
+        limit: 5,
+
+        // 停止輸入多久後搜尋 (毫秒)
+        delay: 300,
+
+        // 保留的最近搜尋數量
+        maxRecent: 8
     },
 
     // 通知設定
@@ -139,7 +224,17 @@ const FrontendConfig = {
         enableErrorReporting: true,
 
         // 錯誤報告端點
-        errorReportingEndpoint: '/api/errors',
+        errorReportingEndpoint: '/api/monitoring/events/batch',
+
+        // 同一錯誤的最短回報間隔 (毫秒)
+        fingerprintInterval: 60000,
+
+        // 每分鐘最多回報數量
+        maxReportsPerMinute: 10,
+
+        // 批次大小與等待時間 (毫秒)
+        batchSize: 10,
+        batchDelay: 2000,
 
         // 啟用離線錯誤處理
         enableOfflineErrorHandling: true
@@ -160,7 +255,13 @@ const FrontendConfig = {
         maxRetries: 3,
 
         // 重試延遲 (毫秒)
-        retryDelay: 1000
+        retryDelay: 1000,
+
+        // 最大重試延遲 (毫秒)
+        maxRetryDelay: 30000,
+
+        // 請求逾時 (毫秒)
+        requestTimeout: 15000
     },
 
     // 開發設定
@@ -182,7 +283,6 @@ const FrontendConfig = {
     init() {
         this.applySettings();
         this.setupEventListeners();
-        this.initializeModules();
     },
 
     // 應用設定
@@ -230,59 +330,13 @@ const FrontendConfig = {
         });
     },
 
-    // 初始化模組
-    initializeModules() {
-        // 初始化效能監控
-        if (this.performance.enableMonitoring) {
-            this.initializePerformanceMonitoring();
-        }
-
-        // 初始化快取管理
-        if (this.cache.enableServiceWorker) {
-            this.initializeCacheManagement();
-        }
-
-        // 初始化圖片優化
-        if (this.images.enableLazyLoading) {
-            this.initializeImageOptimization();
-        }
-    },
-
     // 效能監控設定
     setupPerformanceMonitoring() {
-        if (this.performance.enableWebVitals && 'PerformanceObserver' in window) {
-            this.observeWebVitals();
+        if (this.performance.enableWebVitals && window.WebVitals) {
+            window.WebVitals.start();
         }
     },
 
-    // 觀察 Web Vitals
-    observeWebVitals() {
-        // LCP 監控
-        new PerformanceObserver((list) => {
-            const entries = list.getEntries();
-            const lastEntry = entries[entries.length - 1];
-            console.log('LCP:', lastEntry.startTime);
-        }).observe({ entryTypes: ['largest-contentful-paint'] });
-
-        // FID 監控
-        new PerformanceObserver((list) => {
-            const entries = list.getEntries();
-            entries.forEach(entry => {
-                console.log('FID:', entry.processingStart - entry.startTime);
-            });
-        }).observe({ entryTypes: ['first-input'] });
-
-        // CLS 監控
-        new PerformanceObserver((list) => {
-            const entries = list.getEntries();
-            entries.forEach(entry => {
-                if (!entry.hadRecentInput) {
-                    console.log('CLS:', entry.value);
-                }
-            });
-        }).observe({ entryTypes: ['layout-shift'] });
-    },
-
     // Service Worker 設定
     setupServiceWorker() {
         if ('serviceWorker' in navigator) {
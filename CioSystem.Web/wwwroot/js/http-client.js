@@ -0,0 +1,675 @@
+﻿/**
+ * CioSystem HTTP 用戶端
+ * 提供逾時、指數退避重試、429 Retry-After 處理、防偽權杖、
+ * 依用途取消與相同 GET 請求合併的共用請求層
+ */
+
+const HttpClient = (function () {
+    'use strict';
+
+    // 可安全重試的 HTTP 方法
+    const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+    // 視為暫時性錯誤、可重試的狀態碼
+    const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+
+    // 預設設定（未載入 FrontendConfig 時使用）
+    const defaults = {
+        timeout: 15000,
+        maxRetries: 3,
+        retryDelay: 1000,
+        maxRetryDelay: 30000
+    };
+
+    // 會改變狀態、需要附帶防偽權杖的 HTTP 方法
+    const UNSAFE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+    // ASP.NET Core 防偽權杖預設名稱與刷新端點
+    const ANTIFORGERY_FIELD = '__RequestVerificationToken';
+    const ANTIFORGERY_HEADER = 'RequestVerificationToken';
+    const ANTIFORGERY_ENDPOINT = '/Auth/AntiforgeryToken';
+
+    // 全域 Retry-After 處理函式
+    let retryAfterHandler = null;
+
+    // 目前使用的防偽權杖（null 表示從頁面讀取）
+    let antiforgeryToken = null;
+    let antiforgeryRefresh = null;
+
+    // 依用途鍵值追蹤中的請求（新請求會取消同鍵值的舊請求）
+    const keyedControllers = new Map();
+
+    // 進行中的相同 GET 請求（合併為單一 fetch）
+    const inflightRequests = new Map();
+
+    /**
+     * HTTP 錯誤
+     */
+    class HttpError extends Error {
+        constructor(message, { status = 0, response = null, body = null, url = '', isTimeout = false, problem = null } = {}) {
+            super(message);
+            this.name = 'HttpError';
+            this.status = status;
+            this.response = response;
+            this.body = body;
+            this.url = url;
+            this.isTimeout = isTimeout;
+            this.problem = problem;
+        }
+
+        get isNetworkError() {
+            return this.status === 0 && !this.isTimeout;
+        }
+    }
+
+    /**
+     * 取得網路設定（優先讀取 FrontendConfig.network）
+     */
+    function getNetworkConfig() {
+        const network = (window.FrontendConfig && window.FrontendConfig.network) || {};
+        return {
+            timeout: network.requestTimeout ?? defaults.timeout,
+            maxRetries: network.maxRetries ?? defaults.maxRetries,
+            retryDelay: network.retryDelay ?? defaults.retryDelay,
+            maxRetryDelay: network.maxRetryDelay ?? defaults.maxRetryDelay
+        };
+    }
+
+    /**
+     * 取得防偽權杖（優先使用刷新後的權杖，否則讀取頁面隱藏欄位）
+     */
+    function getAntiforgeryToken() {
+        if (antiforgeryToken) return antiforgeryToken;
+        const input = document.querySelector(`input[name="${ANTIFORGERY_FIELD}"]`);
+        return input ? input.value : '';
+    }
+
+    /**
+     * 更新防偽權杖，並同步頁面上所有表單的隱藏欄位
+     */
+    function setAntiforgeryToken(token) {
+        if (!token) return;
+        antiforgeryToken = token;
+        document.querySelectorAll(`input[name="${ANTIFORGERY_FIELD}"]`).forEach(input => {
+            input.value = token;
+        });
+    }
+
+    /**
+     * 向伺服器取得新的防偽權杖（同時只會有一個刷新請求）
+     */
+    function refreshAntiforgeryToken() {
+        if (!antiforgeryRefresh) {
+            antiforgeryRefresh = fetch(ANTIFORGERY_ENDPOINT, {
+                credentials: 'same-origin',
+                headers: { 'X-Requested-With': 'XMLHttpRequest', 'Accept': 'application/json' }
+            })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new HttpError(`HTTP error! status: ${response.status}`, { status: response.status, url: ANTIFORGERY_ENDPOINT });
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    setAntiforgeryToken(data.token);
+                    return data.token;
+                })
+                .finally(() => {
+                    antiforgeryRefresh = null;
+                });
+        }
+        return antiforgeryRefresh;
+    }
+
+    /**
+     * 判斷網址是否為同源（只對同源請求附帶防偽權杖）
+     */
+    function isSameOrigin(url) {
+        try {
+            return new URL(url, window.location.href).origin === window.location.origin;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * 判斷是否為需要序列化為 JSON 的一般物件
+     */
+    function isPlainObject(value) {
+        if (value === null || typeof value !== 'object') return false;
+        const proto = Object.getPrototypeOf(value);
+        return proto === Object.prototype || proto === null || Array.isArray(value);
+    }
+
+    /**
+     * 依選項準備請求內容
+     * json：序列化為 application/json；form：編碼為 application/x-www-form-urlencoded
+     * body 為一般物件時視為 json；FormData/URLSearchParams/字串原樣送出
+     */
+    function prepareBody(headers, { body, json, form }) {
+        if (json !== undefined) {
+            headers.set('Content-Type', 'application/json');
+            return JSON.stringify(json);
+        }
+
+        if (form !== undefined) {
+            const params = form instanceof URLSearchParams ? form : new URLSearchParams();
+            if (!(form instanceof URLSearchParams)) {
+                Object.entries(form).forEach(([key, value]) => {
+                    if (Array.isArray(value)) {
+                        value.forEach(item => params.append(key, item ?? ''));
+                    } else if (value !== undefined) {
+                        params.append(key, value ?? '');
+                    }
+                });
+            }
+            headers.set('Content-Type', 'application/x-www-form-urlencoded; charset=UTF-8');
+            return params;
+        }
+
+        if (isPlainObject(body)) {
+            headers.set('Content-Type', 'application/json');
+            return JSON.stringify(body);
+        }
+
+        // FormData 需由瀏覽器產生 multipart boundary
+        if (body instanceof FormData) {
+            headers.delete('Content-Type');
+        }
+
+        return body;
+    }
+
+    /**
+     * 判斷是否為防偽權杖驗證失敗（ASP.NET Core 回傳無內容的 400）
+     */
+    function isAntiforgeryFailure(response, body) {
+        return response.status === 400 && (body === null || body === '');
+    }
+
+    /**
+     * 判斷請求是否可以重試
+     */
+    function canRetry(method, headers, options) {
+        if (options.retry === false) return false;
+        if (IDEMPOTENT_METHODS.includes(method)) return true;
+        // POST/PATCH 只有帶冪等金鑰時才重試
+        return Boolean(options.idempotencyKey || headers.has('Idempotency-Key'));
+    }
+
+    /**
+     * 計算指數退避延遲（full jitter）
+     */
+    function backoffDelay(attempt, config) {
+        const ceiling = Math.min(config.maxRetryDelay, config.retryDelay * Math.pow(2, attempt));
+        return Math.round(Math.random() * ceiling);
+    }
+
+    /**
+     * 解析 Retry-After 標頭（秒數或 HTTP 日期），回傳毫秒
+     */
+    function parseRetryAfter(response) {
+        const value = response.headers.get('Retry-After');
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (!isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(value);
+        if (!isNaN(date)) {
+            return Math.max(0, date - Date.now());
+        }
+
+        return null;
+    }
+
+    /**
+     * 建立中止錯誤
+     */
+    function abortError(signal) {
+        return (signal && signal.reason) || new DOMException('Aborted', 'AbortError');
+    }
+
+    /**
+     * 判斷錯誤是否來自請求被取消（呼叫端通常應直接忽略）
+     */
+    function isAbortError(error) {
+        return Boolean(error) && error.name === 'AbortError';
+    }
+
+    /**
+     * 等待指定毫秒，可被 signal 中止
+     */
+    function sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(abortError(signal));
+                return;
+            }
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            function onAbort() {
+                clearTimeout(timer);
+                reject(abortError(signal));
+            }
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * 解析回應內容
+     */
+    async function parseBody(response, responseType) {
+        if (response.status === 204 || response.status === 205) return null;
+
+        switch (responseType) {
+            case 'text':
+                return response.text();
+            case 'blob':
+                return response.blob();
+            case 'response':
+                return response;
+            default: {
+                const text = await response.text();
+                if (!text) return null;
+                const contentType = response.headers.get('Content-Type') || '';
+                if (contentType.includes('json')) {
+                    return JSON.parse(text);
+                }
+                try {
+                    return JSON.parse(text);
+                } catch {
+                    return text;
+                }
+            }
+        }
+    }
+
+    /**
+     * 讀取錯誤回應內容（失敗時回傳 null）
+     */
+    async function readErrorBody(response) {
+        try {
+            return await parseBody(response.clone(), 'json');
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * 將伺服器錯誤內容正規化為 { status, title, detail, traceId, fieldErrors, messages }
+     * 支援 ProblemDetails、ValidationProblemDetails（errors 字典）、{ error, details } 與 { success, message }
+     */
+    function parseProblem(body, response) {
+        const problem = {
+            status: response ? response.status : 0,
+            title: '',
+            detail: '',
+            traceId: response ? (response.headers.get('X-Correlation-Id') || response.headers.get('Request-Id') || '') : '',
+            fieldErrors: {},
+            messages: []
+        };
+
+        // 純文字錯誤（忽略 HTML 錯誤頁）
+        if (typeof body === 'string') {
+            const text = body.trim();
+            if (text && !text.startsWith('<')) problem.messages.push(text);
+            return problem;
+        }
+
+        if (!body || typeof body !== 'object') return problem;
+
+        problem.title = typeof body.title === 'string' ? body.title : '';
+        problem.detail = typeof body.detail === 'string' ? body.detail
+            : typeof body.details === 'string' ? body.details : '';
+        problem.traceId = body.traceId || body.correlationId || problem.traceId;
+
+        const summary = body.error || body.message;
+        if (typeof summary === 'string' && summary) {
+            problem.messages.push(summary);
+        }
+
+        if (Array.isArray(body.errors)) {
+            body.errors.filter(Boolean).forEach(message => problem.messages.push(String(message)));
+        } else if (body.errors && typeof body.errors === 'object') {
+            Object.entries(body.errors).forEach(([field, value]) => {
+                const list = (Array.isArray(value) ? value : [value]).filter(Boolean).map(String);
+                if (list.length === 0) return;
+                // 空鍵值或 $ 代表整個模型的錯誤
+                if (field && field !== '$') {
+                    problem.fieldErrors[field] = list;
+                } else {
+                    problem.messages.push(...list);
+                }
+            });
+        }
+
+        return problem;
+    }
+
+    /**
+     * 取得錯誤的摘要訊息
+     */
+    function problemMessage(problem) {
+        return problem.detail || problem.messages[0] || problem.title;
+    }
+
+    /**
+     * 執行單次 fetch，套用逾時
+     */
+    async function fetchOnce(url, init, timeout, callerSignal) {
+        const controller = new AbortController();
+        let timedOut = false;
+
+        const timer = timeout > 0 ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout) : null;
+
+        const onCallerAbort = () => controller.abort(callerSignal.reason);
+        if (callerSignal) {
+            if (callerSignal.aborted) {
+                controller.abort(callerSignal.reason);
+            } else {
+                callerSignal.addEventListener('abort', onCallerAbort, { once: true });
+            }
+        }
+
+        try {
+            return await fetch(url, { ...init, signal: controller.signal });
+        } catch (error) {
+            if (timedOut) {
+                throw new HttpError(`請求逾時（${timeout}ms）`, { url, isTimeout: true });
+            }
+            if (callerSignal && callerSignal.aborted) {
+                throw error;
+            }
+            throw new HttpError(error.message || '網路連線失敗', { url });
+        } finally {
+            if (timer) clearTimeout(timer);
+            if (callerSignal) callerSignal.removeEventListener('abort', onCallerAbort);
+        }
+    }
+
+    /**
+     * 執行請求（含逾時、重試與防偽權杖刷新）
+     */
+    async function execute(url, options) {
+        const config = getNetworkConfig();
+        const {
+            timeout = config.timeout,
+            retries = config.maxRetries,
+            idempotencyKey,
+            responseType = 'json',
+            onRetryAfter = retryAfterHandler,
+            antiforgery = true,
+            signal,
+            json,
+            form,
+            body,
+            ...init
+        } = options;
+
+        const method = (init.method || 'GET').toUpperCase();
+        const headers = new Headers(init.headers || {});
+        if (!headers.has('X-Requested-With')) headers.set('X-Requested-With', 'XMLHttpRequest');
+        if (!headers.has('Accept')) headers.set('Accept', 'application/json');
+        if (idempotencyKey) headers.set('Idempotency-Key', idempotencyKey);
+
+        const sendsAntiforgery = antiforgery && UNSAFE_METHODS.includes(method) && isSameOrigin(url);
+        if (sendsAntiforgery && !headers.has(ANTIFORGERY_HEADER)) {
+            headers.set(ANTIFORGERY_HEADER, getAntiforgeryToken());
+        }
+
+        const retryable = canRetry(method, headers, options);
+        const maxAttempts = retryable ? Math.max(0, retries) + 1 : 1;
+        const fetchInit = {
+            credentials: 'same-origin',
+            ...init,
+            method,
+            headers,
+            body: prepareBody(headers, { body, json, form })
+        };
+        let antiforgeryRetried = false;
+
+        for (let attempt = 0; ; attempt++) {
+            const isLastAttempt = attempt >= maxAttempts - 1;
+            let response;
+
+            try {
+                response = await fetchOnce(url, fetchInit, timeout, signal);
+            } catch (error) {
+                if (!(error instanceof HttpError) || isLastAttempt) throw error;
+                await sleep(backoffDelay(attempt, config), signal);
+                continue;
+            }
+
+            if (response.ok) {
+                return parseBody(response, responseType);
+            }
+
+            const errorBody = await readErrorBody(response);
+            const problem = parseProblem(errorBody, response);
+            const error = new HttpError(problemMessage(problem) || `HTTP error! status: ${response.status}`, {
+                status: response.status,
+                response,
+                body: errorBody,
+                url,
+                problem
+            });
+
+            // 權杖可能已輪替（例如重新登入），刷新後重送一次
+            if (sendsAntiforgery && !antiforgeryRetried && isAntiforgeryFailure(response, errorBody)) {
+                antiforgeryRetried = true;
+                try {
+                    headers.set(ANTIFORGERY_HEADER, await refreshAntiforgeryToken());
+                } catch {
+                    throw error;
+                }
+                attempt--;
+                continue;
+            }
+
+            if (isLastAttempt || !RETRYABLE_STATUS.includes(response.status)) {
+                throw error;
+            }
+
+            let delay = backoffDelay(attempt, config);
+            const retryAfter = parseRetryAfter(response);
+            if (retryAfter !== null) {
+                delay = retryAfter;
+            }
+
+            if (response.status === 429 && typeof onRetryAfter === 'function') {
+                const decision = await onRetryAfter({ url, attempt: attempt + 1, delay, response });
+                if (decision === false) throw error;
+                if (typeof decision === 'number') delay = decision;
+            }
+
+            // 伺服器要求的等待時間超過上限時放棄重試，不比伺服器指定的時間提早重送
+            if (delay > config.maxRetryDelay) throw error;
+
+            await sleep(delay, signal);
+        }
+    }
+
+    /**
+     * 將呼叫端的 signal 連結到新的 AbortController
+     */
+    function linkSignal(controller, signal) {
+        if (!signal) return;
+        if (signal.aborted) {
+            controller.abort(signal.reason);
+        } else {
+            signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+        }
+    }
+
+    /**
+     * 合併相同的進行中請求
+     * 共用的 fetch 只有在所有呼叫端都取消後才會真正中止
+     */
+    function shareInflight(dedupeKey, signal, run) {
+        let entry = inflightRequests.get(dedupeKey);
+        if (!entry) {
+            const controller = new AbortController();
+            entry = { controller, subscribers: 0 };
+            entry.promise = run(controller.signal).finally(() => {
+                if (inflightRequests.get(dedupeKey) === entry) {
+                    inflightRequests.delete(dedupeKey);
+                }
+            });
+            inflightRequests.set(dedupeKey, entry);
+        }
+
+        entry.subscribers++;
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+
+            const onAbort = () => {
+                if (settled) return;
+                settled = true;
+                entry.subscribers--;
+                if (entry.subscribers === 0) {
+                    inflightRequests.delete(dedupeKey);
+                    entry.controller.abort(abortError(signal));
+                }
+                reject(abortError(signal));
+            };
+
+            if (signal) {
+                if (signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            entry.promise.then(value => {
+                if (settled) return;
+                settled = true;
+                entry.subscribers--;
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve(value);
+            }, error => {
+                if (settled) return;
+                settled = true;
+                entry.subscribers--;
+                if (signal) signal.removeEventListener('abort', onAbort);
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * 發送請求
+     * @param {string} url 請求網址
+     * @param {object} options fetch 選項，另支援 timeout、retries、retry、idempotencyKey、responseType、onRetryAfter、json、form、antiforgery、key、dedupe
+     *   key：請求用途，同一 key 的新請求會取消尚未完成的舊請求（例如搜尋輸入、篩選變更）
+     *   dedupe：相同網址的 GET/HEAD 進行中時共用同一個回應（預設開啟）
+     */
+    function request(url, options = {}) {
+        const { key, dedupe = true, signal: callerSignal, ...rest } = options;
+        let signal = callerSignal;
+        let keyedController = null;
+
+        if (key) {
+            abort(key);
+            keyedController = new AbortController();
+            linkSignal(keyedController, callerSignal);
+            keyedControllers.set(key, keyedController);
+            signal = keyedController.signal;
+        }
+
+        const method = (rest.method || 'GET').toUpperCase();
+        const responseType = rest.responseType || 'json';
+        const shareable = dedupe && (method === 'GET' || method === 'HEAD') &&
+            responseType !== 'response' && rest.body === undefined;
+
+        const promise = shareable
+            ? shareInflight(`${method} ${new URL(url, window.location.href).href} ${responseType}`, signal,
+                sharedSignal => execute(url, { ...rest, signal: sharedSignal }))
+            : execute(url, { ...rest, signal });
+
+        const tracked = trackBreadcrumb(promise, method, url);
+        if (!keyedController) return tracked;
+
+        return tracked.finally(() => {
+            if (keyedControllers.get(key) === keyedController) {
+                keyedControllers.delete(key);
+            }
+        });
+    }
+
+    /**
+     * 將請求結果記錄為錯誤回報的操作軌跡
+     */
+    function trackBreadcrumb(promise, method, url) {
+        const reporter = window.ErrorReporter;
+        if (!reporter) return promise;
+
+        const path = new URL(url, window.location.href).pathname;
+        return promise.then(result => {
+            reporter.addBreadcrumb('http', `${method} ${path} 成功`);
+            return result;
+        }, error => {
+            if (!isAbortError(error)) {
+                const outcome = error.isTimeout ? '逾時' : (error.status || '網路錯誤');
+                reporter.addBreadcrumb('http', `${method} ${path} ${outcome}`);
+            }
+            throw error;
+        });
+    }
+
+    /**
+     * 取消指定用途尚未完成的請求
+     */
+    function abort(key) {
+        const controller = keyedControllers.get(key);
+        if (controller) {
+            keyedControllers.delete(key);
+            controller.abort(new DOMException('已被較新的請求取代', 'AbortError'));
+        }
+    }
+
+    /**
+     * 設定全域 429 Retry-After 處理函式
+     * 回傳 false 放棄重試，回傳數字覆寫等待毫秒（超過 maxRetryDelay 時一樣放棄重試）
+     */
+    function setRetryAfterHandler(handler) {
+        retryAfterHandler = typeof handler === 'function' ? handler : null;
+    }
+
+    // 從往返快取（bfcache）還原的頁面可能持有已輪替的權杖
+    window.addEventListener('pageshow', (e) => {
+        if (e.persisted && getAntiforgeryToken()) {
+            refreshAntiforgeryToken().catch(error => {
+                console.warn('刷新防偽權杖失敗:', error);
+            });
+        }
+    });
+
+    // 公共 API
+    return {
+        request,
+        get: (url, options = {}) => request(url, { ...options, method: 'GET' }),
+        post: (url, options = {}) => request(url, { ...options, method: 'POST' }),
+        put: (url, options = {}) => request(url, { ...options, method: 'PUT' }),
+        delete: (url, options = {}) => request(url, { ...options, method: 'DELETE' }),
+        abort,
+        isAbortError,
+        setRetryAfterHandler,
+        getAntiforgeryToken,
+        refreshAntiforgeryToken,
+        parseProblem,
+        HttpError
+    };
+})();
+
+// 導出到全域
+window.HttpClient = HttpClient;
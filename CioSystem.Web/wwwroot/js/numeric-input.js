@@ -0,0 +1,284 @@
+﻿/**
+ * CioSystem 數字輸入元件
+ * 標記 data-numeric 的輸入框會依語系顯示千分位、限制小數位數與正負號、保留游標位置，
+ * 貼上「NT$ 1,200.50」或全形數字時自動正規化，送出時只送純數字給伺服器
+ *
+ * 用法：
+ *   <input asp-for="UnitPrice" type="number" step="0.01" min="0" data-numeric>
+ *   <input name="Adjustment" data-numeric data-decimals="0" data-allow-negative="true">
+ * 讀取數值請用 NumericInput.valueOf(input)（畫面上的值含千分位）
+ */
+
+const NumericInput = (function () {
+    'use strict';
+
+    // 全形字元與各式減號
+    const CHARACTER_MAP = {
+        '０': '0', '１': '1', '２': '2', '３': '3', '４': '4',
+        '５': '5', '６': '6', '７': '7', '８': '8', '９': '9',
+        '．': '.', '，': ',', '－': '-', '−': '-', '＋': '+', '﹣': '-'
+    };
+
+    // 輸入框 -> 選項
+    const enhanced = new WeakMap();
+
+    /**
+     * 依語系取得千分位與小數點符號
+     */
+    function separators(locale) {
+        const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+        return {
+            group: (parts.find(part => part.type === 'group') || { value: ',' }).value,
+            decimal: (parts.find(part => part.type === 'decimal') || { value: '.' }).value
+        };
+    }
+
+    /**
+     * 小數位數（未指定時依 step 推算）
+     */
+    function decimalsFromStep(step) {
+        if (!step || step === 'any') return step === 'any' ? 6 : 0;
+        const fraction = String(step).split('.')[1];
+        return fraction ? fraction.length : 0;
+    }
+
+    /**
+     * 讀取輸入框的選項
+     */
+    function optionsOf(input) {
+        const data = input.dataset;
+        const min = input.getAttribute('min') ?? data.min ?? '';
+        const locale = data.locale || document.documentElement.lang || 'zh-TW';
+        return {
+            locale,
+            ...separators(locale),
+            decimals: data.decimals !== undefined ? parseInt(data.decimals, 10) || 0 : decimalsFromStep(input.getAttribute('step')),
+            allowNegative: data.allowNegative !== undefined ? data.allowNegative === 'true' : (min === '' || Number(min) < 0),
+            grouping: data.grouping !== 'false',
+            min,
+            max: input.getAttribute('max') ?? data.max ?? ''
+        };
+    }
+
+    /**
+     * 將任意輸入正規化為純數字字串（例如「NT$ １,２００.５」→「1200.5」）
+     * 保留輸入中的結尾小數點，讓使用者可以繼續輸入小數；
+     * 出現一個以上的小數點（例如「1.2.3」）時無法判斷原意，回傳 null，由呼叫端保留原文字交給驗證提示
+     */
+    function normalize(text, options) {
+        let value = String(text ?? '').replace(/[０-９．，－−＋﹣]/g, char => CHARACTER_MAP[char]);
+
+        // 全形轉換後的逗號與句點依語系解讀
+        value = value.split(options.group).join('');
+        if (options.decimal !== '.') {
+            value = value.split('.').join('').split(options.decimal).join('.');
+        }
+
+        const negative = options.allowNegative && /^[^\d]*-/.test(value.trim());
+        value = value.replace(/[^\d.]/g, '');
+        if (value.indexOf('.') !== value.lastIndexOf('.')) return null;
+
+        const [integer, fraction] = value.split('.');
+        let result = integer.replace(/^0+(?=\d)/, '');
+        if (fraction !== undefined && options.decimals > 0) {
+            result = (result || '0') + '.' + fraction.slice(0, options.decimals);
+        }
+
+        return negative ? '-' + result : result;
+    }
+
+    /**
+     * 將純數字字串格式化為顯示用文字（千分位、語系小數點）
+     */
+    function format(raw, options) {
+        const negative = raw.startsWith('-');
+        const [integer, fraction] = raw.replace('-', '').split('.');
+        const grouped = options.grouping
+            ? integer.replace(/\B(?=(\d{3})+(?!\d))/g, options.group)
+            : integer;
+        return (negative ? '-' : '') + grouped + (fraction !== undefined ? options.decimal + fraction : '');
+    }
+
+    /**
+     * 計算游標前的有效字元數（數字、小數點、負號）
+     */
+    function significantBefore(text, position, options) {
+        let count = 0;
+        for (let i = 0; i < position; i++) {
+            if (/\d|-/.test(text[i]) || text[i] === options.decimal) count++;
+        }
+        return count;
+    }
+
+    /**
+     * 在格式化後的文字中找出對應的游標位置
+     */
+    function positionAfter(text, count, options) {
+        if (count === 0) return 0;
+        let seen = 0;
+        for (let i = 0; i < text.length; i++) {
+            if (/\d|-/.test(text[i]) || text[i] === options.decimal) seen++;
+            if (seen === count) return i + 1;
+        }
+        return text.length;
+    }
+
+    /**
+     * 重新格式化輸入框並保留游標位置
+     */
+    function reformat(input) {
+        const options = enhanced.get(input);
+        if (!options) return;
+
+        const previous = input.value;
+        const caret = input.selectionStart ?? previous.length;
+        const count = significantBefore(previous, caret, options);
+        const raw = normalize(previous, options);
+        if (raw === null) return;
+        const formatted = format(raw, options);
+
+        if (formatted === previous) return;
+        input.value = formatted;
+        if (document.activeElement === input) {
+            const position = positionAfter(formatted, count, options);
+            input.setSelectionRange(position, position);
+        }
+    }
+
+    /**
+     * 貼上時正規化剪貼簿內容，取代目前選取的文字
+     */
+    function handlePaste(e) {
+        const input = e.target;
+        const options = enhanced.get(input) || (input.type === 'number' ? optionsOf(input) : null);
+        if (!options || !e.clipboardData) return;
+
+        // 無法正規化的內容照原樣貼上，由驗證提示錯誤
+        const pasted = normalize(e.clipboardData.getData('text'), options);
+        if (pasted === null) return;
+        e.preventDefault();
+
+        if (input.type === 'number') {
+            // 原生數字欄位無法設定游標，直接取代整個值
+            input.value = pasted.replace(/\.$/, '');
+        } else {
+            const start = input.selectionStart ?? input.value.length;
+            const end = input.selectionEnd ?? start;
+            const next = input.value.slice(0, start) + pasted + input.value.slice(end);
+            const count = significantBefore(input.value, start, options) + pasted.length;
+            const raw = normalize(next, options);
+            input.value = raw === null ? next : format(raw, options);
+            const position = raw === null ? start + pasted.length : positionAfter(input.value, count, options);
+            input.setSelectionRange(position, position);
+        }
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * 取得輸入框的純數字字串（空白時為空字串；無效的輸入原樣回傳，讓伺服器與 valueOf 視為錯誤）
+     */
+    function rawValue(input) {
+        const options = enhanced.get(input) || optionsOf(input);
+        const raw = normalize(input.value, options);
+        return raw === null ? input.value.trim() : raw.replace(/\.$/, '').replace(/^-$/, '');
+    }
+
+    /**
+     * 取得輸入框的數值（空白或無效時為 NaN）
+     */
+    function valueOf(input) {
+        const raw = rawValue(input);
+        return raw === '' ? NaN : Number(raw);
+    }
+
+    /**
+     * 以數值設定輸入框（依小數位數顯示）
+     */
+    function setValue(input, number) {
+        const options = enhanced.get(input) || optionsOf(input);
+        const value = Number(number);
+        input.value = Number.isFinite(value)
+            ? format(normalize(value.toFixed(options.decimals), options), options)
+            : '';
+    }
+
+    /**
+     * 啟用數字輸入元件：改為文字欄位以顯示千分位，並把範圍與小數限制交給 FormValidator
+     */
+    function enhance(input) {
+        if (enhanced.has(input)) return;
+        const options = optionsOf(input);
+        enhanced.set(input, options);
+
+        input.type = 'text';
+        input.inputMode = options.decimals > 0 ? 'decimal' : 'numeric';
+        input.autocomplete = 'off';
+        input.classList.add('text-end');
+
+        const setRule = (name, value) => {
+            if (value !== '' && !input.hasAttribute(`data-rule-${name}`)) {
+                input.setAttribute(`data-rule-${name}`, value);
+            }
+        };
+        setRule('number', 'true');
+        setRule('min', options.min);
+        setRule('max', options.max);
+        setRule(options.decimals > 0 ? 'decimal' : 'integer', options.decimals > 0 ? String(options.decimals) : 'true');
+
+        const raw = input.value !== '' ? normalize(input.value, options) : null;
+        if (raw !== null) {
+            input.value = format(raw, options);
+        }
+    }
+
+    /**
+     * 送出表單時以純數字取代顯示值（包含 new FormData(form) 的 AJAX 送出）
+     */
+    function handleFormData(e) {
+        Array.from(e.target.elements).forEach(input => {
+            if (enhanced.has(input) && input.name && !input.disabled) {
+                e.formData.set(input.name, rawValue(input));
+            }
+        });
+    }
+
+    /**
+     * 安裝全域事件
+     */
+    function install() {
+        document.addEventListener('input', e => {
+            if (enhanced.has(e.target) && !e.isComposing) reformat(e.target);
+        }, true);
+
+        document.addEventListener('focusout', e => {
+            const options = enhanced.get(e.target);
+            if (!options || normalize(e.target.value, options) === null) return;
+            // 離開欄位時移除結尾的小數點或單獨的負號
+            const raw = rawValue(e.target);
+            e.target.value = raw === '' ? '' : format(raw, options);
+        });
+
+        document.addEventListener('paste', handlePaste);
+        document.addEventListener('formdata', handleFormData);
+
+        const enhanceAll = () => document.querySelectorAll('input[data-numeric]').forEach(enhance);
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', enhanceAll);
+        } else {
+            enhanceAll();
+        }
+    }
+
+    install();
+
+    // 公共 API
+    return {
+        enhance,
+        normalize: (text, options = {}) => normalize(text, { ...separators(options.locale || 'zh-TW'), decimals: 6, allowNegative: true, ...options }),
+        valueOf,
+        setValue
+    };
+})();
+
+// 導出到全域
+window.NumericInput = NumericInput;
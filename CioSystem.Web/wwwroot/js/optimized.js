@@ -1,6 +1,7 @@
 ﻿/**
  * CioSystem 優化版 JavaScript - 模組化和效能優化版本
  * 提供增強的用戶體驗和最佳化效能
+ * 只由 _OptimizedLayout 載入；主版面（_Layout）的對應功能在 CioSystem.js、search-typeahead.js 與 unsaved-changes.js
  */
 
 // 模組化架構
@@ -9,52 +10,17 @@ const CioSystem = (function () {
 
     // 私有變數
     let isLoading = false;
-    let currentToastId = 0;
-    let performanceObserver = null;
     let intersectionObserver = null;
 
-    // 效能監控
+    // 效能監控（Web Vitals 由 WebVitals 收集並回報）
     const PerformanceMonitor = {
         init() {
-            if ('PerformanceObserver' in window) {
-                this.observeLCP();
-                this.observeFID();
-                this.observeCLS();
+            if (window.WebVitals) {
+                WebVitals.start();
             }
             this.showPerformanceIndicator();
         },
 
-        observeLCP() {
-            performanceObserver = new PerformanceObserver((list) => {
-                const entries = list.getEntries();
-                const lastEntry = entries[entries.length - 1];
-                console.log('LCP:', lastEntry.startTime);
-            });
-            performanceObserver.observe({ entryTypes: ['largest-contentful-paint'] });
-        },
-
-        observeFID() {
-            performanceObserver = new PerformanceObserver((list) => {
-                const entries = list.getEntries();
-                entries.forEach(entry => {
-                    console.log('FID:', entry.processingStart - entry.startTime);
-                });
-            });
-            performanceObserver.observe({ entryTypes: ['first-input'] });
-        },
-
-        observeCLS() {
-            performanceObserver = new PerformanceObserver((list) => {
-                const entries = list.getEntries();
-                entries.forEach(entry => {
-                    if (!entry.hadRecentInput) {
-                        console.log('CLS:', entry.value);
-                    }
-                });
-            });
-            performanceObserver.observe({ entryTypes: ['layout-shift'] });
-        },
-
         showPerformanceIndicator() {
             const indicator = document.createElement('div');
             indicator.className = 'performance-indicator';
@@ -126,95 +92,41 @@ const CioSystem = (function () {
     // 表單增強器
     const FormEnhancer = {
         init() {
-            this.setupFormValidation();
-            this.setupAutoSave();
             this.setupInputEnhancements();
         },
 
-        setupFormValidation() {
-            const forms = document.querySelectorAll('form[data-validate]');
-            forms.forEach(form => {
-                form.addEventListener('submit', (e) => {
-                    if (!this.validateForm(form)) {
-                        e.preventDefault();
-                    }
-                });
-            });
-        },
-
+        // 表單驗證由 FormValidator 統一處理（form-validator.js），此處保留相容的呼叫方式
         validateForm(form) {
-            const inputs = form.querySelectorAll('input[required], select[required], textarea[required]');
-            let isValid = true;
-
-            inputs.forEach(input => {
-                if (!input.value.trim()) {
-                    this.showFieldError(input, '此欄位為必填');
-                    isValid = false;
-                } else {
-                    this.clearFieldError(input);
-                }
-            });
-
-            return isValid;
+            return FormValidator.validateSync(form);
         },
 
         showFieldError(input, message) {
-            this.clearFieldError(input);
-            input.classList.add('is-invalid');
-
-            const errorDiv = document.createElement('div');
-            errorDiv.className = 'invalid-feedback';
-            errorDiv.textContent = message;
-            input.parentNode.appendChild(errorDiv);
+            FormValidator.showFieldError(input, message);
         },
 
         clearFieldError(input) {
-            input.classList.remove('is-invalid');
-            const errorDiv = input.parentNode.querySelector('.invalid-feedback');
-            if (errorDiv) {
-                errorDiv.remove();
-            }
-        },
-
-        setupAutoSave() {
-            const forms = document.querySelectorAll('form[data-autosave]');
-            forms.forEach(form => {
-                const inputs = form.querySelectorAll('input, select, textarea');
-                inputs.forEach(input => {
-                    input.addEventListener('input', this.debounce(() => {
-                        this.saveFormData(form);
-                    }, 1000));
-                });
-            });
-        },
-
-        saveFormData(form) {
-            const formData = new FormData(form);
-            const data = Object.fromEntries(formData);
-            localStorage.setItem(`form_${form.id}`, JSON.stringify(data));
+            FormValidator.clearFieldError(input);
         },
 
         setupInputEnhancements() {
-            // 數字輸入格式化
-            const numberInputs = document.querySelectorAll('input[type="number"]');
-            numberInputs.forEach(input => {
-                input.addEventListener('input', (e) => {
-                    e.target.value = e.target.value.replace(/[^0-9]/g, '');
-                });
-            });
+            // 數字輸入由 NumericInput 處理（numeric-input.js），此處不再過濾非數字字元
 
-            // 搜尋輸入優化
+            // 搜尋框套用搜尋建議（search-typeahead.js）；資料表格的搜尋與篩選框、標示 data-typeahead="off" 的除外
             const searchInputs = document.querySelectorAll('input[type="search"]');
             searchInputs.forEach(input => {
-                input.addEventListener('input', this.debounce((e) => {
-                    this.performSearch(e.target.value);
-                }, 300));
+                if (input.closest('[data-grid]') || input.dataset.typeahead === 'off') return;
+                SearchTypeahead.attach(input, { requestKey: this.searchRequestKey(input) });
             });
         },
 
-        performSearch(query) {
-            // 實現搜尋邏輯
-            console.log('搜尋:', query);
+        // 搜尋請求的取消鍵值（每個搜尋框各自獨立）
+        searchRequestKey(input) {
+            return `search:${input.id || input.name || 'default'}`;
+        },
+
+        // 搜尋產品、銷售與進貨並在搜尋框下方列出結果
+        performSearch(query, input) {
+            return SearchTypeahead.search(input, query);
         },
 
         debounce(func, wait) {
@@ -230,46 +142,21 @@ const CioSystem = (function () {
         }
     };
 
-    // 通知管理器
+    // 通知管理器（委派給共用的 ToastManager）
     const NotificationManager = {
-        init() {
-            this.createNotificationContainer();
-        },
-
-        createNotificationContainer() {
-            if (!document.getElementById('notification-container')) {
-                const container = document.createElement('div');
-                container.id = 'notification-container';
-                container.style.cssText = `
-                    position: fixed;
-                    top: 20px;
-                    right: 20px;
-                    z-index: 9999;
-                    max-width: 400px;
-                `;
-                document.body.appendChild(container);
+        show(message, type = 'info', duration) {
+            if (message !== null && typeof message === 'object') {
+                return ToastManager.show(message);
             }
+            return ToastManager.show({ message, type, duration });
         },
 
-        show(message, type = 'info', duration = 5000) {
-            const container = document.getElementById('notification-container');
-            const toast = document.createElement('div');
-            toast.className = `toast toast-${type}`;
-            toast.innerHTML = `
-                <div class="toast-content">
-                    <span class="toast-message">${message}</span>
-                    <button class="toast-close" onclick="this.parentElement.parentElement.remove()">×</button>
-                </div>
-            `;
-
-            container.appendChild(toast);
+        update(id, changes) {
+            return ToastManager.update(id, changes);
+        },
 
-            // 自動移除
-            setTimeout(() => {
-                if (toast.parentNode) {
-                    toast.remove();
-                }
-            }, duration);
+        close(id) {
+            ToastManager.close(id);
         },
 
         success(message) {
@@ -325,8 +212,11 @@ const CioSystem = (function () {
         },
 
         setupPagination() {
-            const paginationLinks = document.querySelectorAll('.pagination .page-link');
+            // 資料表格（data-grid.js）自行處理分頁
+            const paginationLinks = document.querySelectorAll('.pagination a.page-link');
             paginationLinks.forEach(link => {
+                if (link.closest('[data-grid]')) return;
+
                 link.addEventListener('click', (e) => {
                     e.preventDefault();
                     this.loadPage(link.href);
@@ -334,7 +224,12 @@ const CioSystem = (function () {
             });
         },
 
-        loadPage(url) {
+        async loadPage(url) {
+            // 頁面上有未儲存的變更時先詢問
+            if (window.UnsavedChanges && !(await UnsavedChanges.confirmLeave())) {
+                return;
+            }
+
             LoadingManager.show();
 
             fetch(url)
@@ -397,7 +292,6 @@ const CioSystem = (function () {
             PerformanceMonitor.init();
             AnimationManager.init();
             FormEnhancer.init();
-            NotificationManager.init();
             PaginationManager.init();
 
             console.log('CioSystem 優化版已初始化');
@@ -405,6 +299,9 @@ const CioSystem = (function () {
 
         // 公開方法
         showNotification: NotificationManager.show.bind(NotificationManager),
+        updateNotification: NotificationManager.update.bind(NotificationManager),
+        closeNotification: NotificationManager.close.bind(NotificationManager),
+        confirm: options => ConfirmDialog.confirm(options),
         showLoading: LoadingManager.show,
         hideLoading: LoadingManager.hide,
         cache: CacheManager
@@ -480,7 +377,7 @@ function loadCharts() {
     console.log('載入圖表功能');
 }
 
-// 錯誤處理
+// 錯誤處理（錯誤回報由 ErrorReporter 負責，這裡只提示使用者）
 window.addEventListener('error', function (e) {
     console.error('JavaScript 錯誤:', e.error);
     CioSystem.showNotification('發生錯誤，請重新整理頁面', 'error');
@@ -488,6 +385,7 @@ window.addEventListener('error', function (e) {
 
 // 未處理的 Promise 拒絕
 window.addEventListener('unhandledrejection', function (e) {
+    if (HttpClient.isAbortError(e.reason)) return;
     console.error('未處理的 Promise 拒絕:', e.reason);
     CioSystem.showNotification('載入失敗，請稍後再試', 'error');
 });
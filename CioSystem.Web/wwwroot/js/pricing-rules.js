@@ -0,0 +1,269 @@
+﻿/**
+ * CioSystem 定價規則引擎
+ * 依 JSON 規則（員工成本價、數量級距、客戶專屬價、限時促銷）計算建議單價並說明套用的規則；
+ * 規則由 SystemSettings/PricingRules 管理，頁面以 <script type="application/json" id="pricingRules"> 提供
+ *
+ * 用法：
+ *   const result = PricingRules.suggest({
+ *       product: { id: 3, price: 100, costPrice: 60, category: '文具' },
+ *       quantity: 12, customer: '王小明', employee: ''
+ *   });
+ *   result.price        // 95
+ *   result.explanation  // NT$ 95.00（大量購買：滿 10 件 9.5 折，原價 NT$ 100.00）
+ *   PricingRules.register('memberDay', (rule, context) => ({ price: ..., description: '...' }));
+ */
+
+const PricingRules = (function () {
+    'use strict';
+
+    // 規則類型 -> 計算函式 (rule, context) => { price, description, exclusive } | null
+    const evaluators = new Map();
+
+    // 未載入規則時的預設值（與伺服器預設規則一致）
+    let rules = [
+        { id: 'staff-cost', name: '員工自留成本價', type: 'staffCost', enabled: true, priority: 100 }
+    ];
+
+    /**
+     * 四捨五入到小數兩位
+     */
+    function round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * 格式化金額
+     */
+    function formatPrice(value) {
+        return 'NT$ ' + Number(value).toLocaleString('zh-TW', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+
+    /**
+     * 折扣百分比轉為「折」的說法（5 → 9.5 折）
+     */
+    function formatDiscount(percent) {
+        return `${round((100 - percent) / 10)} 折`;
+    }
+
+    /**
+     * 套用固定價格或折扣（固定價格時說明留空，建議單價本身即是該價格）
+     */
+    function adjust(basePrice, source) {
+        if (source.price !== undefined && source.price !== null) {
+            return { price: Number(source.price), text: '' };
+        }
+        const percent = Number(source.discountPercent) || 0;
+        return { price: round(basePrice * (100 - percent) / 100), text: formatDiscount(percent) };
+    }
+
+    /**
+     * 規則是否適用於此產品（未指定範圍時適用所有產品）
+     */
+    function appliesTo(rule, product) {
+        const ids = rule.productIds || [];
+        const categories = rule.categories || [];
+        if (ids.length === 0 && categories.length === 0) return true;
+        return ids.map(Number).includes(Number(product.id)) || categories.includes(product.category);
+    }
+
+    /**
+     * 解析日期（僅有日期時視為當地時間）
+     */
+    function parseDate(value, endOfDay) {
+        if (!value) return null;
+        const text = String(value);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+            return new Date(text + (endOfDay ? 'T23:59:59.999' : 'T00:00:00'));
+        }
+        return new Date(text);
+    }
+
+    /**
+     * 比較客戶名字（忽略大小寫與前後空白）
+     */
+    function sameCustomer(a, b) {
+        return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+    }
+
+    /**
+     * 組合說明文字（略過空白片段）
+     */
+    function describe(...parts) {
+        return parts.filter(Boolean).join(' ');
+    }
+
+    /**
+     * 內建規則類型
+     */
+    function registerBuiltIns() {
+        // 員工自留：以成本價計算，優先於其他規則
+        register('staffCost', (rule, context) => {
+            const costPrice = Number(context.product.costPrice);
+            if (!context.employee || !Number.isFinite(costPrice) || costPrice <= 0) return null;
+            return { price: costPrice, description: `${context.employee} 自留`, exclusive: true };
+        });
+
+        // 數量級距：取符合的最高級距
+        register('quantityTier', (rule, context) => {
+            const tier = (rule.tiers || [])
+                .filter(item => context.quantity >= Number(item.minQuantity))
+                .sort((a, b) => b.minQuantity - a.minQuantity)[0];
+            if (!tier) return null;
+            const adjusted = adjust(context.basePrice, tier);
+            return { price: adjusted.price, description: describe(`滿 ${tier.minQuantity} 件`, adjusted.text) };
+        });
+
+        // 客戶專屬價
+        register('customerPrice', (rule, context) => {
+            if (!context.customer || !sameCustomer(rule.customer, context.customer)) return null;
+            const adjusted = adjust(context.basePrice, rule);
+            return { price: adjusted.price, description: describe(`客戶 ${rule.customer}`, adjusted.text) };
+        });
+
+        // 限時促銷
+        register('promotion', (rule, context) => {
+            const startsAt = parseDate(rule.startsAt, false);
+            const endsAt = parseDate(rule.endsAt, true);
+            if ((startsAt && context.date < startsAt) || (endsAt && context.date > endsAt)) return null;
+            const adjusted = adjust(context.basePrice, rule);
+            const until = endsAt ? `至 ${endsAt.toLocaleDateString('zh-TW')}` : '';
+            return { price: adjusted.price, description: describe(adjusted.text, until) };
+        });
+    }
+
+    /**
+     * 註冊規則類型
+     */
+    function register(type, evaluate) {
+        if (typeof evaluate !== 'function') {
+            throw new TypeError(`定價規則類型 ${type} 需要計算函式`);
+        }
+        evaluators.set(type, evaluate);
+    }
+
+    /**
+     * 載入規則：可傳入規則物件、JSON 字串或 JSON script 元素
+     */
+    function load(source) {
+        let data = source;
+        if (source instanceof Element) {
+            data = source.textContent;
+        }
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        rules = Array.isArray(data) ? data : (data && Array.isArray(data.rules) ? data.rules : []);
+        return rules;
+    }
+
+    /**
+     * 取得目前的規則
+     */
+    function getRules() {
+        return rules.slice();
+    }
+
+    /**
+     * 計算建議單價
+     * 員工自留等排他規則優先（依 priority），其餘規則取最低價
+     */
+    function suggest(options = {}) {
+        const product = options.product || {};
+        const basePrice = Number(product.price) || 0;
+        const context = {
+            product,
+            basePrice,
+            quantity: Number(options.quantity) || 0,
+            customer: options.customer || '',
+            employee: options.employee || '',
+            date: options.date ? new Date(options.date) : new Date()
+        };
+
+        const candidates = rules
+            .filter(rule => rule.enabled !== false && evaluators.has(rule.type) && appliesTo(rule, product))
+            .map(rule => {
+                try {
+                    const outcome = evaluators.get(rule.type)(rule, context);
+                    return outcome && Number.isFinite(Number(outcome.price))
+                        ? { ...outcome, price: round(Math.max(0, Number(outcome.price))), rule }
+                        : null;
+                } catch (error) {
+                    console.error(`定價規則 ${rule.id} 計算失敗:`, error);
+                    return null;
+                }
+            })
+            .filter(Boolean);
+
+        const byPriority = (a, b) => (Number(b.rule.priority) || 0) - (Number(a.rule.priority) || 0);
+        const exclusive = candidates.filter(candidate => candidate.exclusive).sort(byPriority)[0];
+        const applied = exclusive || candidates
+            .sort(byPriority)
+            .reduce((best, candidate) => (!best || candidate.price < best.price ? candidate : best), null);
+
+        if (!applied || (!exclusive && applied.price >= basePrice)) {
+            return { price: basePrice, basePrice, rule: null, candidates, explanation: `${formatPrice(basePrice)}（售價）` };
+        }
+
+        const details = [applied.description, applied.price !== basePrice ? `原價 ${formatPrice(basePrice)}` : '']
+            .filter(Boolean)
+            .join('，');
+        return {
+            price: applied.price,
+            basePrice,
+            rule: applied.rule,
+            candidates,
+            explanation: `${formatPrice(applied.price)}（${applied.rule.name || applied.rule.id}${details ? '：' + details : ''}）`
+        };
+    }
+
+    /**
+     * 從 select 選項的 data 屬性讀取產品資料
+     */
+    function productFromOption(option) {
+        if (!option || !option.value) return null;
+        return {
+            id: Number(option.value),
+            price: parseFloat(option.dataset.price) || 0,
+            costPrice: parseFloat(option.dataset.costprice) || 0,
+            category: option.dataset.category || ''
+        };
+    }
+
+    /**
+     * 安裝：註冊內建規則並載入頁面上的規則
+     */
+    function install() {
+        registerBuiltIns();
+
+        const loadFromPage = () => {
+            const element = document.getElementById('pricingRules');
+            if (!element) return;
+            try {
+                load(element);
+            } catch (error) {
+                console.error('定價規則格式錯誤，改用預設規則:', error);
+            }
+        };
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', loadFromPage);
+        } else {
+            loadFromPage();
+        }
+    }
+
+    install();
+
+    // 公共 API
+    return {
+        register,
+        load,
+        getRules,
+        suggest,
+        productFromOption,
+        formatPrice
+    };
+})();
+
+// 導出到全域
+window.PricingRules = PricingRules;
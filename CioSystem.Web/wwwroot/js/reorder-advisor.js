@@ -0,0 +1,143 @@
+﻿/**
+ * CioSystem 進貨建議
+ * 依最低/最高庫存、安全庫存、目前庫存與近期銷售速度（/api/Metrics/product-sales）計算建議進貨數量，
+ * 並列出計算依據
+ *
+ * 用法：
+ *   const velocity = await ReorderAdvisor.loadVelocity();
+ *   const result = ReorderAdvisor.suggest({
+ *       currentStock: 4, minStockLevel: 10, maxStockLevel: 80, safetyStock: 5,
+ *       dailySales: velocity.get(3)?.dailySales
+ *   });
+ *   result.quantity  // 建議進貨數量（0 表示不需進貨）
+ *   result.reasons   // ['近 30 天售出 45 件，平均每天 1.5 件', ...]
+ */
+
+const ReorderAdvisor = (function () {
+    'use strict';
+
+    const SALES_URL = '/api/Metrics/product-sales';
+    const DAY = 24 * 60 * 60 * 1000;
+
+    const defaultConfig = {
+        salesWindowDays: 30,
+        leadTimeDays: 7,
+        coverageDays: 30
+    };
+
+    // 期間天數 -> Promise<Map>
+    const velocityCache = new Map();
+
+    /**
+     * 取得設定
+     */
+    function getConfig() {
+        return { ...defaultConfig, ...(window.FrontendConfig?.reorder || {}) };
+    }
+
+    /**
+     * 格式化數量（最多一位小數）
+     */
+    function formatQuantity(value) {
+        return Number(value).toLocaleString('zh-TW', { maximumFractionDigits: 1 });
+    }
+
+    /**
+     * 載入各產品的銷售速度：Map<productId, { totalQuantity, dailySales, days }>
+     * 同一期間只向伺服器查詢一次
+     */
+    function loadVelocity(days = getConfig().salesWindowDays) {
+        if (!velocityCache.has(days)) {
+            const from = new Date(Date.now() - days * DAY);
+            const params = new URLSearchParams({ from: from.toISOString(), top: '1000' });
+            const request = HttpClient.get(`${SALES_URL}?${params}`, { key: `reorder:velocity:${days}` })
+                .then(items => new Map((items || []).map(item => [item.productId, {
+                    totalQuantity: item.totalQuantity,
+                    dailySales: item.totalQuantity / days,
+                    days
+                }])))
+                .catch(error => {
+                    velocityCache.delete(days);
+                    throw error;
+                });
+            velocityCache.set(days, request);
+        }
+        return velocityCache.get(days);
+    }
+
+    /**
+     * 計算建議進貨數量
+     * 目標庫存 = 安全庫存 + 日均銷量 × (前置天數 + 支應天數)，至少補到最低庫存，且不超過最高庫存
+     */
+    function suggest(options = {}) {
+        const config = { ...getConfig(), ...options };
+        const currentStock = Math.max(Number(options.currentStock) || 0, 0);
+        const minStockLevel = Math.max(Number(options.minStockLevel) || 0, 0);
+        const maxStockLevel = Number(options.maxStockLevel) > 0 ? Number(options.maxStockLevel) : null;
+        const safetyStock = Math.max(Number(options.safetyStock) || 0, 0);
+        const dailySales = Math.max(Number(options.dailySales) || 0, 0);
+        const reasons = [];
+
+        if (options.dailySales === undefined || options.dailySales === null) {
+            reasons.push('查無近期銷售資料，僅依庫存水位計算');
+        } else {
+            reasons.push(`近 ${config.salesWindowDays} 天平均每天售出 ${formatQuantity(dailySales)} 件`);
+        }
+
+        const leadTimeDemand = Math.ceil(dailySales * config.leadTimeDays);
+        const coverageDemand = Math.ceil(dailySales * config.coverageDays);
+        const reorderPoint = Math.max(safetyStock + leadTimeDemand, minStockLevel);
+        let target = Math.max(safetyStock + leadTimeDemand + coverageDemand, minStockLevel);
+
+        if (dailySales > 0) {
+            reasons.push(`交貨前 ${config.leadTimeDays} 天預計售出 ${leadTimeDemand} 件，之後 ${config.coverageDays} 天需要 ${coverageDemand} 件`);
+        }
+        if (safetyStock > 0) {
+            reasons.push(`保留安全庫存 ${safetyStock} 件`);
+        }
+        if (target === minStockLevel && minStockLevel > 0) {
+            reasons.push(`至少補到最低庫存 ${minStockLevel} 件`);
+        }
+        if (maxStockLevel !== null && target > maxStockLevel) {
+            target = maxStockLevel;
+            reasons.push(`不超過最高庫存 ${maxStockLevel} 件`);
+        }
+
+        const quantity = Math.max(target - currentStock, 0);
+        const daysOfStock = dailySales > 0 ? currentStock / dailySales : null;
+
+        if (quantity === 0) {
+            reasons.push(`目前庫存 ${currentStock} 件已達目標庫存 ${target} 件，暫不需進貨`);
+        } else {
+            reasons.push(`目前庫存 ${currentStock} 件，補到目標庫存 ${target} 件需進貨 ${quantity} 件`);
+        }
+
+        return {
+            quantity,
+            target,
+            reorderPoint,
+            currentStock,
+            dailySales,
+            daysOfStock,
+            needsReorder: currentStock <= reorderPoint && quantity > 0,
+            reasons
+        };
+    }
+
+    /**
+     * 清除銷售速度快取
+     */
+    function clearCache() {
+        velocityCache.clear();
+    }
+
+    // 公共 API
+    return {
+        loadVelocity,
+        suggest,
+        clearCache
+    };
+})();
+
+// 導出到全域
+window.ReorderAdvisor = ReorderAdvisor;
@@ -0,0 +1,142 @@
+﻿/**
+ * CioSystem 安全 HTML 樣板
+ * 以標記樣板（html``）與 DOM 建構函式產生標記，插入的值一律跳脫；
+ * 只有明確標記為可信任（raw() 或巢狀 html``）的內容才會原樣輸出
+ */
+
+const SafeHtml = (function () {
+    'use strict';
+
+    /**
+     * 可信任的 HTML 片段
+     */
+    class TrustedHtml {
+        constructor(value) {
+            this.value = String(value);
+        }
+
+        toString() {
+            return this.value;
+        }
+    }
+
+    /**
+     * 跳脫 HTML 特殊字元
+     */
+    function escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * 將插入值轉為安全字串（陣列逐項處理，null/undefined/false 輸出空字串）
+     */
+    function stringify(value) {
+        if (value instanceof TrustedHtml) return value.value;
+        if (Array.isArray(value)) return value.map(stringify).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return escape(value);
+    }
+
+    /**
+     * 標記樣板：html`<td>${product.name}</td>`
+     */
+    function html(strings, ...values) {
+        let result = strings[0];
+        values.forEach((value, index) => {
+            result += stringify(value) + strings[index + 1];
+        });
+        return new TrustedHtml(result);
+    }
+
+    /**
+     * 明確標記為可信任的 HTML（僅用於程式內建或伺服器已清理的標記）
+     */
+    function raw(value) {
+        return value instanceof TrustedHtml ? value : new TrustedHtml(value ?? '');
+    }
+
+    /**
+     * 以分隔符號串接多個值（分隔符號可為 html``）
+     */
+    function join(items, separator = '') {
+        return new TrustedHtml(items.map(stringify).join(stringify(separator)));
+    }
+
+    /**
+     * 判斷是否為可信任的 HTML
+     */
+    function isTrusted(value) {
+        return value instanceof TrustedHtml;
+    }
+
+    /**
+     * 設定元素內容：可信任的 HTML 以 innerHTML 寫入，其餘一律視為純文字
+     */
+    function setContent(element, content) {
+        if (content instanceof TrustedHtml) {
+            element.innerHTML = content.value;
+        } else {
+            element.textContent = content ?? '';
+        }
+        return element;
+    }
+
+    /**
+     * DOM 建構函式：el('td', { className: 'text-end', dataset: { id: 1 }, onClick: fn }, '文字', childNode)
+     */
+    function el(tag, attributes = {}, ...children) {
+        const element = document.createElement(tag);
+
+        Object.entries(attributes || {}).forEach(([name, value]) => {
+            if (value === null || value === undefined || value === false) return;
+
+            if (name === 'className' || name === 'class') {
+                element.className = value;
+            } else if (name === 'style' && typeof value === 'object') {
+                Object.assign(element.style, value);
+            } else if (name === 'dataset' && typeof value === 'object') {
+                Object.entries(value).forEach(([key, dataValue]) => {
+                    element.dataset[key] = dataValue;
+                });
+            } else if (/^on[A-Z]/.test(name) && typeof value === 'function') {
+                element.addEventListener(name.slice(2).toLowerCase(), value);
+            } else if (value === true) {
+                element.setAttribute(name, '');
+            } else {
+                element.setAttribute(name, value);
+            }
+        });
+
+        children.flat(Infinity).forEach(child => {
+            if (child === null || child === undefined || child === false) return;
+            if (child instanceof Node) {
+                element.appendChild(child);
+            } else if (child instanceof TrustedHtml) {
+                element.insertAdjacentHTML('beforeend', child.value);
+            } else {
+                element.appendChild(document.createTextNode(String(child)));
+            }
+        });
+
+        return element;
+    }
+
+    // 公共 API
+    return {
+        html,
+        raw,
+        join,
+        escape,
+        isTrusted,
+        setContent,
+        el
+    };
+})();
+
+// 導出到全域
+window.SafeHtml = SafeHtml;
@@ -0,0 +1,428 @@
+﻿/**
+ * CioSystem 搜尋建議
+ * 在搜尋框下方即時列出產品、銷售與進貨的搜尋結果（依類別分組、標示命中文字），
+ * 支援上下鍵選取、Enter 開啟、Esc 關閉，並記住最近的搜尋；輸入時會取消尚未完成的舊請求
+ *
+ * 用法：
+ *   <input type="search" data-typeahead placeholder="搜尋...">   // 頁面載入時自動套用
+ *   SearchTypeahead.attach(input);
+ *   SearchTypeahead.search(input, 'A001');
+ *   input.addEventListener('typeahead:select', e => { e.preventDefault(); console.log(e.detail.item); });
+ */
+
+const SearchTypeahead = (function () {
+    'use strict';
+
+    const RECENT_STORAGE_KEY = 'cio_search_recent';
+
+    const defaultConfig = {
+        url: '/Home/Search',
+        minLength: 2,
+        limit: 5,
+        delay: 300,
+        maxRecent: 8
+    };
+
+    const GROUP_ICONS = {
+        products: 'fas fa-box',
+        sales: 'fas fa-shopping-cart',
+        purchases: 'fas fa-truck'
+    };
+
+    // 輸入框 -> 狀態
+    const instances = new WeakMap();
+    let nextId = 0;
+
+    /**
+     * 取得設定
+     */
+    function getConfig() {
+        return { ...defaultConfig, ...(window.FrontendConfig?.search || {}) };
+    }
+
+    /**
+     * 最近搜尋的儲存鍵值（依使用者區分）
+     */
+    function recentStorageKey() {
+        const user = document.querySelector('meta[name="cio-user"]');
+        const name = user ? user.getAttribute('content') : '';
+        return name ? `${RECENT_STORAGE_KEY}:${name}` : RECENT_STORAGE_KEY;
+    }
+
+    /**
+     * 讀取最近的搜尋
+     */
+    function loadRecent() {
+        try {
+            const recent = JSON.parse(localStorage.getItem(recentStorageKey()) || '[]');
+            return Array.isArray(recent) ? recent.filter(item => typeof item === 'string') : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * 記錄最近的搜尋（相同關鍵字不分大小寫只保留最新一筆）
+     */
+    function saveRecent(query) {
+        const text = String(query || '').trim();
+        if (!text) return;
+        const recent = [text]
+            .concat(loadRecent().filter(item => item.toLowerCase() !== text.toLowerCase()))
+            .slice(0, getConfig().maxRecent);
+        try {
+            localStorage.setItem(recentStorageKey(), JSON.stringify(recent));
+        } catch (e) {
+            // 儲存空間不足時忽略
+        }
+    }
+
+    /**
+     * 清除最近的搜尋
+     */
+    function clearRecent() {
+        try {
+            localStorage.removeItem(recentStorageKey());
+        } catch (e) {
+            // 無法存取 localStorage 時忽略
+        }
+    }
+
+    /**
+     * 標示命中的文字（不分大小寫，標示所有出現的位置）
+     */
+    function highlight(text, query) {
+        const source = String(text ?? '');
+        const needle = String(query || '').trim().toLowerCase();
+        if (!needle) return source;
+
+        const parts = [];
+        const lower = source.toLowerCase();
+        let position = 0;
+        let index = lower.indexOf(needle);
+        while (index >= 0) {
+            if (index > position) parts.push(source.slice(position, index));
+            parts.push(SafeHtml.html`<mark>${source.slice(index, index + needle.length)}</mark>`);
+            position = index + needle.length;
+            index = lower.indexOf(needle, position);
+        }
+        if (position < source.length) parts.push(source.slice(position));
+        return SafeHtml.join(parts);
+    }
+
+    /**
+     * 將伺服器回傳的分組轉為選項清單
+     */
+    function resultOptions(groups, query) {
+        const options = [];
+        groups.forEach(group => {
+            const header = { type: 'header', title: group.title, icon: GROUP_ICONS[group.type] || 'fas fa-search' };
+            options.push(header);
+            (group.items || []).forEach(item => {
+                options.push({ type: 'result', group: group.type, icon: header.icon, query, item });
+            });
+            if (group.url && group.totalCount > (group.items || []).length) {
+                options.push({
+                    type: 'more',
+                    query,
+                    item: { title: `查看全部 ${group.totalCount} 筆${group.title}`, url: group.url }
+                });
+            }
+        });
+        return options;
+    }
+
+    /**
+     * 最近搜尋的選項清單
+     */
+    function recentOptions() {
+        const recent = loadRecent();
+        if (recent.length === 0) return [];
+        return [{ type: 'header', title: '最近搜尋', icon: 'fas fa-history' }]
+            .concat(recent.map(query => ({ type: 'recent', query, item: { title: query } })))
+            .concat([{ type: 'clear', item: { title: '清除最近搜尋' } }]);
+    }
+
+    /**
+     * 可選取的選項（略過分組標題）
+     */
+    function selectable(state) {
+        return state.options.filter(option => option.type !== 'header');
+    }
+
+    /**
+     * 繪製選單
+     */
+    function render(state, message) {
+        const { menu, input } = state;
+        const { el } = SafeHtml;
+        menu.innerHTML = '';
+
+        let index = 0;
+        state.options.forEach(option => {
+            if (option.type === 'header') {
+                menu.appendChild(el('li', { className: 'search-typeahead-group', role: 'presentation' },
+                    el('i', { className: `${option.icon} me-1`, 'aria-hidden': 'true' }), option.title));
+                return;
+            }
+
+            const optionIndex = index++;
+            const { item } = option;
+            const content = option.type === 'result'
+                ? [
+                    el('span', { className: 'search-typeahead-title' }, highlight(item.title, option.query)),
+                    item.subtitle && el('small', { className: 'search-typeahead-subtitle text-muted' }, highlight(item.subtitle, option.query))
+                ]
+                : [
+                    option.type === 'recent' && el('i', { className: 'fas fa-search me-2 text-muted', 'aria-hidden': 'true' }),
+                    el('span', { className: option.type === 'recent' ? null : 'text-primary small' }, item.title)
+                ];
+
+            menu.appendChild(el('li', {
+                className: `search-typeahead-item search-typeahead-${option.type}` + (optionIndex === state.activeIndex ? ' active' : ''),
+                id: `${menu.id}-option-${optionIndex}`,
+                role: 'option',
+                'aria-selected': optionIndex === state.activeIndex ? 'true' : 'false',
+                dataset: { index: optionIndex },
+                onClick: () => choose(state, optionIndex),
+                onMousemove: () => setActive(state, optionIndex, false)
+            }, ...content));
+        });
+
+        if (message) {
+            menu.appendChild(el('li', { className: 'search-typeahead-message text-muted', role: 'presentation' }, message));
+        }
+
+        const open = menu.children.length > 0;
+        menu.hidden = !open;
+        input.setAttribute('aria-expanded', open ? 'true' : 'false');
+        updateActiveDescendant(state);
+    }
+
+    /**
+     * 更新 aria-activedescendant
+     */
+    function updateActiveDescendant(state) {
+        if (state.activeIndex >= 0 && !state.menu.hidden) {
+            state.input.setAttribute('aria-activedescendant', `${state.menu.id}-option-${state.activeIndex}`);
+        } else {
+            state.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * 設定目前選取的項目（-1 表示沒有選取）
+     */
+    function setActive(state, index, scroll = true) {
+        const count = selectable(state).length;
+        if (count === 0) return;
+        state.activeIndex = index < -1 ? count - 1 : (index >= count ? -1 : index);
+        state.menu.querySelectorAll('.search-typeahead-item').forEach(item => {
+            const isActive = Number(item.dataset.index) === state.activeIndex;
+            item.classList.toggle('active', isActive);
+            item.setAttribute('aria-selected', isActive ? 'true' : 'false');
+            if (isActive && scroll && item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+        });
+        updateActiveDescendant(state);
+    }
+
+    /**
+     * 顯示選單內容
+     */
+    function show(state, options, message) {
+        state.options = options;
+        state.activeIndex = -1;
+        render(state, message);
+    }
+
+    /**
+     * 關閉選單
+     */
+    function close(state) {
+        state.menu.hidden = true;
+        state.activeIndex = -1;
+        state.input.setAttribute('aria-expanded', 'false');
+        updateActiveDescendant(state);
+    }
+
+    /**
+     * 取消尚未送出與尚未完成的搜尋
+     */
+    function cancel(state) {
+        clearTimeout(state.timer);
+        state.sequence++;
+        HttpClient.abort(state.requestKey);
+    }
+
+    /**
+     * 選取項目：結果與「查看全部」開啟連結，最近搜尋則重新搜尋
+     * 會先觸發可取消的 typeahead:select 事件
+     */
+    function choose(state, index) {
+        const option = selectable(state)[index];
+        if (!option) return;
+
+        if (option.type === 'clear') {
+            clearRecent();
+            show(state, []);
+            state.input.focus();
+            return;
+        }
+
+        if (option.type === 'recent') {
+            state.input.value = option.query;
+            search(state.input, option.query);
+            state.input.focus();
+            return;
+        }
+
+        saveRecent(option.query);
+        const event = new CustomEvent('typeahead:select', {
+            bubbles: true,
+            cancelable: true,
+            detail: { item: option.item, group: option.group || null, query: option.query }
+        });
+        close(state);
+        if (state.input.dispatchEvent(event) && option.item.url) {
+            window.location.href = option.item.url;
+        }
+    }
+
+    /**
+     * 搜尋並顯示結果；關鍵字太短時顯示最近的搜尋
+     * @returns {Promise<void>}
+     */
+    async function search(input, query) {
+        const state = instances.get(input) || attach(input);
+        const config = getConfig();
+        const text = String(query ?? input.value).trim();
+
+        cancel(state);
+        const sequence = state.sequence;
+
+        if (text.length < config.minLength) {
+            if (document.activeElement === input && text.length === 0) {
+                show(state, recentOptions());
+            } else {
+                close(state);
+            }
+            return;
+        }
+
+        show(state, [], '搜尋中...');
+        try {
+            const params = new URLSearchParams({ q: text, limit: config.limit });
+            const result = await HttpClient.get(`${config.url}?${params}`, { key: state.requestKey });
+            if (sequence !== state.sequence) return;
+
+            const groups = (result && result.groups) || [];
+            show(state, resultOptions(groups, text), groups.length === 0 ? `找不到「${text}」的相關結果` : null);
+        } catch (error) {
+            if (HttpClient.isAbortError(error) || sequence !== state.sequence) return;
+            console.error('搜尋失敗:', error);
+            show(state, [], '搜尋失敗，請稍後再試');
+        }
+    }
+
+    /**
+     * 鍵盤操作：上下鍵移動、Enter 開啟、Esc 關閉
+     */
+    function handleKeydown(state, e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (state.menu.hidden) {
+                search(state.input);
+                return;
+            }
+            setActive(state, state.activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+        } else if (e.key === 'Enter') {
+            if (!state.menu.hidden && state.activeIndex >= 0) {
+                e.preventDefault();
+                choose(state, state.activeIndex);
+            } else {
+                saveRecent(state.input.value);
+            }
+        } else if (e.key === 'Escape' && !state.menu.hidden) {
+            e.preventDefault();
+            e.stopPropagation();
+            cancel(state);
+            close(state);
+        }
+    }
+
+    /**
+     * 套用到搜尋框（重複呼叫會回傳相同狀態）
+     * @param {HTMLInputElement} input
+     * @param {object} options requestKey：取消請求用的鍵值；delay：輸入停止多久後搜尋 (毫秒)
+     */
+    function attach(input, options = {}) {
+        if (instances.has(input)) return instances.get(input);
+
+        const id = `search-typeahead-${++nextId}`;
+        const menu = SafeHtml.el('ul', { className: 'search-typeahead-menu', id, role: 'listbox', hidden: true });
+        const state = {
+            input,
+            menu,
+            options: [],
+            activeIndex: -1,
+            sequence: 0,
+            timer: null,
+            requestKey: options.requestKey || `search:${input.id || input.name || id}`
+        };
+        instances.set(input, state);
+
+        input.parentElement.classList.add('search-typeahead');
+        input.insertAdjacentElement('afterend', menu);
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('autocomplete', 'off');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('aria-controls', id);
+
+        // 輸入時立即取消上一個搜尋，避免較慢的舊結果覆蓋新結果
+        input.addEventListener('input', () => {
+            cancel(state);
+            const delay = options.delay ?? getConfig().delay;
+            state.timer = setTimeout(() => search(input), delay);
+        });
+        input.addEventListener('keydown', e => handleKeydown(state, e));
+        input.addEventListener('focus', () => {
+            if (!input.value.trim()) search(input, '');
+        });
+        input.addEventListener('blur', () => close(state));
+
+        // 點選選單時不讓搜尋框失去焦點
+        menu.addEventListener('mousedown', e => e.preventDefault());
+
+        return state;
+    }
+
+    /**
+     * 安裝：套用到頁面上標示 data-typeahead 的搜尋框
+     */
+    function install() {
+        const attachAll = () => {
+            document.querySelectorAll('input[data-typeahead]').forEach(input => attach(input));
+        };
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', attachAll);
+        } else {
+            attachAll();
+        }
+    }
+
+    install();
+
+    // 公共 API
+    return {
+        attach,
+        search,
+        highlight,
+        loadRecent,
+        clearRecent
+    };
+})();
+
+// 導出到全域
+window.SearchTypeahead = SearchTypeahead;
@@ -0,0 +1,91 @@
+﻿/**
+ * CioSystem 產品編號即時驗證
+ * 註冊 FormValidator 的 sku 非同步規則：輸入時延遲檢查格式與是否已被使用，
+ * 重複時顯示使用中的產品連結，並提供同一前綴系列中下一個可用編號
+ *
+ * 用法：
+ *   <input name="SKU" data-rule-sku="/Products/CheckSku" data-sku-product-id="12">
+ */
+
+const SkuValidator = (function () {
+    'use strict';
+
+    const DEBOUNCE_DELAY = 400;
+
+    /**
+     * 產生重複編號的訊息（含產品連結與建議編號按鈕；已刪除的產品沒有連結）
+     */
+    function duplicateMessage(result) {
+        const { html } = SafeHtml;
+        const product = result.product;
+        const suggestion = result.suggestion
+            ? html`，建議使用 <button type="button" class="btn btn-link btn-sm p-0 align-baseline" data-sku-suggestion="${result.suggestion}">${result.suggestion}</button>`
+            : '';
+        const owner = product
+            ? html`<a href="${product.url}" target="_blank" rel="noopener">${product.name}</a>`
+            : '已刪除的產品';
+        return html`產品編號已被 ${owner} 使用${suggestion}`;
+    }
+
+    /**
+     * sku 規則：向伺服器檢查格式與唯一性
+     */
+    async function checkSku(value, url, field) {
+        const params = new URLSearchParams({ sku: value });
+        if (field.dataset.skuProductId) {
+            params.set('id', field.dataset.skuProductId);
+        }
+
+        const result = await HttpClient.get(`${url}?${params}`, {
+            key: `validate:sku:${field.form ? field.form.id : ''}`
+        });
+
+        if (result.valid) return true;
+        if (result.product || result.deleted) return duplicateMessage(result);
+        return result.message || false;
+    }
+
+    /**
+     * 套用建議的編號（觸發 input 事件以重新檢查）
+     */
+    function applySuggestion(button) {
+        const form = button.closest('form');
+        const field = form && form.querySelector('[data-rule-sku]');
+        if (!field) return;
+
+        field.value = button.dataset.skuSuggestion;
+        field.dispatchEvent(new Event('input', { bubbles: true }));
+        field.focus();
+    }
+
+    /**
+     * 輸入時延遲檢查（較舊的請求由 HttpClient 的 key 自動取消）
+     */
+    function install() {
+        FormValidator.addRule('sku', checkSku, { async: true, message: '此產品編號無法使用' });
+
+        const timers = new WeakMap();
+        document.addEventListener('input', e => {
+            const field = e.target;
+            if (!field.matches || !field.matches('[data-rule-sku]')) return;
+
+            clearTimeout(timers.get(field));
+            timers.set(field, setTimeout(() => FormValidator.validateField(field), DEBOUNCE_DELAY));
+        });
+
+        document.addEventListener('click', e => {
+            const button = e.target.closest('[data-sku-suggestion]');
+            if (button) applySuggestion(button);
+        });
+    }
+
+    install();
+
+    // 公共 API
+    return {
+        checkSku
+    };
+})();
+
+// 導出到全域
+window.SkuValidator = SkuValidator;
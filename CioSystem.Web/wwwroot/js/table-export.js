@@ -0,0 +1,424 @@
+﻿/**
+ * CioSystem 表格匯出
+ * 在瀏覽器產生 CSV（UTF-8 含 BOM，Excel 可正確顯示中文）或 .xlsx 檔案並下載；
+ * 可直接匯出資料表格（data-grid.js）目前篩選與排序下的所有頁面資料
+ *
+ * 欄位定義：{ title, type: 'text' | 'number' | 'currency' | 'percent' | 'date' | 'datetime', value: row => 值 }
+ *
+ * 用法：
+ *   await TableExport.exportGrid(DataGrid.get('#productsGrid'), { format: 'xlsx', fileName: '產品列表' });
+ *   const csv = TableExport.toCsv(columns, rows);
+ *   TableExport.download(TableExport.toXlsx(columns, rows, { sheetName: '產品' }), TableExport.fileName('產品列表', 'xlsx'));
+ */
+
+const TableExport = (function () {
+    'use strict';
+
+    const MIME_TYPES = {
+        csv: 'text/csv;charset=utf-8',
+        xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    };
+
+    // xlsx 儲存格樣式索引（對應 styles.xml 的 cellXfs）
+    const XLSX_STYLES = {
+        text: 0,
+        header: 1,
+        currency: 2,
+        number: 0,
+        percent: 3,
+        date: 4,
+        datetime: 5
+    };
+
+    // 試算表公式開頭字元，CSV 文字欄位需加上 ' 避免被當成公式執行
+    const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+    const encoder = new TextEncoder();
+
+    /**
+     * 補零
+     */
+    function pad(value) {
+        return String(value).padStart(2, '0');
+    }
+
+    /**
+     * 產生含日期時間的檔名，例如 產品列表_20261019_1430.csv
+     */
+    function fileName(prefix, extension, date = new Date()) {
+        const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}_${pad(date.getHours())}${pad(date.getMinutes())}`;
+        return `${prefix}_${stamp}.${extension}`;
+    }
+
+    /**
+     * 是否為空值
+     */
+    function isEmpty(value) {
+        return value === null || value === undefined || value === '';
+    }
+
+    /**
+     * 依欄位類型格式化為文字（CSV 使用）
+     */
+    function formatText(type, value) {
+        if (isEmpty(value)) return '';
+        switch (type) {
+            case 'currency':
+                return 'NT$ ' + Number(value).toLocaleString('zh-TW', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+            case 'percent':
+                return Number(value).toLocaleString('en-US', { maximumFractionDigits: 1, useGrouping: false }) + '%';
+            case 'number':
+                return String(Number(value));
+            case 'date':
+            case 'datetime': {
+                const date = new Date(value);
+                const text = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+                return type === 'date' ? text : `${text} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+            }
+            default:
+                return String(value);
+        }
+    }
+
+    /**
+     * CSV 欄位：含逗號、引號或換行時加上引號
+     */
+    function csvField(text) {
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * 產生 CSV 內容（含 BOM，以 CRLF 換行）
+     */
+    function toCsv(columns, rows) {
+        const lines = [columns.map(column => csvField(String(column.title)))];
+        rows.forEach(row => {
+            lines.push(columns.map(column => {
+                const type = column.type || 'text';
+                let text = formatText(type, column.value(row));
+                if (type === 'text' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+                return csvField(text);
+            }));
+        });
+        return '\uFEFF' + lines.map(line => line.join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * XML 跳脫（並移除 XML 不允許的控制字元）
+     */
+    function escapeXml(value) {
+        return String(value)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * 欄位代號（0 -> A、26 -> AA）
+     */
+    function columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    /**
+     * 日期轉為 Excel 序號（以當地時間計算）
+     */
+    function excelDate(value) {
+        const date = new Date(value);
+        const local = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds());
+        return local / 86400000 + 25569;
+    }
+
+    /**
+     * 顯示寬度（中日韓文字算兩個字元）
+     */
+    function displayWidth(text) {
+        return Array.from(text).reduce((width, char) => width + (char.charCodeAt(0) > 0x2E80 ? 2 : 1), 0);
+    }
+
+    /**
+     * 單一儲存格的 XML
+     */
+    function cellXml(ref, type, value) {
+        if (isEmpty(value)) return '';
+        const style = XLSX_STYLES[type] ?? XLSX_STYLES.text;
+
+        if (type === 'date' || type === 'datetime') {
+            const date = new Date(value);
+            if (!isNaN(date)) return `<c r="${ref}" s="${style}"><v>${excelDate(date)}</v></c>`;
+        } else if (type !== 'text' && Number.isFinite(Number(value))) {
+            return `<c r="${ref}" s="${style}"><v>${Number(value)}</v></c>`;
+        }
+        return `<c r="${ref}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }
+
+    /**
+     * 工作表 XML：標題列凍結並加上自動篩選，欄寬依內容估算
+     */
+    function sheetXml(columns, rows) {
+        const widths = columns.map(column => displayWidth(String(column.title)));
+        const header = columns.map((column, index) =>
+            `<c r="${columnName(index)}1" t="inlineStr" s="${XLSX_STYLES.header}"><is><t>${escapeXml(column.title)}</t></is></c>`).join('');
+
+        const body = rows.map((row, rowIndex) => {
+            const r = rowIndex + 2;
+            const cells = columns.map((column, index) => {
+                const type = column.type || 'text';
+                const value = column.value(row);
+                widths[index] = Math.max(widths[index], displayWidth(formatText(type, value)));
+                return cellXml(`${columnName(index)}${r}`, type, value);
+            }).join('');
+            return `<row r="${r}">${cells}</row>`;
+        }).join('');
+
+        const cols = widths.map((width, index) =>
+            `<col min="${index + 1}" max="${index + 1}" width="${Math.min(Math.max(width + 2, 8), 60)}" customWidth="1"/>`).join('');
+        const lastCell = `${columnName(Math.max(columns.length - 1, 0))}${rows.length + 1}`;
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+            `<cols>${cols}</cols>` +
+            `<sheetData><row r="1">${header}</row>${body}</sheetData>` +
+            `<autoFilter ref="A1:${lastCell}"/>` +
+            '</worksheet>';
+    }
+
+    /**
+     * 工作表名稱（最多 31 字，不可含 []:*?/\）
+     */
+    function sheetTitle(name) {
+        return (String(name || '').replace(/[[\]:*?/\\]/g, ' ').trim() || 'Sheet1').slice(0, 31);
+    }
+
+    /**
+     * 活頁簿其餘的 XML 檔案
+     */
+    function workbookFiles(sheetName, filterRange) {
+        const name = escapeXml(sheetName);
+        return {
+            '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                '</Types>',
+            '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>',
+            'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets>` +
+                `<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'${name.replace(/'/g, "''")}'!${filterRange}</definedName></definedNames>` +
+                '</workbook>',
+            'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                '</Relationships>',
+            'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                '<numFmts count="4">' +
+                '<numFmt numFmtId="164" formatCode="&quot;NT$ &quot;#,##0.00"/>' +
+                '<numFmt numFmtId="165" formatCode="0.0&quot;%&quot;"/>' +
+                '<numFmt numFmtId="166" formatCode="yyyy-mm-dd"/>' +
+                '<numFmt numFmtId="167" formatCode="yyyy-mm-dd hh:mm"/>' +
+                '</numFmts>' +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="6">' +
+                '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+                '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+                '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+                '<xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+                '<xf numFmtId="167" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+                '</cellXfs>' +
+                '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+                '</styleSheet>'
+        };
+    }
+
+    // CRC-32 查表
+    const CRC_TABLE = (function () {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    /**
+     * 計算 CRC-32
+     */
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * 將檔案打包為 ZIP（不壓縮，xlsx 的容器格式）
+     * @param {Object<string, string>} files 路徑 -> 內容
+     * @returns {Uint8Array[]}
+     */
+    function zip(files, date = new Date()) {
+        const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+        const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+
+        Object.entries(files).forEach(([path, content]) => {
+            const name = encoder.encode(path);
+            const data = encoder.encode(content);
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, day, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            chunks.push(new Uint8Array(local.buffer), name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, day, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = central.reduce((size, chunk) => size + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, central.length / 2, true);
+        end.setUint16(10, central.length / 2, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return chunks.concat(central, [new Uint8Array(end.buffer)]);
+    }
+
+    /**
+     * 產生 .xlsx 檔案
+     * @returns {Blob}
+     */
+    function toXlsx(columns, rows, options = {}) {
+        const lastCell = `$${columnName(Math.max(columns.length - 1, 0))}$${rows.length + 1}`;
+        const files = {
+            ...workbookFiles(sheetTitle(options.sheetName), `$A$1:${lastCell}`),
+            'xl/worksheets/sheet1.xml': sheetXml(columns, rows)
+        };
+        return new Blob(zip(files), { type: MIME_TYPES.xlsx });
+    }
+
+    /**
+     * 下載檔案
+     */
+    function download(content, name, type = MIME_TYPES.csv) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = SafeHtml.el('a', { href: url, download: name, hidden: true });
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * 資料表格目前顯示的欄位轉為匯出欄位
+     * 欄位可設定 export: false 略過、exportValue(row) 指定匯出的值、exportType 指定類型（預設沿用 format）
+     */
+    function gridColumns(grid) {
+        return grid.getColumns()
+            .filter(column => column.export !== false)
+            .map(column => ({
+                title: column.title,
+                type: column.exportType || (typeof column.format === 'string' ? column.format : 'text'),
+                value: row => (typeof column.exportValue === 'function' ? column.exportValue(row) : row[column.field])
+            }));
+    }
+
+    /**
+     * 匯出資料表格：依目前的關鍵字、篩選與排序取得所有頁面的資料
+     * @param {object} options format：'csv' 或 'xlsx'；fileName：檔名前綴；sheetName：工作表名稱
+     * @returns {Promise<number|null>} 匯出的筆數，失敗時為 null
+     */
+    async function exportGrid(grid, options = {}) {
+        const format = options.format === 'xlsx' ? 'xlsx' : 'csv';
+        const prefix = options.fileName || '匯出資料';
+        const toastId = ToastManager.show({ message: '正在準備匯出資料...', type: 'info', title: '匯出', duration: 0, progress: 0 });
+
+        try {
+            const rows = await grid.fetchAll({
+                onProgress: (page, totalPages) => ToastManager.update(toastId, {
+                    message: `正在取得資料（${page} / ${totalPages} 頁）...`,
+                    progress: totalPages > 0 ? page / totalPages * 100 : 100
+                })
+            });
+            const columns = gridColumns(grid);
+            const content = format === 'xlsx'
+                ? toXlsx(columns, rows, { sheetName: options.sheetName || prefix })
+                : toCsv(columns, rows);
+
+            download(content, fileName(prefix, format), MIME_TYPES[format]);
+            ToastManager.update(toastId, { message: `已匯出 ${rows.length} 筆資料`, type: 'success', progress: null, duration: 5000 });
+            return rows.length;
+        } catch (error) {
+            if (HttpClient.isAbortError(error)) {
+                ToastManager.close(toastId);
+                return null;
+            }
+            console.error('匯出資料失敗:', error);
+            ToastManager.update(toastId, { message: '匯出失敗，請稍後再試', type: 'error', progress: null, duration: 5000 });
+            return null;
+        }
+    }
+
+    // 公共 API
+    return {
+        toCsv,
+        toXlsx,
+        download,
+        fileName,
+        exportGrid
+    };
+})();
+
+// 導出到全域
+window.TableExport = TableExport;
@@ -0,0 +1,327 @@
+﻿/**
+ * CioSystem 通知管理器
+ * 統一的 Toast 通知：佇列與數量上限、相同訊息合併計數、滑鼠懸停暫停、動作按鈕與進度更新
+ */
+
+const ToastManager = (function () {
+    'use strict';
+
+    const CONTAINER_ID = 'toast-container';
+
+    const iconMap = {
+        'success': 'fas fa-check-circle',
+        'error': 'fas fa-exclamation-circle',
+        'warning': 'fas fa-exclamation-triangle',
+        'info': 'fas fa-info-circle'
+    };
+
+    const typeColors = {
+        'success': 'var(--success-color)',
+        'error': 'var(--danger-color)',
+        'warning': 'var(--warning-color)',
+        'info': 'var(--primary-color)'
+    };
+
+    const defaultTitles = {
+        'success': '成功',
+        'error': '錯誤',
+        'warning': '警告',
+        'info': '通知'
+    };
+
+    // 顯示中的通知（id -> 狀態）與等待中的佇列
+    const visible = new Map();
+    const queue = [];
+    let nextId = 0;
+
+    /**
+     * 取得通知設定（優先讀取 FrontendConfig.notifications）
+     */
+    function getConfig() {
+        const notifications = (window.FrontendConfig && window.FrontendConfig.notifications) || {};
+        return {
+            maxNotifications: notifications.maxNotifications ?? 5,
+            defaultDuration: notifications.defaultDuration ?? 5000
+        };
+    }
+
+    /**
+     * 取得或建立通知容器
+     */
+    function getContainer() {
+        let container = document.getElementById(CONTAINER_ID);
+        if (!container) {
+            container = document.createElement('div');
+            container.id = CONTAINER_ID;
+            container.className = 'toast-container position-fixed top-0 end-0 p-3';
+            container.style.zIndex = '1055';
+            container.style.maxWidth = '400px';
+            document.body.appendChild(container);
+        }
+        return container;
+    }
+
+    /**
+     * 正規化通知選項
+     */
+    function normalize(options) {
+        const type = iconMap[options.type] ? options.type : 'info';
+        return {
+            id: options.id || 'toast-' + (++nextId),
+            message: options.message ?? '',
+            type,
+            title: options.title || defaultTitles[type],
+            duration: options.duration ?? getConfig().defaultDuration,
+            actions: Array.isArray(options.actions) ? options.actions : [],
+            progress: options.progress ?? null,
+            dedupe: options.dedupe !== false
+        };
+    }
+
+    /**
+     * 相同訊息的比對鍵值
+     */
+    function dedupeKey(options) {
+        return `${options.type}|${options.title}|${options.message}`;
+    }
+
+    /**
+     * 建立通知元素
+     */
+    function render(options) {
+        const toast = document.createElement('div');
+        toast.className = 'toast show fade-in';
+        toast.id = options.id;
+        toast.setAttribute('role', options.type === 'error' ? 'alert' : 'status');
+        toast.setAttribute('aria-live', options.type === 'error' ? 'assertive' : 'polite');
+        toast.setAttribute('aria-atomic', 'true');
+        toast.style.marginBottom = '1rem';
+
+        toast.innerHTML = `
+            <div class="toast-header" style="color: white; border-radius: 12px 12px 0 0;">
+                <i class="me-2"></i>
+                <strong class="me-auto toast-title"></strong>
+                <span class="badge rounded-pill bg-light text-dark ms-2 toast-count" hidden></span>
+                <button type="button" class="btn-close btn-close-white ms-2" aria-label="關閉"></button>
+            </div>
+            <div class="toast-body" style="background: white; border-radius: 0 0 12px 12px; box-shadow: 0 8px 32px rgba(0, 0, 0, 0.1);">
+                <div class="toast-message"></div>
+                <div class="progress toast-progress mt-2" hidden>
+                    <div class="progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100"></div>
+                </div>
+                <div class="toast-actions mt-2 d-flex gap-2 justify-content-end" hidden></div>
+            </div>
+        `;
+
+        toast.querySelector('.btn-close').addEventListener('click', () => close(options.id));
+        return toast;
+    }
+
+    /**
+     * 將選項套用到通知元素
+     */
+    function apply(state) {
+        const { element, options } = state;
+        const header = element.querySelector('.toast-header');
+        header.style.background = typeColors[options.type];
+        header.querySelector('i').className = `${iconMap[options.type]} me-2`;
+        header.querySelector('.toast-title').textContent = options.title;
+
+        SafeHtml.setContent(element.querySelector('.toast-message'), options.message);
+
+        const count = element.querySelector('.toast-count');
+        count.hidden = state.count <= 1;
+        count.textContent = `×${state.count}`;
+
+        const progress = element.querySelector('.toast-progress');
+        progress.hidden = options.progress === null;
+        if (options.progress !== null) {
+            const percent = Math.max(0, Math.min(100, Number(options.progress) || 0));
+            const bar = progress.querySelector('.progress-bar');
+            bar.style.width = percent + '%';
+            bar.setAttribute('aria-valuenow', String(percent));
+        }
+
+        const actions = element.querySelector('.toast-actions');
+        actions.innerHTML = '';
+        actions.hidden = options.actions.length === 0;
+        options.actions.forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `btn btn-sm btn-${action.variant || 'outline-primary'}`;
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                if (typeof action.onClick === 'function') {
+                    action.onClick(options.id);
+                }
+                if (action.dismiss !== false) {
+                    close(options.id);
+                }
+            });
+            actions.appendChild(button);
+        });
+    }
+
+    /**
+     * 開始或重新開始自動關閉計時（duration 為 0 時不自動關閉）
+     */
+    function startTimer(state, ms = state.options.duration) {
+        clearTimeout(state.timer);
+        state.remaining = ms;
+        state.startedAt = Date.now();
+        if (ms > 0 && !state.paused) {
+            state.timer = setTimeout(() => close(state.options.id), ms);
+        }
+    }
+
+    /**
+     * 滑鼠懸停時暫停計時
+     */
+    function pause(state) {
+        if (state.paused) return;
+        state.paused = true;
+        clearTimeout(state.timer);
+        if (state.remaining > 0) {
+            state.remaining = Math.max(0, state.remaining - (Date.now() - state.startedAt));
+        }
+    }
+
+    /**
+     * 滑鼠離開時繼續計時
+     */
+    function resume(state) {
+        if (!state.paused) return;
+        state.paused = false;
+        if (state.options.duration > 0) {
+            startTimer(state, Math.max(state.remaining, 1000));
+        }
+    }
+
+    /**
+     * 顯示通知（已達上限時放入佇列）
+     */
+    function display(options) {
+        const element = render(options);
+        const state = { element, options, count: 1, timer: null, paused: false, remaining: 0, startedAt: 0 };
+        visible.set(options.id, state);
+
+        element.addEventListener('mouseenter', () => pause(state));
+        element.addEventListener('mouseleave', () => resume(state));
+        element.addEventListener('focusin', () => pause(state));
+        element.addEventListener('focusout', () => resume(state));
+
+        apply(state);
+        getContainer().appendChild(element);
+        startTimer(state);
+    }
+
+    /**
+     * 顯示下一則佇列中的通知
+     */
+    function drain() {
+        while (queue.length > 0 && visible.size < getConfig().maxNotifications) {
+            display(queue.shift());
+        }
+    }
+
+    /**
+     * 顯示通知
+     * message 預設為純文字；需要標記時傳入 SafeHtml.html`` 或 SafeHtml.raw()
+     * @param {object} options { message, type, title, duration, actions: [{ label, onClick, variant, dismiss }], progress, id, dedupe }
+     * @returns {string} 通知 id，可用於 update() 與 close()
+     */
+    function show(options) {
+        const normalized = normalize(options || {});
+
+        if (visible.has(normalized.id)) {
+            update(normalized.id, normalized);
+            return normalized.id;
+        }
+
+        // 相同訊息合併為一則並累加計數
+        if (normalized.dedupe) {
+            const key = dedupeKey(normalized);
+            for (const state of visible.values()) {
+                if (state.options.dedupe && dedupeKey(state.options) === key) {
+                    state.count++;
+                    apply(state);
+                    startTimer(state);
+                    return state.options.id;
+                }
+            }
+            const queued = queue.find(item => item.dedupe && dedupeKey(item) === key);
+            if (queued) return queued.id;
+        }
+
+        queue.push(normalized);
+        drain();
+        return normalized.id;
+    }
+
+    /**
+     * 更新通知內容（例如進度通知）
+     * @param {string} id 通知 id
+     * @param {object} changes 可更新 message、type、title、progress、actions、duration
+     */
+    function update(id, changes = {}) {
+        const state = visible.get(id);
+        if (!state) {
+            const queued = queue.find(item => item.id === id);
+            if (queued) Object.assign(queued, changes, { id });
+            return Boolean(queued);
+        }
+
+        const durationChanged = changes.duration !== undefined && changes.duration !== state.options.duration;
+        state.options = normalize({ ...state.options, ...changes, id });
+        apply(state);
+        if (durationChanged) {
+            startTimer(state);
+        }
+        return true;
+    }
+
+    /**
+     * 關閉通知
+     */
+    function close(id) {
+        const index = queue.findIndex(item => item.id === id);
+        if (index >= 0) {
+            queue.splice(index, 1);
+            return;
+        }
+
+        const state = visible.get(id);
+        if (!state) return;
+
+        visible.delete(id);
+        clearTimeout(state.timer);
+        state.element.style.animation = 'fadeOut 0.3s ease';
+        setTimeout(() => {
+            state.element.remove();
+        }, 300);
+        drain();
+    }
+
+    /**
+     * 關閉所有通知並清空佇列
+     */
+    function clear() {
+        queue.length = 0;
+        Array.from(visible.keys()).forEach(close);
+    }
+
+    // 公共 API
+    return {
+        show,
+        update,
+        close,
+        clear,
+        success: (message, options = {}) => show({ ...options, message, type: 'success' }),
+        error: (message, options = {}) => show({ ...options, message, type: 'error' }),
+        warning: (message, options = {}) => show({ ...options, message, type: 'warning' }),
+        info: (message, options = {}) => show({ ...options, message, type: 'info' })
+    };
+})();
+
+// 導出到全域
+window.ToastManager = ToastManager;
@@ -0,0 +1,229 @@
+﻿/**
+ * CioSystem 未儲存變更提醒
+ * 標記 data-unsaved-guard 的表單會在載入時記錄初始值，標示修改過的欄位；
+ * 離開頁面（連結、AJAX 分頁或關閉分頁）前若仍有未儲存的變更，詢問使用者要捨棄或繼續編輯
+ *
+ * 用法：
+ *   <form asp-action="Edit" method="post" data-unsaved-guard>
+ *   <input name="Notes" data-unsaved-ignore>        不列入比較
+ *   <a href="..." data-unsaved-ignore>              離開時不詢問
+ *   if (await UnsavedChanges.confirmLeave()) { ... } 自訂導覽前詢問
+ */
+
+const UnsavedChanges = (function () {
+    'use strict';
+
+    const IGNORED_TYPES = ['hidden', 'submit', 'button', 'reset', 'image'];
+
+    // 表單 -> { snapshot: Map<欄位, 初始值> }
+    const tracked = new Map();
+    // 已送出、正在離開頁面的表單
+    const leaving = new Set();
+
+    /**
+     * 可比較的欄位
+     */
+    function fieldsOf(form) {
+        return Array.from(form.elements).filter(field =>
+            field.name &&
+            !IGNORED_TYPES.includes(field.type) &&
+            !field.readOnly &&
+            !field.hasAttribute('data-unsaved-ignore'));
+    }
+
+    /**
+     * 欄位目前的值（核取方塊為勾選狀態，多選為所有選取值）
+     */
+    function valueOf(field) {
+        if (field.type === 'checkbox' || field.type === 'radio') return String(field.checked);
+        if (field.multiple) return Array.from(field.selectedOptions).map(option => option.value).join('\n');
+        return field.value;
+    }
+
+    /**
+     * 記錄表單目前的狀態作為比較基準
+     */
+    function snapshot(form) {
+        const values = new Map();
+        fieldsOf(form).forEach(field => values.set(field, valueOf(field)));
+        return values;
+    }
+
+    /**
+     * 修改過的欄位（頁面載入後才加入的欄位只要有值就算修改）
+     */
+    function changedFields(form) {
+        const state = tracked.get(form);
+        if (!state) return [];
+        return fieldsOf(form).filter(field => {
+            if (field.disabled && !state.snapshot.has(field)) return false;
+            const initial = state.snapshot.has(field)
+                ? state.snapshot.get(field)
+                : (field.type === 'checkbox' || field.type === 'radio' ? 'false' : '');
+            return valueOf(field) !== initial;
+        });
+    }
+
+    /**
+     * 標示修改過的欄位（核取方塊與選項標示整個選項列）
+     */
+    function refresh(form) {
+        const changed = new Set(changedFields(form));
+        fieldsOf(form).forEach(field => {
+            const target = field.type === 'checkbox' || field.type === 'radio'
+                ? (field.closest('.form-check') || field)
+                : field;
+            target.classList.toggle('is-changed', changed.has(field));
+        });
+        form.classList.toggle('has-unsaved-changes', changed.size > 0);
+        return changed.size;
+    }
+
+    /**
+     * 仍在頁面上且有未儲存變更的表單
+     */
+    function dirtyForms() {
+        return Array.from(tracked.keys()).filter(form => {
+            if (!form.isConnected) {
+                tracked.delete(form);
+                return false;
+            }
+            return !leaving.has(form) && changedFields(form).length > 0;
+        });
+    }
+
+    /**
+     * 將目前的值設為新的基準（例如 AJAX 儲存成功後）
+     */
+    function markClean(form) {
+        const state = tracked.get(form);
+        if (!state) return;
+        state.snapshot = snapshot(form);
+        refresh(form);
+    }
+
+    /**
+     * 捨棄變更：不再提醒，並通知其他模組（例如 FormDrafts 移除草稿）
+     */
+    function discard(form) {
+        markClean(form);
+        form.dispatchEvent(new CustomEvent('unsaved:discard', { bubbles: true }));
+    }
+
+    /**
+     * 有未儲存變更時詢問是否離開
+     * @returns {Promise<boolean>} 可以離開時為 true（沒有變更或使用者選擇捨棄）
+     */
+    async function confirmLeave() {
+        const forms = dirtyForms();
+        if (forms.length === 0) return true;
+
+        const count = forms.reduce((total, form) => total + changedFields(form).length, 0);
+        const confirmed = await ConfirmDialog.confirm({
+            title: '尚未儲存的變更',
+            message: `您有 ${count} 個欄位的變更尚未儲存，離開此頁面後變更將會遺失。`,
+            severity: 'warning',
+            confirmText: '捨棄變更',
+            cancelText: '繼續編輯'
+        });
+
+        if (confirmed) {
+            forms.forEach(discard);
+        } else {
+            const first = changedFields(forms[0])[0];
+            if (first) first.focus();
+        }
+        return confirmed;
+    }
+
+    /**
+     * 是否為會離開目前頁面的連結
+     */
+    function isNavigationLink(link, e) {
+        if (e.defaultPrevented || e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return false;
+        if (link.hasAttribute('download') || link.hasAttribute('data-unsaved-ignore') || link.hasAttribute('data-bs-toggle')) return false;
+
+        const target = (link.getAttribute('target') || '').toLowerCase();
+        if (target && target !== '_self') return false;
+
+        const href = link.getAttribute('href') || '';
+        if (href === '' || href.startsWith('#') || href.toLowerCase().startsWith('javascript:')) return false;
+
+        const url = new URL(link.href, window.location.href);
+        return !(url.pathname === window.location.pathname && url.search === window.location.search && url.hash);
+    }
+
+    /**
+     * 攔截離開頁面的連結；使用者捨棄變更後以原本的連結重新觸發（包含 PaginationManager 等 AJAX 導覽）
+     */
+    function handleClick(e) {
+        const link = e.target.closest && e.target.closest('a[href]');
+        if (!link || !isNavigationLink(link, e) || dirtyForms().length === 0) return;
+
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        confirmLeave().then(confirmed => {
+            if (confirmed) link.click();
+        });
+    }
+
+    /**
+     * 開始追蹤表單
+     */
+    function track(form) {
+        if (tracked.has(form)) return;
+        tracked.set(form, { snapshot: snapshot(form) });
+
+        const update = () => refresh(form);
+        form.addEventListener('input', update);
+        form.addEventListener('change', update);
+        form.addEventListener('reset', () => setTimeout(update, 0));
+    }
+
+    /**
+     * 安裝全域事件
+     */
+    function install() {
+        document.addEventListener('click', handleClick, true);
+
+        // 關閉分頁、重新整理或在網址列輸入時只能使用瀏覽器內建的提示
+        window.addEventListener('beforeunload', e => {
+            if (dirtyForms().length === 0) return;
+            e.preventDefault();
+            e.returnValue = '';
+        });
+
+        // 送出表單（驗證通過）不需要提醒；送出未完成而恢復時重新開始提醒
+        document.addEventListener('submit', e => {
+            if (!e.defaultPrevented && tracked.has(e.target)) leaving.add(e.target);
+        });
+        document.addEventListener('submission:end', e => leaving.delete(e.target));
+        window.addEventListener('pageshow', e => {
+            if (e.persisted) leaving.clear();
+        });
+
+        // 等頁面腳本（例如依欄位計算的預設值）執行完畢再記錄初始狀態
+        const trackAll = () => setTimeout(() => {
+            document.querySelectorAll('form[data-unsaved-guard]').forEach(track);
+        }, 0);
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', trackAll);
+        } else {
+            trackAll();
+        }
+    }
+
+    install();
+
+    // 公共 API
+    return {
+        track,
+        confirmLeave,
+        markClean,
+        discard,
+        isDirty: form => (form ? changedFields(form).length > 0 : dirtyForms().length > 0)
+    };
+})();
+
+// 導出到全域
+window.UnsavedChanges = UnsavedChanges;
@@ -0,0 +1,307 @@
+﻿/**
+ * CioSystem Web Vitals 收集器
+ * 收集真實使用者的 LCP、INP、CLS（工作階段視窗）、TTFB 與導覽類型，
+ * 於頁面隱藏時送到監控 API（POST /api/monitoring/metrics），並標記路由與裝置類型
+ */
+
+const WebVitals = (function () {
+    'use strict';
+
+    const METRIC_PREFIX = 'WebVitals.';
+
+    // 評等閾值：[良好上限, 需改善上限]
+    const thresholds = {
+        LCP: [2500, 4000],
+        INP: [200, 500],
+        CLS: [0.1, 0.25],
+        TTFB: [800, 1800]
+    };
+
+    const observers = [];
+    let metrics = {};
+    // 每個指標最後一次回報的值（CLS、INP 在回報後仍可能變大，值改變時重送）
+    let sentValues = new Map();
+    let pageViewId = createPageViewId();
+    let navigationType = 'navigate';
+    let started = false;
+
+    // CLS 工作階段視窗
+    let sessionValue = 0;
+    let sessionEntries = [];
+
+    // INP：各互動的最長延遲（依 interactionId）
+    let interactions = new Map();
+
+    /**
+     * 頁面瀏覽識別碼：伺服器以此合併同一次瀏覽重送的指標，只採用最後一次的值
+     */
+    function createPageViewId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * 取得設定（優先讀取 FrontendConfig.performance）
+     */
+    function getConfig() {
+        const performanceConfig = (window.FrontendConfig && window.FrontendConfig.performance) || {};
+        return {
+            enabled: performanceConfig.enableWebVitals ?? true,
+            endpoint: performanceConfig.webVitalsEndpoint || '/api/monitoring/metrics',
+            sampleRate: performanceConfig.webVitalsSampleRate ?? 1
+        };
+    }
+
+    /**
+     * 正規化路由：數字與 GUID 片段以 {id} 取代，避免每筆資料各自成為一條路由
+     */
+    function currentRoute() {
+        const path = window.location.pathname
+            .split('/')
+            .map(segment => /^\d+$/.test(segment) || /^[0-9a-f]{8}-[0-9a-f-]{27}$/i.test(segment) ? '{id}' : segment)
+            .join('/');
+        return path.length > 1 ? path.replace(/\/$/, '') : '/';
+    }
+
+    /**
+     * 裝置類型（依視窗寬度）
+     */
+    function deviceClass() {
+        const width = window.innerWidth || document.documentElement.clientWidth;
+        if (width < 768) return 'mobile';
+        if (width < 1024) return 'tablet';
+        return 'desktop';
+    }
+
+    /**
+     * 依閾值取得評等
+     */
+    function rate(name, value) {
+        const [good, poor] = thresholds[name];
+        if (value <= good) return 'good';
+        if (value <= poor) return 'needs-improvement';
+        return 'poor';
+    }
+
+    /**
+     * 頁面啟用時間（預先轉譯的頁面以啟用時間為起點）
+     */
+    function activationStart() {
+        const navigation = performance.getEntriesByType && performance.getEntriesByType('navigation')[0];
+        return navigation && navigation.activationStart > 0 ? navigation.activationStart : 0;
+    }
+
+    /**
+     * 設定指標值
+     */
+    function setMetric(name, value) {
+        metrics[name] = { name, value, rating: rate(name, value) };
+    }
+
+    /**
+     * 建立效能觀察器（瀏覽器不支援該類型時略過）
+     */
+    function observe(type, callback, options = {}) {
+        try {
+            if (!PerformanceObserver.supportedEntryTypes ||
+                !PerformanceObserver.supportedEntryTypes.includes(type)) {
+                return null;
+            }
+            const observer = new PerformanceObserver(list => callback(list.getEntries()));
+            observer.observe({ type, buffered: true, ...options });
+            observers.push({ observer, callback });
+            return observer;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * TTFB 與導覽類型
+     */
+    function collectNavigation() {
+        const navigation = performance.getEntriesByType && performance.getEntriesByType('navigation')[0];
+        if (!navigation) return;
+
+        navigationType = document.prerendering || navigation.activationStart > 0
+            ? 'prerender'
+            : String(navigation.type || 'navigate').replace(/_/g, '-');
+
+        const ttfb = Math.max(0, navigation.responseStart - activationStart());
+        if (ttfb >= 0 && ttfb < performance.now()) {
+            setMetric('TTFB', ttfb);
+        }
+    }
+
+    /**
+     * LCP：取最後一個候選，使用者開始互動後即固定
+     */
+    function collectLCP() {
+        const handle = entries => {
+            const last = entries[entries.length - 1];
+            if (last) {
+                setMetric('LCP', Math.max(0, last.startTime - activationStart()));
+            }
+        };
+        const observer = observe('largest-contentful-paint', handle);
+        if (!observer) return;
+
+        const finalize = () => {
+            handle(observer.takeRecords());
+            observer.disconnect();
+            ['keydown', 'pointerdown'].forEach(type => removeEventListener(type, finalize, true));
+        };
+        ['keydown', 'pointerdown'].forEach(type => addEventListener(type, finalize, { once: true, capture: true }));
+    }
+
+    /**
+     * CLS：排除使用者輸入後的位移，以工作階段視窗（間隔 < 1 秒、總長 < 5 秒）累計，取最大視窗
+     */
+    function collectCLS() {
+        observe('layout-shift', entries => {
+            entries.forEach(entry => {
+                if (entry.hadRecentInput) return;
+
+                const first = sessionEntries[0];
+                const last = sessionEntries[sessionEntries.length - 1];
+                if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+                    sessionValue += entry.value;
+                    sessionEntries.push(entry);
+                } else {
+                    sessionValue = entry.value;
+                    sessionEntries = [entry];
+                }
+
+                if (!metrics.CLS || sessionValue > metrics.CLS.value) {
+                    setMetric('CLS', sessionValue);
+                }
+            });
+        });
+    }
+
+    /**
+     * INP：每 50 次互動略過一次最長者，近似第 98 百分位
+     */
+    function collectINP() {
+        const handle = entries => {
+            entries.forEach(entry => {
+                if (!entry.interactionId) return;
+                const previous = interactions.get(entry.interactionId) || 0;
+                interactions.set(entry.interactionId, Math.max(previous, entry.duration));
+            });
+
+            if (interactions.size === 0) return;
+            const durations = Array.from(interactions.values()).sort((a, b) => b - a);
+            const interactionCount = performance.interactionCount || interactions.size;
+            const index = Math.min(durations.length - 1, Math.floor(interactionCount / 50));
+            setMetric('INP', durations[index]);
+        };
+
+        observe('event', handle, { durationThreshold: 40 });
+        observe('first-input', handle);
+    }
+
+    /**
+     * 送出單一指標
+     */
+    function send(endpoint, metric) {
+        const payload = JSON.stringify({
+            metricName: METRIC_PREFIX + metric.name,
+            value: metric.value,
+            tags: {
+                route: currentRoute(),
+                device: deviceClass(),
+                navigationType,
+                pageViewId,
+                rating: metric.rating,
+                connection: (navigator.connection && navigator.connection.effectiveType) || 'unknown'
+            }
+        });
+
+        if (navigator.sendBeacon && navigator.sendBeacon(endpoint, new Blob([payload], { type: 'application/json' }))) {
+            return;
+        }
+
+        if (window.fetch) {
+            fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: payload,
+                credentials: 'same-origin',
+                keepalive: true
+            }).catch(() => { });
+        }
+    }
+
+    /**
+     * 送出尚未回報或回報後值已改變的指標
+     */
+    function flush() {
+        const config = getConfig();
+        // 先處理尚未派送的效能項目
+        observers.forEach(({ observer, callback }) => {
+            const records = observer.takeRecords();
+            if (records.length > 0) callback(records);
+        });
+
+        Object.values(metrics).forEach(metric => {
+            if (sentValues.get(metric.name) === metric.value) return;
+            sentValues.set(metric.name, metric.value);
+            send(config.endpoint, metric);
+        });
+    }
+
+    /**
+     * 從往返快取還原時視為新的頁面瀏覽
+     */
+    function handlePageShow(e) {
+        if (!e.persisted) return;
+        metrics = {};
+        sentValues = new Map();
+        pageViewId = createPageViewId();
+        interactions = new Map();
+        sessionValue = 0;
+        sessionEntries = [];
+        navigationType = 'back-forward-cache';
+    }
+
+    /**
+     * 開始收集（重複呼叫不會重複啟動；未抽中樣本的頁面不收集）
+     */
+    function start() {
+        const config = getConfig();
+        if (started || !config.enabled || !('PerformanceObserver' in window)) return;
+        if (Math.random() >= config.sampleRate) return;
+        started = true;
+
+        collectNavigation();
+        collectLCP();
+        collectCLS();
+        collectINP();
+
+        document.addEventListener('visibilitychange', function () {
+            if (document.visibilityState === 'hidden') flush();
+        });
+        window.addEventListener('pagehide', flush);
+        window.addEventListener('pageshow', handlePageShow);
+    }
+
+    /**
+     * 取得目前收集到的指標
+     */
+    function getMetrics() {
+        return JSON.parse(JSON.stringify(metrics));
+    }
+
+    start();
+
+    // 公共 API
+    return {
+        start,
+        flush,
+        getMetrics,
+        rate
+    };
+})();
+
+// 導出到全域
+window.WebVitals = WebVitals;